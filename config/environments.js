@@ -0,0 +1,92 @@
+const path = require('path');
+
+/**
+ * Confirmit/Forsta Plus authoring hosts by region
+ */
+const CONFIRMIT_REGIONS = {
+  nordic: 'author.nordic.confirmit.com',
+  euro: 'author.euro.confirmit.com',
+  us: 'author.us.confirmit.com',
+};
+
+/**
+ * Profile used when TEST_ENV is not set
+ */
+const DEFAULT_ENVIRONMENT = 'qa';
+
+/**
+ * Settings every profile starts from; a profile overrides them section by section
+ * The external site URL defaults to https://<Confirmit host>/home/
+ */
+const PROFILE_DEFAULTS = {
+  extensionPath: path.resolve(__dirname, '../chrome-mv3'),
+  confirmit: {
+    region: 'nordic',
+  },
+  externalSite: {
+    redirectUrlContains: 'confirmit.com',
+  },
+  credentials: {
+    sources: ['env', 'dotenv', 'vault'],
+    dotenvPath: path.resolve(__dirname, '../.env'),
+    vaultPath: path.resolve(__dirname, '../credentials.vault.json'),
+  },
+  timeouts: {
+    extensionLoad: 5000,
+    loginRedirect: 15000,
+    elementVisible: 10000,
+    pageLoad: 30000,
+  },
+};
+
+/**
+ * Environment profiles selected with TEST_ENV (or several at once with TEST_ENVS)
+ * The backend must be the one the extension build under test talks to: the side panel
+ * bundle defaults to the QA API and links to app.staging/app.dev.metaforms.ai.
+ */
+const ENVIRONMENT_PROFILES = {
+  qa: {
+    description: 'QA backend (the extension bundle default) on the nordic Confirmit region',
+    backend: {
+      websocketUrl: 'wss://api.qa.metaforms.ai/www',
+      apiUrl: 'https://api.qa.metaforms.ai/www',
+    },
+  },
+  staging: {
+    description: 'Staging backend on the nordic Confirmit region, with staging accounts',
+    backend: {
+      websocketUrl: 'wss://api.staging.metaforms.ai/www',
+      apiUrl: 'https://api.staging.metaforms.ai/www',
+    },
+    credentials: {
+      dotenvPath: path.resolve(__dirname, '../.env.staging'),
+      vaultPath: path.resolve(__dirname, '../credentials.staging.vault.json'),
+    },
+    timeouts: {
+      loginRedirect: 30000,
+      pageLoad: 45000,
+    },
+  },
+  dev: {
+    description: 'Dev backend on the nordic Confirmit region, with dev accounts',
+    backend: {
+      websocketUrl: 'wss://api.dev.metaforms.ai/www',
+      apiUrl: 'https://api.dev.metaforms.ai/www',
+    },
+    credentials: {
+      dotenvPath: path.resolve(__dirname, '../.env.dev'),
+      vaultPath: path.resolve(__dirname, '../credentials.dev.vault.json'),
+    },
+    timeouts: {
+      loginRedirect: 30000,
+      pageLoad: 45000,
+    },
+  },
+};
+
+module.exports = {
+  CONFIRMIT_REGIONS,
+  DEFAULT_ENVIRONMENT,
+  PROFILE_DEFAULTS,
+  ENVIRONMENT_PROFILES,
+};
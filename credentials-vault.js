@@ -0,0 +1,61 @@
+const fs = require('fs');
+const { VaultCredentialSource } = require('./helpers/CredentialProvider');
+const { EnvironmentProfiles } = require('./helpers/EnvironmentProfiles');
+
+/**
+ * Manage the local encrypted credential vault
+ *
+ * Usage (passphrase from CREDENTIALS_VAULT_PASSPHRASE):
+ *   echo -n "secret" | npm run vault -- set External_PASSWORD
+ *   npm run vault -- unset External_PASSWORD
+ *   npm run vault -- list
+ *   TEST_ENV=staging npm run vault -- list    # the staging profile's vault
+ *
+ * Values are read from stdin so they never end up in shell history.
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new Error('Pipe the value on stdin, e.g. echo -n "value" | npm run vault -- set KEY');
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+async function main() {
+  const [command, key] = process.argv.slice(2);
+  const { vaultPath } = new EnvironmentProfiles().resolve().credentials;
+  const source = new VaultCredentialSource({ filePath: vaultPath });
+  if (!source.passphrase) {
+    throw new Error('Set CREDENTIALS_VAULT_PASSPHRASE before using the vault.');
+  }
+  const values = source.load();
+
+  switch (command) {
+    case 'set': {
+      if (!key) {
+        throw new Error('Usage: npm run vault -- set <KEY>');
+      }
+      values[key] = await readStdin();
+      break;
+    }
+    case 'unset':
+      delete values[key];
+      break;
+    case 'list':
+      Object.keys(values).forEach(name => console.log(name));
+      return;
+    default:
+      throw new Error('Usage: npm run vault -- <set|unset|list> [KEY]');
+  }
+
+  fs.writeFileSync(source.filePath, JSON.stringify(VaultCredentialSource.encrypt(values, source.passphrase), null, 2));
+  console.log(`✅ Vault updated: ${source.filePath}`);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
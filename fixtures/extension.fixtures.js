@@ -0,0 +1,288 @@
+const base = require('@playwright/test');
+const testConfig = require('../config/test.config');
+const { BrowserManager } = require('../helpers/BrowserManager');
+const { SidePanelHelper } = require('../helpers/SidePanelHelper');
+const { ServiceWorkerBridge } = require('../helpers/ServiceWorkerBridge');
+const { HarNetworkManager } = require('../helpers/HarNetworkManager');
+const { NetworkAssertions } = require('../helpers/NetworkAssertions');
+const { WorkerIsolation } = require('../helpers/WorkerIsolation');
+const { ConsoleCollector } = require('../helpers/ConsoleCollector');
+const { SecretRedactor } = require('../helpers/SecretRedactor');
+const { TelemetryAssertions } = require('../helpers/TelemetryAssertions');
+const { ServiceWorkerLifecycle, LIFECYCLE_STATUSES } = require('../helpers/ServiceWorkerLifecycle');
+const { ExtensionSidePanelPage } = require('../pages/ExtensionSidePanelPage');
+const { ExternalSitePage } = require('../pages/ExternalSitePage');
+const { OverlayController } = require('../pages/OverlayController');
+const { DesignerRoutingPage } = require('../pages/DesignerRoutingPage');
+const { DocumentViewerPage } = require('../pages/DocumentViewerPage');
+
+/**
+ * Extension fixtures - Replaces per-spec BrowserManager setup and teardown
+ *
+ * Worker-scoped (one browser per worker, shared by its tests; workers run in parallel, each with
+ * its own profile directory, stand-in ports and session restore):
+ * - environment: testConfig switched to the `testEnv` profile (automatic)
+ * - browserManager, extensionContext, extensionId
+ * - secretRedaction: masks registered secrets in the worker's console output (automatic)
+ *
+ * Test-scoped (fresh for every test, closed afterwards):
+ * - launchBrowser: launchBrowser(options, launchOptions) starts another BrowserManager, for tests
+ *   that need a browser of their own (several builds, a browser without the extension, a
+ *   restored session); the automatic checks cover it, and it is closed after the test
+ * - sidePanel: ExtensionSidePanelPage already navigated to the side panel
+ * - externalSite: ExternalSitePage on a new page (not navigated)
+ * - sidePanelHelper: SidePanelHelper whose pages are closed afterwards; a fallback from the
+ *   native panel to a tab is annotated on the test
+ * - serviceWorker: the extension's background service worker
+ * - serviceWorkerBridge: started ServiceWorkerBridge (messages and chrome.storage.local)
+ * - serviceWorkerLifecycle: ServiceWorkerLifecycle recording the worker's status; a worker the
+ *   test left stopped is revived afterwards, for the next tests on the browser
+ * - overlayController: OverlayController on the Confirmit designer fixture, content script ready
+ * - designerRouting: DesignerRoutingPage on a new page (call goto(variant) yourself)
+ * - documentViewer: DocumentViewerPage on its host page, content script ready
+ * - telemetry: the browser's TelemetryAssertions (Sentry, PostHog and Logfire sinks)
+ *
+ * Automatic (every test):
+ * - harNetwork: points HAR record/replay at the spec's file (testConfig.network.mode), annotates
+ *   the test with the mode and file, and fails the test if replay mode could not answer a request
+ * - networkContracts: fails the test if a Confirmit API request did not conform to its
+ *   contract in fixtures/contracts (testConfig.contracts)
+ * - consoleErrors: attaches the console log of the service worker, extension pages, content
+ *   scripts and sites (ConsoleCollector) of every browser the test had open, and fails the
+ *   test on errors from the extension; call consoleErrors.allow(pattern, { source }) for the
+ *   ones a test expects. Nothing else fails tests on console errors, so browser specs use
+ *   these fixtures
+ * - telemetryLeaks: fails the test if a telemetry payload it sent contains a credential
+ * - redactedArtifacts: masks registered secrets in every file of the test's output directory
+ *   (attachments, screenshots, trace.zip, videos) after the test, and again when the worker
+ *   exits, since traces and videos are only written after the test's fixtures are torn down
+ *
+ * Options (set with test.use() or in a project's `use`):
+ * - userDataDir: profile directory ('' for a temporary profile); each worker gets its own
+ *   worker-<index> subdirectory of it
+ * - session: session snapshot name restored at launch (see SessionSnapshotManager)
+ * - extensionPath: unpacked extension to load
+ * - testEnv: environment profile (default: TEST_ENV); per-profile projects set it (TEST_ENVS)
+ * - browserOptions: further BrowserManager options for the worker's browser (e.g.
+ *   { confirmitStandIn: { credentials }, headlessMode: 'new' }); set it at the top of a spec
+ *   file, since a worker option forces a worker of its own
+ *
+ * Pages opened by fixtures get a screenshot attached when the test fails, because
+ * the config's `screenshot` setting only covers Playwright's built-in `page` fixture.
+ *
+ * @example
+ * const { test, expect } = require('../fixtures/extension.fixtures');
+ *
+ * test('shows the login form', async ({ sidePanel }) => {
+ *   await expect(sidePanel.usernameInput).toBeVisible();
+ * });
+ */
+
+/**
+ * Attach a screenshot of a fixture page if the test failed
+ * @param {import('@playwright/test').Page} page - Page to capture
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {string} name - Attachment name
+ * @returns {Promise<void>}
+ */
+async function attachFailureScreenshot(page, testInfo, name) {
+  if (!page || page.isClosed() || testInfo.status === testInfo.expectedStatus) {
+    return;
+  }
+  try {
+    await testInfo.attach(`${name}-on-failure`, {
+      body: await page.screenshot(),
+      contentType: 'image/png',
+    });
+  } catch (error) {
+    console.warn(`⚠️ Could not capture ${name} screenshot: ${error.message}`);
+  }
+}
+
+/**
+ * Close a fixture page, attaching a screenshot first if the test failed
+ * @param {import('@playwright/test').Page} page - Page to close
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @param {string} name - Attachment name
+ * @returns {Promise<void>}
+ */
+async function closeFixturePage(page, testInfo, name) {
+  await attachFailureScreenshot(page, testInfo, name);
+  if (page && !page.isClosed()) {
+    await page.close();
+  }
+}
+
+const test = base.test.extend({
+  userDataDir: ['', { scope: 'worker', option: true }],
+  session: [null, { scope: 'worker', option: true }],
+  extensionPath: [testConfig.extensionPath, { scope: 'worker', option: true }],
+  testEnv: [testConfig.environment.name, { scope: 'worker', option: true }],
+  browserOptions: [{}, { scope: 'worker', option: true }],
+
+  // Runs before anything else in the worker reads the profile-dependent settings
+  environment: [async ({ testEnv }, use) => {
+    const previous = testConfig.environment.name;
+    await use(testConfig.useEnvironment(testEnv));
+    testConfig.useEnvironment(previous);
+  }, { scope: 'worker', auto: true }],
+
+  browserManager: [async ({ environment, userDataDir, session, extensionPath, browserOptions }, use) => {
+    const browserManager = new BrowserManager({
+      userDataDir: userDataDir && WorkerIsolation.getWorkerDir(userDataDir),
+      extensionPath,
+      ...browserOptions,
+    });
+    await browserManager.launch(session ? { session } : {});
+    try {
+      await use(browserManager);
+    } finally {
+      await browserManager.close();
+    }
+  }, { scope: 'worker' }],
+
+  extensionContext: [async ({ browserManager }, use) => {
+    await use(browserManager.getContext());
+  }, { scope: 'worker' }],
+
+  extensionId: [async ({ browserManager }, use) => {
+    await use(browserManager.getExtensionId());
+  }, { scope: 'worker' }],
+
+  secretRedaction: [async ({}, use) => {
+    SecretRedactor.installConsole();
+    const outputDirs = new Set();
+    await use(outputDirs);
+    outputDirs.forEach(dir => SecretRedactor.redactDir(dir));
+  }, { scope: 'worker', auto: true }],
+
+  redactedArtifacts: [async ({ secretRedaction }, use, testInfo) => {
+    secretRedaction.add(testInfo.outputDir);
+    await use();
+    SecretRedactor.redactDir(testInfo.outputDir);
+  }, { auto: true }],
+
+  // Launches nothing by itself; the checks below depend on it so that the browsers a test
+  // launched are still open when they run
+  launchBrowser: async ({ environment }, use) => {
+    const browserManagers = [];
+    await use(async (options = {}, launchOptions = {}) => {
+      const browserManager = new BrowserManager(options);
+      browserManagers.push(browserManager);
+      return browserManager.launch(launchOptions);
+    });
+    // Newest first, so browsers sharing a stand-in restore testConfig in order
+    for (const browserManager of browserManagers.reverse()) {
+      await browserManager.close();
+    }
+  },
+
+  // No worker browser dependency, so browser-less tests do not launch one for it
+  harNetwork: [async ({ launchBrowser }, use, testInfo) => {
+    await HarNetworkManager.setCurrentSpec(testInfo.file);
+    await use(HarNetworkManager.getInstalled());
+    const modes = new Set(HarNetworkManager.getInstalled().map(manager => `${manager.getMode()} (${manager.getHarPath()})`));
+    modes.forEach(description => testInfo.annotations.push({ type: 'network mode', description }));
+    HarNetworkManager.getInstalled().forEach(manager => manager.assertAllMatched());
+  }, { auto: true }],
+
+  networkContracts: [async ({ launchBrowser }, use) => {
+    await use(NetworkAssertions.getInstalled());
+    for (const assertions of NetworkAssertions.getInstalled()) {
+      await assertions.assertAllConform();
+    }
+  }, { auto: true }],
+
+  telemetryLeaks: [async ({ launchBrowser }, use) => {
+    await use(TelemetryAssertions.getInstalled());
+    TelemetryAssertions.getInstalled().forEach(telemetry => telemetry.assertNoLeaks());
+  }, { auto: true }],
+
+  consoleErrors: [async ({ launchBrowser }, use, testInfo) => {
+    ConsoleCollector.startTest();
+    await use({
+      allow: (pattern, options) => ConsoleCollector.allow(pattern, options),
+      getEntries: () => ConsoleCollector.getTestEntries(),
+    });
+    await ConsoleCollector.finishTest(testInfo);
+  }, { auto: true }],
+
+  sidePanel: async ({ extensionContext, extensionId }, use, testInfo) => {
+    const page = await extensionContext.newPage();
+    const sidePanel = new ExtensionSidePanelPage(page, extensionId);
+    await sidePanel.goto();
+    await use(sidePanel);
+    await closeFixturePage(page, testInfo, 'side-panel');
+  },
+
+  externalSite: async ({ extensionContext }, use, testInfo) => {
+    const page = await extensionContext.newPage();
+    await use(new ExternalSitePage(page));
+    await closeFixturePage(page, testInfo, 'external-site');
+  },
+
+  sidePanelHelper: async ({ extensionContext, extensionId }, use, testInfo) => {
+    const sidePanelHelper = new SidePanelHelper(extensionContext, extensionId);
+    await use(sidePanelHelper);
+    if (sidePanelHelper.getFallbackReason()) {
+      testInfo.annotations.push({ type: 'side panel fallback', description: sidePanelHelper.getFallbackReason() });
+    }
+    // closeSidePanel() knows how to close a native panel as well as a tab
+    await attachFailureScreenshot(sidePanelHelper.getSidePanelPage(), testInfo, 'side-panel-helper');
+    await sidePanelHelper.closeSidePanel();
+    await closeFixturePage(sidePanelHelper.getMainPage(), testInfo, 'side-panel-helper-main');
+  },
+
+  telemetry: async ({ browserManager }, use) => {
+    await use(browserManager.getTelemetry());
+  },
+
+  serviceWorker: async ({ extensionContext, extensionId }, use) => {
+    await use(await ServiceWorkerBridge.getServiceWorker(extensionContext, extensionId));
+  },
+
+  serviceWorkerBridge: async ({ extensionContext, extensionId }, use) => {
+    const serviceWorkerBridge = await new ServiceWorkerBridge(extensionContext, extensionId).start();
+    try {
+      await use(serviceWorkerBridge);
+    } finally {
+      await serviceWorkerBridge.stop();
+    }
+  },
+
+  serviceWorkerLifecycle: async ({ extensionContext, extensionId }, use) => {
+    const serviceWorkerLifecycle = await new ServiceWorkerLifecycle(extensionContext, extensionId).install();
+    try {
+      await use(serviceWorkerLifecycle);
+      if (serviceWorkerLifecycle.getStatus() === LIFECYCLE_STATUSES.stopped) {
+        await serviceWorkerLifecycle.revive();
+      }
+    } finally {
+      await serviceWorkerLifecycle.uninstall();
+    }
+  },
+
+  overlayController: async ({ extensionContext, serviceWorkerBridge }, use, testInfo) => {
+    const page = await extensionContext.newPage();
+    const overlayController = new OverlayController(page, serviceWorkerBridge);
+    await overlayController.goto();
+    await use(overlayController);
+    await closeFixturePage(page, testInfo, 'overlay-controller');
+  },
+
+  designerRouting: async ({ extensionContext, serviceWorkerBridge }, use, testInfo) => {
+    const page = await extensionContext.newPage();
+    await use(new DesignerRoutingPage(page, serviceWorkerBridge));
+    await closeFixturePage(page, testInfo, 'designer-routing');
+  },
+
+  documentViewer: async ({ extensionContext, serviceWorkerBridge }, use, testInfo) => {
+    const page = await extensionContext.newPage();
+    const documentViewer = new DocumentViewerPage(page, serviceWorkerBridge);
+    await documentViewer.goto();
+    await use(documentViewer);
+    await closeFixturePage(page, testInfo, 'document-viewer');
+  },
+});
+
+module.exports = { test, expect: base.expect };
@@ -1,7 +1,23 @@
 const { chromium } = require('@playwright/test');
+const fs = require('fs');
 const path = require('path');
 const testConfig = require('../config/test.config');
 const { ExtensionIdExtractor } = require('./ExtensionIdExtractor');
+const { SessionSnapshotManager } = require('./SessionSnapshotManager');
+const { ServiceWorkerBridge } = require('./ServiceWorkerBridge');
+const { HarNetworkManager, NETWORK_MODES } = require('./HarNetworkManager');
+const { NetworkAssertions } = require('./NetworkAssertions');
+const { WorkerIsolation } = require('./WorkerIsolation');
+const { XvfbDisplay } = require('./XvfbDisplay');
+const { ConsoleCollector } = require('./ConsoleCollector');
+const { TelemetryAssertions } = require('./TelemetryAssertions');
+const { ConfirmitStandInServer } = require('../servers/ConfirmitStandInServer');
+
+const HEADLESS_MODES = {
+  headed: 'headed',
+  new: 'new',
+  xvfb: 'xvfb',
+};
 
 /**
  * BrowserManager - Single source of truth for browser lifecycle management
@@ -10,24 +26,114 @@ const { ExtensionIdExtractor } = require('./ExtensionIdExtractor');
  * Responsibilities:
  * - Launch Chrome browser with extension loaded
  * - Manage browser context lifecycle
- * - Provide extension ID via ExtensionIdExtractor
+ * - Provide extension ID via ExtensionIdExtractor (cross-checked with the ID computed from the
+ *   extension's manifest key or path)
  * - Create new pages
+ * - Optionally route Confirmit hosts to the offline ConfirmitStandInServer
+ * - Optionally seed custom Confirmit base URLs (self-hosted/regional Forsta) into confirmit_config
+ * - Record or replay Confirmit traffic as HAR files (testConfig.network.mode) via HarNetworkManager
+ * - Check Confirmit API requests against their contracts (testConfig.contracts) via NetworkAssertions
+ * - Route Sentry, PostHog and Logfire to local sinks that scan for leaked credentials
+ *   (testConfig.telemetry) via TelemetryAssertions
+ * - Optionally route the generation WebSocket to a GenerationSocketServer
+ * - Capture and restore named login sessions via SessionSnapshotManager
+ * - Give every browser a profile directory of its own (WorkerIsolation), so parallel workers
+ *   never share one
+ * - Run headed, in new headless mode, or on an auto-started Xvfb display (XvfbDisplay), falling
+ *   back to Xvfb when headed mode has no display
+ * - Swap in another build of the extension on the same profile, or reload it, as Chrome does
+ *   when it updates an installed extension
+ * - Collect console messages and uncaught errors of every page, the service worker and the
+ *   content scripts from launch on (ConsoleCollector)
  */
 class BrowserManager {
   /**
    * @param {Object} options - Configuration options
-   * @param {string} options.userDataDir - User data directory (empty string for temp)
+   * @param {string} options.userDataDir - User data directory (empty string for a temporary one,
+   *   removed on close); locked to this browser while it runs
    * @param {boolean} options.persistentContext - Whether to use persistent context
+   * @param {string} options.extensionPath - Unpacked extension to load (default: testConfig.extensionPath)
+   * @param {boolean} options.stageExtension - Load the extension from a copy next to the profile
+   *   (<userDataDir>-extension), so swapExtension() can replace the build in place while Chrome
+   *   keeps its ID and storage (default: false)
+   * @param {boolean} options.loadExtension - Load the extension (default: true); false launches the
+   *   same browser without it, as a baseline (no extension ID, base URL seeding or session restore)
+   * @param {boolean|Object|ConfirmitStandInServer} options.confirmitStandIn - Route Confirmit hosts to
+   *   a local stand-in (true starts one, an object starts one with those server options, an
+   *   instance is used as-is; defaults to config)
+   * @param {string[]} options.confirmitBaseUrls - Custom Confirmit base URLs to seed into the
+   *   extension's confirmit_config; their hosts are routed to the stand-in too
+   *   (default: testConfig.confirmitStandIn.baseUrls)
+   * @param {import('../servers/GenerationSocketServer').GenerationSocketServer} options.generationSocket -
+   *   Started generation socket stand-in to route the side panel's WebSocket to
+   * @param {import('../servers/SupabaseAuthStandIn').SupabaseAuthStandIn} options.supabaseAuth -
+   *   Auth stand-in to install before any extension page loads (needed when restoring sessions)
+   * @param {string} options.sessionDir - Session snapshot directory (default: testConfig.sessions.dir)
+   * @param {Object} options.network - Overrides for testConfig.network ({ mode, matching, harDir, ... })
+   * @param {boolean|Object} options.contracts - Overrides for testConfig.contracts ({ dir, apiPrefix }),
+   *   or false to skip request contract checks (default: testConfig.contracts.enabled)
+   * @param {string} options.headlessMode - 'headed', 'new' or 'xvfb' (default: testConfig.browser.headlessMode)
+   * @param {string} options.channel - Browser channel (default: testConfig.browser.channel)
+   * @param {boolean|Object} options.telemetry - Overrides for testConfig.telemetry ({ sensitiveKeys,
+   *   publicValues }), or false to let telemetry through (default: testConfig.telemetry.enabled)
+   * @param {boolean|Object} options.consoleErrors - Overrides for testConfig.consoleErrors
+   *   ({ failOnError, allowlist, ... }), or false to collect nothing; tests fail on the errors
+   *   through the consoleErrors fixture only
    */
   constructor(options = {}) {
     this.options = {
       userDataDir: options.userDataDir || '',
       persistentContext: options.persistentContext !== false,
+      extensionPath: options.extensionPath || testConfig.extensionPath,
+      loadExtension: options.loadExtension !== false,
+      confirmitStandIn: testConfig.confirmitStandIn.enabled,
+      confirmitBaseUrls: testConfig.confirmitStandIn.baseUrls,
+      contracts: testConfig.contracts.enabled,
+      telemetry: testConfig.telemetry.enabled,
+      headlessMode: testConfig.browser.headlessMode,
+      channel: testConfig.browser.channel,
       ...options,
     };
     this.context = null;
     this.extensionId = null;
     this.isInitialized = false;
+    this.standInServer = null;
+    this.ownsStandInServer = false;
+    this.network = null;
+    this.networkAssertions = null;
+    this.telemetry = null;
+    this.consoleCollector = null;
+    this.originalExternalSiteUrl = null;
+    this.userDataDir = null;
+    this.ownsUserDataDir = false;
+    this.headlessMode = null;
+    this.xvfb = null;
+    this.modeOptions = null;
+    this.browserOptions = {};
+    this.stagedExtensionPath = null;
+  }
+
+  /**
+   * Work out the mode a browser actually runs in
+   * Headed mode needs a display: on Linux without one it falls back to Xvfb. Xvfb only exists
+   * on Linux: elsewhere it falls back to headed. getHeadlessMode() tells which one was used.
+   * @param {string} mode - Requested mode ('headed', 'new' or 'xvfb')
+   * @param {Object<string, string>} env - Environment variables (default: process.env)
+   * @param {string} platform - OS platform (default: process.platform)
+   * @returns {string} One of HEADLESS_MODES
+   * @throws {Error} If the mode is unknown
+   */
+  static resolveHeadlessMode(mode, env = process.env, platform = process.platform) {
+    if (!Object.values(HEADLESS_MODES).includes(mode)) {
+      throw new Error(`Unknown headlessMode "${mode}". Use: ${Object.values(HEADLESS_MODES).join(', ')}.`);
+    }
+    if (mode === HEADLESS_MODES.headed && !XvfbDisplay.hasDisplay(env, platform)) {
+      return HEADLESS_MODES.xvfb;
+    }
+    if (mode === HEADLESS_MODES.xvfb && platform !== 'linux') {
+      return HEADLESS_MODES.headed;
+    }
+    return mode;
   }
 
   /**
@@ -36,22 +142,358 @@ class BrowserManager {
    * @private
    */
   _getDefaultArgs() {
-    const pathToExtension = testConfig.extensionPath;
+    const pathToExtension = this._getLoadedExtensionPath();
+    const extensionArgs = this.options.loadExtension
+      ? [`--disable-extensions-except=${pathToExtension}`, `--load-extension=${pathToExtension}`]
+      : [];
     return [
-      `--disable-extensions-except=${pathToExtension}`,
-      `--load-extension=${pathToExtension}`,
+      ...extensionArgs,
       '--no-first-run',
       '--disable-default-apps',
       '--disable-popup-blocking',
     ];
   }
 
+  /**
+   * Get Chrome arguments that resolve the Confirmit hosts (and the hosts of the custom base
+   * URLs) to the stand-in server
+   * @returns {string[]} Array of Chrome arguments (empty when no stand-in is running)
+   * @private
+   */
+  _getStandInArgs() {
+    if (!this.standInServer) {
+      return [];
+    }
+
+    const target = `127.0.0.1:${this.standInServer.getPort()}`;
+    const hosts = [
+      ...testConfig.confirmitStandIn.hosts,
+      ...this.options.confirmitBaseUrls.map(baseUrl => new URL(baseUrl).hostname),
+    ];
+    const rules = [...new Set(hosts)].map(host => `MAP ${host} ${target}`);
+    return [
+      `--host-resolver-rules=${rules.join(', ')}`,
+      // A plain HTTP stand-in must not have navigations upgraded to HTTPS
+      '--disable-features=HttpsUpgrades',
+    ];
+  }
+
+  /**
+   * Start (or adopt) the Confirmit stand-in and point the external site URL at it
+   * The hostname is kept so content scripts matching *.confirmit.com still inject
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _startConfirmitStandIn() {
+    const { confirmitStandIn } = this.options;
+    if (confirmitStandIn instanceof ConfirmitStandInServer) {
+      this.standInServer = confirmitStandIn;
+    } else {
+      this.standInServer = new ConfirmitStandInServer(typeof confirmitStandIn === 'object' ? confirmitStandIn : {});
+      this.ownsStandInServer = true;
+    }
+    await this.standInServer.start();
+
+    const standInUrl = new URL(testConfig.externalSite.url);
+    standInUrl.protocol = this.standInServer.getProtocol();
+    standInUrl.port = '';
+    this.originalExternalSiteUrl = testConfig.externalSite.url;
+    testConfig.externalSite.url = standInUrl.toString();
+  }
+
+  /**
+   * Store the custom base URLs in confirmit_config and restart the extension so that
+   * background.js builds its webRequest patterns from them
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _seedConfirmitBaseUrls() {
+    const bridge = new ServiceWorkerBridge(this.context, this.extensionId);
+    await bridge.setConfirmitBaseUrls(this.options.confirmitBaseUrls);
+  }
+
+  /**
+   * Record or replay Confirmit traffic unless the network mode is live
+   * The hosts of custom base URLs are captured along with testConfig.network.hosts
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _installNetworkMode() {
+    const network = { ...testConfig.network, ...this.options.network };
+    if (network.mode === NETWORK_MODES.live) {
+      return;
+    }
+    network.hosts = [
+      ...network.hosts,
+      ...this.options.confirmitBaseUrls.map(baseUrl => new URL(baseUrl).hostname),
+    ];
+    this.network = await new HarNetworkManager(this.context, network).install();
+  }
+
+  /**
+   * Check Confirmit API requests against their contracts unless disabled
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _installNetworkAssertions() {
+    if (!this.options.contracts) {
+      return;
+    }
+    const overrides = typeof this.options.contracts === 'object' ? this.options.contracts : {};
+    this.networkAssertions = await new NetworkAssertions(this.context, overrides).install();
+  }
+
+  /**
+   * Route telemetry to the local sinks unless disabled
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _installTelemetry() {
+    if (!this.options.telemetry) {
+      return;
+    }
+    const overrides = typeof this.options.telemetry === 'object' ? this.options.telemetry : {};
+    this.telemetry = await new TelemetryAssertions(this.context, overrides).install();
+  }
+
+  /**
+   * Stop the stand-in (if this manager started it) and restore the external site URL
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _stopConfirmitStandIn() {
+    if (this.originalExternalSiteUrl) {
+      testConfig.externalSite.url = this.originalExternalSiteUrl;
+      this.originalExternalSiteUrl = null;
+    }
+    if (this.standInServer && this.ownsStandInServer) {
+      await this.standInServer.stop();
+    }
+    this.standInServer = null;
+    this.ownsStandInServer = false;
+  }
+
+  /**
+   * Resolve the headless mode and start Xvfb if it needs one
+   * @returns {Promise<Object>} Launch options for the mode (headless, channel, env)
+   * @private
+   * @throws {import('./XvfbDisplay').XvfbError} If Xvfb is needed but missing or does not start
+   */
+  async _startHeadlessMode() {
+    this.headlessMode = BrowserManager.resolveHeadlessMode(this.options.headlessMode);
+    const modeOptions = {
+      headless: this.headlessMode === HEADLESS_MODES.new,
+      channel: this.options.channel,
+    };
+    if (this.headlessMode === HEADLESS_MODES.xvfb) {
+      const { width, height } = testConfig.browser.windowSize;
+      this.xvfb = await new XvfbDisplay({ screen: `${width}x${height}x24` }).start();
+      modeOptions.env = this.xvfb.getEnv();
+    }
+    return modeOptions;
+  }
+
+  /**
+   * Get Chrome arguments for the headless mode
+   * Without a desktop, Chrome opens an 800x600 window; size it like a desktop one instead
+   * @returns {string[]} Array of Chrome arguments (empty when headed on a real display)
+   * @private
+   */
+  _getHeadlessModeArgs() {
+    if (this.headlessMode === HEADLESS_MODES.headed) {
+      return [];
+    }
+    const { width, height } = testConfig.browser.windowSize;
+    return [`--window-size=${width},${height}`];
+  }
+
+  /**
+   * Stop the Xvfb display this manager started
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _stopHeadlessMode() {
+    if (this.xvfb) {
+      await this.xvfb.stop();
+      this.xvfb = null;
+    }
+    this.headlessMode = null;
+  }
+
+  /**
+   * Launch the browser on the claimed profile, install the collectors and routes, and find
+   * the extension ID (closes everything on failure)
+   * @returns {Promise<void>}
+   * @private
+   * @throws {import('./ExtensionIdExtractor').ExtensionLoadError} If the extension does not load
+   */
+  async _openContext() {
+    const args = [
+      ...this._getDefaultArgs(),
+      ...this._getHeadlessModeArgs(),
+      ...this._getStandInArgs(),
+      ...(this.browserOptions.args || []),
+    ];
+    
+    const contextOptions = {
+      ...this.modeOptions,
+      args,
+      ignoreDefaultArgs: this._getIgnoredArgs(),
+      viewport: this.browserOptions.viewport || null,
+      // The TLS stand-in serves a self-signed, test-only certificate
+      ignoreHTTPSErrors: this.standInServer?.getProtocol() === 'https:',
+      ...this.browserOptions,
+    };
+
+    // Remove args from browserOptions to avoid duplication
+    delete contextOptions.args;
+    contextOptions.args = args;
+
+    // Any failure closes the browser: a running browser would keep the profile locked
+    try {
+      this.context = await chromium.launchPersistentContext(this.userDataDir, contextOptions);
+
+      // Before anything loads, so errors of the extension starting up are collected too
+      if (this.options.consoleErrors !== false) {
+        const overrides = typeof this.options.consoleErrors === 'object' ? this.options.consoleErrors : {};
+        this.consoleCollector = await new ConsoleCollector(this.context, overrides).install();
+      }
+      await this._installNetworkMode();
+      await this._installNetworkAssertions();
+      await this._installTelemetry();
+      if (this.options.generationSocket) {
+        await this.options.generationSocket.routeContext(this.context);
+      }
+      if (this.options.supabaseAuth) {
+        await this.options.supabaseAuth.install(this.context);
+      }
+
+      // Extract extension ID using the dedicated extractor, checked against the ID computed
+      // from the extension's manifest key or path
+      if (this.options.loadExtension) {
+        this.extensionId = await ExtensionIdExtractor.waitForExtensionIdWithFallback(
+          this.context,
+          { timeout: 30000, extensionPath: this._getLoadedExtensionPath() }
+        );
+      }
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Close the browser, keeping the profile, display and stand-in for another _openContext()
+   * (recorded HAR files are written first)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _closeContext() {
+    try {
+      if (this.network) {
+        await this.network.uninstall();
+        this.network = null;
+      }
+      if (this.networkAssertions) {
+        await this.networkAssertions.uninstall();
+        this.networkAssertions = null;
+      }
+      if (this.telemetry) {
+        await this.telemetry.uninstall();
+        this.telemetry = null;
+      }
+      if (this.consoleCollector) {
+        await this.consoleCollector.uninstall();
+        this.consoleCollector = null;
+      }
+    } finally {
+      if (this.context) {
+        await this.context.close();
+        this.context = null;
+        this.extensionId = null;
+        this.isInitialized = false;
+      }
+    }
+  }
+
+  /**
+   * Copy a build to the staging directory next to the profile, replacing the previous one
+   * Chrome derives an unpacked extension's ID from its path, so every build staged here
+   * keeps the same ID and storage
+   * @param {string} extensionPath - Unpacked build
+   * @returns {void}
+   * @private
+   */
+  _stageExtension(extensionPath) {
+    this.stagedExtensionPath = this.stagedExtensionPath || `${this.userDataDir}-extension`;
+    fs.rmSync(this.stagedExtensionPath, { recursive: true, force: true });
+    fs.cpSync(path.resolve(extensionPath), this.stagedExtensionPath, { recursive: true });
+  }
+
+  /**
+   * Remove the staged copy of the extension
+   * @returns {void}
+   * @private
+   */
+  _removeStagedExtension() {
+    if (this.stagedExtensionPath) {
+      fs.rmSync(this.stagedExtensionPath, { recursive: true, force: true });
+      this.stagedExtensionPath = null;
+    }
+  }
+
+  /**
+   * Get the path Chrome loads the extension from
+   * @returns {string} The staged copy, or the extension path
+   * @private
+   */
+  _getLoadedExtensionPath() {
+    return this.stagedExtensionPath || this.options.extensionPath;
+  }
+
+  /**
+   * Create a temporary profile directory unless one was given, and lock it to this browser
+   * @returns {void}
+   * @private
+   * @throws {import('./WorkerIsolation').ProfileInUseError} If another browser uses the directory
+   */
+  _claimUserDataDir() {
+    this.ownsUserDataDir = !this.options.userDataDir;
+    const userDataDir = this.options.userDataDir
+      ? path.resolve(this.options.userDataDir)
+      : WorkerIsolation.createTempProfileDir();
+    WorkerIsolation.lockProfileDir(userDataDir);
+    this.userDataDir = userDataDir;
+  }
+
+  /**
+   * Unlock the profile directory, removing it if it was temporary
+   * @returns {void}
+   * @private
+   */
+  _releaseUserDataDir() {
+    if (!this.userDataDir) {
+      return;
+    }
+    WorkerIsolation.unlockProfileDir(this.userDataDir);
+    if (this.ownsUserDataDir) {
+      fs.rmSync(this.userDataDir, { recursive: true, force: true });
+    }
+    this.userDataDir = null;
+    this.ownsUserDataDir = false;
+  }
+
   /**
    * Get arguments that should be ignored (prevent Playwright from disabling extensions)
-   * @returns {string[]} Array of arguments to ignore
+   * @returns {string[]} Array of arguments to ignore (none without the extension)
    * @private
    */
   _getIgnoredArgs() {
+    if (!this.options.loadExtension) {
+      return [];
+    }
     return [
       '--disable-extensions',
       '--disable-component-extensions-with-background-pages',
@@ -61,42 +503,142 @@ class BrowserManager {
   /**
    * Launch browser with the Chrome extension loaded
    * @param {Object} launchOptions - Additional launch options
+   * @param {string} launchOptions.session - Named session snapshot to restore and validate
+   *   before returning (see captureSession)
    * @returns {Promise<BrowserManager>} Returns this instance for chaining
+   * @throws {import('./SessionSnapshotManager').SessionSnapshotError} If the session is missing or no longer live
+   * @throws {import('./WorkerIsolation').ProfileInUseError} If another browser uses the profile directory
+   * @throws {import('./XvfbDisplay').XvfbError} If Xvfb is needed but missing or does not start
+   * @throws {import('./ExtensionIdExtractor').ExtensionLoadError} If the extension does not load
+   *   under the ID computed from its manifest key or path
    */
   async launch(launchOptions = {}) {
     if (this.isInitialized) {
       return this;
     }
 
-    const args = [...this._getDefaultArgs(), ...(launchOptions.args || [])];
-    
-    const contextOptions = {
-      headless: false, // Extensions require headed mode
-      args,
-      ignoreDefaultArgs: this._getIgnoredArgs(),
-      viewport: launchOptions.viewport || null,
-      ...launchOptions,
-    };
+    const { session, ...browserOptions } = launchOptions;
 
-    // Remove args from launchOptions to avoid duplication
-    delete contextOptions.args;
-    contextOptions.args = args;
+    // Claimed first, so a shared directory fails before anything is started
+    this._claimUserDataDir();
 
-    this.context = await chromium.launchPersistentContext(
-      this.options.userDataDir,
-      contextOptions
-    );
+    try {
+      this.modeOptions = await this._startHeadlessMode();
+      if (this.options.confirmitStandIn) {
+        await this._startConfirmitStandIn();
+      }
+      if (this.options.loadExtension && this.options.stageExtension) {
+        this._stageExtension(this.options.extensionPath);
+      }
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+    this.browserOptions = browserOptions;
 
-    // Extract extension ID using the dedicated extractor
-    this.extensionId = await ExtensionIdExtractor.waitForExtensionIdWithFallback(
-      this.context,
-      { timeout: 30000 }
-    );
+    await this._openContext();
+    if (!this.options.loadExtension) {
+      return this;
+    }
 
-    this.isInitialized = true;
+    try {
+      if (this.options.confirmitBaseUrls.length) {
+        await this._seedConfirmitBaseUrls();
+      }
+      if (session) {
+        await this.getSessionSnapshots().restore(session);
+      }
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
     return this;
   }
 
+  /**
+   * Replace the loaded extension with another build on the same profile, as Chrome does when
+   * it updates an installed extension, so chrome.storage and the extension's localStorage carry over
+   * By default the files are replaced under the running browser and the extension reloaded:
+   * tabs stay open, with their old content scripts cut off from the extension. With restart,
+   * the browser is closed and launched again on the profile instead.
+   * @param {string} extensionPath - Unpacked build to switch to
+   * @param {Object} options
+   * @param {boolean} options.restart - Relaunch the browser instead of reloading the extension
+   * @param {number} options.timeout - Reload timeout in ms (default: testConfig.timeouts.extensionLoad)
+   * @returns {Promise<BrowserManager>} Returns this instance for chaining
+   * @throws {Error} If the build cannot keep the extension ID (launch with stageExtension), since
+   *   Chrome would install it next to the current one with empty storage
+   */
+  async swapExtension(extensionPath, options = {}) {
+    this._ensureInitialized();
+    // Also checks the build has a readable manifest before the staged copy is replaced
+    const { id, path: resolvedPath } = ExtensionIdExtractor.computeExtensionId(extensionPath);
+    if (this.stagedExtensionPath) {
+      this._stageExtension(extensionPath);
+    } else if (id !== this.extensionId) {
+      throw new Error(
+        `${extensionPath} loads as extension ${id}, not ${this.extensionId}, so it would start with empty ` +
+        'storage. Launch with stageExtension: true to load every build from the same path.'
+      );
+    } else if (!options.restart && resolvedPath !== fs.realpathSync(this.options.extensionPath)) {
+      throw new Error(
+        `Cannot reload into ${extensionPath}: Chrome reloads an extension from the path it was loaded from. ` +
+        'Launch with stageExtension: true, or pass restart: true.'
+      );
+    }
+    this.options.extensionPath = resolvedPath;
+
+    if (options.restart) {
+      await this._closeContext();
+      await this._openContext();
+    } else {
+      await this.reloadExtension(options);
+    }
+    return this;
+  }
+
+  /**
+   * Reload the extension with chrome.runtime.reload(), as Chrome does after an update
+   * Extension pages (side panel, host pages) close; tabs stay open, but their content scripts
+   * are cut off from the extension until the tab loads again
+   * @param {{timeout?: number}} options - Timeout in ms (default: testConfig.timeouts.extensionLoad)
+   * @returns {Promise<import('@playwright/test').Worker>} The new service worker
+   * @throws {Error} If no new service worker starts in time
+   */
+  async reloadExtension(options = {}) {
+    this._ensureInitialized();
+    return await new ServiceWorkerBridge(this.context, this.extensionId).restartExtension(options);
+  }
+
+  /**
+   * Get the version of the running extension build
+   * @returns {Promise<string>} manifest.json version
+   */
+  async getExtensionVersion() {
+    this._ensureInitialized();
+    const serviceWorker = await ServiceWorkerBridge.getServiceWorker(this.context, this.extensionId);
+    return await serviceWorker.evaluate(() => chrome.runtime.getManifest().version);
+  }
+
+  /**
+   * Capture the current login state under a name for later launch({ session: name })
+   * @param {string} name - Snapshot name (e.g. 'editor')
+   * @returns {Promise<string>} Path of the written snapshot
+   */
+  async captureSession(name) {
+    return await this.getSessionSnapshots().capture(name);
+  }
+
+  /**
+   * Get a SessionSnapshotManager bound to this browser
+   * @returns {SessionSnapshotManager}
+   * @throws {Error} If browser not initialized
+   */
+  getSessionSnapshots() {
+    this._ensureInitialized();
+    return new SessionSnapshotManager(this.context, this.extensionId, { dir: this.options.sessionDir });
+  }
+
   /**
    * Get the browser context
    * @returns {import('@playwright/test').BrowserContext}
@@ -107,6 +649,71 @@ class BrowserManager {
     return this.context;
   }
 
+  /**
+   * Get the profile directory of the running browser
+   * @returns {string|null}
+   */
+  getUserDataDir() {
+    return this.userDataDir;
+  }
+
+  /**
+   * Get the build the browser loads the extension from (the last one swapped in)
+   * A staged build is copied from this path, not loaded from it
+   * @returns {string}
+   */
+  getExtensionPath() {
+    return this.options.extensionPath;
+  }
+
+  /**
+   * Get the mode the running browser was launched in (after any display fallback)
+   * @returns {string|null} One of HEADLESS_MODES
+   */
+  getHeadlessMode() {
+    return this.headlessMode;
+  }
+
+  /**
+   * Get the Confirmit stand-in server, if one is routed
+   * @returns {ConfirmitStandInServer|null}
+   */
+  getConfirmitStandIn() {
+    return this.standInServer;
+  }
+
+  /**
+   * Get the HAR recorder/replayer, if the network mode is not live
+   * @returns {HarNetworkManager|null}
+   */
+  getNetwork() {
+    return this.network;
+  }
+
+  /**
+   * Get the request contract checker, if contracts are enabled
+   * @returns {NetworkAssertions|null}
+   */
+  getNetworkAssertions() {
+    return this.networkAssertions;
+  }
+
+  /**
+   * Get the telemetry sinks and leak scan, unless disabled
+   * @returns {TelemetryAssertions|null}
+   */
+  getTelemetry() {
+    return this.telemetry;
+  }
+
+  /**
+   * Get the console and error collector, unless disabled
+   * @returns {ConsoleCollector|null}
+   */
+  getConsoleCollector() {
+    return this.consoleCollector;
+  }
+
   /**
    * Get the extension ID
    * @returns {string}
@@ -163,14 +770,20 @@ class BrowserManager {
   }
 
   /**
-   * Close browser context and cleanup
+   * Close browser context and cleanup (recorded HAR files are written first)
    */
   async close() {
-    if (this.context) {
-      await this.context.close();
-      this.context = null;
-      this.extensionId = null;
-      this.isInitialized = false;
+    // The profile lock is released whatever fails, or every later launch in the worker would fail
+    try {
+      await this._closeContext();
+    } finally {
+      try {
+        await this._stopConfirmitStandIn();
+        await this._stopHeadlessMode();
+      } finally {
+        this._removeStagedExtension();
+        this._releaseUserDataDir();
+      }
     }
   }
 
@@ -196,12 +809,12 @@ class BrowserManager {
   /**
    * Create a BrowserManager instance for test use with user data directory
    * @param {string} testDir - Test directory path (for resolving user data dir)
-   * @returns {BrowserManager}
+   * @returns {BrowserManager} Using test-user-data/worker-<index>, one directory per worker
    */
   static forTests(testDir) {
-    const userDataDir = path.resolve(testDir, '..', 'test-user-data');
+    const userDataDir = WorkerIsolation.getWorkerDir(path.resolve(testDir, '..', 'test-user-data'));
     return new BrowserManager({ userDataDir });
   }
 }
 
-module.exports = { BrowserManager };
+module.exports = { BrowserManager, HEADLESS_MODES };
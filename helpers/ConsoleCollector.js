@@ -0,0 +1,307 @@
+const testConfig = require('../config/test.config');
+const { SecretRedactor } = require('./SecretRedactor');
+
+/**
+ * Sources an entry can come from; content scripts and extension pages get a ":<file>" suffix
+ */
+const CONSOLE_SOURCES = {
+  serviceWorker: 'service-worker',
+  sidePanel: 'side-panel',
+  extensionPage: 'extension-page',
+  contentScript: 'content-script',
+  page: 'page',
+};
+
+// Service workers report uncaught errors through console.error with this prefix (see _hookWorker)
+const UNCAUGHT_PREFIX = '[uncaught]';
+const EXTENSION_URL = /^chrome-extension:\/\/[a-p]{32}\/([^?#:]*)/;
+
+const installed = new Set();
+// Uninstalled during the current test (a browser it closed or restarted); still reported with it
+const closedDuringTest = new Set();
+let testAllowlist = [];
+
+/**
+ * Thrown after a test in which the extension logged errors nobody allowed
+ */
+class UnexpectedConsoleError extends Error {
+  /**
+   * @param {Object[]} entries - The unexpected error entries
+   */
+  constructor(entries) {
+    super(
+      `${entries.length} unexpected console error(s) from the extension:\n` +
+      entries.map(entry => `  ${ConsoleCollector.formatEntry(entry)}`).join('\n') +
+      '\nAllow expected ones with consoleErrors.allow(pattern, { source }), or testConfig.consoleErrors.allowlist.'
+    );
+    this.name = 'UnexpectedConsoleError';
+    this.entries = entries;
+  }
+}
+
+/**
+ * ConsoleCollector - One log of console messages and uncaught errors for a browser context
+ * Follows Single Responsibility Principle (SRP) - collection and classification only
+ *
+ * Responsibilities:
+ * - Collect console messages and uncaught errors from every page, the extension's service
+ *   worker (across restarts) and the content-script worlds of every page
+ * - Tag each entry with its source: service-worker, side-panel, extension-page:<path>,
+ *   content-script:<file> or page (the website itself)
+ * - Per test: attach the log to the report and fail on errors from the extension that
+ *   neither testConfig.consoleErrors.allowlist nor the test's allow() calls cover
+ *
+ * Tests only fail through startTest()/finishTest(), which the consoleErrors fixture calls for
+ * every test on the extension fixtures, covering every browser open during it. A test on
+ * @playwright/test's own `test` collects the log but never fails on it.
+ */
+class ConsoleCollector {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Browser context to collect from
+   * @param {Object} options - Overrides for testConfig.consoleErrors
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = { ...testConfig.consoleErrors, ...options };
+    this.entries = [];
+    // Entries before this index were reported with an earlier test
+    this.reported = 0;
+    this.onConsole = message => this._onConsole(message);
+    this.onWebError = webError => this._onWebError(webError);
+    this.onServiceWorker = worker => this._hookWorker(worker);
+  }
+
+  /**
+   * Get the collectors currently installed in this worker
+   * @returns {ConsoleCollector[]}
+   */
+  static getInstalled() {
+    return [...installed];
+  }
+
+  /**
+   * Start a test with an empty allowlist
+   */
+  static startTest() {
+    testAllowlist = [];
+    closedDuringTest.clear();
+  }
+
+  /**
+   * Allow errors for the rest of the current test
+   * @param {string|RegExp} pattern - Substring or pattern of the message
+   * @param {Object} options
+   * @param {string} options.source - Only from this source, or sources starting with it
+   *   (e.g. 'content-script' or 'content-script:content-overlay.js')
+   */
+  static allow(pattern, options = {}) {
+    testAllowlist.push({ pattern, source: options.source });
+  }
+
+  /**
+   * Get the entries of every installed collector, and of those closed during the test, not yet
+   * reported with an earlier test (so errors logged while a browser launches count for the
+   * first test that uses it)
+   * @returns {Object[]} Entries ({ time, source, type, text, url }), oldest first
+   */
+  static getTestEntries() {
+    return ConsoleCollector._getTestCollectors()
+      .flatMap(collector => collector.getEntries().slice(collector.reported))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Finish a test: attach its log and fail on unexpected errors
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   * @returns {Promise<void>}
+   * @throws {UnexpectedConsoleError} If the extension logged errors that are not allowed
+   */
+  static async finishTest(testInfo) {
+    const collectors = ConsoleCollector._getTestCollectors();
+    const entries = ConsoleCollector.getTestEntries();
+    closedDuringTest.clear();
+    const unexpected = collectors
+      .filter(collector => collector.options.failOnError)
+      .flatMap(collector => collector.getUnexpectedErrors(collector.reported));
+    collectors.forEach(collector => { collector.reported = collector.entries.length; });
+    if (entries.length > 0) {
+      await SecretRedactor.attach(testInfo, 'console-log', {
+        body: entries.map(entry => ConsoleCollector.formatEntry(entry)).join('\n'),
+        contentType: 'text/plain',
+      });
+    }
+    if (unexpected.length > 0) {
+      throw new UnexpectedConsoleError(unexpected);
+    }
+  }
+
+  /**
+   * Collectors the current test reports: installed ones and those closed during it
+   * @returns {ConsoleCollector[]}
+   * @private
+   */
+  static _getTestCollectors() {
+    return [...installed, ...closedDuringTest];
+  }
+
+  /**
+   * Format an entry as one log line
+   * @param {Object} entry - Collected entry
+   * @returns {string} e.g. "10:15:02.114 [content-script:content-overlay.js] error: ..."
+   */
+  static formatEntry(entry) {
+    const time = new Date(entry.time).toISOString().slice(11, 23);
+    return `${time} [${entry.source}] ${entry.type}: ${entry.text}${entry.url ? ` (${entry.url})` : ''}`;
+  }
+
+  /**
+   * Start collecting from the context's pages and service workers
+   * @returns {Promise<ConsoleCollector>} Returns this instance for chaining
+   */
+  async install() {
+    if (installed.has(this)) {
+      return this;
+    }
+    // Service worker messages arrive on the context's console event too
+    this.context.on('console', this.onConsole);
+    this.context.on('weberror', this.onWebError);
+    this.context.on('serviceworker', this.onServiceWorker);
+    await Promise.all(this.context.serviceWorkers().map(worker => this._hookWorker(worker)));
+    installed.add(this);
+    return this;
+  }
+
+  /**
+   * Stop collecting (entries are kept)
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (!installed.has(this)) {
+      return;
+    }
+    this.context.off('console', this.onConsole);
+    this.context.off('weberror', this.onWebError);
+    this.context.off('serviceworker', this.onServiceWorker);
+    installed.delete(this);
+    if (this.entries.length > this.reported) {
+      closedDuringTest.add(this);
+    }
+  }
+
+  /**
+   * Get the collected entries, oldest first
+   * @returns {Object[]} Entries ({ time, source, type, text, url })
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Get errors that would fail a test: from the extension (or any source with
+   * failOnPageErrors) and not covered by an allowlist
+   * @param {number} from - Index of the first entry to check
+   * @returns {Object[]}
+   */
+  getUnexpectedErrors(from = 0) {
+    const allowlist = [...this.options.allowlist, ...testAllowlist];
+    return this.entries.slice(from)
+      .filter(entry => entry.type === 'error' || entry.type === 'uncaught')
+      .filter(entry => this.options.failOnPageErrors || entry.source !== CONSOLE_SOURCES.page)
+      .filter(entry => !allowlist.some(allowed => ConsoleCollector._isAllowed(entry, allowed)));
+  }
+
+  /**
+   * Record a console message of a page, content script or service worker
+   * @private
+   */
+  _onConsole(message) {
+    const { url, lineNumber } = message.location();
+    const isUncaught = message.worker() && message.text().startsWith(UNCAUGHT_PREFIX);
+    this._add({
+      source: message.worker()
+        ? CONSOLE_SOURCES.serviceWorker
+        : ConsoleCollector._getSource(message.page()?.url() || '', url),
+      type: isUncaught ? 'uncaught' : message.type(),
+      text: isUncaught ? message.text().slice(UNCAUGHT_PREFIX.length).trim() : message.text(),
+      url: url ? `${url}:${lineNumber}` : '',
+    });
+  }
+
+  /**
+   * Record an uncaught error of a page or one of its content scripts
+   * @private
+   */
+  _onWebError(webError) {
+    const error = webError.error();
+    const scriptUrl = (error.stack || '').match(/chrome-extension:\/\/[^\s)]+/)?.[0] || '';
+    this._add({
+      source: ConsoleCollector._getSource(webError.page()?.url() || '', scriptUrl),
+      type: 'uncaught',
+      text: `${error.name}: ${error.message}`,
+      url: scriptUrl,
+    });
+  }
+
+  /**
+   * Report the service worker's uncaught errors and unhandled rejections through console.error,
+   * since only its console messages reach Playwright (hooked again after every restart)
+   * @private
+   */
+  async _hookWorker(worker) {
+    await worker.evaluate(prefix => {
+      if (self.__consoleCollectorHooked) {
+        return;
+      }
+      self.__consoleCollectorHooked = true;
+      self.addEventListener('error', event => console.error(`${prefix} ${event.message}`));
+      self.addEventListener('unhandledrejection', event => {
+        console.error(`${prefix} Unhandled rejection: ${event.reason?.stack || event.reason}`);
+      });
+    }, UNCAUGHT_PREFIX).catch(() => {
+      // The worker stopped before it could be hooked; the next start hooks it
+    });
+  }
+
+  /**
+   * Append an entry, dropping the oldest beyond maxEntries
+   * @private
+   */
+  _add(entry) {
+    this.entries.push({ time: Date.now(), ...entry });
+    const excess = this.entries.length - this.options.maxEntries;
+    if (excess > 0) {
+      this.entries.splice(0, excess);
+      this.reported = Math.max(0, this.reported - excess);
+    }
+  }
+
+  /**
+   * Work out the source from the page URL and the URL of the script that logged
+   * @private
+   */
+  static _getSource(pageUrl, scriptUrl) {
+    const page = EXTENSION_URL.exec(pageUrl);
+    if (page) {
+      return page[1] === testConfig.sidePanelFile
+        ? CONSOLE_SOURCES.sidePanel
+        : `${CONSOLE_SOURCES.extensionPage}:${page[1]}`;
+    }
+    const script = EXTENSION_URL.exec(scriptUrl);
+    return script ? `${CONSOLE_SOURCES.contentScript}:${script[1]}` : CONSOLE_SOURCES.page;
+  }
+
+  /**
+   * Whether an allowlist item covers an entry
+   * @private
+   */
+  static _isAllowed(entry, allowed) {
+    if (allowed.source && !entry.source.startsWith(allowed.source)) {
+      return false;
+    }
+    return allowed.pattern instanceof RegExp
+      ? allowed.pattern.test(entry.text)
+      : entry.text.includes(allowed.pattern);
+  }
+}
+
+module.exports = { ConsoleCollector, UnexpectedConsoleError, CONSOLE_SOURCES };
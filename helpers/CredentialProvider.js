@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SecretRedactor } = require('./SecretRedactor');
+
+const DEFAULT_DOTENV_PATH = path.resolve(__dirname, '..', '.env');
+const DEFAULT_VAULT_PATH = path.resolve(__dirname, '..', 'credentials.vault.json');
+const DEFAULT_SOURCES = ['env', 'dotenv', 'vault'];
+
+/**
+ * Credential keys, grouped by the account they belong to
+ * Each account resolves `${prefix}_USERNAME` and `${prefix}_PASSWORD`
+ */
+const CREDENTIAL_ACCOUNTS = {
+  externalSite: 'External',
+  extension: 'Extension',
+};
+
+const CREDENTIAL_KEYS = Object.values(CREDENTIAL_ACCOUNTS)
+  .flatMap(prefix => [`${prefix}_USERNAME`, `${prefix}_PASSWORD`]);
+
+/**
+ * Error thrown when required credentials cannot be resolved from any source
+ */
+class MissingCredentialsError extends Error {
+  /**
+   * @param {string[]} keys - Keys that could not be resolved
+   * @param {string[]} sources - Names of the sources that were checked
+   */
+  constructor(keys, sources) {
+    super(
+      `Missing credentials: ${keys.join(', ')}. Checked sources: ${sources.join(', ')}. ` +
+      'Set them as environment variables, in .env, or in the encrypted vault ' +
+      '(npm run vault -- set <KEY>, unlocked with CREDENTIALS_VAULT_PASSPHRASE).'
+    );
+    this.name = 'MissingCredentialsError';
+    this.keys = keys;
+    this.sources = sources;
+  }
+}
+
+/**
+ * EnvCredentialSource - Reads credentials from process environment variables
+ */
+class EnvCredentialSource {
+  /**
+   * @param {Object<string, string>} env - Environment to read (default: process.env)
+   */
+  constructor(env = process.env) {
+    this.name = 'env';
+    this.env = env;
+  }
+
+  /**
+   * @param {string} key - Credential key
+   * @returns {string|undefined}
+   */
+  get(key) {
+    return this.env[key] || undefined;
+  }
+}
+
+/**
+ * DotEnvCredentialSource - Reads credentials from a .env file without touching process.env
+ */
+class DotEnvCredentialSource {
+  /**
+   * @param {string} filePath - Path to the .env file (default: repository root .env)
+   */
+  constructor(filePath = DEFAULT_DOTENV_PATH) {
+    this.name = '.env';
+    this.filePath = filePath;
+    this.values = null;
+  }
+
+  /**
+   * @param {string} key - Credential key
+   * @returns {string|undefined}
+   */
+  get(key) {
+    if (!this.values) {
+      this.values = fs.existsSync(this.filePath)
+        ? DotEnvCredentialSource.parse(fs.readFileSync(this.filePath, 'utf8'))
+        : {};
+    }
+    return this.values[key] || undefined;
+  }
+
+  /**
+   * Parse KEY=value lines, ignoring comments and surrounding quotes
+   * @param {string} content - .env file content
+   * @returns {Object<string, string>}
+   */
+  static parse(content) {
+    const values = {};
+    content.split('\n').forEach(line => {
+      const trimmedLine = line.trim();
+      if (!trimmedLine || trimmedLine.startsWith('#')) {
+        return;
+      }
+      const [key, ...valueParts] = trimmedLine.split('=');
+      if (!key || valueParts.length === 0) {
+        return;
+      }
+      let value = valueParts.join('=').trim();
+      if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+        value = value.slice(1, -1);
+      }
+      values[key.trim()] = value;
+    });
+    return values;
+  }
+}
+
+/**
+ * VaultCredentialSource - Reads credentials from a local AES-256-GCM encrypted JSON vault
+ * The key is derived from a passphrase with scrypt; the vault is only decrypted on first use
+ */
+class VaultCredentialSource {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.filePath - Vault file (default: credentials.vault.json)
+   * @param {string} options.passphrase - Passphrase (default: CREDENTIALS_VAULT_PASSPHRASE)
+   */
+  constructor(options = {}) {
+    this.name = 'vault';
+    this.filePath = options.filePath || process.env.CREDENTIALS_VAULT_PATH || DEFAULT_VAULT_PATH;
+    this.passphrase = options.passphrase || process.env.CREDENTIALS_VAULT_PASSPHRASE;
+    this.values = null;
+  }
+
+  /**
+   * @param {string} key - Credential key
+   * @returns {string|undefined}
+   * @throws {Error} If the vault exists but cannot be unlocked
+   */
+  get(key) {
+    if (!this.values) {
+      this.values = this.load();
+    }
+    return this.values[key] || undefined;
+  }
+
+  /**
+   * Load and decrypt the vault (an absent vault is treated as empty)
+   * @returns {Object<string, string>}
+   * @throws {Error} If the vault exists but the passphrase is missing or wrong
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    if (!this.passphrase) {
+      throw new Error(
+        `Credential vault ${this.filePath} is locked. Set CREDENTIALS_VAULT_PASSPHRASE to unlock it.`
+      );
+    }
+    const vault = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    return VaultCredentialSource.decrypt(vault, this.passphrase);
+  }
+
+  /**
+   * Encrypt credential values into the vault file format
+   * @param {Object<string, string>} values - Credential values
+   * @param {string} passphrase - Passphrase
+   * @returns {{version: number, salt: string, iv: string, tag: string, data: string}}
+   */
+  static encrypt(values, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(values), 'utf8'), cipher.final()]);
+    return {
+      version: 1,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  /**
+   * Decrypt a vault object
+   * @param {{salt: string, iv: string, tag: string, data: string}} vault - Vault file content
+   * @param {string} passphrase - Passphrase
+   * @returns {Object<string, string>}
+   * @throws {Error} If the passphrase is wrong or the vault was tampered with
+   */
+  static decrypt(vault, passphrase) {
+    try {
+      const key = crypto.scryptSync(passphrase, Buffer.from(vault.salt, 'base64'), 32);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+      const data = Buffer.concat([
+        decipher.update(Buffer.from(vault.data, 'base64')),
+        decipher.final(),
+      ]);
+      return JSON.parse(data.toString('utf8'));
+    } catch {
+      throw new Error('Credential vault could not be unlocked: wrong passphrase or corrupted vault file.');
+    }
+  }
+}
+
+/**
+ * CredentialProvider - Resolves test credentials from pluggable sources
+ * Follows Single Responsibility Principle (SRP) - resolves credentials, never invents them
+ *
+ * Sources are checked in order; the first non-empty value wins.
+ * There are no fallback defaults: missing credentials throw MissingCredentialsError.
+ * Every resolved username and password is registered with SecretRedactor: usernames are
+ * usually email addresses, which must not leak into reports or telemetry either.
+ */
+class CredentialProvider {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {{name: string, get: function(string): (string|undefined)}[]} options.sources - Ordered sources
+   */
+  constructor(options = {}) {
+    this.sources = options.sources || CredentialProvider.createSources(DEFAULT_SOURCES);
+  }
+
+  /**
+   * Build sources by name
+   * @param {string[]} names - Any of 'env', 'dotenv', 'vault'
+   * @param {Object} options - Source files
+   * @param {string} options.dotenvPath - .env file for 'dotenv' (default: repository root .env)
+   * @param {string} options.vaultPath - Vault file for 'vault' (default: CREDENTIALS_VAULT_PATH or credentials.vault.json)
+   * @returns {Object[]} Source instances
+   * @throws {Error} If a source name is unknown
+   */
+  static createSources(names, options = {}) {
+    const factories = {
+      env: () => new EnvCredentialSource(),
+      dotenv: () => new DotEnvCredentialSource(options.dotenvPath),
+      vault: () => new VaultCredentialSource({ filePath: options.vaultPath }),
+    };
+    return names.map(name => {
+      const factory = factories[name.trim()];
+      if (!factory) {
+        throw new Error(`Unknown credential source "${name}". Use: ${Object.keys(factories).join(', ')}.`);
+      }
+      return factory();
+    });
+  }
+
+  /**
+   * Create a provider from CREDENTIAL_SOURCES (comma-separated, default: env,dotenv,vault)
+   * @param {Object} options - An environment profile's credentials (see config/environments.js)
+   * @param {string[]} options.sources - Source names used when CREDENTIAL_SOURCES is not set
+   * @param {string} options.dotenvPath - .env file for 'dotenv'
+   * @param {string} options.vaultPath - Vault file for 'vault'
+   * @returns {CredentialProvider}
+   */
+  static fromEnv(options = {}) {
+    const names = process.env.CREDENTIAL_SOURCES
+      ? process.env.CREDENTIAL_SOURCES.split(',')
+      : options.sources || DEFAULT_SOURCES;
+    return new CredentialProvider({ sources: CredentialProvider.createSources(names, options) });
+  }
+
+  /**
+   * Get a single value from the first source that has it
+   * @param {string} key - Credential key
+   * @returns {string|undefined}
+   */
+  get(key) {
+    for (const source of this.sources) {
+      const value = source.get(key);
+      if (value) {
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Get several values, failing fast if any is missing
+   * @param {string[]} keys - Credential keys
+   * @returns {Object<string, string>}
+   * @throws {MissingCredentialsError} If any key cannot be resolved
+   */
+  require(keys) {
+    const values = {};
+    const missing = [];
+    for (const key of keys) {
+      values[key] = this.get(key);
+      if (!values[key]) {
+        missing.push(key);
+      }
+    }
+    if (missing.length > 0) {
+      throw new MissingCredentialsError(missing, this.sources.map(source => source.name));
+    }
+    return values;
+  }
+
+  /**
+   * Get username and password for an account
+   * @param {'externalSite'|'extension'} account - Account name (see CREDENTIAL_ACCOUNTS)
+   * @returns {{username: string, password: string}}
+   * @throws {MissingCredentialsError} If either value cannot be resolved
+   */
+  getCredentials(account) {
+    const prefix = CREDENTIAL_ACCOUNTS[account];
+    if (!prefix) {
+      throw new Error(`Unknown credential account "${account}". Use: ${Object.keys(CREDENTIAL_ACCOUNTS).join(', ')}.`);
+    }
+    const usernameKey = `${prefix}_USERNAME`;
+    const passwordKey = `${prefix}_PASSWORD`;
+    const values = this.require([usernameKey, passwordKey]);
+    SecretRedactor.register(values[usernameKey]);
+    SecretRedactor.register(values[passwordKey]);
+    return { username: values[usernameKey], password: values[passwordKey] };
+  }
+}
+
+module.exports = {
+  CredentialProvider,
+  EnvCredentialSource,
+  DotEnvCredentialSource,
+  VaultCredentialSource,
+  MissingCredentialsError,
+  CREDENTIAL_ACCOUNTS,
+  CREDENTIAL_KEYS,
+};
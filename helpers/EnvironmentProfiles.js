@@ -0,0 +1,171 @@
+const path = require('path');
+const { JsonSchemaValidator } = require('./JsonSchemaValidator');
+const environmentSchema = require('../config/environment.schema.json');
+const {
+  CONFIRMIT_REGIONS,
+  DEFAULT_ENVIRONMENT,
+  PROFILE_DEFAULTS,
+  ENVIRONMENT_PROFILES,
+} = require('../config/environments');
+
+const ALL_ENVIRONMENTS = 'all';
+
+/**
+ * Thrown when TEST_ENV names no profile or a merged profile does not match its schema
+ */
+class EnvironmentConfigError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {Object[]} violations - Schema violations from JsonSchemaValidator, if any
+   */
+  constructor(message, violations = []) {
+    super(message);
+    this.name = 'EnvironmentConfigError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * EnvironmentProfiles - Resolves the environment profiles in config/environments.js
+ * Follows Single Responsibility Principle (SRP) - profile selection and validation only
+ *
+ * Responsibilities:
+ * - Merge a profile over PROFILE_DEFAULTS and apply environment variable overrides
+ *   (External_BASE_URL, CONFIRMIT_REGION, EXTENSION_PATH, CREDENTIAL_SOURCES, CREDENTIALS_VAULT_PATH)
+ * - Validate the merged profile against config/environment.schema.json, so a typo fails at
+ *   config load instead of as a timeout in the middle of a run
+ * - Turn TEST_ENVS into one set of Playwright projects per profile
+ */
+class EnvironmentProfiles {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object<string, Object>} options.profiles - Profiles by name (default: ENVIRONMENT_PROFILES)
+   * @param {Object} options.defaults - Settings every profile starts from (default: PROFILE_DEFAULTS)
+   * @param {Object<string, string>} options.regions - Confirmit hosts by region (default: CONFIRMIT_REGIONS)
+   * @param {Object<string, string>} options.env - Environment variables (default: process.env)
+   */
+  constructor(options = {}) {
+    this.profiles = options.profiles || ENVIRONMENT_PROFILES;
+    this.defaults = options.defaults || PROFILE_DEFAULTS;
+    this.regions = options.regions || CONFIRMIT_REGIONS;
+    this.env = options.env || process.env;
+    this.validator = new JsonSchemaValidator(environmentSchema, 'environment.schema.json');
+  }
+
+  /**
+   * Wrap per-profile Playwright projects so one run covers several environments
+   * Projects and their dependencies are renamed "<name>@<profile>", and get `testEnv` and
+   * `extensionPath` in `use`; the extension fixtures switch testConfig to `testEnv` in the
+   * project's workers.
+   * @param {function(Object): Object[]} createProjects - Builds the projects for one resolved profile
+   * @param {Object[]} environments - Resolved profiles (see resolveList)
+   * @returns {Object[]} Playwright projects
+   */
+  static expandProjects(createProjects, environments) {
+    return environments.flatMap(environment => {
+      const rename = name => `${name}@${environment.name}`;
+      return createProjects(environment).map(project => ({
+        ...project,
+        name: rename(project.name),
+        ...(project.dependencies ? { dependencies: project.dependencies.map(rename) } : {}),
+        use: {
+          ...project.use,
+          testEnv: environment.name,
+          extensionPath: environment.extensionPath,
+        },
+      }));
+    });
+  }
+
+  /**
+   * Get the profile names
+   * @returns {string[]}
+   */
+  getNames() {
+    return Object.keys(this.profiles);
+  }
+
+  /**
+   * Resolve and validate one profile
+   * @param {string} name - Profile name (default: TEST_ENV, then DEFAULT_ENVIRONMENT)
+   * @returns {Object} Merged profile (see config/environment.schema.json)
+   * @throws {EnvironmentConfigError} If the profile is unknown or does not match the schema
+   */
+  resolve(name = this.env.TEST_ENV || DEFAULT_ENVIRONMENT) {
+    const profile = this.profiles[name];
+    if (!profile) {
+      throw new EnvironmentConfigError(`Unknown TEST_ENV "${name}". Use: ${this.getNames().join(', ')}.`);
+    }
+
+    const environment = this._merge(name, profile);
+    const violations = this.validator.validate(environment);
+    if (violations.length > 0) {
+      throw new EnvironmentConfigError(
+        `Environment profile "${name}" is invalid:\n` +
+        violations.map(violation => `  ${violation.path} ${violation.message}` +
+          ` (expected ${violation.expected}, received ${JSON.stringify(violation.received)})`).join('\n'),
+        violations
+      );
+    }
+    return environment;
+  }
+
+  /**
+   * Resolve a comma-separated list of profiles
+   * @param {string} value - e.g. "staging,qa", or "all" (default: TEST_ENVS)
+   * @returns {Object[]} Merged profiles, in list order
+   * @throws {EnvironmentConfigError} If a profile is unknown or invalid
+   */
+  resolveList(value = this.env.TEST_ENVS || '') {
+    const names = value.trim() === ALL_ENVIRONMENTS
+      ? this.getNames()
+      : value.split(',').map(name => name.trim()).filter(Boolean);
+    return [...new Set(names)].map(name => this.resolve(name));
+  }
+
+  /**
+   * Merge a profile over the defaults, then apply the environment variable overrides
+   * @private
+   */
+  _merge(name, profile) {
+    const { defaults, env } = this;
+    const confirmit = env.CONFIRMIT_REGION
+      ? { region: env.CONFIRMIT_REGION }
+      : { ...defaults.confirmit, ...profile.confirmit };
+    if (!confirmit.host) {
+      confirmit.host = this.regions[confirmit.region];
+      if (!confirmit.host) {
+        throw new EnvironmentConfigError(
+          `Unknown Confirmit region "${confirmit.region}" in profile "${name}". Use: ${Object.keys(this.regions).join(', ')}.`
+        );
+      }
+    }
+
+    const externalSite = { ...defaults.externalSite, ...profile.externalSite };
+    externalSite.url = env.External_BASE_URL || externalSite.url || `https://${confirmit.host}/home/`;
+
+    const credentials = { ...defaults.credentials, ...profile.credentials };
+    if (env.CREDENTIAL_SOURCES) {
+      credentials.sources = env.CREDENTIAL_SOURCES.split(',').map(source => source.trim());
+    }
+    if (env.CREDENTIALS_VAULT_PATH) {
+      credentials.vaultPath = path.resolve(env.CREDENTIALS_VAULT_PATH);
+    }
+
+    const environment = {
+      name,
+      description: profile.description,
+      extensionPath: env.EXTENSION_PATH || profile.extensionPath || defaults.extensionPath,
+      confirmit,
+      externalSite,
+      backend: { ...defaults.backend, ...profile.backend },
+      credentials,
+      timeouts: { ...defaults.timeouts, ...profile.timeouts },
+    };
+    // Unknown keys are kept, so the schema reports typos like "timeout"
+    const unknownKeys = Object.entries(profile).filter(([key]) => !(key in environment));
+    return { ...environment, ...Object.fromEntries(unknownKeys) };
+  }
+}
+
+module.exports = { EnvironmentProfiles, EnvironmentConfigError, ALL_ENVIRONMENTS };
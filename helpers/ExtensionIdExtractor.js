@@ -1,9 +1,37 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Thrown when the extension does not come up under the ID Chrome should have given it
+ */
+class ExtensionLoadError extends Error {
+  /**
+   * @param {string} message - Diagnosis
+   * @param {Object} details - What was expected and found
+   * @param {string|null} details.expectedId - ID computed from the manifest key or path
+   * @param {string[]} details.runningIds - IDs of the extension workers and pages that are running
+   * @param {Object|null} details.installed - The extension's chrome://extensions entry, if listed
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ExtensionLoadError';
+    this.expectedId = details.expectedId || null;
+    this.runningIds = details.runningIds || [];
+    this.installed = details.installed || null;
+  }
+}
+
 /**
  * ExtensionIdExtractor - Single source of truth for Chrome extension ID extraction
  * Follows Single Responsibility Principle (SRP)
  * 
  * This utility consolidates all extension ID extraction logic that was previously
  * duplicated across ExtensionHelper, SidePanelHelper, and BrowserManager.
+ *
+ * Chrome derives an unpacked extension's ID from the manifest `key`, or without one from the
+ * absolute path, so the expected ID is computed up front and checked against the running
+ * service worker. A missing or different ID is diagnosed from chrome://extensions.
  */
 class ExtensionIdExtractor {
   /**
@@ -18,6 +46,62 @@ class ExtensionIdExtractor {
     return null;
   }
 
+  /**
+   * Turn data into an extension ID the way Chrome does: the first 128 bits of its SHA-256,
+   * as hex digits mapped 0-f to a-p
+   * @param {string|Buffer} data - Public key (DER) or path bytes
+   * @returns {string} 32-character extension ID
+   */
+  static generateId(data) {
+    const hex = crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+    return [...hex].map(digit => String.fromCharCode('a'.charCodeAt(0) + parseInt(digit, 16))).join('');
+  }
+
+  /**
+   * Get the ID of an extension whose manifest has a `key`
+   * @param {string} key - Base64 public key from manifest.json
+   * @returns {string} Extension ID
+   */
+  static idFromKey(key) {
+    return this.generateId(Buffer.from(key, 'base64'));
+  }
+
+  /**
+   * Get the ID of an unpacked extension without a manifest `key`
+   * Chrome hashes the path as it stores it: UTF-16LE on Windows, the raw bytes elsewhere
+   * @param {string} absolutePath - Absolute extension directory, symlinks resolved
+   * @param {string} platform - OS platform (default: process.platform)
+   * @returns {string} Extension ID
+   */
+  static idFromPath(absolutePath, platform = process.platform) {
+    return this.generateId(Buffer.from(absolutePath, platform === 'win32' ? 'utf16le' : 'utf8'));
+  }
+
+  /**
+   * Compute the ID Chrome will give an unpacked extension
+   * @param {string} extensionPath - Extension directory
+   * @returns {{id: string, source: string, path: string}} The ID, what it was derived from
+   *   ('key' or 'path') and the resolved directory
+   * @throws {ExtensionLoadError} If the directory has no readable manifest.json
+   */
+  static computeExtensionId(extensionPath) {
+    let resolvedPath;
+    let manifest;
+    try {
+      // Chrome loads --load-extension paths through realpath, so symlinks change the ID
+      resolvedPath = fs.realpathSync(path.resolve(extensionPath));
+      manifest = JSON.parse(fs.readFileSync(path.join(resolvedPath, 'manifest.json'), 'utf8'));
+    } catch (error) {
+      throw new ExtensionLoadError(
+        `Cannot read ${path.join(extensionPath, 'manifest.json')}: ${error.message}. ` +
+        'Verify the extension path points to the built output directory.'
+      );
+    }
+    return manifest.key
+      ? { id: this.idFromKey(manifest.key), source: 'key', path: resolvedPath }
+      : { id: this.idFromPath(resolvedPath), source: 'path', path: resolvedPath };
+  }
+
   /**
    * Get extension ID from existing service workers
    * @param {import('@playwright/test').BrowserContext} context - Browser context
@@ -79,6 +163,94 @@ class ExtensionIdExtractor {
     return extensionId;
   }
 
+  /**
+   * Get the IDs of every extension with a running worker, background page or open page
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @returns {string[]} Distinct extension IDs
+   */
+  static getExtensionIds(context) {
+    const urls = [
+      ...context.serviceWorkers(),
+      ...context.backgroundPages(),
+      ...context.pages(),
+    ].map(target => target.url());
+    return [...new Set(urls.map(url => this.extractIdFromUrl(url)).filter(Boolean))];
+  }
+
+  /**
+   * Read the extensions Chrome lists on chrome://extensions, with their errors
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @returns {Promise<Object[]|null>} Entries ({ id, name, path, state, manifestErrors,
+   *   runtimeErrors }), or null if the page cannot be read
+   */
+  static async getInstalledExtensions(context) {
+    const page = await context.newPage();
+    try {
+      await page.goto('chrome://extensions/', { waitUntil: 'domcontentloaded', timeout: 10000 });
+      return await page.evaluate(() => new Promise(resolve => {
+        chrome.developerPrivate.getExtensionsInfo({ includeDisabled: true, includeTerminated: true }, items => {
+          resolve(items.map(item => ({
+            id: item.id,
+            name: item.name,
+            path: item.path || null,
+            state: item.state,
+            manifestErrors: item.manifestErrors.map(error => error.message),
+            runtimeErrors: item.runtimeErrors.map(error => error.message),
+          })));
+        });
+      }));
+    } catch {
+      return null;
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Explain why the extension is not running under its expected ID
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @param {{id: string, source: string, path: string}} expected - Result of computeExtensionId
+   * @returns {Promise<ExtensionLoadError>} A mismatch or load-failure error (returned, not thrown)
+   */
+  static async diagnoseLoadFailure(context, expected) {
+    const runningIds = this.getExtensionIds(context);
+    const installed = await this.getInstalledExtensions(context);
+    const entry = installed && (
+      installed.find(item => item.id === expected.id) ||
+      installed.find(item => item.path && path.resolve(item.path) === expected.path)
+    );
+    const derivation = expected.source === 'key' ? 'the manifest key' : `the path ${expected.path}`;
+    const details = { expectedId: expected.id, runningIds, installed: entry || null };
+
+    if (entry && entry.id !== expected.id) {
+      return new ExtensionLoadError(
+        `Extension ID mismatch: expected ${expected.id} (from ${derivation}), but Chrome loaded ` +
+        `${expected.path} as ${entry.id}. Was the manifest key changed, or the path loaded through another link?`,
+        details
+      );
+    }
+    if (entry) {
+      const errors = [
+        ...entry.manifestErrors.map(message => `\n  manifest: ${message}`),
+        ...entry.runtimeErrors.map(message => `\n  runtime: ${message}`),
+      ];
+      return new ExtensionLoadError(
+        `Extension ${expected.id} is installed (state ${entry.state}) but its service worker never started.` +
+        (errors.length ? ` Errors from chrome://extensions:${errors.join('')}` : ' chrome://extensions lists no errors.'),
+        details
+      );
+    }
+    const running = runningIds.length
+      ? ` Extension ID mismatch: only ${runningIds.join(', ')} ${runningIds.length === 1 ? 'is' : 'are'} running.`
+      : '';
+    const listed = installed ? '' : ' (chrome://extensions could not be read)';
+    return new ExtensionLoadError(
+      `Chrome did not load the extension from ${expected.path} as ${expected.id} (from ${derivation})${listed}.${running} ` +
+      'Check manifest.json for errors, and launch Chromium: branded Chrome 137+ ignores --load-extension.',
+      details
+    );
+  }
+
   /**
    * Wait for extension ID with polling and event listening
    * This is the primary method to use when launching a browser with extension
@@ -87,11 +259,13 @@ class ExtensionIdExtractor {
    * @param {Object} options - Configuration options
    * @param {number} options.timeout - Maximum wait time in ms (default: 30000)
    * @param {number} options.pollInterval - Polling interval in ms (default: 200)
+   * @param {string} options.expectedId - Only accept this ID (other extensions are ignored)
    * @returns {Promise<string|null>} Extension ID or null if not found within timeout
    */
   static async waitForExtensionId(context, options = {}) {
-    const { timeout = 30000, pollInterval = 200 } = options;
+    const { timeout = 30000, pollInterval = 200, expectedId = null } = options;
     const startTime = Date.now();
+    const matches = id => Boolean(id) && (!expectedId || id === expectedId);
 
     // Set up event listener for new service workers
     let resolveFromEvent = null;
@@ -99,7 +273,7 @@ class ExtensionIdExtractor {
       resolveFromEvent = resolve;
       const handler = (sw) => {
         const id = this.extractIdFromUrl(sw.url());
-        if (id) {
+        if (matches(id)) {
           context.off('serviceworker', handler);
           resolve(id);
         }
@@ -110,7 +284,7 @@ class ExtensionIdExtractor {
     // Polling check
     const pollingPromise = (async () => {
       while (Date.now() - startTime < timeout) {
-        const extensionId = this.getExtensionId(context);
+        const extensionId = this.getExtensionIds(context).find(matches);
         if (extensionId) return extensionId;
         await new Promise(resolve => setTimeout(resolve, pollInterval));
       }
@@ -140,18 +314,27 @@ class ExtensionIdExtractor {
    * Wait for extension ID with fallback navigation trigger
    * Use this when extension may not load immediately
    * 
+   * With extensionPath, the ID is computed up front: only that ID is accepted, the fallback
+   * opens the extension's own manifest.json (no network needed), and a failure is diagnosed.
+   * 
    * @param {import('@playwright/test').BrowserContext} context - Browser context
    * @param {Object} options - Configuration options
    * @param {number} options.timeout - Maximum wait time in ms (default: 30000)
-   * @param {string} options.triggerUrl - URL to navigate to trigger extension (default: google.com)
+   * @param {string} options.extensionPath - Unpacked extension directory the browser loaded
+   * @param {string} options.triggerUrl - URL to navigate to trigger extension
+   *   (default: the extension's manifest.json, or google.com without extensionPath)
    * @returns {Promise<string>} Extension ID
-   * @throws {Error} If extension ID cannot be extracted
+   * @throws {ExtensionLoadError} If the extension is not running (under its expected ID)
    */
   static async waitForExtensionIdWithFallback(context, options = {}) {
-    const { timeout = 30000, triggerUrl = 'https://www.google.com' } = options;
+    const { timeout = 30000, extensionPath = null } = options;
+    const expected = extensionPath ? this.computeExtensionId(extensionPath) : null;
+    const expectedId = expected ? expected.id : null;
+    const triggerUrl = options.triggerUrl ||
+      (expected ? `chrome-extension://${expectedId}/manifest.json` : 'https://www.google.com');
 
     // First attempt: wait for extension ID
-    let extensionId = await this.waitForExtensionId(context, { timeout: timeout / 2 });
+    let extensionId = await this.waitForExtensionId(context, { timeout: timeout / 2, expectedId });
 
     if (!extensionId) {
       // Fallback: Navigate to trigger extension loading
@@ -159,21 +342,27 @@ class ExtensionIdExtractor {
       try {
         await tempPage.goto(triggerUrl, { waitUntil: 'domcontentloaded', timeout: 10000 });
         await tempPage.waitForTimeout(2000);
-
-        // Try again after navigation
-        extensionId = await this.waitForExtensionId(context, { timeout: timeout / 2 });
+      } catch {
+        // An extension that is not loaded cannot serve its manifest; diagnosed below
       } finally {
+        // Closed first, so its own chrome-extension:// URL is not taken for a running extension
         await tempPage.close();
       }
+
+      // Try again after navigation
+      extensionId = await this.waitForExtensionId(context, { timeout: timeout / 2, expectedId });
     }
 
     if (!extensionId) {
-      throw new Error('Failed to extract extension ID. Verify extension path and manifest.json.');
+      if (expected) {
+        throw await this.diagnoseLoadFailure(context, expected);
+      }
+      throw new ExtensionLoadError('Failed to extract extension ID. Verify extension path and manifest.json.');
     }
 
     return extensionId;
   }
 }
 
-module.exports = { ExtensionIdExtractor };
+module.exports = { ExtensionIdExtractor, ExtensionLoadError };
 
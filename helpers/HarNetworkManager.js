@@ -0,0 +1,594 @@
+const fs = require('fs');
+const path = require('path');
+const testConfig = require('../config/test.config');
+const { SecretRedactor, MASK } = require('./SecretRedactor');
+const { WorkerIsolation } = require('./WorkerIsolation');
+
+/**
+ * Network modes (testConfig.network.mode / NETWORK_MODE)
+ */
+const NETWORK_MODES = {
+  live: 'live',
+  record: 'record',
+  replay: 'replay',
+};
+
+/**
+ * Replay matching (testConfig.network.matching / NETWORK_MATCHING)
+ */
+const MATCHING_MODES = {
+  strict: 'strict',
+  lenient: 'lenient',
+};
+
+const DEFAULT_HAR_NAME = 'default';
+const TEXT_MIME_PATTERN = /^text\/|json|javascript|xml|x-www-form-urlencoded/i;
+const BEARER_PATTERN = /\b(Bearer\s+)[A-Za-z0-9._~+/=-]+/g;
+// Hop-by-hop and encoding headers: bodies are stored decoded, so these would be wrong on replay
+const DROPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection'];
+
+const installed = new Set();
+let currentSpec = null;
+
+/**
+ * Thrown when replay mode saw requests that no HAR entry answers
+ */
+class UnmatchedRequestError extends Error {
+  /**
+   * @param {{method: string, url: string}[]} requests - Unmatched requests
+   * @param {string} harPath - HAR file that was searched
+   */
+  constructor(requests, harPath) {
+    const list = requests.map(request => `  ${request.method} ${request.url}`).join('\n');
+    super(
+      `${requests.length} request(s) had no recorded response in ${harPath}${fs.existsSync(harPath) ? '' : ' (no such file)'}:\n${list}\n` +
+      'Record them again with NETWORK_MODE=record, or use NETWORK_MATCHING=lenient.'
+    );
+    this.name = 'UnmatchedRequestError';
+    this.requests = requests;
+    this.harPath = harPath;
+  }
+}
+
+/**
+ * HarNetworkManager - Records and replays Confirmit traffic as HAR files
+ * Follows Single Responsibility Principle (SRP) - network capture and replay only
+ *
+ * Responsibilities:
+ * - record: keep captured responses as HAR entries, written to one file per spec with
+ *   secrets scrubbed
+ * - replay: answer captured requests from the spec's HAR file, strict or lenient, and
+ *   collect the requests no entry answers
+ *
+ * Only requests to testConfig.network.hosts under testConfig.network.paths are captured
+ * (login and /surveydesigner/api/ traffic), from pages and extension pages; requests made by
+ * the service worker itself are not. Recording listens to the context's responses instead of
+ * routing them, so requests keep Chrome's network stack (host resolver rules, cookies, TLS).
+ * Secrets are scrubbed before anything is written: secret headers, secret form/JSON/query
+ * fields, Bearer tokens in bodies and every value registered with SecretRedactor.
+ */
+class HarNetworkManager {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Context to capture
+   * @param {Object} options - Configuration options (defaults: testConfig.network)
+   * @param {'live'|'record'|'replay'} options.mode - Network mode
+   * @param {'strict'|'lenient'} options.matching - Replay matching
+   * @param {string} options.harDir - Directory of the per-spec HAR files
+   * @param {string[]} options.hosts - Captured hosts ('*.' prefix matches subdomains)
+   * @param {string[]} options.paths - Captured path prefixes
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = {
+      ...testConfig.network,
+      ...options,
+    };
+    if (!Object.values(NETWORK_MODES).includes(this.options.mode)) {
+      throw new Error(`Unknown network mode "${this.options.mode}". Use: ${Object.values(NETWORK_MODES).join(', ')}.`);
+    }
+    if (!Object.values(MATCHING_MODES).includes(this.options.matching)) {
+      throw new Error(`Unknown network matching "${this.options.matching}". Use: ${Object.values(MATCHING_MODES).join(', ')}.`);
+    }
+    this.harName = DEFAULT_HAR_NAME;
+    this.entries = [];
+    this.usedEntries = new Set();
+    this.unmatched = [];
+    this.pendingRecords = new Set();
+    this.responseListener = null;
+    this.routeMatcher = url => this.isCaptured(url.toString());
+    this.routeHandler = null;
+  }
+
+  /**
+   * Get the managers currently installed in this worker
+   * @returns {HarNetworkManager[]}
+   */
+  static getInstalled() {
+    return [...installed];
+  }
+
+  /**
+   * Set the spec whose HAR file every installed manager (and any installed later) uses
+   * Called by the fixtures before each test, before the worker's browser may be launched
+   * @param {string} specFile - Spec path (testInfo.file)
+   * @returns {Promise<void>}
+   */
+  static async setCurrentSpec(specFile) {
+    currentSpec = specFile;
+    await Promise.all([...installed].map(manager => manager.useSpec(specFile)));
+  }
+
+  /**
+   * Mask secrets in a HAR entry (returns a copy)
+   * @param {Object} entry - HAR entry
+   * @returns {Object}
+   */
+  static scrubEntry(entry) {
+    const scrubbed = JSON.parse(JSON.stringify(entry));
+    const { request, response } = scrubbed;
+
+    request.url = HarNetworkManager._scrubUrl(request.url);
+    request.headers = HarNetworkManager._scrubHeaders(request.headers);
+    request.queryString = (request.queryString || []).map(HarNetworkManager._scrubField);
+    if (request.postData) {
+      request.postData.text = HarNetworkManager.scrubBody(request.postData.text, request.postData.mimeType);
+    }
+
+    if (response) {
+      response.headers = HarNetworkManager._scrubHeaders(response.headers);
+      if (response.content && response.content.encoding !== 'base64') {
+        response.content.text = HarNetworkManager.scrubBody(response.content.text, response.content.mimeType);
+      }
+    }
+    return scrubbed;
+  }
+
+  /**
+   * Mask secrets in a request or response body
+   * @param {string} text - Body text
+   * @param {string} mimeType - Body content type
+   * @returns {string}
+   */
+  static scrubBody(text, mimeType = '') {
+    if (typeof text !== 'string' || text === '') {
+      return text;
+    }
+    let result = text;
+    if (/x-www-form-urlencoded/i.test(mimeType)) {
+      const form = new URLSearchParams(result);
+      for (const key of form.keys()) {
+        if (testConfig.network.secretFields.test(key)) {
+          form.set(key, MASK);
+        }
+      }
+      result = form.toString();
+    } else if (/json/i.test(mimeType)) {
+      try {
+        result = JSON.stringify(HarNetworkManager._scrubJson(JSON.parse(result)));
+      } catch {
+        // Not valid JSON after all: fall through to the text scrubbing
+      }
+    }
+    return SecretRedactor.redact(result.replace(BEARER_PATTERN, `$1${MASK}`));
+  }
+
+  /**
+   * Start recording or replaying (does nothing in live mode)
+   * @returns {Promise<HarNetworkManager>} Returns this instance for chaining
+   */
+  async install() {
+    if (this.options.mode === NETWORK_MODES.live || installed.has(this)) {
+      return this;
+    }
+    if (currentSpec) {
+      await this.useSpec(currentSpec);
+    } else if (this.options.mode === NETWORK_MODES.replay) {
+      this.entries = this._loadEntries();
+    }
+
+    if (this.options.mode === NETWORK_MODES.record) {
+      this.responseListener = response => {
+        if (!this.isCaptured(response.url())) {
+          return;
+        }
+        const record = this._record(response).finally(() => this.pendingRecords.delete(record));
+        this.pendingRecords.add(record);
+      };
+      this.context.on('response', this.responseListener);
+    } else {
+      this.routeHandler = route => this._replay(route);
+      await this.context.route(this.routeMatcher, this.routeHandler);
+    }
+    installed.add(this);
+    return this;
+  }
+
+  /**
+   * Stop capturing; in record mode the current HAR file is written first
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (!installed.has(this)) {
+      return;
+    }
+    installed.delete(this);
+    if (this.responseListener) {
+      this.context.off('response', this.responseListener);
+      this.responseListener = null;
+    }
+    if (this.routeHandler) {
+      try {
+        await this.context.unroute(this.routeMatcher, this.routeHandler);
+      } catch {
+        // The context may already be closed
+      }
+      this.routeHandler = null;
+    }
+    await this.flush();
+  }
+
+  /**
+   * Get the network mode
+   * @returns {'live'|'record'|'replay'}
+   */
+  getMode() {
+    return this.options.mode;
+  }
+
+  /**
+   * Switch to the HAR file of a spec
+   * Record mode writes the previous spec's file; replay mode loads the new one
+   * @param {string} specFile - Spec path (testInfo.file or __filename)
+   * @returns {Promise<void>}
+   */
+  async useSpec(specFile) {
+    const harName = path.basename(specFile).replace(/\.js$/, '');
+    if (harName === this.harName) {
+      return;
+    }
+    await this.flush();
+    this.harName = harName;
+    this.entries = this.options.mode === NETWORK_MODES.replay ? this._loadEntries() : [];
+    this.usedEntries.clear();
+    this.unmatched = [];
+  }
+
+  /**
+   * Get the HAR file of the current spec
+   * @returns {string}
+   */
+  getHarPath() {
+    return path.join(this.options.harDir, `${this.harName}.har`);
+  }
+
+  /**
+   * Check whether a URL is captured (configured host and path prefix)
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isCaptured(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+      return false;
+    }
+    const hostMatches = this.options.hosts.some(host => (host.startsWith('*.')
+      ? parsed.hostname.endsWith(host.slice(1)) || parsed.hostname === host.slice(2)
+      : parsed.hostname === host));
+    return hostMatches && this.options.paths.some(prefix => parsed.pathname.startsWith(prefix));
+  }
+
+  /**
+   * Find the recorded entry answering a request, marking it used
+   * Entries are used in recorded order, so repeated requests (e.g. a GET after a PATCH) get
+   * successive responses; once all are used, the last one keeps answering
+   * @param {{method: string, url: string, body?: string|null, mimeType?: string}} request
+   * @returns {Object|null} HAR entry, or null if none matches
+   */
+  match(request) {
+    const key = this._getMatchKey({
+      method: request.method,
+      url: request.url,
+      body: HarNetworkManager.scrubBody(request.body || '', request.mimeType),
+    });
+    const candidates = this.entries.filter(entry => this._getMatchKey({
+      method: entry.request.method,
+      url: entry.request.url,
+      body: entry.request.postData?.text || '',
+    }) === key);
+    if (candidates.length === 0) {
+      return null;
+    }
+    const entry = candidates.find(candidate => !this.usedEntries.has(candidate))
+      || candidates[candidates.length - 1];
+    this.usedEntries.add(entry);
+    return entry;
+  }
+
+  /**
+   * Get the recorded (record mode) or loaded (replay mode) entries of the current spec
+   * @returns {Object[]}
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Return and forget the requests replay mode could not answer
+   * @returns {{method: string, url: string}[]}
+   */
+  takeUnmatchedRequests() {
+    const unmatched = this.unmatched;
+    this.unmatched = [];
+    return unmatched;
+  }
+
+  /**
+   * Throw if replay mode could not answer a request since the last check
+   * @returns {void}
+   * @throws {UnmatchedRequestError} If any request was unmatched
+   */
+  assertAllMatched() {
+    const unmatched = this.takeUnmatchedRequests();
+    if (unmatched.length > 0) {
+      throw new UnmatchedRequestError(unmatched, this.getHarPath());
+    }
+  }
+
+  /**
+   * Write the current spec's recorded entries (record mode only), once every response
+   * still being read has been recorded
+   * @returns {Promise<string|null>} Path of the written HAR file, or null if nothing was written
+   */
+  async flush() {
+    await Promise.all([...this.pendingRecords]);
+    if (this.options.mode !== NETWORK_MODES.record || this.entries.length === 0) {
+      return null;
+    }
+    const harPath = this.getHarPath();
+    WorkerIsolation.writeFileAtomic(harPath, JSON.stringify({
+      log: {
+        version: '1.2',
+        creator: { name: 'playwright-extension-tests', version: '1.0.0' },
+        entries: this.entries,
+      },
+    }, null, 2));
+    return harPath;
+  }
+
+  /**
+   * Keep a captured response as a scrubbed HAR entry
+   * @param {import('@playwright/test').Response} response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _record(response) {
+    const request = response.request();
+    let body;
+    try {
+      body = await response.body();
+    } catch {
+      // Redirects have no body, and the page may be gone before it is read
+      body = Buffer.alloc(0);
+    }
+    const entry = this._toEntry({
+      request,
+      response,
+      body,
+      requestHeaders: await request.allHeaders().catch(() => request.headers()),
+      responseHeaders: await response.headersArray().catch(() => []),
+    });
+    this.entries.push(HarNetworkManager.scrubEntry(entry));
+  }
+
+  /**
+   * Answer a request from the HAR file, or record it as unmatched
+   * @param {import('@playwright/test').Route} route
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _replay(route) {
+    const request = route.request();
+    const entry = this.match({
+      method: request.method(),
+      url: request.url(),
+      body: request.postData(),
+      mimeType: request.headers()['content-type'],
+    });
+    if (!entry) {
+      this.unmatched.push({ method: request.method(), url: request.url() });
+      await route.fulfill({
+        status: 501,
+        contentType: 'text/plain',
+        body: `HarNetworkManager: no recorded response for ${request.method()} ${request.url()} in ${this.getHarPath()}`,
+      });
+      return;
+    }
+
+    const { response } = entry;
+    const headers = {};
+    response.headers
+      .filter(header => !DROPPED_RESPONSE_HEADERS.includes(header.name.toLowerCase()))
+      .forEach(header => {
+        const name = header.name.toLowerCase();
+        // set-cookie may repeat; fulfill() takes them newline-separated
+        headers[name] = headers[name] ? `${headers[name]}\n${header.value}` : header.value;
+      });
+    const { text = '', encoding } = response.content;
+    await route.fulfill({
+      status: response.status,
+      headers,
+      body: encoding === 'base64' ? Buffer.from(text, 'base64') : text,
+    });
+  }
+
+  /**
+   * Build a HAR entry from a finished request
+   * @param {Object} exchange
+   * @param {import('@playwright/test').Request} exchange.request
+   * @param {import('@playwright/test').Response} exchange.response
+   * @param {Buffer} exchange.body - Decoded response body
+   * @param {Object<string, string>} exchange.requestHeaders - All request headers (incl. cookie)
+   * @param {{name: string, value: string}[]} exchange.responseHeaders - All response headers (incl. set-cookie)
+   * @returns {Object}
+   * @private
+   */
+  _toEntry({ request, response, body, requestHeaders, responseHeaders }) {
+    const url = new URL(request.url());
+    const postData = request.postData();
+    const mimeType = response.headers()['content-type'] || '';
+    const isText = TEXT_MIME_PATTERN.test(mimeType);
+    const timing = request.timing();
+    const time = Math.max(timing.responseEnd, 0);
+
+    return {
+      startedDateTime: new Date(timing.startTime || Date.now()).toISOString(),
+      time,
+      request: {
+        method: request.method(),
+        url: request.url(),
+        httpVersion: 'HTTP/1.1',
+        headers: Object.entries(requestHeaders).map(([name, value]) => ({ name, value })),
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        cookies: [],
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0,
+        ...(postData !== null ? {
+          postData: { mimeType: requestHeaders['content-type'] || '', text: postData },
+        } : {}),
+      },
+      response: {
+        status: response.status(),
+        statusText: response.statusText(),
+        httpVersion: 'HTTP/1.1',
+        headers: responseHeaders
+          .filter(header => !DROPPED_RESPONSE_HEADERS.includes(header.name.toLowerCase())),
+        cookies: [],
+        content: {
+          size: body.length,
+          mimeType,
+          ...(isText ? { text: body.toString('utf8') } : { text: body.toString('base64'), encoding: 'base64' }),
+        },
+        redirectURL: response.headers().location || '',
+        headersSize: -1,
+        bodySize: body.length,
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 },
+    };
+  }
+
+  /**
+   * Load the entries of the current spec's HAR file (empty if there is none)
+   * @returns {Object[]}
+   * @private
+   */
+  _loadEntries() {
+    const harPath = this.getHarPath();
+    // Without a file every captured request is unmatched, and UnmatchedRequestError says so
+    if (!fs.existsSync(harPath)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(harPath, 'utf8')).log.entries;
+  }
+
+  /**
+   * Key two requests must share to match: strict compares method, scrubbed URL and body;
+   * lenient compares method, host and path
+   * @param {{method: string, url: string, body: string}} request - Scrubbed request
+   * @returns {string}
+   * @private
+   */
+  _getMatchKey(request) {
+    if (this.options.matching === MATCHING_MODES.lenient) {
+      const url = new URL(request.url);
+      return `${request.method} ${url.host}${url.pathname}`;
+    }
+    return `${request.method} ${HarNetworkManager._scrubUrl(request.url)} ${request.body}`;
+  }
+
+  /**
+   * Mask secret query parameters
+   * @param {string} url
+   * @returns {string}
+   * @private
+   */
+  static _scrubUrl(url) {
+    const parsed = new URL(url);
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (testConfig.network.secretFields.test(key)) {
+        parsed.searchParams.set(key, MASK);
+      }
+    }
+    return SecretRedactor.redact(parsed.toString());
+  }
+
+  /**
+   * Mask secret header values, keeping the auth scheme and cookie names
+   * @param {{name: string, value: string}[]} headers
+   * @returns {{name: string, value: string}[]}
+   * @private
+   */
+  static _scrubHeaders(headers = []) {
+    return headers.map(({ name, value }) => {
+      const lower = name.toLowerCase();
+      if (!testConfig.network.secretHeaders.includes(lower)) {
+        return { name, value: SecretRedactor.redact(value) };
+      }
+      if (lower === 'authorization') {
+        const [scheme] = value.split(' ');
+        return { name, value: value.includes(' ') ? `${scheme} ${MASK}` : MASK };
+      }
+      if (lower === 'cookie') {
+        return { name, value: value.split(/;\s*/).map(pair => `${pair.split('=')[0]}=${MASK}`).join('; ') };
+      }
+      if (lower === 'set-cookie') {
+        return {
+          name,
+          value: value.split('\n').map(cookie => {
+            const [pair, ...attributes] = cookie.split(';');
+            return [`${pair.split('=')[0]}=${MASK}`, ...attributes].join(';');
+          }).join('\n'),
+        };
+      }
+      return { name, value: MASK };
+    });
+  }
+
+  /**
+   * Mask a { name, value } pair if its name looks secret
+   * @param {{name: string, value: string}} field
+   * @returns {{name: string, value: string}}
+   * @private
+   */
+  static _scrubField(field) {
+    return testConfig.network.secretFields.test(field.name) ? { ...field, value: MASK } : field;
+  }
+
+  /**
+   * Mask secret keys in a parsed JSON value, recursively
+   * @param {*} value
+   * @returns {*}
+   * @private
+   */
+  static _scrubJson(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => HarNetworkManager._scrubJson(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        testConfig.network.secretFields.test(key) && typeof item !== 'object'
+          ? MASK
+          : HarNetworkManager._scrubJson(item),
+      ]));
+    }
+    return value;
+  }
+}
+
+module.exports = { HarNetworkManager, UnmatchedRequestError, NETWORK_MODES, MATCHING_MODES };
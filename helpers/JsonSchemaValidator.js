@@ -0,0 +1,266 @@
+/**
+ * Schema keywords that only annotate (never fail validation)
+ */
+const ANNOTATION_KEYWORDS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'definitions'];
+
+/**
+ * Validation keywords JsonSchemaValidator implements
+ */
+const SUPPORTED_KEYWORDS = [
+  '$ref', 'type', 'enum', 'const', 'anyOf',
+  'properties', 'required', 'additionalProperties', 'minProperties',
+  'items', 'minItems', 'maxItems',
+  'minLength', 'pattern', 'minimum', 'maximum',
+];
+
+/**
+ * JsonSchemaValidator - Validates values against a JSON Schema (draft-07 subset)
+ * Follows Single Responsibility Principle (SRP) - schema validation only, no I/O
+ *
+ * Responsibilities:
+ * - Check a value against the keywords in SUPPORTED_KEYWORDS, with local
+ *   "#/definitions/..." references
+ * - Report every violation with its path (e.g. body.formTexts[0].language), what the
+ *   schema expected and what was received
+ *
+ * Schemas using a keyword outside this subset are rejected when the validator is built,
+ * so a contract never passes because a keyword was silently ignored. Keywords starting
+ * with "x-" are left for the caller (NetworkAssertions keeps method and path there).
+ */
+class JsonSchemaValidator {
+  /**
+   * @param {Object} schema - Root schema
+   * @param {string} name - Schema name used in errors (e.g. its file name)
+   * @throws {Error} If the schema uses an unsupported keyword or a missing reference
+   */
+  constructor(schema, name = 'schema') {
+    this.schema = schema;
+    this.name = name;
+    this._checkKeywords(schema, '#');
+  }
+
+  /**
+   * Validate a value
+   * @param {*} value - Value to check
+   * @param {string} rootPath - Path prefix for reported violations
+   * @returns {{path: string, message: string, expected: string, received: *}[]} Violations (empty if valid)
+   */
+  validate(value, rootPath = '') {
+    const violations = [];
+    this._validate(this.schema, value, rootPath, violations);
+    return violations;
+  }
+
+  /**
+   * Check one schema node against a value, collecting violations
+   * @private
+   */
+  _validate(schema, value, valuePath, violations) {
+    if (schema === true || schema === undefined) {
+      return;
+    }
+    if (schema === false) {
+      this._fail(violations, valuePath, 'is not allowed', 'nothing', value);
+      return;
+    }
+    if (schema.$ref) {
+      this._validate(this._resolve(schema.$ref), value, valuePath, violations);
+    }
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => JsonSchemaValidator._isType(value, type))) {
+        this._fail(violations, valuePath, 'has the wrong type', types.join(' or '), value);
+        return;
+      }
+    }
+    if (schema.const !== undefined && !JsonSchemaValidator._isEqual(value, schema.const)) {
+      this._fail(violations, valuePath, 'has the wrong value', JSON.stringify(schema.const), value);
+    }
+    if (schema.enum && !schema.enum.some(option => JsonSchemaValidator._isEqual(value, option))) {
+      this._fail(violations, valuePath, 'is not one of the allowed values',
+        `one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`, value);
+    }
+    if (schema.anyOf) {
+      this._validateAnyOf(schema.anyOf, value, valuePath, violations);
+    }
+
+    if (typeof value === 'string') {
+      this._validateString(schema, value, valuePath, violations);
+    } else if (typeof value === 'number') {
+      this._validateNumber(schema, value, valuePath, violations);
+    } else if (Array.isArray(value)) {
+      this._validateArray(schema, value, valuePath, violations);
+    } else if (value && typeof value === 'object') {
+      this._validateObject(schema, value, valuePath, violations);
+    }
+  }
+
+  /**
+   * Pass if any branch passes; otherwise report the branch with the fewest violations
+   * @private
+   */
+  _validateAnyOf(branches, value, valuePath, violations) {
+    const results = branches.map(branch => {
+      const branchViolations = [];
+      this._validate(branch, value, valuePath, branchViolations);
+      return branchViolations;
+    });
+    if (results.some(result => result.length === 0)) {
+      return;
+    }
+    const closest = results.reduce((best, result) => (result.length < best.length ? result : best));
+    violations.push(...closest);
+  }
+
+  /**
+   * Check minLength and pattern
+   * @private
+   */
+  _validateString(schema, value, valuePath, violations) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      this._fail(violations, valuePath, 'is too short', `at least ${schema.minLength} character(s)`, value);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      this._fail(violations, valuePath, 'does not match the pattern', `/${schema.pattern}/`, value);
+    }
+  }
+
+  /**
+   * Check minimum and maximum
+   * @private
+   */
+  _validateNumber(schema, value, valuePath, violations) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      this._fail(violations, valuePath, 'is too small', `>= ${schema.minimum}`, value);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      this._fail(violations, valuePath, 'is too large', `<= ${schema.maximum}`, value);
+    }
+  }
+
+  /**
+   * Check item counts and every item
+   * @private
+   */
+  _validateArray(schema, value, valuePath, violations) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      this._fail(violations, valuePath, 'has too few items', `at least ${schema.minItems} item(s)`, value);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      this._fail(violations, valuePath, 'has too many items', `at most ${schema.maxItems} item(s)`, value);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => this._validate(schema.items, item, `${valuePath}[${index}]`, violations));
+    }
+  }
+
+  /**
+   * Check required, declared and additional properties
+   * @private
+   */
+  _validateObject(schema, value, valuePath, violations) {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      this._fail(violations, valuePath, 'has too few properties', `at least ${schema.minProperties} property(ies)`, value);
+    }
+    (schema.required || [])
+      .filter(key => !(key in value))
+      .forEach(key => this._fail(violations, JsonSchemaValidator._join(valuePath, key), 'is missing', 'a value', undefined));
+
+    const properties = schema.properties || {};
+    keys.forEach(key => {
+      const keyPath = JsonSchemaValidator._join(valuePath, key);
+      if (key in properties) {
+        this._validate(properties[key], value[key], keyPath, violations);
+      } else if (schema.additionalProperties === false) {
+        this._fail(violations, keyPath, 'is not an allowed property', 'no such property', value[key]);
+      } else if (typeof schema.additionalProperties === 'object') {
+        this._validate(schema.additionalProperties, value[key], keyPath, violations);
+      }
+    });
+  }
+
+  /**
+   * Record one violation
+   * @private
+   */
+  _fail(violations, valuePath, message, expected, received) {
+    violations.push({ path: valuePath || '(root)', message, expected, received });
+  }
+
+  /**
+   * Resolve a local "#/definitions/name" reference
+   * @private
+   */
+  _resolve(ref) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`${this.name}: only local references are supported, got "${ref}"`);
+    }
+    const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), this.schema);
+    if (target === undefined) {
+      throw new Error(`${this.name}: reference "${ref}" does not exist`);
+    }
+    return target;
+  }
+
+  /**
+   * Reject unsupported keywords and dangling references anywhere in the schema
+   * @private
+   */
+  _checkKeywords(schema, schemaPath) {
+    if (typeof schema === 'boolean') {
+      return;
+    }
+    Object.keys(schema).forEach(keyword => {
+      if (!keyword.startsWith('x-') && !ANNOTATION_KEYWORDS.includes(keyword) && !SUPPORTED_KEYWORDS.includes(keyword)) {
+        throw new Error(`${this.name}: unsupported keyword "${keyword}" at ${schemaPath}`);
+      }
+    });
+    if (schema.$ref) {
+      this._resolve(schema.$ref);
+    }
+    Object.entries(schema.properties || {}).forEach(([key, child]) => this._checkKeywords(child, `${schemaPath}/properties/${key}`));
+    Object.entries(schema.definitions || {}).forEach(([key, child]) => this._checkKeywords(child, `${schemaPath}/definitions/${key}`));
+    (schema.anyOf || []).forEach((child, index) => this._checkKeywords(child, `${schemaPath}/anyOf/${index}`));
+    ['items', 'additionalProperties'].forEach(keyword => {
+      if (typeof schema[keyword] === 'object') {
+        this._checkKeywords(schema[keyword], `${schemaPath}/${keyword}`);
+      }
+    });
+  }
+
+  /**
+   * Check a value against a JSON Schema type name
+   * @private
+   */
+  static _isType(value, type) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      default: return typeof value === type;
+    }
+  }
+
+  /**
+   * Deep equality for const and enum
+   * @private
+   */
+  static _isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Append a property to a value path (bracketed when it is not an identifier)
+   * @private
+   */
+  static _join(valuePath, key) {
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+      return valuePath ? `${valuePath}.${key}` : key;
+    }
+    return `${valuePath}[${JSON.stringify(key)}]`;
+  }
+}
+
+module.exports = { JsonSchemaValidator };
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const testConfig = require('../config/test.config');
+
+/**
+ * Names of the checks, as reported in findings
+ */
+const MANIFEST_CHECKS = {
+  files: 'files',
+  contentScripts: 'content-scripts',
+  hostPermissions: 'host-permissions',
+  locales: 'locales',
+  csp: 'csp',
+  permissions: 'permissions',
+};
+
+/**
+ * Manifest fields compared with the permissions baseline
+ */
+const PERMISSION_FIELDS = ['permissions', 'optional_permissions', 'host_permissions', 'optional_host_permissions'];
+
+/**
+ * CSP directives Chrome restricts in MV3 extension_pages, and the sources it accepts there
+ */
+const RESTRICTED_CSP_DIRECTIVES = ['script-src', 'object-src', 'worker-src'];
+const ALLOWED_CSP_SOURCES = ["'self'", "'none'", "'wasm-unsafe-eval'"];
+const LOCALHOST_SOURCE = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+const MATCH_PATTERN = /^(\*|https?|wss?|ftp|file|urn):\/\/([^/]*)(\/.*)$/;
+const ALL_URLS = '<all_urls>';
+
+/**
+ * Thrown when the extension build has errors that would break it or widen its permissions
+ */
+class ManifestValidationError extends Error {
+  /**
+   * @param {string} extensionPath - Validated extension directory
+   * @param {{check: string, message: string}[]} errors - Error findings
+   */
+  constructor(extensionPath, errors) {
+    super(
+      `${extensionPath}/manifest.json failed validation:\n` +
+      errors.map(error => `  [${error.check}] ${error.message}`).join('\n')
+    );
+    this.name = 'ManifestValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * ManifestValidator - Static checks of the unpacked extension build under test
+ * Follows Single Responsibility Principle (SRP) - reads the build, never launches a browser
+ *
+ * Responsibilities:
+ * - Check that files the manifest references exist (service worker, side panel, icons,
+ *   content scripts, web accessible resources, ...)
+ * - Find content scripts registered more than once for the same match pattern
+ * - Find host permissions that a broader one already grants
+ * - Check that every _locales/* folder defines the __MSG_*__ keys the manifest uses
+ * - Check that the MV3 extension_pages CSP only allows sources Chrome accepts
+ * - Diff the requested permissions against a committed baseline, so a build that asks for
+ *   more fails until someone reviews it and updates the baseline
+ *
+ * Errors are what would stop Chrome from loading the extension, or a permission change;
+ * warnings (duplicates, redundant hosts, removed permissions) are reported but do not fail.
+ */
+class ManifestValidator {
+  /**
+   * @param {string} extensionPath - Unpacked extension directory (default: testConfig.extensionPath)
+   * @param {Object} options - Configuration options
+   * @param {string} options.baselinePath - Permissions baseline (default: testConfig.manifestValidation.baselinePath)
+   */
+  constructor(extensionPath = testConfig.extensionPath, options = {}) {
+    this.extensionPath = path.resolve(extensionPath);
+    this.options = {
+      baselinePath: testConfig.manifestValidation.baselinePath,
+      ...options,
+    };
+  }
+
+  /**
+   * Get the permission fields of a manifest, sorted, as stored in the baseline
+   * @param {Object} manifest - Parsed manifest.json
+   * @returns {Object<string, string[]>}
+   */
+  static getPermissions(manifest) {
+    return Object.fromEntries(PERMISSION_FIELDS.map(field => [field, [...(manifest[field] || [])].sort()]));
+  }
+
+  /**
+   * Run every check
+   * @returns {{errors: {check: string, message: string}[], warnings: {check: string, message: string}[]}}
+   */
+  validate() {
+    const report = { errors: [], warnings: [] };
+    const manifest = this._readJson('manifest.json', report, MANIFEST_CHECKS.files);
+    if (!manifest) {
+      return report;
+    }
+
+    this._checkFiles(manifest, report);
+    this._checkContentScripts(manifest, report);
+    this._checkHostPermissions(manifest, report);
+    this._checkLocales(manifest, report);
+    this._checkCsp(manifest, report);
+    this._checkPermissions(manifest, report);
+    return report;
+  }
+
+  /**
+   * Run every check, throwing on errors
+   * @returns {{errors: Object[], warnings: Object[]}} The report (errors is empty; warnings are
+   *   the caller's to report)
+   * @throws {ManifestValidationError} If any check found an error
+   */
+  assertValid() {
+    const report = this.validate();
+    if (report.errors.length > 0) {
+      throw new ManifestValidationError(this.extensionPath, report.errors);
+    }
+    return report;
+  }
+
+  /**
+   * Write the build's current permissions as the new baseline
+   * @returns {string} Path of the written baseline
+   */
+  writeBaseline() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(this.extensionPath, 'manifest.json'), 'utf8'));
+    fs.mkdirSync(path.dirname(this.options.baselinePath), { recursive: true });
+    fs.writeFileSync(this.options.baselinePath, `${JSON.stringify(ManifestValidator.getPermissions(manifest), null, 2)}\n`);
+    return this.options.baselinePath;
+  }
+
+  /**
+   * Check that every file the manifest references exists
+   * @private
+   */
+  _checkFiles(manifest, report) {
+    const references = [
+      ['background.service_worker', manifest.background?.service_worker],
+      ['side_panel.default_path', manifest.side_panel?.default_path],
+      ['action.default_popup', manifest.action?.default_popup],
+      ['options_page', manifest.options_page],
+      ['options_ui.page', manifest.options_ui?.page],
+      ['devtools_page', manifest.devtools_page],
+      ...Object.entries(manifest.icons || {}).map(([size, file]) => [`icons.${size}`, file]),
+      ...Object.entries(manifest.action?.default_icon || {}).map(([size, file]) => [`action.default_icon.${size}`, file]),
+      ...(manifest.content_scripts || []).flatMap((script, index) => [
+        ...(script.js || []).map(file => [`content_scripts[${index}].js`, file]),
+        ...(script.css || []).map(file => [`content_scripts[${index}].css`, file]),
+      ]),
+      ...(manifest.web_accessible_resources || []).flatMap((entry, index) => (entry.resources || [])
+        // Globs match whatever exists
+        .filter(file => !file.includes('*'))
+        .map(file => [`web_accessible_resources[${index}]`, file])),
+    ];
+
+    references
+      .filter(([, file]) => typeof file === 'string')
+      .filter(([, file]) => !fs.existsSync(path.join(this.extensionPath, file)))
+      .forEach(([field, file]) => this._add(report.errors, MANIFEST_CHECKS.files, `${field} references ${file}, which does not exist`));
+  }
+
+  /**
+   * Find a file injected more than once for the same match pattern
+   * @private
+   */
+  _checkContentScripts(manifest, report) {
+    const registrations = new Map();
+    for (const script of manifest.content_scripts || []) {
+      for (const file of [...(script.js || []), ...(script.css || [])]) {
+        for (const pattern of script.matches || []) {
+          const key = `${file} ${pattern}`;
+          registrations.set(key, (registrations.get(key) || 0) + 1);
+        }
+      }
+    }
+    registrations.forEach((count, key) => {
+      if (count > 1) {
+        const [file, pattern] = key.split(' ');
+        this._add(report.warnings, MANIFEST_CHECKS.contentScripts,
+          `${file} is registered ${count} times for ${pattern}, so it is injected ${count} times into matching pages`);
+      }
+    });
+  }
+
+  /**
+   * Find host permissions that other, broader ones already grant
+   * @private
+   */
+  _checkHostPermissions(manifest, report) {
+    for (const field of ['host_permissions', 'optional_host_permissions']) {
+      const patterns = manifest[field] || [];
+      const redundant = new Map();
+      patterns.forEach((pattern, index) => {
+        const others = patterns.filter((_, otherIndex) => otherIndex !== index);
+        const coveredBy = ManifestValidator._findCoveringPatterns(pattern, others);
+        if (coveredBy) {
+          const key = coveredBy.join(', ');
+          redundant.set(key, [...(redundant.get(key) || []), pattern]);
+        }
+      });
+      redundant.forEach((narrow, broad) => this._add(report.warnings, MANIFEST_CHECKS.hostPermissions,
+        `${field} ${narrow.join(', ')} ${narrow.length === 1 ? 'is' : 'are'} already granted by ${broad}`));
+    }
+  }
+
+  /**
+   * Check that every locale defines the __MSG_*__ keys the manifest uses
+   * @private
+   */
+  _checkLocales(manifest, report) {
+    const localesDir = path.join(this.extensionPath, '_locales');
+    const referenced = [...new Set([...JSON.stringify(manifest).matchAll(/__MSG_(\w+?)__/g)]
+      .map(match => match[1])
+      .filter(key => !key.startsWith('@@')))];
+    const locales = fs.existsSync(localesDir)
+      ? fs.readdirSync(localesDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name).sort()
+      : [];
+
+    if (referenced.length > 0 && !manifest.default_locale) {
+      this._add(report.errors, MANIFEST_CHECKS.locales,
+        `manifest.json uses ${referenced.map(key => `__MSG_${key}__`).join(', ')} but sets no default_locale`);
+    }
+    if (manifest.default_locale && !locales.includes(manifest.default_locale)) {
+      this._add(report.errors, MANIFEST_CHECKS.locales,
+        `default_locale "${manifest.default_locale}" has no _locales/${manifest.default_locale} folder`);
+    }
+
+    const keysByLocale = new Map();
+    for (const locale of locales) {
+      const messages = this._readJson(path.join('_locales', locale, 'messages.json'), report, MANIFEST_CHECKS.locales);
+      if (!messages) {
+        continue;
+      }
+      // Chrome looks message names up case-insensitively
+      const keys = new Set(Object.keys(messages).map(key => key.toLowerCase()));
+      keysByLocale.set(locale, keys);
+      referenced
+        .filter(key => !keys.has(key.toLowerCase()))
+        .forEach(key => this._add(report.errors, MANIFEST_CHECKS.locales,
+          `_locales/${locale}/messages.json has no "${key}" (manifest.json uses __MSG_${key}__)`));
+    }
+
+    const defaultKeys = keysByLocale.get(manifest.default_locale);
+    if (defaultKeys) {
+      keysByLocale.forEach((keys, locale) => {
+        const missing = [...defaultKeys].filter(key => !keys.has(key));
+        if (locale !== manifest.default_locale && missing.length > 0) {
+          this._add(report.warnings, MANIFEST_CHECKS.locales,
+            `_locales/${locale}/messages.json lacks ${missing.join(', ')} from the default locale (${manifest.default_locale})`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Check the extension_pages CSP against the sources Chrome accepts in MV3
+   * @private
+   */
+  _checkCsp(manifest, report) {
+    const csp = manifest.content_security_policy;
+    if (csp === undefined) {
+      return;
+    }
+    if (typeof csp !== 'object' || csp === null) {
+      this._add(report.errors, MANIFEST_CHECKS.csp,
+        'content_security_policy must be an object ({ extension_pages, sandbox }) in Manifest V3');
+      return;
+    }
+    Object.keys(csp)
+      .filter(key => !['extension_pages', 'sandbox'].includes(key))
+      .forEach(key => this._add(report.warnings, MANIFEST_CHECKS.csp, `content_security_policy.${key} is not a known key and is ignored`));
+    if (!csp.extension_pages) {
+      return;
+    }
+
+    const directives = new Map(csp.extension_pages.split(';')
+      .map(directive => directive.trim().split(/\s+/))
+      .filter(([name]) => name)
+      .map(([name, ...sources]) => [name.toLowerCase(), sources]));
+    for (const name of RESTRICTED_CSP_DIRECTIVES) {
+      // script-src and worker-src fall back to default-src
+      const sources = directives.get(name) || (name === 'object-src' ? null : directives.get('default-src'));
+      (sources || [])
+        .filter(source => !ALLOWED_CSP_SOURCES.includes(source.toLowerCase()) && !LOCALHOST_SOURCE.test(source))
+        .forEach(source => this._add(report.errors, MANIFEST_CHECKS.csp,
+          `extension_pages ${name} allows ${source}; Manifest V3 only accepts ${ALLOWED_CSP_SOURCES.join(', ')} and localhost, ` +
+          'so Chrome refuses to load the extension'));
+    }
+  }
+
+  /**
+   * Diff the requested permissions against the committed baseline
+   * @private
+   */
+  _checkPermissions(manifest, report) {
+    const { baselinePath } = this.options;
+    const baselineName = path.relative(process.cwd(), baselinePath);
+    if (!fs.existsSync(baselinePath)) {
+      this._add(report.errors, MANIFEST_CHECKS.permissions,
+        `No permissions baseline at ${baselineName}. Review the build's permissions, then run with UPDATE_PERMISSIONS_BASELINE=true to write it.`);
+      return;
+    }
+
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    const current = ManifestValidator.getPermissions(manifest);
+    for (const field of PERMISSION_FIELDS) {
+      const granted = baseline[field] || [];
+      current[field]
+        .filter(permission => !granted.includes(permission))
+        .forEach(permission => this._add(report.errors, MANIFEST_CHECKS.permissions,
+          `${field} adds "${permission}", which ${baselineName} does not grant. ` +
+          'Review it, then run with UPDATE_PERMISSIONS_BASELINE=true to accept it.'));
+      granted
+        .filter(permission => !current[field].includes(permission))
+        .forEach(permission => this._add(report.warnings, MANIFEST_CHECKS.permissions,
+          `${field} no longer requests "${permission}"; update ${baselineName} (UPDATE_PERMISSIONS_BASELINE=true)`));
+    }
+  }
+
+  /**
+   * Read a JSON file of the build, reporting it as an error if missing or invalid
+   * @private
+   */
+  _readJson(relativePath, report, check) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.extensionPath, relativePath), 'utf8'));
+    } catch (error) {
+      this._add(report.errors, check, `${relativePath} cannot be read: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Append a finding
+   * @private
+   */
+  _add(findings, check, message) {
+    findings.push({ check, message });
+  }
+
+  /**
+   * Find the patterns that together grant everything one match pattern grants
+   * A "*" scheme stands for http and https, each of which must be granted.
+   * @private
+   * @returns {string[]|null} The granting patterns, or null if the pattern is not redundant
+   */
+  static _findCoveringPatterns(pattern, others) {
+    if (others.includes(ALL_URLS)) {
+      return [ALL_URLS];
+    }
+    const parsed = ManifestValidator._parsePattern(pattern);
+    if (!parsed) {
+      return null;
+    }
+    const schemes = parsed.scheme === '*' ? ['http', 'https'] : [parsed.scheme];
+    const coveredBy = [];
+    for (const scheme of schemes) {
+      const cover = others.find(other => ManifestValidator._grants(ManifestValidator._parsePattern(other), { ...parsed, scheme }));
+      if (!cover) {
+        return null;
+      }
+      coveredBy.push(cover);
+    }
+    return [...new Set(coveredBy)];
+  }
+
+  /**
+   * Whether a parsed pattern grants a parsed pattern with a single scheme
+   * @private
+   */
+  static _grants(broad, narrow) {
+    if (!broad) {
+      return false;
+    }
+    const scheme = broad.scheme === narrow.scheme || (broad.scheme === '*' && ['http', 'https'].includes(narrow.scheme));
+    const host = broad.host === '*' || broad.host === narrow.host ||
+      (broad.host.startsWith('*.') && (narrow.host === broad.host.slice(2) || narrow.host.endsWith(broad.host.slice(1))));
+    const pathPattern = new RegExp(`^${broad.path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return scheme && host && pathPattern.test(narrow.path);
+  }
+
+  /**
+   * Split a match pattern into scheme, host and path
+   * @private
+   */
+  static _parsePattern(pattern) {
+    const match = MATCH_PATTERN.exec(pattern);
+    return match ? { scheme: match[1], host: match[2], path: match[3] } : null;
+  }
+}
+
+module.exports = { ManifestValidator, ManifestValidationError, MANIFEST_CHECKS };
@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const testConfig = require('../config/test.config');
+const { JsonSchemaValidator } = require('./JsonSchemaValidator');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_BODY_PREVIEW = 2000;
+
+const installed = new Set();
+
+/**
+ * Thrown when requests did not conform to their contracts
+ */
+class ContractViolationError extends Error {
+  /**
+   * @param {Object[]} violations - Violations collected by NetworkAssertions
+   */
+  constructor(violations) {
+    super(
+      `${violations.length} Confirmit API request(s) did not conform to their contracts:\n\n` +
+      violations.map(violation => NetworkAssertions.formatViolation(violation)).join('\n\n')
+    );
+    this.name = 'ContractViolationError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * NetworkAssertions - Checks Confirmit API requests against JSON-schema contracts
+ * Follows Single Responsibility Principle (SRP) - request conformance only
+ *
+ * Responsibilities:
+ * - Load the contracts in testConfig.contracts.dir: one schema per endpoint and method,
+ *   with the method in "x-method" and the path template in "x-path"
+ * - Watch the context's requests and validate { query, headers, body } of each request
+ *   a contract covers
+ * - Report writes under testConfig.contracts.apiPrefix that no contract covers
+ * - Fail with the path, expected and received value of every mismatch
+ *
+ * Requests are observed, not routed, so stand-ins and HAR replay still answer them.
+ * Requests made by the service worker itself are not seen.
+ */
+class NetworkAssertions {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Context to watch
+   * @param {Object} options - Configuration options (defaults: testConfig.contracts)
+   * @param {string} options.dir - Directory of the *.schema.json contracts
+   * @param {string} options.apiPrefix - Path prefix whose writes must have a contract
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = {
+      ...testConfig.contracts,
+      ...options,
+    };
+    this.contracts = NetworkAssertions.loadContracts(this.options.dir);
+    this.checked = [];
+    this.violations = [];
+    this.pendingChecks = new Set();
+    this.requestListener = null;
+  }
+
+  /**
+   * Get the instances currently installed in this worker
+   * @returns {NetworkAssertions[]}
+   */
+  static getInstalled() {
+    return [...installed];
+  }
+
+  /**
+   * Load and compile the contracts of a directory
+   * @param {string} dir - Contracts directory
+   * @returns {{name: string, file: string, method: string, path: string, pattern: RegExp, validator: JsonSchemaValidator}[]}
+   * @throws {Error} If a contract has no x-method/x-path or uses an unsupported keyword
+   */
+  static loadContracts(dir) {
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.schema.json'))
+      .sort()
+      .map(file => {
+        const schema = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (!schema['x-method'] || !schema['x-path']) {
+          throw new Error(`${file}: contracts need "x-method" and "x-path"`);
+        }
+        return {
+          name: schema.title || file,
+          file,
+          method: schema['x-method'].toUpperCase(),
+          path: schema['x-path'],
+          pattern: NetworkAssertions._toPattern(schema['x-path']),
+          validator: new JsonSchemaValidator(schema, file),
+        };
+      });
+  }
+
+  /**
+   * Format a violation as a readable expected/received diff
+   * @param {Object} violation - Violation from getViolations()
+   * @returns {string}
+   */
+  static formatViolation(violation) {
+    const lines = [];
+    if (violation.contract) {
+      lines.push(`${violation.method} ${violation.url}`);
+      lines.push(`  does not conform to ${violation.contract} (${violation.file}):`);
+      violation.errors.forEach(error => {
+        lines.push(`  ${error.path} ${error.message}`);
+        lines.push(`    - expected: ${error.expected}`);
+        lines.push(`    + received: ${NetworkAssertions._preview(error.received)}`);
+      });
+    } else {
+      lines.push(`${violation.method} ${violation.url}`);
+      lines.push('  has no contract; add one to the contracts directory');
+    }
+    if (violation.body !== null && violation.body !== undefined) {
+      const body = typeof violation.body === 'string' ? violation.body : JSON.stringify(violation.body, null, 2);
+      const preview = body.length > MAX_BODY_PREVIEW ? `${body.slice(0, MAX_BODY_PREVIEW)}…` : body;
+      lines.push('  Request body:');
+      lines.push(...preview.split('\n').map(line => `    ${line}`));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Start watching the context's requests
+   * @returns {Promise<NetworkAssertions>} Returns this instance for chaining
+   */
+  async install() {
+    if (installed.has(this)) {
+      return this;
+    }
+    this.requestListener = request => {
+      if (!this._isWatched(request.method(), request.url())) {
+        return;
+      }
+      const check = this._checkRequest(request).finally(() => this.pendingChecks.delete(check));
+      this.pendingChecks.add(check);
+    };
+    this.context.on('request', this.requestListener);
+    installed.add(this);
+    return this;
+  }
+
+  /**
+   * Stop watching
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (!installed.has(this)) {
+      return;
+    }
+    installed.delete(this);
+    this.context.off('request', this.requestListener);
+    this.requestListener = null;
+    await this.settle();
+  }
+
+  /**
+   * Wait until every observed request has been checked
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await Promise.all([...this.pendingChecks]);
+  }
+
+  /**
+   * Find the contract covering a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @returns {Object|null} Contract, or null if none covers it
+   */
+  findContract(method, url) {
+    const { pathname } = new URL(url);
+    return this.contracts.find(contract => contract.method === method.toUpperCase()
+      && contract.pattern.test(pathname)) || null;
+  }
+
+  /**
+   * Check one request, recording a violation if it does not conform
+   * Exposed separately from install() so contracts can be checked without a browser
+   * @param {{method: string, url: string, headers?: Object<string, string>, body?: string|null}} request
+   * @returns {Object|null} The violation, or null if the request conforms or is not watched
+   */
+  check(request) {
+    const method = request.method.toUpperCase();
+    if (!this._isWatched(method, request.url)) {
+      return null;
+    }
+    const contract = this.findContract(method, request.url);
+    if (!contract) {
+      return this._addViolation({ method, url: request.url, contract: null, body: request.body || null, errors: [] });
+    }
+
+    this.checked.push({ method, url: request.url, contract: contract.name });
+    const { body, errors: bodyErrors } = NetworkAssertions._parseBody(request.body);
+    const schemaErrors = contract.validator.validate({
+      query: Object.fromEntries(new URL(request.url).searchParams),
+      headers: NetworkAssertions._lowerCaseKeys(request.headers || {}),
+      body,
+    });
+    // A body that is not JSON is reported once, not again for every body rule
+    const errors = bodyErrors.length > 0
+      ? [...bodyErrors, ...schemaErrors.filter(error => !/^body\b/.test(error.path))]
+      : schemaErrors;
+    if (errors.length === 0) {
+      return null;
+    }
+    return this._addViolation({
+      method,
+      url: request.url,
+      contract: contract.name,
+      file: contract.file,
+      body: bodyErrors.length > 0 ? request.body : body,
+      errors,
+    });
+  }
+
+  /**
+   * Get the requests a contract covered, in order
+   * @returns {{method: string, url: string, contract: string}[]}
+   */
+  getChecked() {
+    return [...this.checked];
+  }
+
+  /**
+   * Get the violations collected since the last take
+   * @returns {Object[]}
+   */
+  getViolations() {
+    return [...this.violations];
+  }
+
+  /**
+   * Return and forget the collected violations
+   * @returns {Object[]}
+   */
+  takeViolations() {
+    const violations = this.violations;
+    this.violations = [];
+    return violations;
+  }
+
+  /**
+   * Throw if a request did not conform since the last check
+   * @returns {Promise<void>}
+   * @throws {ContractViolationError} If any request did not conform
+   */
+  async assertAllConform() {
+    await this.settle();
+    const violations = this.takeViolations();
+    if (violations.length > 0) {
+      throw new ContractViolationError(violations);
+    }
+  }
+
+  /**
+   * Read a browser request's headers and body and check it
+   * @param {import('@playwright/test').Request} request
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _checkRequest(request) {
+    this.check({
+      method: request.method(),
+      url: request.url(),
+      headers: await request.allHeaders().catch(() => request.headers()),
+      body: request.postData(),
+    });
+  }
+
+  /**
+   * Whether a request is covered by a contract or is a write under the API prefix
+   * @private
+   */
+  _isWatched(method, url) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(url));
+    } catch {
+      return false;
+    }
+    if (this.contracts.some(contract => contract.method === method && contract.pattern.test(pathname))) {
+      return true;
+    }
+    return WRITE_METHODS.includes(method) && pathname.startsWith(this.options.apiPrefix);
+  }
+
+  /**
+   * Keep a violation until it is taken or asserted (ContractViolationError lists it)
+   * @private
+   */
+  _addViolation(violation) {
+    this.violations.push(violation);
+    return violation;
+  }
+
+  /**
+   * Parse a JSON request body; an empty body is null
+   * @private
+   */
+  static _parseBody(text) {
+    if (text === null || text === undefined || text === '') {
+      return { body: null, errors: [] };
+    }
+    try {
+      return { body: JSON.parse(text), errors: [] };
+    } catch (error) {
+      return {
+        body: text,
+        errors: [{ path: 'body', message: `is not valid JSON (${error.message})`, expected: 'JSON', received: text }],
+      };
+    }
+  }
+
+  /**
+   * Turn an x-path template into a pathname pattern ({name} matches one segment)
+   * @private
+   */
+  static _toPattern(template) {
+    const source = template
+      .split(/(\{[^}]+\})/)
+      .map(part => (/^\{[^}]+\}$/.test(part) ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('');
+    return new RegExp(`^${source}/?$`);
+  }
+
+  /**
+   * Header names are matched lowercase, like HTTP/2 sends them
+   * @private
+   */
+  static _lowerCaseKeys(headers) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  }
+
+  /**
+   * One-line preview of a received value
+   * @private
+   */
+  static _preview(value) {
+    if (value === undefined) {
+      return '(missing)';
+    }
+    const text = JSON.stringify(value);
+    return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+  }
+}
+
+module.exports = { NetworkAssertions, ContractViolationError };
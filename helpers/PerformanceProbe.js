@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const testConfig = require('../config/test.config');
+
+/**
+ * Metrics a page load is measured by, in report order
+ */
+const PERFORMANCE_METRICS = [
+  { key: 'scriptDurationMs', label: 'Script evaluation', unit: 'ms' },
+  { key: 'longTaskCount', label: 'Long tasks', unit: '' },
+  { key: 'longTaskMs', label: 'Long task time', unit: 'ms' },
+  { key: 'domContentLoadedMs', label: 'DOMContentLoaded', unit: 'ms' },
+  { key: 'loadMs', label: 'Load', unit: 'ms' },
+  { key: 'jsHeapMb', label: 'JS heap', unit: 'MB' },
+];
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Collect long tasks from the start of the document (runs as an init script in the page)
+ */
+function observeLongTasks() {
+  window.__performanceProbeLongTasks = [];
+  new PerformanceObserver(list => {
+    list.getEntries().forEach(entry => window.__performanceProbeLongTasks.push(entry.duration));
+  }).observe({ type: 'longtask', buffered: true });
+}
+
+/**
+ * PerformanceProbe - Measures what the extension's content scripts cost a page load
+ * Follows Single Responsibility Principle (SRP) - measurement and comparison only; the
+ * browsers with and without the extension come from BrowserManager
+ *
+ * Responsibilities:
+ * - Serve the local fixture pages (testConfig.performance) under a regular https URL, so the
+ *   content scripts registered for every site inject into them
+ * - Load a page several times and take the median of: script evaluation time and JS heap
+ *   (CDP Performance metrics), long tasks (PerformanceObserver) and DOMContentLoaded/load
+ *   (navigation timing)
+ * - Compare the medians with and without the extension against the budgets, and format
+ *   the comparison as a report
+ */
+class PerformanceProbe {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Browser context to measure in
+   * @param {Object} options - Overrides for testConfig.performance ({ runs, settleMs, pagesUrl, fixturesDir })
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = { ...testConfig.performance, ...options };
+    this.routeHandler = null;
+  }
+
+  /**
+   * Compare measurements of one page without and with the extension
+   * @param {Object} without - Result of measure() in the browser without the extension
+   * @param {Object} withExtension - Result of measure() in the browser with the extension
+   * @param {Object<string, number>} budgets - Maximum delta per metric (default: testConfig.performance.budgets)
+   * @returns {{page: string, runs: number, rows: Object[], overBudget: Object[]}} One row per metric
+   *   ({ key, label, unit, without, with, delta, budget, overBudget })
+   */
+  static compare(without, withExtension, budgets = testConfig.performance.budgets) {
+    const rows = PERFORMANCE_METRICS.map(({ key, label, unit }) => {
+      const delta = withExtension.metrics[key] - without.metrics[key];
+      const budget = budgets[key] ?? null;
+      return {
+        key,
+        label,
+        unit,
+        without: PerformanceProbe._round(without.metrics[key]),
+        with: PerformanceProbe._round(withExtension.metrics[key]),
+        delta: PerformanceProbe._round(delta),
+        budget,
+        overBudget: budget !== null && delta > budget,
+      };
+    });
+    return {
+      page: withExtension.page,
+      runs: Math.min(without.runs, withExtension.runs),
+      rows,
+      overBudget: rows.filter(row => row.overBudget),
+    };
+  }
+
+  /**
+   * Format comparisons as a plain-text report
+   * @param {Object[]} comparisons - Results of compare()
+   * @returns {string}
+   */
+  static formatReport(comparisons) {
+    const runs = comparisons.length ? comparisons[0].runs : 0;
+    const lines = [`Page-load cost of the extension (median of ${runs} runs; delta = with - without)`];
+    for (const comparison of comparisons) {
+      lines.push('', comparison.page);
+      lines.push(`  ${'Metric'.padEnd(18)}${'Without'.padStart(12)}${'With'.padStart(12)}${'Delta'.padStart(12)}${'Budget'.padStart(12)}`);
+      for (const row of comparison.rows) {
+        const format = value => `${value}${row.unit ? ` ${row.unit}` : ''}`;
+        const delta = `${row.delta > 0 ? '+' : ''}${format(row.delta)}`;
+        const budget = row.budget === null ? '-' : format(row.budget);
+        const status = row.budget === null ? '' : row.overBudget ? '  OVER BUDGET' : '  ok';
+        lines.push(
+          `  ${row.label.padEnd(18)}${format(row.without).padStart(12)}${format(row.with).padStart(12)}` +
+          `${delta.padStart(12)}${budget.padStart(12)}${status}`
+        );
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Serve the fixture pages under pagesUrl
+   * @returns {Promise<PerformanceProbe>} Returns this instance for chaining
+   */
+  async install() {
+    this.routeHandler = route => this._fulfillPage(route);
+    await this.context.route(`${this.options.pagesUrl}**`, this.routeHandler);
+    return this;
+  }
+
+  /**
+   * Stop serving the fixture pages
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (this.routeHandler) {
+      await this.context.unroute(`${this.options.pagesUrl}**`, this.routeHandler);
+      this.routeHandler = null;
+    }
+  }
+
+  /**
+   * Get the URL a fixture page is served at
+   * @param {string} name - File name in fixturesDir (e.g. 'article.html')
+   * @returns {string}
+   */
+  getPageUrl(name) {
+    return new URL(name, this.options.pagesUrl).toString();
+  }
+
+  /**
+   * Load a fixture page `runs` times, each in a new tab
+   * @param {string} name - File name in fixturesDir
+   * @returns {Promise<{page: string, runs: number, metrics: Object<string, number>, samples: Object[]}>}
+   *   Median per metric, and every run's values
+   */
+  async measure(name) {
+    const samples = [];
+    for (let run = 0; run < this.options.runs; run++) {
+      samples.push(await this._measureOnce(this.getPageUrl(name)));
+    }
+    const metrics = Object.fromEntries(PERFORMANCE_METRICS.map(({ key }) => [
+      key,
+      PerformanceProbe._median(samples.map(sample => sample[key])),
+    ]));
+    return { page: name, runs: samples.length, metrics, samples };
+  }
+
+  /**
+   * Load a page once and read its metrics
+   * Script time is the growth of the renderer's counter during the load, so earlier tabs
+   * sharing the renderer do not count
+   * @private
+   */
+  async _measureOnce(url) {
+    const page = await this.context.newPage();
+    try {
+      const cdp = await this.context.newCDPSession(page);
+      await cdp.send('Performance.enable');
+      await page.addInitScript(observeLongTasks);
+      const before = await PerformanceProbe._getMetrics(cdp);
+
+      await page.goto(url, { waitUntil: 'load', timeout: testConfig.timeouts.pageLoad });
+      await page.waitForTimeout(this.options.settleMs);
+
+      const after = await PerformanceProbe._getMetrics(cdp);
+      const timing = await page.evaluate(() => {
+        const [navigation] = performance.getEntriesByType('navigation');
+        return {
+          domContentLoaded: navigation.domContentLoadedEventEnd,
+          load: navigation.loadEventEnd,
+          longTasks: window.__performanceProbeLongTasks || [],
+        };
+      });
+      await cdp.detach();
+
+      return {
+        scriptDurationMs: (after.ScriptDuration - before.ScriptDuration) * 1000,
+        longTaskCount: timing.longTasks.length,
+        longTaskMs: timing.longTasks.reduce((total, duration) => total + duration, 0),
+        domContentLoadedMs: timing.domContentLoaded,
+        loadMs: timing.load,
+        jsHeapMb: after.JSHeapUsedSize / BYTES_PER_MB,
+      };
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Answer a request under pagesUrl with the fixture file of the same name
+   * @private
+   */
+  async _fulfillPage(route) {
+    const name = decodeURIComponent(new URL(route.request().url()).pathname.slice(1));
+    const filePath = path.join(this.options.fixturesDir, name);
+    if (!name || !filePath.startsWith(this.options.fixturesDir) || !fs.existsSync(filePath)) {
+      await route.fulfill({ status: 404, contentType: 'text/plain', body: `No fixture page ${name}` });
+      return;
+    }
+    await route.fulfill({ contentType: 'text/html', body: fs.readFileSync(filePath, 'utf8') });
+  }
+
+  /**
+   * Read the CDP Performance metrics as a name-value map
+   * @private
+   */
+  static async _getMetrics(cdp) {
+    const { metrics } = await cdp.send('Performance.getMetrics');
+    return Object.fromEntries(metrics.map(metric => [metric.name, metric.value]));
+  }
+
+  /**
+   * Median of a list of numbers
+   * @private
+   */
+  static _median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Round to one decimal place for the report
+   * @private
+   */
+  static _round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = { PerformanceProbe, PERFORMANCE_METRICS };
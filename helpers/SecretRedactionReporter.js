@@ -0,0 +1,61 @@
+const { CredentialProvider, CREDENTIAL_ACCOUNTS } = require('./CredentialProvider');
+const { EnvironmentProfiles } = require('./EnvironmentProfiles');
+const { SecretRedactor } = require('./SecretRedactor');
+
+/**
+ * SecretRedactionReporter - Masks credentials in test results before other reporters see them
+ * Follows Single Responsibility Principle (SRP) - redacts reported results, never reports itself
+ *
+ * Responsibilities:
+ * - Resolve the credentials of every environment profile the run uses, in the runner process,
+ *   so they are registered with SecretRedactor there too
+ * - Redact step titles (e.g. `Fill "…"`), errors, output and attachment files of each result
+ *
+ * Must be listed before the html reporter: reporters share result objects and are called in
+ * order, and the html reporter copies attachments and serializes steps when the run ends.
+ * Tokens registered in a worker are unknown here; the extension fixtures redact those in each
+ * test's output directory before the worker exits.
+ */
+class SecretRedactionReporter {
+  /**
+   * Register the credentials of the run's environment profiles
+   * @param {import('@playwright/test/reporter').FullConfig} config - Resolved config
+   */
+  onBegin(config) {
+    const environmentProfiles = new EnvironmentProfiles();
+    const names = new Set([
+      environmentProfiles.resolve().name,
+      ...config.projects.map(project => project.use.testEnv).filter(Boolean),
+    ]);
+    for (const name of names) {
+      const provider = CredentialProvider.fromEnv(environmentProfiles.resolve(name).credentials);
+      for (const account of Object.keys(CREDENTIAL_ACCOUNTS)) {
+        try {
+          provider.getCredentials(account);
+        } catch {
+          // Missing credentials fail the tests that need them, not the report
+        }
+      }
+    }
+  }
+
+  /**
+   * Redact a finished test's result in place
+   * @param {import('@playwright/test/reporter').TestCase} test - Finished test
+   * @param {import('@playwright/test/reporter').TestResult} result - Its result
+   */
+  onTestEnd(test, result) {
+    SecretRedactor.redactResult(result);
+  }
+
+  /**
+   * This reporter prints nothing
+   * @returns {boolean}
+   */
+  printsToStdio() {
+    return false;
+  }
+}
+
+// Playwright loads reporters from their module's default export
+module.exports = SecretRedactionReporter;
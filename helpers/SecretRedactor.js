@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+const MASK = '***';
+const MIN_SECRET_LENGTH = 4;
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+const secrets = new Set();
+let consoleInstalled = false;
+
+/**
+ * SecretRedactor - Masks registered secrets in logs, attachments and traces
+ * Follows Single Responsibility Principle (SRP) - redaction only, no knowledge of where secrets come from
+ *
+ * Secrets are registered by CredentialProvider (and anything else that handles tokens).
+ * The registry is per process, so every Playwright worker masks what it resolved itself:
+ * the extension fixtures redact each test's output directory, and SecretRedactionReporter
+ * redacts results in the runner process before the HTML report is built.
+ */
+class SecretRedactor {
+  /**
+   * Register a secret to be masked from now on
+   * Values shorter than 4 characters are ignored to avoid masking ordinary text
+   * @param {string} secret - Secret value
+   */
+  static register(secret) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      return;
+    }
+    secrets.add(secret);
+    // Also catch the secret where it appears URL-encoded (query strings, form bodies)
+    const encoded = encodeURIComponent(secret);
+    if (encoded !== secret) {
+      secrets.add(encoded);
+    }
+  }
+
+  /**
+   * Forget all registered secrets
+   */
+  static clear() {
+    secrets.clear();
+  }
+
+  /**
+   * Check if any secrets are registered
+   * @returns {boolean}
+   */
+  static hasSecrets() {
+    return secrets.size > 0;
+  }
+
+  /**
+   * Check whether a string or Buffer contains any registered secret
+   * @param {string|Buffer} value - Text or bytes to search
+   * @returns {boolean}
+   */
+  static contains(value) {
+    const buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+    return [...secrets].some(secret => buffer.includes(Buffer.from(secret, 'utf8')));
+  }
+
+  /**
+   * Mask every registered secret in a string
+   * @param {string} text - Text to redact
+   * @returns {string}
+   */
+  static redact(text) {
+    if (typeof text !== 'string' || secrets.size === 0) {
+      return text;
+    }
+    let result = text;
+    for (const secret of this._getSecretsLongestFirst()) {
+      result = result.split(secret).join(MASK);
+    }
+    return result;
+  }
+
+  /**
+   * Mask every registered secret in a Buffer (binary-safe)
+   * @param {Buffer} buffer - Buffer to redact
+   * @returns {Buffer}
+   */
+  static redactBuffer(buffer) {
+    if (secrets.size === 0) {
+      return buffer;
+    }
+    let result = buffer;
+    for (const secret of this._getSecretsLongestFirst()) {
+      const needle = Buffer.from(secret, 'utf8');
+      if (result.indexOf(needle) === -1) {
+        continue;
+      }
+
+      const parts = [];
+      let start = 0;
+      let index;
+      while ((index = result.indexOf(needle, start)) !== -1) {
+        parts.push(result.subarray(start, index), Buffer.from(MASK));
+        start = index + needle.length;
+      }
+      parts.push(result.subarray(start));
+      result = Buffer.concat(parts);
+    }
+    return result;
+  }
+
+  /**
+   * Patch console methods so their formatted output is redacted
+   * Playwright reports the worker's console output, so this also covers report stdout/stderr
+   */
+  static installConsole() {
+    if (consoleInstalled) {
+      return;
+    }
+    consoleInstalled = true;
+    for (const method of CONSOLE_METHODS) {
+      const original = console[method].bind(console);
+      console[method] = (...args) => {
+        if (secrets.size === 0) {
+          return original(...args);
+        }
+        return original(this.redact(util.format(...args)));
+      };
+    }
+  }
+
+  /**
+   * Attach to the test report after redacting the body or file
+   * Files are redacted in place; zip archives (e.g. traces) are rewritten entry by entry
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   * @param {string} name - Attachment name
+   * @param {{body?: string|Buffer, path?: string, contentType?: string}} options - Attachment options
+   * @returns {Promise<void>}
+   */
+  static async attach(testInfo, name, options = {}) {
+    const attachment = { ...options };
+    if (attachment.body !== undefined) {
+      attachment.body = Buffer.isBuffer(attachment.body)
+        ? this.redactBuffer(attachment.body)
+        : this.redact(String(attachment.body));
+    }
+    if (attachment.path) {
+      this.redactFile(attachment.path);
+    }
+    await testInfo.attach(name, attachment);
+  }
+
+  /**
+   * Redact a file in place
+   * @param {string} filePath - File to redact (zip archives are rewritten entry by entry)
+   * @returns {boolean} True if the file changed
+   */
+  static redactFile(filePath) {
+    if (secrets.size === 0 || !fs.existsSync(filePath)) {
+      return false;
+    }
+    const original = fs.readFileSync(filePath);
+    const redacted = this._isZip(original)
+      ? this._redactZip(original)
+      : this.redactBuffer(original);
+    if (redacted.equals(original)) {
+      return false;
+    }
+    fs.writeFileSync(filePath, redacted);
+    return true;
+  }
+
+  /**
+   * Redact every file below a directory in place (traces, videos, screenshots, attachments)
+   * @param {string} dir - Directory to walk, e.g. testInfo.outputDir
+   * @returns {string[]} Paths of the files that changed
+   */
+  static redactDir(dir) {
+    if (secrets.size === 0 || !fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return this.redactDir(entryPath);
+      }
+      return entry.isFile() && this.redactFile(entryPath) ? [entryPath] : [];
+    });
+  }
+
+  /**
+   * Redact a reported test result in place: step titles, errors, output and attachments
+   * Step titles carry typed values (`Fill "…"`), so this runs before the HTML report is built
+   * @param {import('@playwright/test/reporter').TestResult} result - Result passed to a reporter
+   */
+  static redactResult(result) {
+    if (secrets.size === 0) {
+      return;
+    }
+    const redactError = error => {
+      ['message', 'stack', 'value', 'snippet'].filter(key => typeof error[key] === 'string').forEach(key => {
+        error[key] = this.redact(error[key]);
+      });
+      if (error.cause) {
+        redactError(error.cause);
+      }
+    };
+    const redactStep = step => {
+      step.title = this.redact(step.title);
+      if (step.error) {
+        redactError(step.error);
+      }
+      step.steps.forEach(redactStep);
+    };
+
+    result.errors.forEach(redactError);
+    if (result.error) {
+      redactError(result.error);
+    }
+    result.steps.forEach(redactStep);
+    result.stdout = result.stdout.map(chunk => (Buffer.isBuffer(chunk) ? this.redactBuffer(chunk) : this.redact(chunk)));
+    result.stderr = result.stderr.map(chunk => (Buffer.isBuffer(chunk) ? this.redactBuffer(chunk) : this.redact(chunk)));
+    result.attachments.forEach(attachment => {
+      if (attachment.body) {
+        attachment.body = this.redactBuffer(attachment.body);
+      }
+      if (attachment.path) {
+        this.redactFile(attachment.path);
+      }
+    });
+  }
+
+  /**
+   * Longest first, so a secret containing another is masked whole
+   * @returns {string[]}
+   * @private
+   */
+  static _getSecretsLongestFirst() {
+    return [...secrets].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Check for the zip local file header signature
+   * @private
+   */
+  static _isZip(buffer) {
+    return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  }
+
+  /**
+   * Rebuild a zip archive with every entry redacted (entries are re-deflated)
+   * Playwright traces are plain (non-zip64) archives, which is all this handles
+   * @private
+   * @throws {Error} If the archive cannot be parsed
+   */
+  static _redactZip(buffer) {
+    const entries = this._readZipEntries(buffer);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const data = this.redactBuffer(entry.data);
+      const compressed = zlib.deflateRawSync(data);
+      const name = Buffer.from(entry.name, 'utf8');
+      const crc = this._crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(0x0800, 6); // UTF-8 names
+      local.writeUInt16LE(8, 8); // deflate
+      local.writeUInt32LE(0, 10); // time/date
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+      localParts.push(local, name, compressed);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt32LE(0, 12);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt32LE(offset, 42);
+      centralParts.push(central, name);
+
+      offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+
+  /**
+   * Read all entries of a zip archive via its central directory
+   * @private
+   * @throws {Error} If the archive cannot be parsed
+   */
+  static _readZipEntries(buffer) {
+    let endOffset = buffer.length - 22;
+    while (endOffset >= 0 && buffer.readUInt32LE(endOffset) !== 0x06054b50) {
+      endOffset--;
+    }
+    if (endOffset < 0) {
+      throw new Error('SecretRedactor: zip end of central directory not found');
+    }
+
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let pointer = buffer.readUInt32LE(endOffset + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      if (buffer.readUInt32LE(pointer) !== 0x02014b50) {
+        throw new Error('SecretRedactor: corrupt zip central directory');
+      }
+      const method = buffer.readUInt16LE(pointer + 10);
+      const compressedSize = buffer.readUInt32LE(pointer + 20);
+      const nameLength = buffer.readUInt16LE(pointer + 28);
+      const extraLength = buffer.readUInt16LE(pointer + 30);
+      const commentLength = buffer.readUInt16LE(pointer + 32);
+      const localOffset = buffer.readUInt32LE(pointer + 42);
+      const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+      const localNameLength = buffer.readUInt16LE(localOffset + 26);
+      const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+      const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+      const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method !== 0 && method !== 8) {
+        throw new Error(`SecretRedactor: unsupported zip compression method ${method} for ${name}`);
+      }
+      entries.push({ name, data: method === 8 ? zlib.inflateRawSync(raw) : Buffer.from(raw) });
+      pointer += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  /**
+   * CRC-32 (IEEE) of a buffer
+   * @private
+   */
+  static _crc32(buffer) {
+    if (typeof zlib.crc32 === 'function') {
+      return zlib.crc32(buffer);
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+      crc ^= buffer[i];
+      for (let bit = 0; bit < 8; bit++) {
+        crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+      }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+module.exports = { SecretRedactor, MASK };
@@ -0,0 +1,474 @@
+const testConfig = require('../config/test.config');
+
+/**
+ * Runtime message types handled by background.js (`messageType` field)
+ */
+const BACKGROUND_MESSAGES = {
+  changeTheme: 'changeTheme',
+  changeLocale: 'changeLocale',
+  websocketStateUpdate: 'websocket_state_update',
+  getWebsocketState: 'get_websocket_state',
+  reloadConfirmitConfig: 'reload_confirmit_config',
+};
+
+const DEFAULT_WAIT_TIMEOUT = 10000;
+const TAB_MESSAGE_POLL_INTERVAL = 100;
+const RESTART_POLL_INTERVAL = 100;
+const STORAGE_BINDING = '__serviceWorkerBridgeStorageChanged';
+
+/**
+ * @typedef {Object} StorageChange
+ * @property {string} key - chrome.storage.local key that changed
+ * @property {*} oldValue - Previous value (undefined if the key was added)
+ * @property {*} newValue - New value (undefined if the key was removed)
+ */
+
+/**
+ * @typedef {Object} ConnectionState
+ * @property {string} sessionId - Generation session ID
+ * @property {boolean} isGenerating - Whether the side panel reported an active generation
+ * @property {number} lastActivity - Epoch ms of the last update
+ */
+
+/**
+ * @typedef {Object} CapturedAuthToken
+ * @property {string} authToken - Bearer token captured from Confirmit requests (without "Bearer ")
+ * @property {number} lastCaptured - Epoch ms of the capture
+ */
+
+/**
+ * ServiceWorkerBridge - Drives and inspects the extension's background service worker
+ * Follows Single Responsibility Principle (SRP) - background messaging and storage only
+ *
+ * - chrome.storage.local is read and written inside the service worker (context.serviceWorkers())
+ * - Runtime messages are sent from an extension page: a worker's own sendMessage never
+ *   reaches its own onMessage listeners
+ * - Storage changes are streamed from that page's chrome.storage.onChanged listener, so
+ *   watchers survive the worker being stopped and restarted
+ *
+ * Call start() before sending messages or waiting for changes, and stop() afterwards.
+ */
+class ServiceWorkerBridge {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Context with the extension loaded
+   * @param {string} extensionId - Chrome extension ID
+   */
+  constructor(context, extensionId) {
+    this.context = context;
+    this.extensionId = extensionId;
+    this.hostPage = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Find the extension's service worker, waiting for it to start if needed
+   * @param {import('@playwright/test').BrowserContext} context
+   * @param {string} extensionId
+   * @param {number} timeout - Timeout in ms (default: testConfig.timeouts.extensionLoad)
+   * @returns {Promise<import('@playwright/test').Worker>}
+   */
+  static async getServiceWorker(context, extensionId, timeout = testConfig.timeouts.extensionLoad) {
+    const prefix = `chrome-extension://${extensionId}/`;
+    return context.serviceWorkers().find(worker => worker.url().startsWith(prefix))
+      || await context.waitForEvent('serviceworker', {
+        predicate: worker => worker.url().startsWith(prefix),
+        timeout,
+      });
+  }
+
+  /**
+   * Open the extension host page and start streaming storage changes
+   * @returns {Promise<ServiceWorkerBridge>} Returns this instance for chaining
+   */
+  async start() {
+    if (this.hostPage) {
+      return this;
+    }
+    this.hostPage = await this.context.newPage();
+    await this.hostPage.exposeBinding(STORAGE_BINDING, (source, changes) => {
+      Object.entries(changes).forEach(([key, { oldValue, newValue }]) => {
+        this.listeners.forEach(listener => listener({ key, oldValue, newValue }));
+      });
+    });
+    await this.hostPage.goto(`chrome-extension://${this.extensionId}/${testConfig.extensionHostPage}`);
+    await this.hostPage.evaluate(binding => {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local') {
+          window[binding](changes);
+        }
+      });
+    }, STORAGE_BINDING);
+    return this;
+  }
+
+  /**
+   * Close the host page and drop all watchers
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.listeners.clear();
+    if (this.hostPage && !this.hostPage.isClosed()) {
+      await this.hostPage.close();
+    }
+    this.hostPage = null;
+  }
+
+  /**
+   * Get the service worker (re-resolved on every call, as Chrome may have restarted it)
+   * @returns {Promise<import('@playwright/test').Worker>}
+   */
+  async getServiceWorker() {
+    return await ServiceWorkerBridge.getServiceWorker(this.context, this.extensionId);
+  }
+
+  // ============================================
+  // Runtime messages
+  // ============================================
+
+  /**
+   * Send a runtime message to background.js
+   * Note: background.js registers an async listener through webextension-polyfill, so the
+   * response is the listener's return value (true for get_websocket_state and
+   * reload_confirmit_config), not the value passed to sendResponse
+   * @param {{messageType: string}} message - Message with a BACKGROUND_MESSAGES type
+   * @param {Object} options - Options
+   * @param {import('@playwright/test').Page} options.activeTab - Page to bring to front first
+   *   (changeTheme/changeLocale are forwarded to the active tab)
+   * @returns {Promise<*>} The response, or undefined if the channel closed without one
+   */
+  async sendMessage(message, options = {}) {
+    this._ensureStarted();
+    if (options.activeTab) {
+      await options.activeTab.bringToFront();
+    }
+    return await this.hostPage.evaluate(async payload => {
+      try {
+        return await chrome.runtime.sendMessage(payload);
+      } catch (error) {
+        if (/message port closed|Receiving end does not exist/i.test(error.message)) {
+          return undefined;
+        }
+        throw error;
+      }
+    }, message);
+  }
+
+  /**
+   * Ask background.js to forward a theme change to the active tab
+   * @param {string} theme - Theme name (e.g. 'light', 'dark')
+   * @param {{activeTab?: import('@playwright/test').Page}} options
+   * @returns {Promise<*>}
+   */
+  async changeTheme(theme, options = {}) {
+    return await this.sendMessage({ messageType: BACKGROUND_MESSAGES.changeTheme, content: theme }, options);
+  }
+
+  /**
+   * Ask background.js to forward a locale change to the active tab
+   * @param {string} locale - Locale code (e.g. 'en', 'de')
+   * @param {{activeTab?: import('@playwright/test').Page}} options
+   * @returns {Promise<*>}
+   */
+  async changeLocale(locale, options = {}) {
+    return await this.sendMessage({ messageType: BACKGROUND_MESSAGES.changeLocale, content: locale }, options);
+  }
+
+  /**
+   * Report a generation session's state, as the side panel does, and wait for it to be stored
+   * @param {string} sessionId - Generation session ID
+   * @param {boolean} isGenerating - Whether a generation is running
+   * @returns {Promise<ConnectionState>} The stored state
+   */
+  async updateWebsocketState(sessionId, isGenerating) {
+    const stored = this.waitForStorageChange('activeConnections', {
+      predicate: change => change.newValue?.[sessionId]?.isGenerating === isGenerating,
+    });
+    await this.sendMessage({ messageType: BACKGROUND_MESSAGES.websocketStateUpdate, sessionId, isGenerating });
+    return (await stored).newValue[sessionId];
+  }
+
+  /**
+   * Send get_websocket_state (see sendMessage about the response value)
+   * Use getActiveConnections() to read the state itself
+   * @param {string} sessionId - Generation session ID
+   * @returns {Promise<*>}
+   */
+  async getWebsocketState(sessionId) {
+    return await this.sendMessage({ messageType: BACKGROUND_MESSAGES.getWebsocketState, sessionId });
+  }
+
+  /**
+   * Ask background.js to re-read confirmit_config and rebuild its URL patterns
+   * @returns {Promise<*>}
+   */
+  async reloadConfirmitConfig() {
+    return await this.sendMessage({ messageType: BACKGROUND_MESSAGES.reloadConfirmitConfig });
+  }
+
+  /**
+   * Store custom Confirmit/Forsta base URLs in confirmit_config, as the side panel does after
+   * fetching its config, and restart the extension so background.js captures tokens from them
+   * background.js registers its webRequest listener once, with the URL patterns known at
+   * startup; reload_confirmit_config and storage changes do not re-register it
+   * @param {string[]} baseUrls - Base URLs (e.g. ['https://surveys.forsta.example.org'])
+   * @returns {Promise<{confirmit_base_url: string[], timestamp: number}>} The stored config
+   */
+  async setConfirmitBaseUrls(baseUrls) {
+    // background.js ignores a config older than 30 minutes
+    const config = { confirmit_base_url: baseUrls, timestamp: Date.now() };
+    await this.setStorage({ confirmit_config: config });
+    await this.restartExtension();
+    return config;
+  }
+
+  /**
+   * Reload the extension with chrome.runtime.reload() and wait for background.js to register
+   * its webRequest listener again
+   * Extension pages (side panel, host page) are closed by the reload; the host page is
+   * reopened if the bridge was started, keeping its storage watchers
+   * @param {{timeout?: number}} options - Timeout in ms (default: testConfig.timeouts.extensionLoad)
+   * @returns {Promise<import('@playwright/test').Worker>} The new service worker
+   * @throws {Error} If no new service worker starts in time
+   */
+  async restartExtension(options = {}) {
+    const { timeout = testConfig.timeouts.extensionLoad } = options;
+    const previous = await this.getServiceWorker();
+    const prefix = `chrome-extension://${this.extensionId}/`;
+
+    // Reload after evaluate() returns: the worker dies with the call otherwise
+    await previous.evaluate(() => {
+      setTimeout(() => chrome.runtime.reload(), 0);
+    });
+
+    const deadline = Date.now() + timeout;
+    let serviceWorker = null;
+    while (!serviceWorker) {
+      serviceWorker = this.context.serviceWorkers()
+        .find(worker => worker !== previous && worker.url().startsWith(prefix)) || null;
+      if (!serviceWorker) {
+        if (Date.now() > deadline) {
+          throw new Error(`Extension service worker did not restart within ${timeout}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, RESTART_POLL_INTERVAL));
+      }
+    }
+    await serviceWorker.evaluate(async ({ interval, limit }) => {
+      const until = Date.now() + limit;
+      while (!chrome.webRequest.onBeforeSendHeaders.hasListeners() && Date.now() < until) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+    }, { interval: RESTART_POLL_INTERVAL, limit: Math.max(deadline - Date.now(), 0) });
+
+    if (this.hostPage) {
+      if (!this.hostPage.isClosed()) {
+        await this.hostPage.close();
+      }
+      this.hostPage = null;
+      await this.start();
+    }
+    return serviceWorker;
+  }
+
+  /**
+   * Get the Chrome tab ID of a page, as seen by the extension
+   * @param {import('@playwright/test').Page} page
+   * @returns {Promise<number>}
+   * @throws {Error} If the extension cannot find the tab
+   */
+  async getTabId(page) {
+    await page.bringToFront();
+    const serviceWorker = await this.getServiceWorker();
+    const tabId = await serviceWorker.evaluate(async url => {
+      // Compare URLs directly: match patterns cannot express ports or about: pages
+      const tabs = (await chrome.tabs.query({})).filter(candidate => candidate.url === url);
+      const tab = tabs.find(candidate => candidate.active) || tabs[0];
+      return tab ? tab.id : null;
+    }, page.url());
+    if (tabId === null) {
+      throw new Error(`No Chrome tab found for ${page.url()}`);
+    }
+    return tabId;
+  }
+
+  /**
+   * Send a message to the content scripts of a page's tab, as background.js and the
+   * side panel do with chrome.tabs.sendMessage
+   * @param {import('@playwright/test').Page} page - Page whose content scripts receive the message
+   * @param {Object} message - Message (content scripts switch on `type`)
+   * @returns {Promise<*>} The first response from a content script
+   * @throws {Error} If no content script is listening in the tab
+   */
+  async sendTabMessage(page, message) {
+    const tabId = await this.getTabId(page);
+    const serviceWorker = await this.getServiceWorker();
+    return await serviceWorker.evaluate(
+      ({ id, payload }) => chrome.tabs.sendMessage(id, payload),
+      { id: tabId, payload: message }
+    );
+  }
+
+  /**
+   * Send a message to a page's tab until a content script answers
+   * Content scripts register their listeners at run_at time, some time after the page loads,
+   * so the first attempts fail with "Receiving end does not exist" (or get no answer)
+   * @param {import('@playwright/test').Page} page - Page whose content scripts receive the message
+   * @param {Object} message - Message the awaited content script answers
+   * @param {{timeout?: number}} options - Timeout in ms (default: testConfig.timeouts.extensionLoad)
+   * @returns {Promise<*>} The first truthy response
+   * @throws {Error} If no content script answers in time
+   */
+  async waitForTabResponse(page, message, options = {}) {
+    const { timeout = testConfig.timeouts.extensionLoad } = options;
+    const deadline = Date.now() + timeout;
+    let lastError = null;
+    while (Date.now() < deadline) {
+      try {
+        const response = await this.sendTabMessage(page, message);
+        if (response) {
+          return response;
+        }
+      } catch (error) {
+        lastError = error;
+      }
+      await page.waitForTimeout(TAB_MESSAGE_POLL_INTERVAL);
+    }
+    throw new Error(`No content script answered ${JSON.stringify(message)} within ${timeout}ms${lastError ? `: ${lastError.message}` : ''}`);
+  }
+
+  // ============================================
+  // chrome.storage.local
+  // ============================================
+
+  /**
+   * Read chrome.storage.local inside the service worker
+   * @param {string|string[]|null} keys - Keys to read (null for everything)
+   * @returns {Promise<Object<string, *>>}
+   */
+  async getStorage(keys = null) {
+    const serviceWorker = await this.getServiceWorker();
+    return await serviceWorker.evaluate(storageKeys => chrome.storage.local.get(storageKeys), keys);
+  }
+
+  /**
+   * Read a single chrome.storage.local value
+   * @param {string} key
+   * @returns {Promise<*>} The value, or undefined if not set
+   */
+  async getStorageValue(key) {
+    return (await this.getStorage([key]))[key];
+  }
+
+  /**
+   * Write chrome.storage.local inside the service worker
+   * @param {Object<string, *>} items - Values to set
+   * @returns {Promise<void>}
+   */
+  async setStorage(items) {
+    const serviceWorker = await this.getServiceWorker();
+    await serviceWorker.evaluate(values => chrome.storage.local.set(values), items);
+  }
+
+  /**
+   * Remove chrome.storage.local keys inside the service worker
+   * @param {string|string[]} keys
+   * @returns {Promise<void>}
+   */
+  async removeStorage(keys) {
+    const serviceWorker = await this.getServiceWorker();
+    await serviceWorker.evaluate(storageKeys => chrome.storage.local.remove(storageKeys), keys);
+  }
+
+  /**
+   * Get the generation sessions background.js is tracking
+   * @returns {Promise<Object<string, ConnectionState>>}
+   */
+  async getActiveConnections() {
+    return (await this.getStorageValue('activeConnections')) || {};
+  }
+
+  /**
+   * Call a listener for every chrome.storage.local change
+   * @param {function(StorageChange): void} listener
+   * @returns {function(): void} Unsubscribe function
+   */
+  watchStorage(listener) {
+    this._ensureStarted();
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Wait for a chrome.storage.local key to change
+   * Start waiting before triggering the change, then await the result
+   * @param {string} key - Key to watch
+   * @param {Object} options - Options
+   * @param {function(StorageChange): boolean} options.predicate - Only resolve for matching changes
+   * @param {number} options.timeout - Timeout in ms (default 10000)
+   * @returns {Promise<StorageChange>}
+   * @throws {Error} If no matching change happens in time
+   */
+  waitForStorageChange(key, options = {}) {
+    const { predicate = () => true, timeout = DEFAULT_WAIT_TIMEOUT } = options;
+    return new Promise((resolve, reject) => {
+      let unsubscribe = () => {};
+      const timer = setTimeout(() => {
+        unsubscribe();
+        reject(new Error(`Timed out after ${timeout}ms waiting for chrome.storage.local "${key}" to change`));
+      }, timeout);
+      unsubscribe = this.watchStorage(change => {
+        if (change.key === key && predicate(change)) {
+          clearTimeout(timer);
+          unsubscribe();
+          resolve(change);
+        }
+      });
+    });
+  }
+
+  /**
+   * Wait for a key to hold a matching value, checking the current value first
+   * @param {string} key - Key to check
+   * @param {function(*): boolean} predicate - Condition on the value
+   * @param {{timeout?: number}} options
+   * @returns {Promise<*>} The matching value
+   * @throws {Error} If the value does not match in time
+   */
+  async waitForStorageValue(key, predicate, options = {}) {
+    const change = this.waitForStorageChange(key, {
+      predicate: ({ newValue }) => predicate(newValue),
+      timeout: options.timeout,
+    });
+    const current = await this.getStorageValue(key);
+    if (predicate(current)) {
+      change.catch(() => {});
+      return current;
+    }
+    return (await change).newValue;
+  }
+
+  /**
+   * Wait for background.js to capture a new Confirmit bearer token
+   * (it stores authToken and lastCaptured together from webRequest headers)
+   * @param {{timeout?: number}} options
+   * @returns {Promise<CapturedAuthToken>}
+   * @throws {Error} If no token is captured in time
+   */
+  async waitForAuthToken(options = {}) {
+    const { newValue: lastCaptured } = await this.waitForStorageChange('lastCaptured', options);
+    const authToken = await this.getStorageValue('authToken');
+    return { authToken, lastCaptured };
+  }
+
+  /**
+   * Ensure start() was called
+   * @private
+   * @throws {Error} If the bridge was not started
+   */
+  _ensureStarted() {
+    if (!this.hostPage) {
+      throw new Error('ServiceWorkerBridge not started. Call start() first.');
+    }
+  }
+}
+
+module.exports = { ServiceWorkerBridge, BACKGROUND_MESSAGES };
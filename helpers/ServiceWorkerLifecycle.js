@@ -0,0 +1,255 @@
+const testConfig = require('../config/test.config');
+const { BACKGROUND_MESSAGES } = require('./ServiceWorkerBridge');
+
+/**
+ * Running statuses Chrome reports for a service worker version (CDP ServiceWorker domain)
+ */
+const LIFECYCLE_STATUSES = {
+  starting: 'starting',
+  running: 'running',
+  stopping: 'stopping',
+  stopped: 'stopped',
+};
+
+const POLL_INTERVAL = 100;
+
+/**
+ * @typedef {Object} LifecycleEvent
+ * @property {string} status - One of LIFECYCLE_STATUSES
+ * @property {string} versionId - Service worker version (each extension reload registers a new one)
+ * @property {number} time - Epoch ms the status was reported
+ */
+
+/**
+ * ServiceWorkerLifecycle - Stops the extension's service worker and watches it come back
+ * Follows Single Responsibility Principle (SRP) - service worker lifecycle only
+ *
+ * Responsibilities:
+ * - Record the running status of the extension's service worker as Chrome reports it
+ *   (starting, running, stopping, stopped), and let tests listen and wait for it
+ * - Stop the worker through CDP, as Chrome does after 30 seconds without events
+ * - Revive it with an event the extension listens to (a runtime message by default),
+ *   and return the new Playwright Worker
+ *
+ * MV3 service workers lose everything in memory when stopped; only chrome.storage and
+ * listeners registered again on startup survive. The CDP session is opened on a blank
+ * page of its own, which stays open until uninstall().
+ */
+class ServiceWorkerLifecycle {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Context with the extension loaded
+   * @param {string} extensionId - Chrome extension ID
+   */
+  constructor(context, extensionId) {
+    this.context = context;
+    this.extensionId = extensionId;
+    this.prefix = `chrome-extension://${extensionId}/`;
+    this.events = [];
+    this.statuses = new Map();
+    this.currentVersionId = null;
+    this.listeners = new Set();
+    this.page = null;
+    this.session = null;
+  }
+
+  /**
+   * Open the CDP session and start recording (the first event is the status at install)
+   * @returns {Promise<ServiceWorkerLifecycle>} Returns this instance for chaining
+   */
+  async install() {
+    if (this.session) {
+      return this;
+    }
+    this.page = await this.context.newPage();
+    this.session = await this.context.newCDPSession(this.page);
+    this.session.on('ServiceWorker.workerVersionUpdated', ({ versions }) => this._onVersionsUpdated(versions));
+    await this.session.send('ServiceWorker.enable');
+    return this;
+  }
+
+  /**
+   * Close the CDP session and its page, and drop all listeners
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    this.listeners.clear();
+    if (this.session) {
+      await this.session.detach().catch(() => {});
+      this.session = null;
+    }
+    if (this.page && !this.page.isClosed()) {
+      await this.page.close();
+    }
+    this.page = null;
+  }
+
+  /**
+   * Call a listener for every status change of the extension's service worker
+   * @param {function(LifecycleEvent): void} listener
+   * @returns {function(): void} Unsubscribe function
+   */
+  onEvent(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get every status change recorded since install(), in order
+   * @returns {LifecycleEvent[]}
+   */
+  getEvents() {
+    return [...this.events];
+  }
+
+  /**
+   * Get the status of the current service worker version
+   * @returns {string|null} One of LIFECYCLE_STATUSES, or null before Chrome reported one
+   */
+  getStatus() {
+    return this.statuses.get(this.currentVersionId) || null;
+  }
+
+  /**
+   * Wait for the service worker to reach a status
+   * @param {string} status - One of LIFECYCLE_STATUSES
+   * @param {Object} options - Options
+   * @param {number} options.since - Only count events from this index of getEvents() on (default 0)
+   * @param {number} options.timeout - Timeout in ms (default: testConfig.timeouts.extensionLoad)
+   * @returns {Promise<LifecycleEvent>} The first matching event
+   * @throws {Error} If the status is not reached in time
+   */
+  waitForStatus(status, options = {}) {
+    const { since = 0, timeout = testConfig.timeouts.extensionLoad } = options;
+    const recorded = this.events.slice(since).find(event => event.status === status);
+    if (recorded) {
+      return Promise.resolve(recorded);
+    }
+    return new Promise((resolve, reject) => {
+      let unsubscribe = () => {};
+      const timer = setTimeout(() => {
+        unsubscribe();
+        reject(new Error(
+          `Timed out after ${timeout}ms waiting for the extension service worker to be ${status} (now: ${this.getStatus()})`
+        ));
+      }, timeout);
+      unsubscribe = this.onEvent(event => {
+        if (event.status === status) {
+          clearTimeout(timer);
+          unsubscribe();
+          resolve(event);
+        }
+      });
+    });
+  }
+
+  /**
+   * Stop the running service worker, and wait until Chrome and Playwright report it gone
+   * @param {{timeout?: number}} options - Timeout in ms (default: testConfig.timeouts.extensionLoad)
+   * @returns {Promise<LifecycleEvent>} The stopped event
+   * @throws {Error} If the worker is not running, or does not stop in time
+   */
+  async stop(options = {}) {
+    this._ensureInstalled();
+    const { timeout = testConfig.timeouts.extensionLoad } = options;
+    if (this.getStatus() !== LIFECYCLE_STATUSES.running) {
+      throw new Error(`Cannot stop the extension service worker: it is ${this.getStatus() || 'not registered'}`);
+    }
+
+    const since = this.events.length;
+    await this.session.send('ServiceWorker.stopWorker', { versionId: this.currentVersionId });
+    const stopped = await this.waitForStatus(LIFECYCLE_STATUSES.stopped, { since, timeout });
+
+    // Until Playwright drops the old Worker, evaluate() calls would be sent to a dead worker
+    const deadline = Date.now() + timeout;
+    while (this._findWorker()) {
+      if (Date.now() > deadline) {
+        throw new Error(`Playwright still lists the extension service worker ${timeout}ms after it stopped`);
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+    return stopped;
+  }
+
+  /**
+   * Fire an event at the stopped service worker and wait for Chrome to start it for that event
+   * @param {function(): Promise<*>} trigger - Sends the event (default: a get_websocket_state
+   *   runtime message from an extension page)
+   * @param {{timeout?: number}} options - Timeout in ms (default: testConfig.timeouts.extensionLoad)
+   * @returns {Promise<import('@playwright/test').Worker>} The revived service worker
+   * @throws {Error} If the worker is not stopped, or does not start in time
+   */
+  async revive(trigger = () => this._sendWakeMessage(), options = {}) {
+    this._ensureInstalled();
+    const { timeout = testConfig.timeouts.extensionLoad } = options;
+    if (this.getStatus() !== LIFECYCLE_STATUSES.stopped) {
+      throw new Error(`Cannot revive the extension service worker: it is ${this.getStatus() || 'not registered'}, not stopped`);
+    }
+
+    const since = this.events.length;
+    const started = this.context.waitForEvent('serviceworker', {
+      predicate: worker => worker.url().startsWith(this.prefix),
+      timeout,
+    });
+    await trigger();
+    await this.waitForStatus(LIFECYCLE_STATUSES.running, { since, timeout });
+    return await started;
+  }
+
+  /**
+   * Record the status changes of the extension's versions in a workerVersionUpdated event
+   * @private
+   */
+  _onVersionsUpdated(versions) {
+    versions
+      .filter(version => version.scriptURL.startsWith(this.prefix))
+      .forEach(({ versionId, runningStatus, status }) => {
+        if (status !== 'redundant') {
+          this.currentVersionId = versionId;
+        }
+        if (this.statuses.get(versionId) === runningStatus) {
+          return;
+        }
+        this.statuses.set(versionId, runningStatus);
+        const event = { status: runningStatus, versionId, time: Date.now() };
+        this.events.push(event);
+        this.listeners.forEach(listener => listener(event));
+      });
+  }
+
+  /**
+   * Send a harmless runtime message from a short-lived extension page
+   * (get_websocket_state without a session answers without changing anything)
+   * @private
+   */
+  async _sendWakeMessage() {
+    const page = await this.context.newPage();
+    try {
+      await page.goto(`${this.prefix}${testConfig.extensionHostPage}`);
+      await page.evaluate(message => chrome.runtime.sendMessage(message), {
+        messageType: BACKGROUND_MESSAGES.getWebsocketState,
+      });
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Find the Playwright Worker of the extension's service worker
+   * @private
+   */
+  _findWorker() {
+    return this.context.serviceWorkers().find(worker => worker.url().startsWith(this.prefix)) || null;
+  }
+
+  /**
+   * Check that install() was called
+   * @private
+   */
+  _ensureInstalled() {
+    if (!this.session) {
+      throw new Error('ServiceWorkerLifecycle not installed. Call install() first.');
+    }
+  }
+}
+
+module.exports = { ServiceWorkerLifecycle, LIFECYCLE_STATUSES };
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const testConfig = require('../config/test.config');
+const { SecretRedactor } = require('./SecretRedactor');
+const { WorkerIsolation } = require('./WorkerIsolation');
+const { ExternalSitePage } = require('../pages/ExternalSitePage');
+
+const SNAPSHOT_VERSION = 1;
+const SESSION_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Error thrown when a session snapshot is missing or no longer accepted by the services
+ */
+class SessionSnapshotError extends Error {
+  /**
+   * @param {string} name - Snapshot name
+   * @param {string} reason - What went wrong
+   */
+  constructor(name, reason) {
+    super(
+      `Session snapshot "${name}" cannot be used: ${reason}. ` +
+      `Log in again and call browserManager.captureSession('${name}').`
+    );
+    this.name = 'SessionSnapshotError';
+    this.sessionName = name;
+  }
+}
+
+/**
+ * Runs in an extension page: verify the stored Supabase session, refreshing it if needed
+ * @param {{supabaseUrl: string, anonKey: string}} args
+ * @returns {Promise<{status: 'live'|'refreshed'|'missing'|'expired', storageKey?: string, session?: string}>}
+ */
+async function checkSupabaseSession({ supabaseUrl, anonKey }) {
+  const storageKey = Object.keys(localStorage).find(key => /^sb-.+-auth-token$/.test(key));
+  const session = storageKey && JSON.parse(localStorage.getItem(storageKey));
+  if (!session?.access_token) {
+    return { status: 'missing' };
+  }
+
+  const user = await fetch(`${supabaseUrl}/auth/v1/user`, {
+    headers: { apikey: anonKey, Authorization: `Bearer ${session.access_token}` },
+  });
+  if (user.ok) {
+    return { status: 'live' };
+  }
+
+  const response = await fetch(`${supabaseUrl}/auth/v1/token?grant_type=refresh_token`, {
+    method: 'POST',
+    headers: { apikey: anonKey, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refresh_token: session.refresh_token }),
+  });
+  if (!response.ok) {
+    return { status: 'expired' };
+  }
+  const refreshed = await response.json();
+  // supabase-js decides when to refresh from expires_at, which GoTrue may omit
+  refreshed.expires_at = refreshed.expires_at || Math.round(Date.now() / 1000) + refreshed.expires_in;
+  localStorage.setItem(storageKey, JSON.stringify(refreshed));
+  return { status: 'refreshed', storageKey, session: JSON.stringify(refreshed) };
+}
+
+/**
+ * SessionSnapshotManager - Captures and restores authenticated sessions for a persistent context
+ * Follows Single Responsibility Principle (SRP) - session state only, no login logic
+ *
+ * Playwright's storageState does not cover extension storage, so a snapshot holds:
+ * - Cookies for the Confirmit domains
+ * - The extension's chrome.storage.local keys (authToken, confirmit_config, ...)
+ * - The extension origin's localStorage (the Supabase session lives there)
+ *
+ * Snapshots are JSON files in testConfig.sessions.dir (git-ignored, owner-only permissions).
+ */
+class SessionSnapshotManager {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Persistent context with the extension
+   * @param {string} extensionId - Chrome extension ID
+   * @param {Object} options - Configuration options
+   * @param {string} options.dir - Snapshot directory (default: testConfig.sessions.dir)
+   */
+  constructor(context, extensionId, options = {}) {
+    this.context = context;
+    this.extensionId = extensionId;
+    this.config = testConfig.sessions;
+    this.dir = options.dir || this.config.dir;
+  }
+
+  /**
+   * Get the file path of a named snapshot
+   * @param {string} name - Snapshot name (letters, digits, - and _)
+   * @returns {string}
+   * @throws {Error} If the name is not a plain file name
+   */
+  getSnapshotPath(name) {
+    if (!SESSION_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid session name "${name}". Use letters, digits, - and _ only.`);
+    }
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Check if a named snapshot exists on disk
+   * @param {string} name - Snapshot name
+   * @returns {boolean}
+   */
+  hasSnapshot(name) {
+    return fs.existsSync(this.getSnapshotPath(name));
+  }
+
+  /**
+   * Capture the current session under a name
+   * Call after the external site and extension logins succeeded
+   * @param {string} name - Snapshot name
+   * @returns {Promise<string>} Path of the written snapshot
+   */
+  async capture(name) {
+    const cookies = (await this.context.cookies()).filter(cookie => this._isSessionCookie(cookie));
+    const { extensionStorage, localStorage } = await this._withExtensionPage(page =>
+      page.evaluate(async keys => ({
+        extensionStorage: await chrome.storage.local.get(keys),
+        localStorage: { ...window.localStorage },
+      }), this.config.extensionStorageKeys)
+    );
+
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      name,
+      capturedAt: new Date().toISOString(),
+      cookies,
+      extensionStorage,
+      localStorage,
+    };
+    this._registerSecrets(snapshot);
+
+    return this._write(snapshot);
+  }
+
+  /**
+   * Restore a named snapshot into the context and check it is still live
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object>} The restored snapshot
+   * @throws {SessionSnapshotError} If the snapshot is missing or rejected by the services
+   */
+  async restore(name) {
+    const snapshot = this._load(name);
+    this._registerSecrets(snapshot);
+
+    if (snapshot.cookies.length > 0) {
+      await this.context.addCookies(snapshot.cookies);
+    }
+    await this._withExtensionPage(page =>
+      page.evaluate(async ({ extensionStorage, localStorage }) => {
+        await chrome.storage.local.set(extensionStorage);
+        Object.entries(localStorage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+      }, snapshot)
+    );
+
+    await this.validate(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Check a restored snapshot against the live services
+   * When only the Supabase access token expired, the session is refreshed in the browser and
+   * written back to the snapshot (refresh tokens are single-use)
+   * @param {Object} snapshot - Restored snapshot
+   * @returns {Promise<void>}
+   * @throws {SessionSnapshotError} If either login is no longer accepted
+   */
+  async validate(snapshot) {
+    const supabase = await this._withExtensionPage(page =>
+      page.evaluate(checkSupabaseSession, {
+        supabaseUrl: testConfig.supabase.url,
+        anonKey: testConfig.supabase.anonKey,
+      })
+    );
+    if (supabase.status === 'missing' || supabase.status === 'expired') {
+      throw new SessionSnapshotError(snapshot.name, `extension session is ${supabase.status}`);
+    }
+    if (supabase.status === 'refreshed') {
+      snapshot.localStorage[supabase.storageKey] = supabase.session;
+      this._registerSecrets(snapshot);
+      this._write(snapshot);
+    }
+
+    if (snapshot.cookies.length > 0 && !(await this._isExternalSiteLive())) {
+      throw new SessionSnapshotError(snapshot.name, 'external site redirected to the login form');
+    }
+  }
+
+  /**
+   * Delete a named snapshot
+   * @param {string} name - Snapshot name
+   */
+  delete(name) {
+    fs.rmSync(this.getSnapshotPath(name), { force: true });
+  }
+
+  /**
+   * Read a snapshot from disk
+   * @param {string} name - Snapshot name
+   * @returns {Object}
+   * @private
+   * @throws {SessionSnapshotError} If the file is missing or from another format version
+   */
+  _load(name) {
+    const filePath = this.getSnapshotPath(name);
+    if (!fs.existsSync(filePath)) {
+      throw new SessionSnapshotError(name, `${filePath} does not exist`);
+    }
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new SessionSnapshotError(name, `unsupported snapshot version ${snapshot.version}`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Write a snapshot to disk, readable by the owner only
+   * @param {Object} snapshot
+   * @returns {string} Path of the written snapshot
+   * @private
+   */
+  _write(snapshot) {
+    const filePath = this.getSnapshotPath(snapshot.name);
+    // Atomic, because workers restoring the same session may read it at any moment
+    WorkerIsolation.writeFileAtomic(filePath, JSON.stringify(snapshot, null, 2), { mode: 0o600 });
+    return filePath;
+  }
+
+  /**
+   * Run a callback in a short-lived extension page (chrome.* APIs and extension localStorage)
+   * @param {function(import('@playwright/test').Page): Promise<*>} callback
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _withExtensionPage(callback) {
+    const page = await this.context.newPage();
+    try {
+      await page.goto(`chrome-extension://${this.extensionId}/${testConfig.extensionHostPage}`);
+      return await callback(page);
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Check whether a cookie belongs to one of the configured session domains
+   * @param {{domain: string}} cookie
+   * @returns {boolean}
+   * @private
+   */
+  _isSessionCookie(cookie) {
+    const domain = cookie.domain.replace(/^\./, '');
+    return this.config.cookieDomains.some(
+      sessionDomain => domain === sessionDomain || domain.endsWith(`.${sessionDomain}`)
+    );
+  }
+
+  /**
+   * Load the external site and check it did not fall back to the login form
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isExternalSiteLive() {
+    const page = await this.context.newPage();
+    try {
+      const externalSitePage = new ExternalSitePage(page);
+      await externalSitePage.goto();
+      await page.waitForLoadState('load');
+      return !(await externalSitePage.isVisible(externalSitePage.usernameInput));
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Register the tokens held by a snapshot with SecretRedactor
+   * @param {Object} snapshot
+   * @private
+   */
+  _registerSecrets(snapshot) {
+    SecretRedactor.register(snapshot.extensionStorage.authToken);
+    snapshot.cookies.forEach(cookie => SecretRedactor.register(cookie.value));
+    Object.entries(snapshot.localStorage)
+      .filter(([key]) => key.endsWith('-auth-token'))
+      .forEach(([, value]) => {
+        const session = JSON.parse(value);
+        SecretRedactor.register(session.access_token);
+        SecretRedactor.register(session.refresh_token);
+      });
+  }
+}
+
+module.exports = { SessionSnapshotManager, SessionSnapshotError };
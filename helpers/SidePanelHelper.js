@@ -1,11 +1,20 @@
 const { ExtensionIdExtractor } = require('./ExtensionIdExtractor');
+const { ServiceWorkerBridge } = require('./ServiceWorkerBridge');
 const testConfig = require('../config/test.config');
 
+const SIDE_PANEL_MODES = ['native', 'tab', 'auto'];
+const NATIVE_PANEL_TIMEOUT = 10000;
+
 /**
  * SidePanelHelper - Utilities for managing Chrome extension side panel
  * Follows Single Responsibility Principle - manages side panel alongside website
  * 
  * Uses ExtensionIdExtractor for extension ID extraction (DRY principle)
+ *
+ * Two ways to show the panel next to a website:
+ * - native: chrome.sidePanel.open({ tabId }) from the service worker, then attach to the
+ *   side panel target as a Page. The panel sees the real tab (tabs.onActivated/onUpdated).
+ * - tab: sidepanel.html in its own tab (fallback; the panel's "current tab" is itself)
  */
 class SidePanelHelper {
   /**
@@ -17,6 +26,9 @@ class SidePanelHelper {
     this.extensionId = extensionId;
     this.sidePanelPage = null;
     this.mainPage = null;
+    this.mode = null;
+    this.fallbackReason = null;
+    this.tabId = null;
   }
 
   /**
@@ -44,19 +56,168 @@ class SidePanelHelper {
    * Both pages remain accessible and can be used simultaneously
    *
    * @param {import('@playwright/test').Page} mainPage - The main website page
+   * @param {Object} options - Options
+   * @param {'native'|'tab'|'auto'} options.mode - How to open the panel (default: testConfig.sidePanelMode)
    * @returns {Promise<import('@playwright/test').Page>} The side panel page
+   * @throws {Error} If mode is 'native' and the native panel cannot be opened
    */
-  async openSidePanelAlongside(mainPage) {
+  async openSidePanelAlongside(mainPage, options = {}) {
+    const mode = options.mode || testConfig.sidePanelMode;
+    if (!SIDE_PANEL_MODES.includes(mode)) {
+      throw new Error(`Unknown side panel mode "${mode}". Use: ${SIDE_PANEL_MODES.join(', ')}.`);
+    }
     this.mainPage = mainPage;
+    this.fallbackReason = null;
+
+    if (mode !== 'tab') {
+      try {
+        this.sidePanelPage = await this._openNativeSidePanel(mainPage);
+        this.mode = 'native';
+        return this.sidePanelPage;
+      } catch (error) {
+        if (mode === 'native') {
+          throw error;
+        }
+        this.fallbackReason = error.message;
+      }
+    }
+
     this.sidePanelPage = await this.context.newPage();
     
     await this.sidePanelPage.goto(this.getSidePanelUrl());
     await this.sidePanelPage.waitForLoadState('domcontentloaded');
     await this.sidePanelPage.waitForSelector('#root', { state: 'attached', timeout: 10000 });
 
+    this.mode = 'tab';
     return this.sidePanelPage;
   }
 
+  /**
+   * Get the extension's background service worker
+   * Delegates to ServiceWorkerBridge for DRY compliance
+   * @returns {Promise<import('@playwright/test').Worker>}
+   */
+  async getServiceWorker() {
+    return await ServiceWorkerBridge.getServiceWorker(this.context, this.extensionId);
+  }
+
+  /**
+   * Get the Chrome tab ID of a page, as seen by the extension
+   * Delegates to ServiceWorkerBridge for DRY compliance
+   * @param {import('@playwright/test').Page} page
+   * @returns {Promise<number>}
+   * @throws {Error} If the extension cannot find the tab
+   */
+  async getTabId(page) {
+    return await new ServiceWorkerBridge(this.context, this.extensionId).getTabId(page);
+  }
+
+  /**
+   * Get the mode the side panel was opened in
+   * @returns {'native'|'tab'|null}
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Get why 'auto' mode fell back to a tab
+   * @returns {string|null} The native panel's error, or null if there was no fallback
+   */
+  getFallbackReason() {
+    return this.fallbackReason;
+  }
+
+  /**
+   * Open the real side panel for the main page's tab and attach to it
+   * @param {import('@playwright/test').Page} mainPage
+   * @returns {Promise<import('@playwright/test').Page>}
+   * @private
+   * @throws {Error} If Chrome refuses to open the panel or no panel target appears
+   */
+  async _openNativeSidePanel(mainPage) {
+    const existingPages = new Set(this.context.pages());
+    this.tabId = await this.getTabId(mainPage);
+
+    await this._requestSidePanelOpen(this.tabId);
+    const sidePanelPage = await this._waitForSidePanelTarget(existingPages);
+
+    await mainPage.bringToFront();
+    await sidePanelPage.waitForLoadState('domcontentloaded');
+    await sidePanelPage.waitForSelector('#root', { state: 'attached', timeout: 10000 });
+    return sidePanelPage;
+  }
+
+  /**
+   * Call chrome.sidePanel.open({ tabId }) from the service worker
+   * Chrome only honours the call during a user gesture, which a worker evaluation is not,
+   * so a rejected call is repeated from a trusted click in an extension page
+   * @param {number} tabId
+   * @returns {Promise<void>}
+   * @private
+   * @throws {Error} If the panel cannot be opened either way
+   */
+  async _requestSidePanelOpen(tabId) {
+    const serviceWorker = await this.getServiceWorker();
+    const workerError = await serviceWorker.evaluate(async id => {
+      try {
+        await chrome.sidePanel.open({ tabId: id });
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    }, tabId);
+    if (!workerError) {
+      return;
+    }
+    if (!/user gesture/i.test(workerError)) {
+      throw new Error(`chrome.sidePanel.open failed: ${workerError}`);
+    }
+
+    const gesturePage = await this.context.newPage();
+    try {
+      await gesturePage.goto(`chrome-extension://${this.extensionId}/${testConfig.extensionHostPage}`);
+      await gesturePage.evaluate(id => {
+        const button = document.createElement('button');
+        button.id = 'open-side-panel';
+        button.textContent = 'Open side panel';
+        button.addEventListener('click', () => {
+          window.sidePanelOpenResult = chrome.sidePanel.open({ tabId: id })
+            .then(() => null, error => error.message);
+        });
+        document.body.append(button);
+      }, tabId);
+      await gesturePage.click('#open-side-panel');
+      const pageError = await gesturePage.evaluate(() => window.sidePanelOpenResult);
+      if (pageError) {
+        throw new Error(`chrome.sidePanel.open failed: ${pageError}`);
+      }
+    } finally {
+      await gesturePage.close();
+    }
+  }
+
+  /**
+   * Wait for a new side panel target to show up as a Page
+   * @param {Set<import('@playwright/test').Page>} existingPages - Pages open before the request
+   * @returns {Promise<import('@playwright/test').Page>}
+   * @private
+   * @throws {Error} If no side panel page appears in time
+   */
+  async _waitForSidePanelTarget(existingPages) {
+    const sidePanelUrl = this.getSidePanelUrl();
+    const deadline = Date.now() + NATIVE_PANEL_TIMEOUT;
+    while (Date.now() < deadline) {
+      const sidePanelPage = this.context.pages()
+        .find(page => !existingPages.has(page) && page.url().startsWith(sidePanelUrl));
+      if (sidePanelPage) {
+        return sidePanelPage;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`No side panel target for ${sidePanelUrl} appeared within ${NATIVE_PANEL_TIMEOUT}ms`);
+  }
+
   /**
    * Open side panel in a new page
    * @returns {Promise<import('@playwright/test').Page>}
@@ -67,6 +228,7 @@ class SidePanelHelper {
     await this.sidePanelPage.goto(this.getSidePanelUrl());
     await this.sidePanelPage.waitForLoadState('domcontentloaded');
     await this.sidePanelPage.waitForSelector('#root', { state: 'attached', timeout: 10000 });
+    this.mode = 'tab';
 
     return this.sidePanelPage;
   }
@@ -100,11 +262,23 @@ class SidePanelHelper {
 
   /**
    * Close the side panel page
+   * A native panel is closed by disabling it for its tab, then re-enabling it for the next open
    * @returns {Promise<void>}
    */
   async closeSidePanel() {
     if (this.sidePanelPage && !this.sidePanelPage.isClosed()) {
-      await this.sidePanelPage.close();
+      if (this.mode === 'native') {
+        const serviceWorker = await this.getServiceWorker();
+        const closed = this.sidePanelPage.waitForEvent('close', { timeout: NATIVE_PANEL_TIMEOUT }).catch(() => null);
+        await serviceWorker.evaluate(async id => {
+          await chrome.sidePanel.setOptions({ tabId: id, enabled: false });
+          await chrome.sidePanel.setOptions({ tabId: id, enabled: true });
+        }, this.tabId);
+        await closed;
+      }
+      if (!this.sidePanelPage.isClosed()) {
+        await this.sidePanelPage.close();
+      }
       this.sidePanelPage = null;
     }
   }
@@ -0,0 +1,378 @@
+const util = require('util');
+const testConfig = require('../config/test.config');
+const { SecretRedactor } = require('./SecretRedactor');
+const { SentryStandIn } = require('../servers/SentryStandIn');
+const { PostHogStandIn } = require('../servers/PostHogStandIn');
+const { LogfireStandIn } = require('../servers/LogfireStandIn');
+
+/**
+ * Telemetry services the extension sends to
+ */
+const TELEMETRY_SINKS = {
+  sentry: 'sentry',
+  posthog: 'posthog',
+  logfire: 'logfire',
+};
+
+// Values SDKs put in place of scrubbed data
+const MASKED_VALUE = /^(\*+|\[(filtered|redacted)\]|<redacted>)$/i;
+const VALUE_PATTERNS = [
+  { reason: 'bearer token', pattern: /\bBearer\s+[A-Za-z0-9\-._~+/]{16,}=*/i },
+  { reason: 'JWT', pattern: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/ },
+  { reason: 'credentials in URL', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^/\s:@]+:[^/\s@]+@/i },
+  { reason: 'sensitive query parameter', pattern: /[?&#](password|passwd|pwd|token|access_token|refresh_token|api_key|apikey)=[^&#\s"]+/i },
+];
+
+const installed = new Set();
+
+/**
+ * Thrown when a telemetry payload contains a credential
+ */
+class TelemetryLeakError extends Error {
+  /**
+   * @param {Object[]} leaks - Leaks found by TelemetryAssertions
+   */
+  constructor(leaks) {
+    super(
+      `${leaks.length} credential leak(s) in telemetry payloads (values not shown):\n` +
+      leaks.map(leak => `  ${TelemetryAssertions.formatLeak(leak)}`).join('\n') +
+      '\nScrub them in the extension before sending (Sentry beforeSend, PostHog sanitize_properties, Logfire scrubbing).'
+    );
+    this.name = 'TelemetryLeakError';
+    this.leaks = leaks;
+  }
+}
+
+/**
+ * TelemetryAssertions - Local sinks for Sentry, PostHog and Logfire, with event assertions
+ * and a credential scan over everything they receive
+ * Follows Single Responsibility Principle (SRP) - telemetry checks only; capture and parsing
+ * are left to SentryStandIn, PostHogStandIn and LogfireStandIn
+ *
+ * Responsibilities:
+ * - Install the three stand-ins on a browser context and expose what they captured as one
+ *   list: Sentry envelope items (replay recordings decompressed), PostHog events and Logfire spans
+ * - Wait for an expected event, matched by a predicate or a partial object
+ * - Scan every payload for registered secrets (SecretRedactor), sensitive fields
+ *   (testConfig.telemetry.sensitiveKeys), bearer tokens, JWTs and credentials in URLs, and
+ *   fail with where each leak is, never with its value
+ *
+ * Requests made by the service worker itself are not routed, so background.js reports are
+ * not seen.
+ */
+class TelemetryAssertions {
+  /**
+   * @param {import('@playwright/test').BrowserContext} context - Context to install the sinks in
+   * @param {Object} options - Overrides for testConfig.telemetry ({ sensitiveKeys, publicValues })
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.options = TelemetryAssertions._getScanOptions(options);
+    this.sentry = new SentryStandIn();
+    this.posthog = new PostHogStandIn();
+    this.logfire = new LogfireStandIn();
+    // Captures per sink already scanned by assertNoLeaks()
+    this.scanned = { sentry: 0, posthog: 0, logfire: 0 };
+  }
+
+  /**
+   * Get the instances currently installed in this worker
+   * @returns {TelemetryAssertions[]}
+   */
+  static getInstalled() {
+    return [...installed];
+  }
+
+  /**
+   * Find credentials in a payload
+   * @param {*} value - Parsed payload (objects, arrays, strings, Buffers)
+   * @param {Object} options - Overrides for testConfig.telemetry ({ sensitiveKeys, publicValues })
+   * @returns {{path: string, reason: string}[]} Where each leak is and what it looks like
+   */
+  static scan(value, options = {}) {
+    const { sensitiveKeys, publicValues } = TelemetryAssertions._getScanOptions(options);
+    const keys = new Set(sensitiveKeys);
+    const findings = [];
+
+    const visit = (node, path, key) => {
+      if (Buffer.isBuffer(node)) {
+        if (SecretRedactor.contains(node)) {
+          findings.push({ path: path || '(payload)', reason: 'registered secret' });
+        }
+        return;
+      }
+      if (Array.isArray(node)) {
+        // Items keep the array's key, so { cookie: ['...'] } is still a sensitive field
+        node.forEach((item, index) => visit(item, `${path}[${index}]`, key));
+        return;
+      }
+      if (node && typeof node === 'object') {
+        Object.entries(node).forEach(([name, child]) => visit(child, path ? `${path}.${name}` : name, name));
+        return;
+      }
+      if (typeof node !== 'string' || publicValues.includes(node)) {
+        return;
+      }
+      const reason = TelemetryAssertions._findLeak(node, key, keys, publicValues);
+      if (reason) {
+        findings.push({ path: path || '(payload)', reason });
+      } else if (/^\s*[[{]/.test(node)) {
+        // Serialized JSON, e.g. request bodies in breadcrumbs
+        try {
+          visit(JSON.parse(node), path, key);
+        } catch {
+          // Not JSON after all
+        }
+      }
+    };
+
+    visit(value, '', '');
+    return findings;
+  }
+
+  /**
+   * Format a leak as one line
+   * @param {Object} leak - Leak from getLeaks()
+   * @returns {string} e.g. '[posthog] event "login" properties.password: sensitive field "password"'
+   */
+  static formatLeak(leak) {
+    return `[${leak.sink}] ${leak.type} "${leak.name}" ${leak.path}: ${leak.reason}`;
+  }
+
+  /**
+   * Route the Sentry, PostHog and Logfire endpoints to the local sinks
+   * @returns {Promise<TelemetryAssertions>} Returns this instance for chaining
+   */
+  async install() {
+    if (installed.has(this)) {
+      return this;
+    }
+    await this.sentry.install(this.context);
+    await this.posthog.install(this.context);
+    await this.logfire.install(this.context);
+    installed.add(this);
+    return this;
+  }
+
+  /**
+   * Stop routing (captures are kept)
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (!installed.has(this)) {
+      return;
+    }
+    installed.delete(this);
+    await this.sentry.uninstall();
+    await this.posthog.uninstall();
+    await this.logfire.uninstall();
+  }
+
+  /**
+   * Get the Sentry sink
+   * @returns {SentryStandIn}
+   */
+  getSentry() {
+    return this.sentry;
+  }
+
+  /**
+   * Get the PostHog sink
+   * @returns {PostHogStandIn}
+   */
+  getPostHog() {
+    return this.posthog;
+  }
+
+  /**
+   * Get the Logfire sink
+   * @returns {LogfireStandIn}
+   */
+  getLogfire() {
+    return this.logfire;
+  }
+
+  /**
+   * Get what the sinks received, in order per sink
+   * @param {string} sink - Only this sink (one of TELEMETRY_SINKS; default: all)
+   * @returns {{sink: string, type: string, name: string, payload: *}[]} Sentry items (type is the
+   *   item type: event, replay_event, replay_recording, ...), PostHog events (type 'event', name
+   *   the event name) and Logfire spans (type 'span')
+   */
+  getCaptures(sink) {
+    const captures = {
+      sentry: () => this.sentry.getEnvelopes().flatMap(envelope => envelope.items.map(item => ({
+        sink: TELEMETRY_SINKS.sentry,
+        type: item.header.type,
+        name: TelemetryAssertions._getSentryName(item),
+        payload: TelemetryAssertions._readSentryPayload(item),
+      }))),
+      posthog: () => this.posthog.getEvents().map(event => ({
+        sink: TELEMETRY_SINKS.posthog,
+        type: 'event',
+        name: event.event,
+        payload: event,
+      })),
+      logfire: () => [
+        ...this.logfire.getSpans().map(span => ({ sink: TELEMETRY_SINKS.logfire, type: 'span', name: span.name, payload: span })),
+        ...this.logfire.getExports().filter(entry => entry.raw)
+          .map(entry => ({ sink: TELEMETRY_SINKS.logfire, type: 'protobuf', name: 'export', payload: entry.raw })),
+      ],
+    };
+    return (sink ? [sink] : Object.keys(captures)).flatMap(name => captures[name]());
+  }
+
+  /**
+   * Find the payloads of a sink that match
+   * @param {string} sink - One of TELEMETRY_SINKS
+   * @param {function(Object): boolean|Object} match - Predicate on the payload, or a partial
+   *   payload (nested objects match by subset, RegExp values by test)
+   * @returns {Object[]} Matching payloads (Sentry error events and PostHog events: of type 'event' only)
+   */
+  findEvents(sink, match) {
+    const type = sink === TELEMETRY_SINKS.logfire ? 'span' : 'event';
+    return this.getCaptures(sink)
+      .filter(capture => capture.type === type)
+      .map(capture => capture.payload)
+      .filter(payload => TelemetryAssertions._matches(payload, match));
+  }
+
+  /**
+   * Wait until a sink has received a matching event (or span, for Logfire)
+   * @param {string} sink - One of TELEMETRY_SINKS
+   * @param {function(Object): boolean|Object} match - Predicate or partial payload (see findEvents)
+   * @param {Object} options
+   * @param {number} options.timeout - Maximum wait time in ms
+   * @returns {Promise<Object>} The first matching payload
+   * @throws {Error} If nothing matches within the timeout, listing what was received
+   */
+  async expectEvent(sink, match, options = {}) {
+    const timeout = options.timeout ?? testConfig.timeouts.elementVisible;
+    const startTime = Date.now();
+    for (;;) {
+      const [event] = this.findEvents(sink, match);
+      if (event) {
+        return event;
+      }
+      if (Date.now() - startTime > timeout) {
+        const received = this.getCaptures(sink);
+        throw new Error(
+          `No ${sink} event matching ${util.inspect(match, { depth: 5, breakLength: Infinity })} within ${timeout}ms. ` +
+          `Received ${received.length}:` +
+          received.map(capture => `\n  ${capture.type} "${capture.name}"`).join('')
+        );
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Find credentials in everything the sinks received
+   * @returns {{sink: string, type: string, name: string, path: string, reason: string}[]}
+   */
+  getLeaks() {
+    return this._scan(this.getCaptures());
+  }
+
+  /**
+   * Throw if anything received since the last check leaks a credential
+   * @throws {TelemetryLeakError} Listing where each leak is (values are never included)
+   */
+  assertNoLeaks() {
+    const captures = Object.values(TELEMETRY_SINKS).flatMap(sink => {
+      const sinkCaptures = this.getCaptures(sink);
+      const unscanned = sinkCaptures.slice(this.scanned[sink]);
+      this.scanned[sink] = sinkCaptures.length;
+      return unscanned;
+    });
+    const leaks = this._scan(captures);
+    if (leaks.length > 0) {
+      throw new TelemetryLeakError(leaks);
+    }
+  }
+
+  /**
+   * Scan captures and label each finding with its capture
+   * @private
+   */
+  _scan(captures) {
+    return captures.flatMap(capture => TelemetryAssertions.scan(capture.payload, this.options)
+      .map(finding => ({ sink: capture.sink, type: capture.type, name: capture.name, ...finding })));
+  }
+
+  /**
+   * Reason a string value is a leak, or null
+   * @private
+   */
+  static _findLeak(text, key, sensitiveKeys, publicValues) {
+    if (SecretRedactor.contains(text)) {
+      return 'registered secret';
+    }
+    const remaining = publicValues.reduce((result, value) => result.split(value).join(''), text).trim();
+    const normalizedKey = String(key).split('.').pop().toLowerCase().replace(/[-_$]/g, '');
+    if (sensitiveKeys.has(normalizedKey) && remaining && !MASKED_VALUE.test(remaining)) {
+      return `sensitive field "${key}"`;
+    }
+    const match = VALUE_PATTERNS.find(({ pattern }) => pattern.test(remaining));
+    return match ? match.reason : null;
+  }
+
+  /**
+   * Scan settings with the public values the extension ships always allowed
+   * @private
+   */
+  static _getScanOptions(options) {
+    const scanOptions = { ...testConfig.telemetry, ...options };
+    return {
+      ...scanOptions,
+      publicValues: [testConfig.posthog.projectToken, testConfig.supabase.anonKey, ...scanOptions.publicValues],
+    };
+  }
+
+  /**
+   * Name of a Sentry item for reports: the exception or message of events, else the item type
+   * @private
+   */
+  static _getSentryName(item) {
+    const exception = item.payload?.exception?.values?.[0];
+    if (exception) {
+      return `${exception.type}: ${exception.value}`;
+    }
+    return item.payload?.message?.formatted || item.payload?.message || item.header.type;
+  }
+
+  /**
+   * Payload of a Sentry item, with replay recordings decompressed so they can be scanned
+   * @private
+   */
+  static _readSentryPayload(item) {
+    if (item.header.type !== 'replay_recording' || !Buffer.isBuffer(item.payload)) {
+      return item.payload;
+    }
+    try {
+      return SentryStandIn.readReplayRecording(item.payload);
+    } catch {
+      return item.payload;
+    }
+  }
+
+  /**
+   * Whether a payload matches a predicate or partial payload
+   * @private
+   */
+  static _matches(actual, expected) {
+    if (typeof expected === 'function') {
+      return Boolean(expected(actual));
+    }
+    if (expected instanceof RegExp) {
+      return typeof actual === 'string' && expected.test(actual);
+    }
+    if (expected && typeof expected === 'object') {
+      return Boolean(actual) && typeof actual === 'object'
+        && Object.entries(expected).every(([key, value]) => TelemetryAssertions._matches(actual[key], value));
+    }
+    return actual === expected;
+  }
+}
+
+module.exports = { TelemetryAssertions, TelemetryLeakError, TELEMETRY_SINKS };
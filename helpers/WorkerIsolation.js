@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCK_FILE = '.playwright-worker.lock';
+const TEMP_DIR_PREFIX = 'pw-extension';
+
+/**
+ * Thrown when a profile directory is already in use by a browser of this or another worker
+ */
+class ProfileInUseError extends Error {
+  /**
+   * @param {string} dir - Profile directory
+   * @param {{pid: number, workerIndex: number, lockedAt: string}} owner - Content of the lock file
+   */
+  constructor(dir, owner) {
+    super(
+      `Profile directory ${dir} is already in use by worker ${owner.workerIndex} ` +
+      `(pid ${owner.pid}, since ${owner.lockedAt}). Two browsers cannot share a userDataDir: ` +
+      'leave it empty for a temporary profile, or use WorkerIsolation.getWorkerDir(dir) ' +
+      'for one directory per worker.'
+    );
+    this.name = 'ProfileInUseError';
+    this.dir = dir;
+    this.owner = owner;
+  }
+}
+
+/**
+ * WorkerIsolation - Keeps parallel Playwright workers from sharing browser state
+ * Follows Single Responsibility Principle (SRP) - per-worker resources only
+ *
+ * Responsibilities:
+ * - Identify the worker (TEST_PARALLEL_INDEX, 0 outside Playwright workers)
+ * - Create temporary profile directories and per-worker directories under a shared base
+ * - Lock a profile directory to one browser, failing loudly on a second user
+ *   (stale locks of exited processes are taken over)
+ * - Offset fixed ports by the worker index
+ * - Write shared files atomically, so a worker never reads another's half-written file
+ */
+class WorkerIsolation {
+  /**
+   * Get the index of this worker among the ones running in parallel
+   * @returns {number}
+   */
+  static getWorkerIndex() {
+    return Number(process.env.TEST_PARALLEL_INDEX) || 0;
+  }
+
+  /**
+   * Create an empty temporary profile directory labelled with the worker index
+   * @returns {string} Directory path
+   */
+  static createTempProfileDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), `${TEMP_DIR_PREFIX}-w${WorkerIsolation.getWorkerIndex()}-`));
+  }
+
+  /**
+   * Get this worker's directory under a base directory (e.g. test-user-data/worker-1)
+   * @param {string} baseDir - Directory shared by all workers
+   * @returns {string}
+   */
+  static getWorkerDir(baseDir) {
+    return path.join(baseDir, `worker-${WorkerIsolation.getWorkerIndex()}`);
+  }
+
+  /**
+   * Get this worker's port for a fixed base port
+   * @param {number} basePort - Configured port (0 picks a free port and is returned as-is)
+   * @returns {number}
+   */
+  static getPort(basePort) {
+    return basePort ? basePort + WorkerIsolation.getWorkerIndex() : 0;
+  }
+
+  /**
+   * Lock a profile directory to the calling browser
+   * A lock left by a process that has exited (or an unreadable one) is taken over
+   * @param {string} dir - Profile directory (created if missing)
+   * @returns {string} Path of the lock file
+   * @throws {ProfileInUseError} If a live process, or this one, already holds the lock
+   */
+  static lockProfileDir(dir) {
+    const lockPath = path.join(dir, LOCK_FILE);
+    const owner = {
+      pid: process.pid,
+      workerIndex: WorkerIsolation.getWorkerIndex(),
+      lockedAt: new Date().toISOString(),
+    };
+    fs.mkdirSync(dir, { recursive: true });
+
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(owner), { flag: 'wx' });
+      return lockPath;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const current = WorkerIsolation._readLock(lockPath);
+    if (current && WorkerIsolation._isAlive(current.pid)) {
+      throw new ProfileInUseError(dir, current);
+    }
+    fs.rmSync(lockPath, { force: true });
+    return WorkerIsolation.lockProfileDir(dir);
+  }
+
+  /**
+   * Release a profile directory locked by this process
+   * @param {string} dir - Profile directory
+   */
+  static unlockProfileDir(dir) {
+    const lockPath = path.join(dir, LOCK_FILE);
+    if (WorkerIsolation._readLock(lockPath)?.pid === process.pid) {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Write a file through a temporary file and a rename
+   * @param {string} filePath - Destination
+   * @param {string|Buffer} data - Content
+   * @param {Object} options - fs.writeFileSync options (e.g. { mode: 0o600 })
+   */
+  static writeFileAtomic(filePath, data, options = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${WorkerIsolation.getWorkerIndex()}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, data, options);
+      fs.renameSync(tempPath, filePath);
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Read a lock file; an unreadable or half-written one counts as stale
+   * @private
+   */
+  static _readLock(lockPath) {
+    try {
+      return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a process exists (EPERM means it exists but belongs to another user)
+   * @private
+   */
+  static _isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+}
+
+module.exports = { WorkerIsolation, ProfileInUseError, LOCK_FILE };
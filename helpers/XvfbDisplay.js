@@ -0,0 +1,187 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_START_TIMEOUT = 10000;
+const STOP_TIMEOUT = 5000;
+
+const running = new Set();
+
+// Xvfb is a child of the worker; do not leave it behind when the worker exits
+process.once('exit', () => {
+  running.forEach(display => display.process.kill('SIGKILL'));
+});
+
+/**
+ * Thrown when Xvfb is missing or does not come up
+ */
+class XvfbError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   */
+  constructor(message) {
+    super(`${message} Install Xvfb (e.g. apt-get install xvfb) or run with HEADLESS_MODE=new.`);
+    this.name = 'XvfbError';
+  }
+}
+
+/**
+ * XvfbDisplay - Virtual X display for headed Chrome on display-less Linux machines
+ * Follows Single Responsibility Principle (SRP) - owns one Xvfb process only
+ *
+ * Responsibilities:
+ * - Detect whether a display is available (DISPLAY or WAYLAND_DISPLAY on Linux)
+ * - Start Xvfb on a free display number (picked by Xvfb itself via -displayfd, so
+ *   parallel workers never race for one) and wait until it accepts connections
+ * - Provide the environment a browser needs to use it, without touching process.env
+ * - Stop the process it started
+ */
+class XvfbDisplay {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.command - Xvfb executable name or path (default: Xvfb on PATH)
+   * @param {string} options.screen - Screen geometry and depth (default: 1280x720x24)
+   * @param {number} options.startTimeout - Time to wait for the display in ms
+   */
+  constructor(options = {}) {
+    this.options = {
+      command: 'Xvfb',
+      screen: '1280x720x24',
+      startTimeout: DEFAULT_START_TIMEOUT,
+      ...options,
+    };
+    this.process = null;
+    this.display = null;
+  }
+
+  /**
+   * Whether windows can be shown without Xvfb (always true outside Linux)
+   * @param {Object<string, string>} env - Environment variables (default: process.env)
+   * @param {string} platform - OS platform (default: process.platform)
+   * @returns {boolean}
+   */
+  static hasDisplay(env = process.env, platform = process.platform) {
+    if (platform !== 'linux') {
+      return true;
+    }
+    return Boolean(env.DISPLAY || env.WAYLAND_DISPLAY);
+  }
+
+  /**
+   * Find an executable by path or on PATH
+   * @param {string} command - Executable name or path
+   * @param {Object<string, string>} env - Environment variables (default: process.env)
+   * @returns {string|null} Absolute path, or null if not found
+   */
+  static findExecutable(command, env = process.env) {
+    const candidates = command.includes(path.sep)
+      ? [path.resolve(command)]
+      : (env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+    return candidates.find(candidate => {
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return fs.statSync(candidate).isFile();
+      } catch {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Start Xvfb and wait for its display
+   * @returns {Promise<XvfbDisplay>} Returns this instance for chaining
+   * @throws {XvfbError} If Xvfb is not installed, exits early or does not start in time
+   */
+  async start() {
+    if (this.process) {
+      return this;
+    }
+    const executable = XvfbDisplay.findExecutable(this.options.command);
+    if (!executable) {
+      throw new XvfbError(`${this.options.command} was not found on PATH.`);
+    }
+
+    const child = spawn(executable, ['-displayfd', '1', '-screen', '0', this.options.screen, '-nolisten', 'tcp'], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    this.display = await XvfbDisplay._waitForDisplay(child, this.options.startTimeout);
+    this.process = child;
+    running.add(this);
+    child.once('exit', () => running.delete(this));
+    return this;
+  }
+
+  /**
+   * Stop the Xvfb process this instance started
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.process) {
+      return;
+    }
+    const child = this.process;
+    this.process = null;
+    this.display = null;
+    running.delete(this);
+    if (child.exitCode !== null || child.signalCode !== null) {
+      return;
+    }
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill('SIGTERM');
+    const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT);
+    await exited;
+    clearTimeout(timer);
+  }
+
+  /**
+   * Get the display name (e.g. ":99")
+   * @returns {string|null} The display, or null if not started
+   */
+  getDisplay() {
+    return this.display;
+  }
+
+  /**
+   * Get environment variables for a process that should draw on this display
+   * @param {Object<string, string>} env - Base environment (default: process.env)
+   * @returns {Object<string, string>}
+   */
+  getEnv(env = process.env) {
+    return { ...env, DISPLAY: this.display };
+  }
+
+  /**
+   * Resolve with ":<n>" once Xvfb writes its display number, which it does when ready
+   * @private
+   */
+  static _waitForDisplay(child, timeout) {
+    return new Promise((resolve, reject) => {
+      let stdout = '';
+      let stderr = '';
+      const fail = message => {
+        clearTimeout(timer);
+        child.kill('SIGKILL');
+        const output = stderr.trim().split('\n').slice(-3).join(' | ');
+        reject(new XvfbError(`${message}${output ? ` (${output})` : ''}.`));
+      };
+      const timer = setTimeout(() => fail(`Xvfb did not start within ${timeout}ms`), timeout);
+
+      child.stderr.on('data', chunk => {
+        stderr += chunk;
+      });
+      child.stdout.on('data', chunk => {
+        stdout += chunk;
+        const match = stdout.match(/^(\d+)\n/);
+        if (match) {
+          clearTimeout(timer);
+          resolve(`:${match[1]}`);
+        }
+      });
+      child.once('error', error => fail(`Xvfb could not be started: ${error.message}`));
+      child.once('exit', code => fail(`Xvfb exited with code ${code}`));
+    });
+  }
+}
+
+module.exports = { XvfbDisplay, XvfbError };
@@ -1,3 +1,4 @@
+const fs = require('fs');
 const testConfig = require('../config/test.config');
 
 /**
@@ -127,6 +128,18 @@ class BasePage {
     }
   }
 
+  /**
+   * Answer requests for a URL with a local HTML fixture
+   * Lets content scripts inject on a site's URL without network access
+   * @param {string|RegExp} url - URL, glob or pattern to intercept (see page.route)
+   * @param {string} fixturePath - Path of the HTML file to serve
+   * @returns {Promise<void>}
+   */
+  async serveFixture(url, fixturePath) {
+    const body = fs.readFileSync(fixturePath, 'utf8');
+    await this.page.route(url, route => route.fulfill({ contentType: 'text/html', body }));
+  }
+
   /**
    * Get current page URL
    * @returns {string}
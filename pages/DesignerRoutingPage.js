@@ -0,0 +1,125 @@
+const { BasePage } = require('./BasePage');
+const testConfig = require('../config/test.config');
+
+/**
+ * The two ways content-automation.js learns that a tool call finished
+ * - message: runtime message `{ type, toolCallType, toolCallId, success }`
+ * - event: window CustomEvent whose detail carries the same fields
+ */
+const TOOL_CALL_TRIGGERS = {
+  message: 'TOOL_CALL_COMPLETED',
+  event: 'CONFIRMIT_TOOL_CALL_COMPLETED',
+};
+
+/**
+ * @typedef {Object} ToolCall
+ * @property {string} toolCallType - e.g. 'updateQuestion', 'updateAnswers'
+ * @property {string} toolCallId - Tool call ID
+ * @property {boolean} success - Whether the tool call succeeded
+ */
+
+/**
+ * Designer Routing Page Object
+ * Drives content-automation.js routing auto-navigation on a Confirmit-like designer page
+ * Follows Page Object Model - only contains elements and methods, no test logic
+ *
+ * Every surveydesigner URL is answered with the designer-routing fixture, so the page
+ * reached by clicking the Routing link is served too. Its `via` query parameter names
+ * the link variant that was clicked.
+ *
+ * @extends BasePage
+ */
+class DesignerRoutingPage extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {import('../helpers/ServiceWorkerBridge').ServiceWorkerBridge} serviceWorkerBridge - Bridge used to message the tab
+   */
+  constructor(page, serviceWorkerBridge) {
+    super(page);
+    this.serviceWorkerBridge = serviceWorkerBridge;
+    this.config = testConfig.routingAutomation;
+
+    this._initLocators();
+  }
+
+  /**
+   * Initialize locators for the designer page
+   * @private
+   */
+  _initLocators() {
+    this.sidebar = this.page.locator('#designer-sidebar');
+    this.viewTitle = this.page.locator('#designer-view');
+  }
+
+  /**
+   * Open the questionnaire view with a Routing link variant and wait for content-automation.js
+   * @param {string} variant - One of testConfig.routingAutomation.variants, or 'no-link'
+   * @returns {Promise<void>}
+   */
+  async goto(variant) {
+    await this.serveFixture(this.config.urlPattern, this.config.fixturePath);
+    await this.page.goto(`${this.config.url}?variant=${encodeURIComponent(variant)}`, {
+      waitUntil: 'domcontentloaded',
+      timeout: this.timeouts.pageLoad,
+    });
+    await this.waitForContentScript();
+  }
+
+  /**
+   * Wait until content-automation.js answers in the page's tab
+   * It answers every TOOL_CALL_COMPLETED with { received: true }; a failed, unrelated
+   * tool call is used so the probe cannot trigger navigation
+   * @returns {Promise<void>}
+   * @throws {Error} If the content script does not answer in time
+   */
+  async waitForContentScript() {
+    await this.serviceWorkerBridge.waitForTabResponse(this.page, {
+      type: TOOL_CALL_TRIGGERS.message,
+      toolCallType: 'contentScriptProbe',
+      toolCallId: 'probe',
+      success: false,
+    });
+  }
+
+  /**
+   * Report a finished tool call to the page, the way the extension does
+   * @param {ToolCall} toolCall - Tool call fields
+   * @param {Object} options - Options
+   * @param {'message'|'event'} options.trigger - Runtime message or window event (default 'message')
+   * @returns {Promise<*>} The content script's response for 'message', undefined for 'event'
+   */
+  async completeToolCall(toolCall, options = {}) {
+    const { trigger = 'message' } = options;
+    const fields = { toolCallId: `tool-call-${Date.now()}`, ...toolCall };
+
+    if (trigger === 'message') {
+      return await this.serviceWorkerBridge.sendTabMessage(this.page, { type: TOOL_CALL_TRIGGERS.message, ...fields });
+    }
+    if (trigger === 'event') {
+      await this.page.evaluate(({ type, detail }) => {
+        window.dispatchEvent(new CustomEvent(type, { detail }));
+      }, { type: TOOL_CALL_TRIGGERS.event, detail: fields });
+      return undefined;
+    }
+    throw new Error(`Unknown tool call trigger: ${trigger}. Use ${Object.keys(TOOL_CALL_TRIGGERS).join(' or ')}`);
+  }
+
+  /**
+   * Wait for the page to navigate to the routing view (/design/nodes)
+   * @param {number} timeout - Optional timeout override (default: config navigationTimeout)
+   * @returns {Promise<boolean>} True if the routing view was reached in time
+   */
+  async waitForRoutingNavigation(timeout = null) {
+    return await this.waitForUrlContains(this.config.routingPath, timeout || this.config.navigationTimeout);
+  }
+
+  /**
+   * Get the Routing link variant that led to the current page
+   * @returns {string|null} The variant, or null if no Routing link was followed
+   */
+  getNavigationSource() {
+    return new URL(this.getCurrentUrl()).searchParams.get('via');
+  }
+}
+
+module.exports = { DesignerRoutingPage, TOOL_CALL_TRIGGERS };
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { BasePage } = require('./BasePage');
+const testConfig = require('../config/test.config');
+
+/**
+ * Message type content-document-viewer.js handles, as a runtime message or window.postMessage
+ */
+const SHOW_DOCUMENT_VIEWER = 'SHOW_DOCUMENT_VIEWER';
+
+/**
+ * @typedef {Object} ViewerDocument
+ * @property {string} name - File name; its extension picks the viewer when mimeType is absent
+ * @property {string} url - Where the viewer loads the file from
+ * @property {string} [mimeType] - Content type overriding the extension
+ */
+
+/**
+ * Document Viewer Page Object
+ * Drives the SHOW_DOCUMENT_VIEWER overlay of content-document-viewer.js on a plain website
+ * Follows Page Object Model - only contains elements and methods, no test logic
+ *
+ * - The host page and the files under fixtures/documents are served by page routes
+ *   (see testConfig.documentViewer); serveDocument() adds generated files such as large ones
+ * - The viewer's backdrop, header and buttons have no IDs; they are located relative to
+ *   #confirmit-document-viewer-overlay
+ *
+ * @extends BasePage
+ */
+class DocumentViewerPage extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {import('../helpers/ServiceWorkerBridge').ServiceWorkerBridge} serviceWorkerBridge - Bridge used to message the tab
+   */
+  constructor(page, serviceWorkerBridge) {
+    super(page);
+    this.serviceWorkerBridge = serviceWorkerBridge;
+    this.config = testConfig.documentViewer;
+    this.selectors = this.config.selectors;
+    this.documents = new Map();
+
+    this._initLocators();
+  }
+
+  /**
+   * Initialize locators for the viewer
+   * @private
+   */
+  _initLocators() {
+    this.overlay = this.page.locator(this.selectors.overlay);
+    // Appended right before the viewer, and left behind when a new viewer replaces it
+    this.backdrop = this.overlay.locator('xpath=preceding-sibling::div[1]');
+    this.header = this.overlay.locator('xpath=./div[1]');
+    this.title = this.header.locator('span').first();
+    this.downloadButton = this.overlay.locator('button[title="Download"]');
+    this.fullscreenButton = this.overlay.locator('button[title="Fullscreen"]');
+    this.closeButton = this.overlay.locator('button[title="Close"]');
+    this.content = this.overlay.locator('xpath=./div[2]');
+    this.resizeHandle = this.overlay.locator('xpath=./div[3]');
+    this.textContent = this.content.locator('pre');
+    this.image = this.content.locator('img');
+    this.frame = this.content.locator('iframe');
+    this.errorMessage = this.content.locator('.text-red-500');
+  }
+
+  /**
+   * Serve the host page and documents, open the page and wait for the content script
+   * @returns {Promise<void>}
+   */
+  async goto() {
+    await this.serveFixture(this.config.url, this.config.hostFixturePath);
+    await this.page.route(`${this.config.documentsUrl}**`, route => this._fulfillDocument(route));
+    await this.page.goto(this.config.url, {
+      waitUntil: 'domcontentloaded',
+      timeout: this.timeouts.pageLoad,
+    });
+    await this.waitForContentScript();
+  }
+
+  /**
+   * Wait for content-document-viewer.js to post CONTENT_SCRIPT_READY to the page
+   * @returns {Promise<void>}
+   */
+  async waitForContentScript() {
+    await this.page.waitForFunction(() => window.documentViewerReady === true, null, {
+      timeout: this.timeouts.extensionLoad,
+    });
+  }
+
+  /**
+   * Serve a generated document under documentsUrl (takes precedence over fixture files)
+   * @param {string} name - File name
+   * @param {string|Buffer} body - File contents
+   * @param {string} contentType - Response content type
+   * @returns {string} The document URL
+   */
+  serveDocument(name, body, contentType) {
+    this.documents.set(name, { body, contentType });
+    return this.getDocumentUrl(name);
+  }
+
+  /**
+   * Get the URL a document is served at
+   * @param {string} name - File name (from fixtures/documents or serveDocument)
+   * @returns {string}
+   */
+  getDocumentUrl(name) {
+    return `${this.config.documentsUrl}${encodeURIComponent(name)}`;
+  }
+
+  /**
+   * Build a viewer document for a served file
+   * @param {string} name - File name
+   * @param {Object} overrides - Extra or replaced fields (e.g. mimeType)
+   * @returns {ViewerDocument}
+   */
+  documentFor(name, overrides = {}) {
+    return { name, url: this.getDocumentUrl(name), ...overrides };
+  }
+
+  /**
+   * Send SHOW_DOCUMENT_VIEWER as a runtime message to the page's tab
+   * @param {ViewerDocument|*} document - Document payload (anything, to test malformed payloads)
+   * @returns {Promise<{success: boolean, error?: string}>} The content script's reply
+   */
+  async open(document) {
+    return await this.serviceWorkerBridge.sendTabMessage(this.page, { type: SHOW_DOCUMENT_VIEWER, document });
+  }
+
+  /**
+   * Send a raw runtime message to the page's tab (e.g. one without a document field)
+   * @param {Object} message - Message to send
+   * @returns {Promise<*>} The content script's reply
+   */
+  async sendMessage(message) {
+    return await this.serviceWorkerBridge.sendTabMessage(this.page, message);
+  }
+
+  /**
+   * Send SHOW_DOCUMENT_VIEWER with window.postMessage from the page (no reply on this path)
+   * @param {ViewerDocument|*} document - Document payload
+   * @returns {Promise<void>}
+   */
+  async postDocument(document) {
+    await this.page.evaluate(payload => {
+      window.postMessage(payload, '*');
+    }, { type: SHOW_DOCUMENT_VIEWER, document });
+  }
+
+  /**
+   * Drag the viewer by its header
+   * @param {number} dx - Horizontal distance in px
+   * @param {number} dy - Vertical distance in px
+   * @returns {Promise<void>}
+   */
+  async dragBy(dx, dy) {
+    // Grab the title, not the buttons: a mousedown on a button does not start a drag
+    const box = await this.title.boundingBox();
+    const startX = box.x + box.width / 2;
+    const startY = box.y + box.height / 2;
+    await this.page.mouse.move(startX, startY);
+    await this.page.mouse.down();
+    await this.page.mouse.move(startX + dx, startY + dy, { steps: 5 });
+    await this.page.mouse.up();
+  }
+
+  /**
+   * Click the backdrop outside the viewer
+   * @returns {Promise<void>}
+   */
+  async clickBackdrop() {
+    await this.backdrop.click({ position: { x: 5, y: 5 } });
+  }
+
+  /**
+   * Get the viewer's inline position and its offset position
+   * @returns {Promise<{left: string, top: string, transform: string, offsetLeft: number, offsetTop: number}>}
+   */
+  async getPosition() {
+    return await this.overlay.evaluate(element => ({
+      left: element.style.left,
+      top: element.style.top,
+      transform: element.style.transform,
+      offsetLeft: element.offsetLeft,
+      offsetTop: element.offsetTop,
+    }));
+  }
+
+  /**
+   * Count the backdrops left in the page
+   * @returns {Promise<number>}
+   */
+  async countBackdrops() {
+    return await this.page.evaluate(() => [...document.body.children]
+      .filter(element => element.style.inset === '0px' && element.style.zIndex === '2147483646').length);
+  }
+
+  /**
+   * Answer a document request from serveDocument() entries or fixtures/documents
+   * @param {import('@playwright/test').Route} route
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _fulfillDocument(route) {
+    const name = decodeURIComponent(new URL(route.request().url()).pathname.split('/').pop());
+    const headers = { 'access-control-allow-origin': '*' };
+    const generated = this.documents.get(name);
+    if (generated) {
+      await route.fulfill({ headers, contentType: generated.contentType, body: generated.body });
+      return;
+    }
+    const filePath = path.join(this.config.fixturesDir, name);
+    if (name && fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+      await route.fulfill({ headers, path: filePath });
+      return;
+    }
+    await route.fulfill({ status: 404, headers, contentType: 'text/plain', body: 'Not found' });
+  }
+}
+
+module.exports = { DocumentViewerPage, SHOW_DOCUMENT_VIEWER };
@@ -1,6 +1,9 @@
 const { BasePage } = require('./BasePage');
 const testConfig = require('../config/test.config');
 
+const AUTH_EVENT_BINDING = '__sidePanelAuthEvent';
+const AUTH_EVENT_POLL_INTERVAL = 100;
+
 /**
  * Extension Side Panel Page Object
  * Contains locators and interaction methods for the extension side panel
@@ -17,11 +20,20 @@ class ExtensionSidePanelPage extends BasePage {
     super(page);
     this.extensionId = extensionId;
     this.selectors = testConfig.extensionSelectors;
-    this.credentials = testConfig.extensionCredentials;
+    this.authEvents = [];
+    this.authEventsObserved = false;
     
     this._initLocators();
   }
 
+  /**
+   * Configured extension credentials (resolved on access; throws if missing)
+   * @returns {{username: string, password: string}}
+   */
+  get credentials() {
+    return testConfig.extensionCredentials;
+  }
+
   /**
    * Initialize all locators for the page
    * @private
@@ -33,6 +45,7 @@ class ExtensionSidePanelPage extends BasePage {
     this.loginForm = this.page.locator(this.selectors.loginForm);
     this.errorMessage = this.page.locator(this.selectors.errorMessage);
     this.successIndicator = this.page.locator(this.selectors.successIndicator);
+    this.chatInput = this.page.locator(this.selectors.chatInput);
     this.rootElement = this.page.locator('#root');
   }
 
@@ -102,8 +115,9 @@ class ExtensionSidePanelPage extends BasePage {
    * @returns {Promise<boolean>} True if login successful
    */
   async login(username = null, password = null) {
-    const user = username || this.credentials.username;
-    const pass = password || this.credentials.password;
+    const credentials = username && password ? null : this.credentials;
+    const user = username || credentials.username;
+    const pass = password || credentials.password;
 
     try {
       await this.fillUsername(user);
@@ -192,6 +206,20 @@ class ExtensionSidePanelPage extends BasePage {
     return await this.getText(this.errorMessage);
   }
 
+  /**
+   * Wait for the login form to show an error message
+   * @param {string} text - Optional message text to wait for (see testConfig.extensionLoginMessages)
+   * @param {number} timeout - Optional timeout override
+   * @returns {Promise<string>} The visible error text
+   */
+  async waitForErrorMessage(text = null, timeout = null) {
+    const locator = text
+      ? this.page.getByText(text, { exact: false }).first()
+      : this.errorMessage.first();
+    await this.waitForVisible(locator, timeout);
+    return (await locator.textContent()) || '';
+  }
+
   /**
    * Check if success indicator is visible (post-login)
    * @returns {Promise<boolean>}
@@ -230,6 +258,73 @@ class ExtensionSidePanelPage extends BasePage {
     return await this.getInputValue(this.passwordInput);
   }
 
+  /**
+   * Record the auth events the panel's supabase-js client emits, from now on and across reloads
+   * supabase-js posts every event it notifies its onAuthStateChange listeners of to a
+   * BroadcastChannel named after its storage key; a second channel in the page receives them.
+   * Call before goto() so the events of the first load are seen.
+   * @returns {Promise<void>}
+   */
+  async observeAuthEvents() {
+    if (this.authEventsObserved) {
+      return;
+    }
+    this.authEventsObserved = true;
+    await this.page.exposeFunction(AUTH_EVENT_BINDING, event => this.authEvents.push(event));
+    await this.page.addInitScript(({ binding, storageKey }) => {
+      new BroadcastChannel(storageKey).onmessage = message => window[binding](message.data.event);
+    }, { binding: AUTH_EVENT_BINDING, storageKey: testConfig.supabase.authStorageKey });
+  }
+
+  /**
+   * Get the auth events recorded since observeAuthEvents(), in order
+   * @returns {string[]} e.g. ['SIGNED_IN', 'TOKEN_REFRESHED'] (see AUTH_EVENTS)
+   */
+  getAuthEvents() {
+    return [...this.authEvents];
+  }
+
+  /**
+   * Wait until the panel has emitted an auth event
+   * @param {string} event - Event name (see AUTH_EVENTS in servers/SupabaseAuthStandIn)
+   * @param {number} timeout - Optional timeout override
+   * @returns {Promise<void>}
+   * @throws {Error} If observeAuthEvents() was not called or the event does not occur in time
+   */
+  async waitForAuthEvent(event, timeout = null) {
+    if (!this.authEventsObserved) {
+      throw new Error('Call observeAuthEvents() before waiting for auth events');
+    }
+    const limit = timeout || this.timeouts.elementVisible;
+    const deadline = Date.now() + limit;
+    while (!this.authEvents.includes(event)) {
+      if (Date.now() > deadline) {
+        throw new Error(`The side panel emitted no ${event} within ${limit}ms (events: ${this.authEvents.join(', ') || 'none'})`);
+      }
+      await this.page.waitForTimeout(AUTH_EVENT_POLL_INTERVAL);
+    }
+  }
+
+  /**
+   * Read the session supabase-js persisted in the panel's localStorage
+   * @returns {Promise<Object|null>} GoTrue session ({ access_token, refresh_token, user, ... }) or null
+   */
+  async getStoredSession() {
+    const stored = await this.page.evaluate(key => localStorage.getItem(key), testConfig.supabase.authStorageKey);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Send a prompt from the chat input (Enter submits it)
+   * The input stays disabled until the panel has the designer's Bearer token
+   * @param {string} text - Prompt to send
+   * @returns {Promise<void>}
+   */
+  async sendChatMessage(text) {
+    await this.chatInput.fill(text, { timeout: this.timeouts.elementVisible });
+    await this.chatInput.press('Enter');
+  }
+
   /**
    * Get element counts for debugging
    * @returns {Promise<Object>} Object with element counts
@@ -78,8 +78,9 @@ class ExternalSitePage extends BasePage {
    * @returns {Promise<boolean>} True if login successful
    */
   async login(username = null, password = null) {
-    const user = username || this.config.credentials.username;
-    const pass = password || this.config.credentials.password;
+    const credentials = username && password ? null : this.config.credentials;
+    const user = username || credentials.username;
+    const pass = password || credentials.password;
 
     try {
       if (this.config.isMultiStep) {
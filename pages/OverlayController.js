@@ -0,0 +1,205 @@
+const { BasePage } = require('./BasePage');
+const testConfig = require('../config/test.config');
+
+/**
+ * Message types handled by content-overlay.js (`type` field)
+ */
+const OVERLAY_MESSAGES = {
+  show: 'SHOW_OVERLAY',
+  hide: 'HIDE_OVERLAY',
+  showBlocking: 'SHOW_BLOCKING_OVERLAY',
+  hideBlocking: 'HIDE_BLOCKING_OVERLAY',
+  getStatus: 'GET_OVERLAY_STATUS',
+  cleanup: 'CLEANUP_OVERLAY',
+};
+
+/**
+ * @typedef {Object} OverlayStatus
+ * @property {boolean} success - Always true when the content script answered
+ * @property {boolean} isActive - Whether the processing notification is showing
+ * @property {boolean} overlayExists - Whether the notification element has been created
+ */
+
+/**
+ * Overlay Controller Page Object
+ * Drives content-overlay.js on a Confirmit-like survey designer page
+ * Follows Page Object Model - only contains elements and methods, no test logic
+ *
+ * - The designer page is the designer-actions fixture, served at a confirmit.com URL so
+ *   the content script injects (see testConfig.contentOverlay)
+ * - Overlay messages go through the service worker with chrome.tabs.sendMessage, the same
+ *   channel the side panel uses
+ * - The fixture records every designer action click that reaches the page, so blocked
+ *   clicks can be told apart from clicks that went through
+ *
+ * @extends BasePage
+ */
+class OverlayController extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page instance
+   * @param {import('../helpers/ServiceWorkerBridge').ServiceWorkerBridge} serviceWorkerBridge - Bridge used to message the tab
+   */
+  constructor(page, serviceWorkerBridge) {
+    super(page);
+    this.serviceWorkerBridge = serviceWorkerBridge;
+    this.config = testConfig.contentOverlay;
+    this.selectors = this.config.selectors;
+
+    this._initLocators();
+  }
+
+  /**
+   * Initialize locators for the overlay elements and the designer page
+   * @private
+   */
+  _initLocators() {
+    this.notification = this.page.locator(this.selectors.notification);
+    this.blockingOverlay = this.page.locator(this.selectors.blockingOverlay);
+    this.toast = this.page.locator(this.selectors.toast);
+    this.styles = this.page.locator(this.selectors.styles);
+    this.actionLog = this.page.locator(this.selectors.actionLog);
+    this.routingNodes = this.page.locator(this.selectors.routingNodes);
+    this.addFirstButton = this.page.locator('button[data-guide-action="add-first"]');
+  }
+
+  /**
+   * Serve the designer fixture at the Confirmit URL, open it and wait for content-overlay.js
+   * @returns {Promise<void>}
+   */
+  async goto() {
+    await this.serveFixture(this.config.url, this.config.fixturePath);
+    await this.page.goto(this.config.url, {
+      waitUntil: 'domcontentloaded',
+      timeout: this.timeouts.pageLoad,
+    });
+    await this.waitForContentScript();
+  }
+
+  /**
+   * Wait until content-overlay.js answers in the page's tab
+   * (it registers its listener at document_idle, after the page has loaded)
+   * @returns {Promise<void>}
+   * @throws {Error} If the content script does not answer in time
+   */
+  async waitForContentScript() {
+    await this.serviceWorkerBridge.waitForTabResponse(this.page, { type: OVERLAY_MESSAGES.getStatus });
+  }
+
+  /**
+   * Send an overlay message to the page's tab
+   * @param {string} type - One of OVERLAY_MESSAGES
+   * @returns {Promise<*>} The content script's response
+   */
+  async send(type) {
+    return await this.serviceWorkerBridge.sendTabMessage(this.page, { type });
+  }
+
+  /**
+   * Show the processing notification and start blocking designer actions
+   * @returns {Promise<{success: boolean}>}
+   */
+  async showOverlay() {
+    return await this.send(OVERLAY_MESSAGES.show);
+  }
+
+  /**
+   * Hide the notification and the blocking overlay, and stop blocking designer actions
+   * @returns {Promise<{success: boolean}>}
+   */
+  async hideOverlay() {
+    return await this.send(OVERLAY_MESSAGES.hide);
+  }
+
+  /**
+   * Show the full-page blocking overlay (hides the notification)
+   * @returns {Promise<{success: boolean}>}
+   */
+  async showBlockingOverlay() {
+    return await this.send(OVERLAY_MESSAGES.showBlocking);
+  }
+
+  /**
+   * Hide the full-page blocking overlay
+   * @returns {Promise<{success: boolean}>}
+   */
+  async hideBlockingOverlay() {
+    return await this.send(OVERLAY_MESSAGES.hideBlocking);
+  }
+
+  /**
+   * Ask the content script for the notification state
+   * @returns {Promise<OverlayStatus>}
+   */
+  async getStatus() {
+    return await this.send(OVERLAY_MESSAGES.getStatus);
+  }
+
+  /**
+   * Remove every element the overlay added and stop blocking
+   * @returns {Promise<{success: boolean}>}
+   */
+  async cleanup() {
+    return await this.send(OVERLAY_MESSAGES.cleanup);
+  }
+
+  /**
+   * Get a node menu item by its data-dropdown-action
+   * @param {string} action - e.g. 'delete', 'duplicate', 'add-Before'
+   * @returns {import('@playwright/test').Locator}
+   */
+  dropdownAction(action) {
+    return this.page.locator(`li[data-dropdown-action="${action}"]`).first();
+  }
+
+  /**
+   * Get an add-node button by position
+   * @param {'Before'|'After'|'Inside'} position
+   * @returns {import('@playwright/test').Locator}
+   */
+  addNodeButton(position) {
+    return this.page.locator(`button[data-add-node="true"][data-position="${position}"]`).first();
+  }
+
+  /**
+   * Add a routing node with its own menu, as Confirmit does when the tree re-renders
+   * @param {string[]} actions - data-dropdown-action values for the node's menu
+   * @returns {Promise<import('@playwright/test').Locator>} The new node
+   */
+  async addRoutingNode(actions) {
+    const nodeId = await this.page.evaluate(menuActions => {
+      const node = document.createElement('li');
+      node.className = 'routing-node';
+      node.dataset.nodeId = String(document.querySelectorAll('.routing-node').length + 1);
+      const menu = document.createElement('ul');
+      menu.className = 'node-menu';
+      menuActions.forEach(action => {
+        const item = document.createElement('li');
+        item.dataset.dropdownAction = action;
+        item.textContent = action;
+        menu.appendChild(item);
+      });
+      node.appendChild(menu);
+      document.querySelector('.routing-nodes').appendChild(node);
+      return node.dataset.nodeId;
+    }, actions);
+    return this.page.locator(`.routing-node[data-node-id="${nodeId}"]`);
+  }
+
+  /**
+   * Get the designer actions whose clicks reached the page, in order
+   * @returns {Promise<string[]>}
+   */
+  async getRecordedActions() {
+    return await this.page.evaluate(() => [...window.designerActions]);
+  }
+
+  /**
+   * Serialize the whole document, to compare the page before and after the overlay
+   * @returns {Promise<string>}
+   */
+  async getDomSnapshot() {
+    return await this.page.evaluate(() => document.documentElement.outerHTML);
+  }
+}
+
+module.exports = { OverlayController, OVERLAY_MESSAGES };
@@ -2,6 +2,64 @@
 const { defineConfig } = require('@playwright/test');
 const path = require('path');
 const testConfig = require('./config/test.config');
+const { EnvironmentProfiles } = require('./helpers/EnvironmentProfiles');
+
+/**
+ * Projects for one environment profile
+ * @param {Object} environment - Resolved profile (see config/environments.js)
+ * @returns {import('@playwright/test').Project[]}
+ */
+function createProjects(environment) {
+  /* HEADLESS_MODE=new runs without a display; headed and xvfb show a window (see BrowserManager) */
+  const headless = testConfig.browser.headlessMode === 'new';
+  return [
+    {
+      // Static checks of the extension build; every browser project waits for them
+      name: 'extension-build',
+      testMatch: /manifest-validation\.spec\.js/,
+    },
+    {
+      name: 'extension-tests',
+      testMatch: /login-flow\.spec\.js/,
+      dependencies: ['extension-build'],
+      use: {
+        // These tests manage their own browser context with extension loaded
+        headless,
+        channel: testConfig.browser.channel,
+      },
+    },
+    {
+      name: 'chromium-extension',
+      testIgnore: [/login-flow\.spec\.js/, /manifest-validation\.spec\.js/],
+      dependencies: ['extension-build'],
+      use: {
+        // Old headless mode cannot load extensions; new headless mode can
+        headless,
+
+        // Chromium, since branded Chrome 137+ ignores --load-extension (BROWSER_CHANNEL to override)
+        channel: testConfig.browser.channel,
+
+        // Launch options for extension loading
+        launchOptions: {
+          args: [
+            `--disable-extensions-except=${environment.extensionPath}`,
+            `--load-extension=${environment.extensionPath}`,
+            '--no-first-run',
+            '--disable-default-apps',
+          ],
+        },
+
+        // Viewport settings
+        viewport: { width: 1280, height: 720 },
+      },
+    },
+  ];
+}
+
+/* TEST_ENVS=staging,qa (or all) runs every project once per profile, e.g. chromium-extension@staging */
+const environments = process.env.TEST_ENVS
+  ? new EnvironmentProfiles().resolveList(process.env.TEST_ENVS)
+  : null;
 
 /**
  * Playwright configuration for Chrome Extension testing
@@ -10,8 +68,9 @@ const testConfig = require('./config/test.config');
 module.exports = defineConfig({
   testDir: './tests',
   
-  /* Run tests in files in parallel */
-  fullyParallel: false, // Extensions require sequential execution
+  /* Spec files run in parallel workers, each with its own browser and profile (WorkerIsolation);
+     tests within a file keep their order, because suites share state set up in beforeAll */
+  fullyParallel: false,
   
   /* Fail the build on CI if you accidentally left test.only in the source code */
   forbidOnly: !!process.env.CI,
@@ -19,11 +78,12 @@ module.exports = defineConfig({
   /* Retry on CI only */
   retries: process.env.CI ? 2 : 0,
   
-  /* Opt out of parallel tests - extensions need single browser instance */
-  workers: 1,
+  /* TEST_WORKERS, default half the CPU cores */
+  workers: testConfig.parallel.workers,
   
-  /* Reporter to use */
+  /* Reporter to use; SecretRedactionReporter masks credentials before the html report is built */
   reporter: [
+    ['./helpers/SecretRedactionReporter.js'],
     ['html'],
     ['list']
   ],
@@ -47,40 +107,9 @@ module.exports = defineConfig({
   },
 
   /* Configure projects - extension tests manage their own browser */
-  projects: [
-    {
-      name: 'extension-tests',
-      testMatch: /login-flow\.spec\.js/,
-      use: {
-        // These tests manage their own browser context with extension loaded
-        headless: false,
-      },
-    },
-    {
-      name: 'chromium-extension',
-      testIgnore: /login-flow\.spec\.js/,
-      use: {
-        // Chrome extensions require headed mode
-        headless: false,
-
-        // Use Chrome channel for extension support
-        channel: 'chrome',
-
-        // Launch options for extension loading
-        launchOptions: {
-          args: [
-            `--disable-extensions-except=${testConfig.extensionPath}`,
-            `--load-extension=${testConfig.extensionPath}`,
-            '--no-first-run',
-            '--disable-default-apps',
-          ],
-        },
-
-        // Viewport settings
-        viewport: { width: 1280, height: 720 },
-      },
-    },
-  ],
+  projects: environments
+    ? EnvironmentProfiles.expandProjects(createProjects, environments)
+    : createProjects(testConfig.environment),
 });
 
 
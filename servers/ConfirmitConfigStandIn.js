@@ -0,0 +1,150 @@
+const testConfig = require('../config/test.config');
+
+/**
+ * ConfirmitConfigStandIn - Route-level stand-in for the Metaforms confirmit-config endpoint
+ * Follows Single Responsibility Principle (SRP) - tells the side panel which Confirmit base URLs to use
+ *
+ * Responsibilities:
+ * - Answer GET {apiUrl}/document_to_survey_convertor/extension/confirmit-config with
+ *   { confirmit_base_url } (a string, or an array for several Forsta instances)
+ * - Record each call with the Authorization header the panel sent
+ *
+ * The side panel only treats a tab as a Confirmit page when its URL starts with the base URL
+ * from this endpoint, and copies the value into chrome.storage.local (confirmit_config) for
+ * background.js. Installed on a browser context with context.route().
+ */
+class ConfirmitConfigStandIn {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string|string[]} options.baseUrls - Base URLs to hand out
+   *   (default: testConfig.confirmitStandIn.baseUrls)
+   * @param {string} options.apiUrl - Metaforms API URL to intercept (default: testConfig.generationBackend.apiUrl)
+   */
+  constructor(options = {}) {
+    this.options = {
+      baseUrls: testConfig.confirmitStandIn.baseUrls,
+      apiUrl: testConfig.generationBackend.apiUrl,
+      ...options,
+    };
+    this.calls = [];
+    this.context = null;
+    this.routeHandler = null;
+  }
+
+  /**
+   * Get the endpoint URL this stand-in answers
+   * @returns {string}
+   */
+  getEndpointUrl() {
+    return `${this.options.apiUrl}${testConfig.generationBackend.confirmitConfigPath}`;
+  }
+
+  /**
+   * Intercept the confirmit-config endpoint in a browser context
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @returns {Promise<ConfirmitConfigStandIn>} Returns this instance for chaining
+   */
+  async install(context) {
+    this.context = context;
+    this.routeHandler = async (route) => {
+      const request = route.request();
+      const response = this.handle({
+        method: request.method(),
+        url: request.url(),
+        headers: await request.allHeaders(),
+      });
+      await route.fulfill({
+        status: response.status,
+        headers: this._getCorsHeaders(),
+        contentType: 'application/json',
+        body: JSON.stringify(response.body),
+      });
+    };
+    await context.route(`${this.getEndpointUrl()}*`, this.routeHandler);
+    return this;
+  }
+
+  /**
+   * Stop intercepting
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (this.context && this.routeHandler) {
+      await this.context.unroute(`${this.getEndpointUrl()}*`, this.routeHandler);
+    }
+    this.context = null;
+    this.routeHandler = null;
+  }
+
+  /**
+   * Answer one confirmit-config request
+   * Exposed separately from install() so the responses can be checked without a browser
+   * @param {{method: string, url: string, headers?: Object<string, string>}} request
+   * @returns {{status: number, body: Object}}
+   */
+  handle(request) {
+    if (request.method === 'OPTIONS') {
+      return { status: 200, body: {} };
+    }
+
+    const headers = request.headers || {};
+    this.calls.push({
+      method: request.method,
+      url: request.url,
+      authorization: headers.authorization || null,
+    });
+
+    if (request.method !== 'GET') {
+      return { status: 405, body: { detail: 'Method Not Allowed' } };
+    }
+    return { status: 200, body: { confirmit_base_url: this.options.baseUrls } };
+  }
+
+  /**
+   * Replace the base URLs handed out from now on
+   * @param {string|string[]} baseUrls
+   * @returns {ConfirmitConfigStandIn} Returns this instance for chaining
+   */
+  setBaseUrls(baseUrls) {
+    this.options.baseUrls = baseUrls;
+    return this;
+  }
+
+  /**
+   * Get recorded calls (OPTIONS preflights are not recorded)
+   * @returns {{method: string, url: string, authorization: string|null}[]}
+   */
+  getCalls() {
+    return [...this.calls];
+  }
+
+  /**
+   * Wait until the side panel has fetched the config
+   * @param {number} timeout - Maximum wait time in ms
+   * @returns {Promise<void>}
+   * @throws {Error} If no call arrives within the timeout
+   */
+  async waitForCall(timeout = testConfig.timeouts.elementVisible) {
+    const startTime = Date.now();
+    while (this.calls.length === 0) {
+      if (Date.now() - startTime > timeout) {
+        throw new Error(`ConfirmitConfigStandIn: no confirmit-config request within ${timeout}ms`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * CORS headers for responses to the side panel's origin
+   * @private
+   */
+  _getCorsHeaders() {
+    return {
+      'access-control-allow-origin': '*',
+      'access-control-allow-headers': '*',
+      'access-control-allow-methods': 'GET, OPTIONS',
+    };
+  }
+}
+
+module.exports = { ConfirmitConfigStandIn };
@@ -0,0 +1,582 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const testConfig = require('../config/test.config');
+const { SurveyModel, SurveyModelError } = require('./SurveyModel');
+const { SelfSignedCertificate } = require('./SelfSignedCertificate');
+
+const SESSION_COOKIE = 'confirmit_standin_session';
+
+/**
+ * ConfirmitStandInServer - Offline stand-in for Confirmit/Forsta Plus
+ * Follows Single Responsibility Principle (SRP) - serves fake Confirmit pages and API only
+ *
+ * Responsibilities:
+ * - Serve the multi-step Forsta login form (username → Next → password)
+ * - Serve the post-login home and survey designer pages
+ * - Serve the /surveydesigner/api/surveys/{projectId}/... endpoints used by the side panel,
+ *   reading and mutating an in-memory SurveyModel
+ * - Record every request so tests can assert on what the extension called
+ *
+ * The server speaks plain HTTP, or HTTPS with a self-signed certificate generated at start
+ * when `tls` is set. BrowserManager maps the *.confirmit.com hosts (and any custom Forsta
+ * hosts) onto it with Chrome's host resolver rules, so pages keep their real hostnames.
+ */
+class ConfirmitStandInServer {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {{username: string, password: string}} options.credentials - Accepted login
+   *   (default: testConfig.externalSite.credentials, resolved at login time)
+   * @param {string} options.projectId - Survey project ID served by the API
+   * @param {string} options.fixturePath - Survey fixture the model is seeded from
+   * @param {boolean} options.tls - Serve HTTPS with testConfig.confirmitStandIn.tls (default: config)
+   */
+  constructor(options = {}) {
+    const standInConfig = testConfig.confirmitStandIn;
+    this.options = {
+      port: standInConfig.port,
+      host: '127.0.0.1',
+      credentials: null,
+      projectId: standInConfig.projectId,
+      fixturePath: standInConfig.fixturePath,
+      tls: standInConfig.tls.enabled,
+      ...options,
+    };
+    this.server = null;
+    this.port = null;
+    this.sessions = new Map();
+    this.requests = [];
+    this.survey = SurveyModel.fromFile(this.options.fixturePath);
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<ConfirmitStandInServer>} Returns this instance for chaining
+   */
+  async start() {
+    if (this.server) {
+      return this;
+    }
+
+    const handler = (req, res) => {
+      this._handle(req, res).catch((error) => {
+        // A handler that failed mid-response can only be cut short
+        if (res.headersSent) {
+          res.end();
+          return;
+        }
+        this._sendJson(res, 500, { message: error.message });
+      });
+    };
+    this.server = this.options.tls
+      ? https.createServer(SelfSignedCertificate.generate(testConfig.confirmitStandIn.tls), handler)
+      : http.createServer(handler);
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    this.port = this.server.address().port;
+    return this;
+  }
+
+  /**
+   * Stop listening and drop all sessions
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.port = null;
+    this.sessions.clear();
+  }
+
+  /**
+   * Get the base URL the server listens on
+   * @returns {string}
+   */
+  getUrl() {
+    this._ensureStarted();
+    return `${this.getProtocol()}//${this.options.host}:${this.port}`;
+  }
+
+  /**
+   * Get the URL scheme the server speaks
+   * @returns {'http:'|'https:'}
+   */
+  getProtocol() {
+    return this.options.tls ? 'https:' : 'http:';
+  }
+
+  /**
+   * Get the port the server listens on
+   * @returns {number}
+   */
+  getPort() {
+    this._ensureStarted();
+    return this.port;
+  }
+
+  /**
+   * Get the survey project ID served by the API
+   * @returns {string}
+   */
+  getProjectId() {
+    return this.options.projectId;
+  }
+
+  /**
+   * Get the survey the API reads and mutates, to assert on its state
+   * @returns {SurveyModel}
+   */
+  getSurvey() {
+    return this.survey;
+  }
+
+  /**
+   * Replace the survey with a fixture, e.g. before each test
+   * @param {string|Object} source - Fixture path, or survey data in fixture format
+   * @returns {SurveyModel} The new survey
+   */
+  seedSurvey(source = this.options.fixturePath) {
+    this.survey = typeof source === 'string' ? SurveyModel.fromFile(source) : new SurveyModel(source);
+    return this.survey;
+  }
+
+  /**
+   * Get recorded requests, optionally filtered by path fragment
+   * @param {string} pathContains - Optional path fragment to match
+   * @returns {{method: string, path: string, headers: Object, body: string}[]}
+   */
+  getRequests(pathContains = null) {
+    if (!pathContains) {
+      return [...this.requests];
+    }
+    return this.requests.filter(request => request.path.includes(pathContains));
+  }
+
+  /**
+   * Forget recorded requests
+   */
+  clearRequests() {
+    this.requests = [];
+  }
+
+  /**
+   * Get the Bearer token issued for the most recent login
+   * @returns {string|null}
+   */
+  getLatestToken() {
+    const sessions = [...this.sessions.values()];
+    return sessions.length ? sessions[sessions.length - 1].token : null;
+  }
+
+  /**
+   * Route a request to the matching handler
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const body = await this._readBody(req);
+    this.requests.push({
+      method: req.method,
+      host: req.headers.host,
+      path: url.pathname,
+      search: url.search,
+      headers: req.headers,
+      body,
+    });
+
+    if (url.pathname.startsWith('/surveydesigner/api/')) {
+      return this._handleApi(req, res, url, body);
+    }
+
+    if (url.pathname === '/' || url.pathname === '/home') {
+      return this._redirect(res, '/home/');
+    }
+
+    if (url.pathname === '/identity/login') {
+      return req.method === 'POST'
+        ? this._handleLoginSubmit(req, res, url, body)
+        : this._sendHtml(res, 200, this._renderUsernameStep(url.searchParams.get('ReturnUrl')));
+    }
+
+    if (url.pathname === '/identity/logout') {
+      this.sessions.delete(this._getSessionId(req));
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; Max-Age=0`);
+      return this._redirect(res, '/identity/login?ReturnUrl=/home/');
+    }
+
+    const session = this._getSession(req);
+    if (!session) {
+      return this._redirect(res, `/identity/login?ReturnUrl=${encodeURIComponent(url.pathname)}`);
+    }
+
+    if (url.pathname === '/home/') {
+      return this._sendHtml(res, 200, this._renderHome(session));
+    }
+
+    if (/^\/surveydesigner\/p\d+(\/|$)/.test(url.pathname)) {
+      return this._sendHtml(res, 200, this._renderDesigner(session));
+    }
+
+    return this._sendHtml(res, 404, this._renderDocument('Not found', '<h1>Not found</h1>'));
+  }
+
+  /**
+   * Handle both steps of the multi-step login form
+   * @private
+   */
+  _handleLoginSubmit(req, res, url, body) {
+    const form = new URLSearchParams(body);
+    const username = form.get('username') || '';
+    const password = form.get('password');
+    const returnUrl = form.get('returnUrl') || '/home/';
+
+    // Step 1 posts only the username: answer with the password step
+    if (password === null) {
+      return this._sendHtml(res, 200, this._renderPasswordStep(username, returnUrl));
+    }
+
+    const credentials = this.options.credentials || testConfig.externalSite.credentials;
+    if (username !== credentials.username || password !== credentials.password) {
+      return this._sendHtml(
+        res,
+        200,
+        this._renderPasswordStep(username, returnUrl, 'Invalid username or password')
+      );
+    }
+
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(sessionId, {
+      username,
+      token: crypto.randomBytes(24).toString('base64url'),
+    });
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly`);
+    return this._redirect(res, this._isLocalPath(returnUrl) ? returnUrl : '/home/');
+  }
+
+  /**
+   * Handle /surveydesigner/api/surveys/{projectId}/... endpoints
+   * Reads and mutations go to the SurveyModel; its errors carry the HTTP status to answer with
+   * @private
+   */
+  _handleApi(req, res, url, body) {
+    const match = url.pathname.match(/^\/surveydesigner\/api\/surveys\/([^/]+)(?:\/(.*))?$/);
+    if (!match || match[1] !== this.options.projectId) {
+      return this._sendJson(res, 404, { message: 'Survey not found' });
+    }
+
+    if (!this._isApiAuthorized(req)) {
+      return this._sendJson(res, 401, { message: 'Unauthorized' });
+    }
+
+    let payload;
+    try {
+      payload = this._parseJson(body);
+    } catch {
+      return this._sendJson(res, 400, { message: 'The request body is not valid JSON' });
+    }
+
+    const segments = (match[2] || '').split('/').filter(Boolean);
+    try {
+      const result = this._applyApiRequest(req.method, segments, url.searchParams, payload);
+      if (result === undefined) {
+        return this._sendJson(res, 405, { message: `${req.method} ${url.pathname} is not supported` });
+      }
+      return this._sendJson(res, 200, result);
+    } catch (error) {
+      if (error instanceof SurveyModelError) {
+        return this._sendJson(res, error.status, { message: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply one API request to the survey model
+   * @param {string} method - HTTP method
+   * @param {string[]} segments - Path segments after /surveys/{projectId}
+   * @param {URLSearchParams} params - Query parameters
+   * @param {*} payload - Parsed JSON body (null if none)
+   * @returns {*} Response body, or undefined if the endpoint/method is not supported
+   * @throws {SurveyModelError} If the survey cannot apply the request
+   * @private
+   */
+  _applyApiRequest(method, segments, params, payload) {
+    const { survey } = this;
+    const [resource, id, sub, subId] = segments;
+
+    // GET /surveys/{projectId}
+    if (segments.length === 0) {
+      return method === 'GET' ? survey.getProject() : undefined;
+    }
+
+    if (resource === 'nodes') {
+      if (!id) {
+        return method === 'POST' ? survey.createNode({
+          type: params.get('type') || undefined,
+          position: params.get('position') || undefined,
+          nodeId: params.get('nodeId'),
+        }) : undefined;
+      }
+      if (method === 'GET') {
+        return survey.getNode(id);
+      }
+      if (method === 'PUT' || method === 'PATCH') {
+        return survey.updateNode(id, payload);
+      }
+    }
+
+    if (resource === 'routing' && id) {
+      if (method === 'GET') {
+        return survey.getFolder(id);
+      }
+      if (method === 'DELETE') {
+        return survey.deleteNode(id);
+      }
+    }
+
+    if (resource === 'multigrid' && sub === 'questions') {
+      if (method === 'GET') {
+        return survey.getMultiGridQuestions(id);
+      }
+      if (method === 'POST') {
+        return survey.addMultiGridQuestion(id, {
+          position: params.get('position') || undefined,
+          nodeId: params.get('nodeId'),
+        }, payload);
+      }
+      if (method === 'PUT' && subId) {
+        return survey.updateMultiGridQuestion(id, subId, payload);
+      }
+    }
+
+    // Read-only in Confirmit: writes go through nodes, routing and answers
+    if (resource === 'questionnaires') {
+      if (method !== 'GET') {
+        return undefined;
+      }
+      const questionnaire = survey.getQuestionnaire(id);
+      return sub === 'questions' ? survey.getQuestions() : questionnaire;
+    }
+
+    if (id === 'answers') {
+      if (method === 'GET') {
+        return survey.getAnswers(resource);
+      }
+      if (method === 'PUT') {
+        return survey.setAnswers(resource, payload);
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * API calls are accepted with either a session cookie or an issued Bearer token
+   * @private
+   */
+  _isApiAuthorized(req) {
+    if (this._getSession(req)) {
+      return true;
+    }
+    const authorization = req.headers.authorization || '';
+    const token = authorization.replace(/^Bearer\s+/i, '').trim();
+    return [...this.sessions.values()].some(session => session.token === token);
+  }
+
+  /**
+   * Read the session ID from the request cookie
+   * @private
+   */
+  _getSessionId(req) {
+    const cookies = req.headers.cookie || '';
+    const match = cookies.match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([^;]+)`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the logged-in session for a request
+   * @private
+   */
+  _getSession(req) {
+    return this.sessions.get(this._getSessionId(req)) || null;
+  }
+
+  /**
+   * Read the full request body as text
+   * @private
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Parse a JSON body, returning null when it is empty
+   * @private
+   * @throws {SyntaxError} If the body is not JSON
+   */
+  _parseJson(body) {
+    return body ? JSON.parse(body) : null;
+  }
+
+  /**
+   * Whether a return URL stays on this host: a path, but not a protocol-relative
+   * URL ("//host") or a backslash one ("/\host") that browsers treat as such
+   * @private
+   */
+  _isLocalPath(returnUrl) {
+    return returnUrl.startsWith('/') && !returnUrl.startsWith('//') && !returnUrl.startsWith('/\\');
+  }
+
+  /**
+   * Send a 302 redirect
+   * @private
+   */
+  _redirect(res, location) {
+    res.writeHead(302, { Location: location });
+    res.end();
+  }
+
+  /**
+   * Send a JSON response
+   * @private
+   */
+  _sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Send an HTML response
+   * @private
+   */
+  _sendHtml(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  }
+
+  /**
+   * Escape a value for HTML output
+   * @private
+   */
+  _escape(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
+  /**
+   * Wrap body markup in a full HTML document
+   * @private
+   */
+  _renderDocument(title, body) {
+    return `<!doctype html>
+<html lang="en">
+  <head><meta charset="UTF-8" /><title>${this._escape(title)}</title></head>
+  <body>${body}</body>
+</html>`;
+  }
+
+  /**
+   * Login step 1: username and Next
+   * @private
+   */
+  _renderUsernameStep(returnUrl) {
+    return this._renderDocument('Forsta Plus - Sign in', `
+    <form method="post" action="/identity/login" class="login-form">
+      <input type="hidden" name="returnUrl" value="${this._escape(returnUrl || '/home/')}" />
+      <input type="text" name="username" placeholder="Username or Email" autocomplete="username" />
+      <button type="submit">Next</button>
+    </form>`);
+  }
+
+  /**
+   * Login step 2: password and Sign in, with an optional error
+   * @private
+   */
+  _renderPasswordStep(username, returnUrl, error = null) {
+    const errorHtml = error
+      ? `<div role="alert" class="validation-error">${this._escape(error)}</div>`
+      : '';
+    return this._renderDocument('Forsta Plus - Sign in', `
+    <form method="post" action="/identity/login" class="login-form">
+      ${errorHtml}
+      <input type="hidden" name="returnUrl" value="${this._escape(returnUrl)}" />
+      <input type="hidden" name="username" value="${this._escape(username)}" />
+      <p class="login-username">${this._escape(username)}</p>
+      <input type="password" name="password" placeholder="Password" autocomplete="current-password" />
+      <button type="submit">Sign in</button>
+    </form>`);
+  }
+
+  /**
+   * Post-login home (launchpad) page
+   * @private
+   */
+  _renderHome(session) {
+    const projectId = this._escape(this.options.projectId);
+    return this._renderDocument('Forsta Plus - Home', `
+    <div class="home launchpad">
+      <h1>Welcome, ${this._escape(session.username)}</h1>
+      <a class="project-link" href="/surveydesigner/${projectId}/design/nodes/">${this._escape(this.survey.getProject().name)}</a>
+      <a class="logout-link" href="/identity/logout">Sign out</a>
+    </div>`);
+  }
+
+  /**
+   * The designer page calls the routing API with a Bearer token, like the real app,
+   * so the extension's webRequest listener has an Authorization header to capture.
+   * @private
+   */
+  _renderDesigner(session) {
+    const projectId = this._escape(this.options.projectId);
+    return this._renderDocument('Forsta Plus - Survey Designer', `
+    <div class="surveydesigner" data-project-id="${projectId}">
+      <nav><a class="routing-link" href="/surveydesigner/${projectId}/design/nodes/">Routing</a></nav>
+      <ul class="routing-nodes"></ul>
+    </div>
+    <script>
+      fetch('/surveydesigner/api/surveys/${projectId}/routing/Routing', {
+        headers: { Authorization: 'Bearer ${session.token}' },
+      })
+        .then(response => response.json())
+        .then(routing => {
+          const list = document.querySelector('.routing-nodes');
+          routing.children.forEach(node => {
+            const item = document.createElement('li');
+            item.dataset.nodeId = node.nodeId;
+            item.textContent = node.name + ' ' + (node.title || '');
+            list.appendChild(item);
+          });
+        });
+    </script>`);
+  }
+
+  /**
+   * Ensure the server is listening before reading its address
+   * @private
+   * @throws {Error} If server not started
+   */
+  _ensureStarted() {
+    if (!this.server) {
+      throw new Error('ConfirmitStandInServer not started. Call start() first.');
+    }
+  }
+}
+
+module.exports = { ConfirmitStandInServer, SESSION_COOKIE };
@@ -0,0 +1,472 @@
+const { WebSocketServer } = require('ws');
+const testConfig = require('../config/test.config');
+
+/**
+ * GenerationScript - Builder for the frames the Metaforms generation socket streams
+ *
+ * The side panel keeps the session in `chat.sessionData` and applies DeepDiff-style
+ * `diff` frames to it (`root['plan']['turns'][1]['generated_content']` and so on).
+ * An `error` frame closes the socket and surfaces the message in the chat.
+ * This builder tracks the turn being streamed so each frame carries full values.
+ */
+class GenerationScript {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.turnIndex - Index of the assistant turn to stream (default: 1,
+   *   right after the user's message)
+   */
+  constructor(options = {}) {
+    this.turnIndex = options.turnIndex !== undefined ? options.turnIndex : 1;
+    this.steps = [];
+    this.generatedContent = '';
+    this.toolCallCount = 0;
+    this.turnStarted = false;
+  }
+
+  /**
+   * Add the assistant turn to the plan and mark the plan as streaming
+   * Called implicitly by text() and toolCall() when no turn has been started
+   * @param {Object} turn - Optional turn fields (id, content, timestamp)
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  startTurn(turn = {}) {
+    this.turnStarted = true;
+    this.generatedContent = '';
+    this.toolCallCount = 0;
+    return this.diff({
+      iterable_item_added: {
+        [this._turnPath()]: {
+          id: `turn_${this.turnIndex}`,
+          role: 'assistant',
+          content: '',
+          timestamp: new Date(0).toISOString(),
+          generated_content: '',
+          tool_calls: [],
+          ...turn,
+        },
+      },
+      values_changed: {
+        "root['plan']['is_streaming']": { new_value: true },
+      },
+    });
+  }
+
+  /**
+   * Stream a text delta into the assistant turn
+   * @param {string} delta - Text appended to the generated content
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  text(delta) {
+    this._ensureTurn();
+    this.generatedContent += delta;
+    return this.diff({
+      values_changed: {
+        [`${this._turnPath()}['generated_content']`]: { new_value: this.generatedContent },
+      },
+    });
+  }
+
+  /**
+   * Stream a pending tool call (createQuestion, updateQuestion, updateAnswers, deleteNode, addNode ...)
+   * @param {string} type - Tool call type
+   * @param {Object} payload - Tool call payload
+   * @param {Object} options - Optional tool call fields (id, status)
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  toolCall(type, payload = {}, options = {}) {
+    this._ensureTurn();
+    const index = this.toolCallCount++;
+    return this.diff({
+      iterable_item_added: {
+        [`${this._turnPath()}['tool_calls'][${index}]`]: {
+          id: options.id || `tool_call_${this.turnIndex}_${index}`,
+          type,
+          payload,
+          status: options.status || 'pending',
+        },
+      },
+    });
+  }
+
+  /**
+   * Mark the plan as no longer streaming
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  complete() {
+    return this.diff({
+      values_changed: {
+        "root['plan']['is_streaming']": { new_value: false },
+      },
+    });
+  }
+
+  /**
+   * Send an error frame (the panel closes the socket on it)
+   * @param {string} message - Error message, e.g. 'Session not found'
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  error(message) {
+    return this.frame({ type: 'error', message });
+  }
+
+  /**
+   * Send a raw diff frame
+   * @param {Object} changes - DeepDiff keys (values_changed, iterable_item_added, ...)
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  diff(changes) {
+    return this.frame({ type: 'diff', ...changes });
+  }
+
+  /**
+   * Send an arbitrary frame (objects are JSON encoded, strings sent as-is)
+   * @param {Object|string} frame - Frame to send
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  frame(frame) {
+    this.steps.push({ frame });
+    return this;
+  }
+
+  /**
+   * Pause before the next frame
+   * @param {number} ms - Delay in milliseconds
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  delay(ms) {
+    this.steps.push({ delay: ms });
+    return this;
+  }
+
+  /**
+   * Wait for the client to send a message before the next frame
+   * @param {string} type - Only a message of this type counts, sent on any of the server's
+   *   connections (the side panel sends `plan_replied` on its completion socket while the
+   *   session diffs go out on `/ws`); without it, the next message on this connection
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  waitForClientMessage(type = null) {
+    this.steps.push({ waitForClientMessage: true, type });
+    return this;
+  }
+
+  /**
+   * Close the socket from the server side
+   * @param {number} code - WebSocket close code (default: 1000)
+   * @returns {GenerationScript} Returns this instance for chaining
+   */
+  close(code = 1000) {
+    this.steps.push({ close: code });
+    return this;
+  }
+
+  /**
+   * Get the recorded steps
+   * @returns {Object[]}
+   */
+  getSteps() {
+    return [...this.steps];
+  }
+
+  /**
+   * Path of the assistant turn in DeepDiff notation
+   * @returns {string}
+   * @private
+   */
+  _turnPath() {
+    return `root['plan']['turns'][${this.turnIndex}]`;
+  }
+
+  /**
+   * Start the assistant turn if the script has not done so yet
+   * @private
+   */
+  _ensureTurn() {
+    if (!this.turnStarted) {
+      this.startTurn();
+    }
+  }
+}
+
+/**
+ * GenerationSocketServer - Scriptable stand-in for the Metaforms generation WebSocket
+ * Follows Single Responsibility Principle (SRP) - plays scripted frames and records the client
+ *
+ * Responsibilities:
+ * - Accept the side panel's `{websocket_url}/document_to_survey_convertor/{sessionId}/...?token=` socket
+ * - Play a GenerationScript to every connection
+ * - Record what each client sent
+ * - Route the QA backend's WebSocket URL to this server for a browser context
+ */
+class GenerationSocketServer {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {GenerationScript|Object[]} options.script - Script played to each connection
+   */
+  constructor(options = {}) {
+    this.options = {
+      port: 0,
+      host: '127.0.0.1',
+      ...options,
+    };
+    this.server = null;
+    this.port = null;
+    this.connections = [];
+    this.messages = [];
+    this.messageWaiters = [];
+    this.script = [];
+    this.scriptPath = null;
+    this.setScript(options.script || []);
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<GenerationSocketServer>} Returns this instance for chaining
+   */
+  async start() {
+    if (this.server) {
+      return this;
+    }
+
+    this.server = new WebSocketServer({ port: this.options.port, host: this.options.host });
+    await new Promise((resolve, reject) => {
+      this.server.once('listening', resolve);
+      this.server.once('error', reject);
+    });
+    this.port = this.server.address().port;
+    this.server.on('connection', (socket, request) => this._handleConnection(socket, request));
+    return this;
+  }
+
+  /**
+   * Close all sockets and stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    for (const client of this.server.clients) {
+      client.terminate();
+    }
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.port = null;
+  }
+
+  /**
+   * Replace the script played to new connections
+   * @param {GenerationScript|Object[]} script - Builder or raw steps
+   * @param {Object} options - Script options
+   * @param {string} options.path - Only play to connections whose path ends with this, e.g. '/ws'
+   *   for the panel's session socket; the others get no frames (default: every connection)
+   * @returns {GenerationSocketServer} Returns this instance for chaining
+   */
+  setScript(script, options = {}) {
+    this.script = script instanceof GenerationScript ? script.getSteps() : [...script];
+    this.scriptPath = options.path || null;
+    return this;
+  }
+
+  /**
+   * Get the base WebSocket URL the server listens on
+   * @returns {string}
+   */
+  getUrl() {
+    this._ensureStarted();
+    return `ws://${this.options.host}:${this.port}`;
+  }
+
+  /**
+   * Get all recorded connections
+   * @returns {{path: string, token: string|null, messages: (Object|string)[], closed: boolean}[]}
+   */
+  getConnections() {
+    return this.connections.map(({ socket, ...connection }) => connection);
+  }
+
+  /**
+   * Get every message the clients sent, across all connections
+   * JSON messages are parsed, anything else is returned as text
+   * @returns {(Object|string)[]}
+   */
+  getReceivedMessages() {
+    return this.connections.flatMap(connection => connection.messages);
+  }
+
+  /**
+   * Wait until at least `count` connections have been made
+   * @param {number} count - Number of connections (default: 1)
+   * @param {number} timeout - Maximum wait time in ms
+   * @returns {Promise<Object>} The latest connection record
+   */
+  async waitForConnection(count = 1, timeout = testConfig.timeouts.elementVisible) {
+    await this._waitUntil(() => this.connections.length >= count, timeout, `${count} connection(s)`);
+    return this.getConnections()[this.connections.length - 1];
+  }
+
+  /**
+   * Wait until the clients have sent at least `count` messages
+   * @param {number} count - Number of messages (default: 1)
+   * @param {number} timeout - Maximum wait time in ms
+   * @returns {Promise<(Object|string)[]>} All received messages
+   */
+  async waitForMessages(count = 1, timeout = testConfig.timeouts.elementVisible) {
+    await this._waitUntil(
+      () => this.getReceivedMessages().length >= count,
+      timeout,
+      `${count} client message(s)`
+    );
+    return this.getReceivedMessages();
+  }
+
+  /**
+   * Route the generation backend's WebSocket traffic in a context to this server
+   * Path and query (including ?token=) are preserved
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @returns {Promise<void>}
+   */
+  async routeContext(context) {
+    const backendUrl = new URL(testConfig.generationBackend.websocketUrl);
+    await context.routeWebSocket(
+      url => new URL(url).host === backendUrl.host,
+      (route) => {
+        const target = new URL(route.url());
+        route.connectToServer(`${this.getUrl()}${target.pathname}${target.search}`);
+      }
+    );
+  }
+
+  /**
+   * Record a connection and play the script to it
+   * @private
+   */
+  _handleConnection(socket, request) {
+    const url = new URL(request.url, this.getUrl());
+    const connection = {
+      socket,
+      path: url.pathname,
+      token: url.searchParams.get('token'),
+      messages: [],
+      closed: false,
+    };
+    this.connections.push(connection);
+
+    socket.on('message', (data) => {
+      const message = this._decode(data);
+      connection.messages.push(message);
+      this.messages.push({ connection, message });
+      this._notifyMessageWaiters();
+    });
+    socket.on('close', () => {
+      connection.closed = true;
+      this._notifyMessageWaiters();
+    });
+
+    const steps = !this.scriptPath || url.pathname.endsWith(this.scriptPath) ? [...this.script] : [];
+    this._play(connection, steps).catch(() => {
+      // The client went away mid-script; nothing left to play
+    });
+  }
+
+  /**
+   * Play script steps in order to one connection
+   * @private
+   */
+  async _play(connection, steps) {
+    // Messages already received (on other connections) do not satisfy this connection's waits
+    let seenMessages = this.messages.length;
+    for (const step of steps) {
+      if (connection.closed) {
+        return;
+      }
+      if (step.delay !== undefined) {
+        await new Promise(resolve => setTimeout(resolve, step.delay));
+      } else if (step.waitForClientMessage) {
+        const matches = ({ connection: sender, message }) => (step.type
+          ? message !== null && typeof message === 'object' && message.type === step.type
+          : sender === connection);
+        let index = this._findMessage(matches, seenMessages);
+        while (index === -1) {
+          await new Promise(resolve => this.messageWaiters.push(resolve));
+          if (connection.closed) {
+            return;
+          }
+          index = this._findMessage(matches, seenMessages);
+        }
+        seenMessages = index + 1;
+      } else if (step.close !== undefined) {
+        connection.socket.close(step.close);
+      } else if (step.frame !== undefined) {
+        const data = typeof step.frame === 'string' ? step.frame : JSON.stringify(step.frame);
+        await new Promise((resolve, reject) => {
+          connection.socket.send(data, error => (error ? reject(error) : resolve()));
+        });
+      }
+    }
+  }
+
+  /**
+   * Index of the first received message from `start` on that matches, or -1
+   * @private
+   */
+  _findMessage(matches, start) {
+    for (let index = start; index < this.messages.length; index++) {
+      if (matches(this.messages[index])) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Wake every script waiting for a client message
+   * @private
+   */
+  _notifyMessageWaiters() {
+    this.messageWaiters.splice(0).forEach(resolve => resolve());
+  }
+
+  /**
+   * Decode a client message, parsing JSON when possible
+   * @private
+   */
+  _decode(data) {
+    const text = data.toString();
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Poll a condition until it holds or the timeout expires
+   * @private
+   * @throws {Error} If the condition does not hold within the timeout
+   */
+  async _waitUntil(condition, timeout, description) {
+    const startTime = Date.now();
+    while (!condition()) {
+      if (Date.now() - startTime > timeout) {
+        throw new Error(`GenerationSocketServer: timed out after ${timeout}ms waiting for ${description}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * Ensure the server is listening before reading its address
+   * @private
+   * @throws {Error} If server not started
+   */
+  _ensureStarted() {
+    if (!this.server) {
+      throw new Error('GenerationSocketServer not started. Call start() first.');
+    }
+  }
+}
+
+module.exports = { GenerationSocketServer, GenerationScript };
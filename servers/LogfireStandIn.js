@@ -0,0 +1,214 @@
+const zlib = require('zlib');
+const testConfig = require('../config/test.config');
+
+/**
+ * @typedef {Object} Span
+ * @property {string} name - Span name
+ * @property {string} traceId
+ * @property {string} spanId
+ * @property {string} parentSpanId
+ * @property {Object<string, *>} attributes - Span attributes as plain values
+ * @property {{name: string, attributes: Object<string, *>}[]} events - Span events (e.g. exceptions)
+ * @property {{code: number, message: string}} status
+ * @property {string} scope - Instrumentation scope name
+ * @property {Object<string, *>} resource - Resource attributes (service.name, ...)
+ */
+
+/**
+ * LogfireStandIn - Route-level stand-in for the Logfire OTLP/HTTP traces endpoint
+ * Follows Single Responsibility Principle (SRP) - records the spans the extension exports
+ *
+ * Responsibilities:
+ * - Accept OTLP/HTTP trace exports and answer like Logfire does
+ * - Flatten OTLP JSON (resourceSpans > scopeSpans > spans) into spans with plain-valued
+ *   attributes; protobuf exports are kept as raw bytes
+ * - Find and wait for spans, e.g. by name and attributes
+ *
+ * Installed on a browser context with context.route(), so traces from the side panel and
+ * content-telemetry.js never reach logfire.dev.
+ */
+class LogfireStandIn {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.tracesUrl - Traces endpoint to intercept (default: testConfig.logfire.tracesUrl)
+   */
+  constructor(options = {}) {
+    this.options = {
+      tracesUrl: testConfig.logfire.tracesUrl,
+      ...options,
+    };
+    this.exports = [];
+    this.context = null;
+    this.routeHandler = null;
+  }
+
+  /**
+   * Flatten an OTLP JSON trace export into spans
+   * @param {Object} payload - ExportTraceServiceRequest ({ resourceSpans })
+   * @returns {Span[]}
+   */
+  static parseExport(payload) {
+    return (payload.resourceSpans || []).flatMap(resourceSpans => {
+      const resource = LogfireStandIn.toAttributes(resourceSpans.resource?.attributes);
+      return (resourceSpans.scopeSpans || []).flatMap(scopeSpans => (scopeSpans.spans || []).map(span => ({
+        name: span.name,
+        traceId: span.traceId,
+        spanId: span.spanId,
+        parentSpanId: span.parentSpanId || '',
+        attributes: LogfireStandIn.toAttributes(span.attributes),
+        events: (span.events || []).map(event => ({
+          name: event.name,
+          attributes: LogfireStandIn.toAttributes(event.attributes),
+        })),
+        status: { code: span.status?.code || 0, message: span.status?.message || '' },
+        scope: scopeSpans.scope?.name || '',
+        resource,
+      })));
+    });
+  }
+
+  /**
+   * Turn OTLP key-value attributes into a plain object
+   * @param {{key: string, value: Object}[]} attributes
+   * @returns {Object<string, *>}
+   */
+  static toAttributes(attributes = []) {
+    return Object.fromEntries(attributes.map(({ key, value }) => [key, LogfireStandIn._toValue(value)]));
+  }
+
+  /**
+   * Intercept the traces endpoint in a browser context
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @returns {Promise<LogfireStandIn>} Returns this instance for chaining
+   */
+  async install(context) {
+    this.context = context;
+    this.routeHandler = async (route) => {
+      const request = route.request();
+      const response = this.handle({
+        method: request.method(),
+        url: request.url(),
+        headers: await request.allHeaders(),
+        body: request.postDataBuffer(),
+      });
+      await route.fulfill({
+        status: response.status,
+        headers: this._getCorsHeaders(),
+        contentType: 'application/json',
+        body: JSON.stringify(response.body),
+      });
+    };
+    await context.route(`${this.options.tracesUrl}**`, this.routeHandler);
+    return this;
+  }
+
+  /**
+   * Stop intercepting
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (this.context && this.routeHandler) {
+      await this.context.unroute(`${this.options.tracesUrl}**`, this.routeHandler);
+    }
+    this.context = null;
+    this.routeHandler = null;
+  }
+
+  /**
+   * Answer one export request
+   * Exposed separately from install() so exports can be checked without a browser
+   * @param {{method: string, url: string, headers?: Object<string, string>, body: Buffer|string|null}} request
+   * @returns {{status: number, body: Object}}
+   */
+  handle(request) {
+    if (request.method === 'OPTIONS') {
+      return { status: 200, body: {} };
+    }
+    const headers = request.headers || {};
+    let body = Buffer.isBuffer(request.body) ? request.body : Buffer.from(request.body || '', 'utf8');
+    try {
+      if (headers['content-encoding'] === 'gzip') {
+        body = zlib.gunzipSync(body);
+      }
+      if ((headers['content-type'] || '').includes('protobuf')) {
+        this.exports.push({ spans: [], raw: body });
+      } else {
+        this.exports.push({ spans: LogfireStandIn.parseExport(JSON.parse(body.toString('utf8'))), raw: null });
+      }
+    } catch (error) {
+      return { status: 400, body: { message: `invalid export: ${error.message}` } };
+    }
+    return { status: 200, body: { partialSuccess: {} } };
+  }
+
+  /**
+   * Get every export received, in order (protobuf exports have no spans, only raw bytes)
+   * @returns {{spans: Span[], raw: Buffer|null}[]}
+   */
+  getExports() {
+    return [...this.exports];
+  }
+
+  /**
+   * Get the spans received, optionally filtered
+   * @param {function(Span): boolean} predicate - Optional filter on the span
+   * @returns {Span[]}
+   */
+  getSpans(predicate = () => true) {
+    return this.exports.flatMap(entry => entry.spans).filter(predicate);
+  }
+
+  /**
+   * Wait until a span matching the predicate has been received
+   * @param {function(Span): boolean} predicate - Condition on the span
+   * @param {number} timeout - Maximum wait time in ms
+   * @returns {Promise<Span>} The first matching span
+   * @throws {Error} If no matching span arrives within the timeout
+   */
+  async waitForSpan(predicate, timeout = testConfig.timeouts.elementVisible) {
+    const startTime = Date.now();
+    for (;;) {
+      const [span] = this.getSpans(predicate);
+      if (span) {
+        return span;
+      }
+      if (Date.now() - startTime > timeout) {
+        throw new Error(`LogfireStandIn: no matching span within ${timeout}ms (${this.getSpans().length} spans received)`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Read an OTLP AnyValue
+   * @private
+   */
+  static _toValue(value = {}) {
+    if ('arrayValue' in value) {
+      return (value.arrayValue.values || []).map(item => LogfireStandIn._toValue(item));
+    }
+    if ('kvlistValue' in value) {
+      return LogfireStandIn.toAttributes(value.kvlistValue.values);
+    }
+    if ('intValue' in value) {
+      // int64 values arrive as strings in OTLP JSON
+      return Number(value.intValue);
+    }
+    const scalar = ['stringValue', 'boolValue', 'doubleValue', 'bytesValue'].find(key => key in value);
+    return scalar ? value[scalar] : null;
+  }
+
+  /**
+   * CORS headers for responses to page and extension origins
+   * @private
+   */
+  _getCorsHeaders() {
+    return {
+      'access-control-allow-origin': '*',
+      'access-control-allow-headers': '*',
+      'access-control-allow-methods': 'POST, OPTIONS',
+    };
+  }
+}
+
+module.exports = { LogfireStandIn };
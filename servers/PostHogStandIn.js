@@ -0,0 +1,191 @@
+const zlib = require('zlib');
+const testConfig = require('../config/test.config');
+
+// Paths posthog-js posts events to (capture, batch, legacy track/engage, session recording)
+const CAPTURE_PATHS = /^\/(e|i\/v0\/e|batch|capture|track|engage|s)\/?$/;
+const FLAGS_PATHS = /^\/(flags|decide)\/?$/;
+
+/**
+ * @typedef {Object} PostHogRequest
+ * @property {string} path - Endpoint path (e.g. '/e/')
+ * @property {Object[]} events - Events of the request (event, properties, timestamp, ...)
+ */
+
+/**
+ * PostHogStandIn - Route-level stand-in for the PostHog ingest host
+ * Follows Single Responsibility Principle (SRP) - records the events the extension captures
+ *
+ * Responsibilities:
+ * - Accept capture and batch requests and answer like PostHog does
+ * - Decode their bodies: plain JSON, gzip ("compression=gzip-js") and base64 form posts
+ *   ("compression=base64"), holding one event, an array of events or { batch: [...] }
+ * - Answer feature flag requests (/flags, /decide) with no flags and recording disabled
+ * - Find and wait for events, e.g. by event name and properties
+ *
+ * Installed on a browser context with context.route(), so events from content-telemetry.js
+ * and the side panel never reach posthog.com.
+ */
+class PostHogStandIn {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.apiHost - PostHog host to intercept (default: testConfig.posthog.apiHost)
+   */
+  constructor(options = {}) {
+    this.options = {
+      apiHost: testConfig.posthog.apiHost,
+      ...options,
+    };
+    this.requests = [];
+    this.context = null;
+    this.routeHandler = null;
+  }
+
+  /**
+   * Decode a PostHog request body into its events
+   * @param {Buffer|string} body - Raw body
+   * @param {string} url - Request URL (its "compression" parameter tells the encoding)
+   * @returns {Object[]} Events
+   * @throws {Error} If the body cannot be decoded or is not JSON
+   */
+  static decodeBody(body, url) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || '', 'utf8');
+    const compression = new URL(url).searchParams.get('compression');
+    let text;
+    if (compression === 'gzip-js' || compression === 'gzip') {
+      text = zlib.gunzipSync(buffer).toString('utf8');
+    } else if (compression === 'base64' || buffer.toString('utf8').startsWith('data=')) {
+      const data = new URLSearchParams(buffer.toString('utf8')).get('data') || '';
+      text = Buffer.from(data, 'base64').toString('utf8');
+    } else {
+      text = buffer.toString('utf8');
+    }
+    if (!text.trim()) {
+      return [];
+    }
+    const payload = JSON.parse(text);
+    if (Array.isArray(payload)) {
+      return payload;
+    }
+    return Array.isArray(payload.batch) ? payload.batch : [payload];
+  }
+
+  /**
+   * Intercept the PostHog host in a browser context
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @returns {Promise<PostHogStandIn>} Returns this instance for chaining
+   */
+  async install(context) {
+    this.context = context;
+    this.routeHandler = async (route) => {
+      const request = route.request();
+      const response = this.handle({
+        method: request.method(),
+        url: request.url(),
+        body: request.postDataBuffer(),
+      });
+      await route.fulfill({
+        status: response.status,
+        headers: this._getCorsHeaders(),
+        contentType: 'application/json',
+        body: JSON.stringify(response.body),
+      });
+    };
+    await context.route(`${this.options.apiHost}/**`, this.routeHandler);
+    return this;
+  }
+
+  /**
+   * Stop intercepting
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (this.context && this.routeHandler) {
+      await this.context.unroute(`${this.options.apiHost}/**`, this.routeHandler);
+    }
+    this.context = null;
+    this.routeHandler = null;
+  }
+
+  /**
+   * Answer one request
+   * Exposed separately from install() so bodies can be checked without a browser
+   * @param {{method: string, url: string, body: Buffer|string|null}} request
+   * @returns {{status: number, body: Object}}
+   */
+  handle(request) {
+    if (request.method === 'OPTIONS') {
+      return { status: 200, body: {} };
+    }
+    const { pathname } = new URL(request.url);
+    if (FLAGS_PATHS.test(pathname)) {
+      return {
+        status: 200,
+        body: { featureFlags: {}, featureFlagPayloads: {}, errorsWhileComputingFlags: false, sessionRecording: false },
+      };
+    }
+    if (!CAPTURE_PATHS.test(pathname)) {
+      return { status: 404, body: { detail: 'not found' } };
+    }
+
+    let events;
+    try {
+      events = PostHogStandIn.decodeBody(request.body, request.url);
+    } catch (error) {
+      return { status: 400, body: { detail: `invalid payload: ${error.message}` } };
+    }
+    this.requests.push({ path: pathname, events });
+    return { status: 200, body: { status: 1 } };
+  }
+
+  /**
+   * Get every capture request received, in order
+   * @returns {PostHogRequest[]}
+   */
+  getRequests() {
+    return [...this.requests];
+  }
+
+  /**
+   * Get the events received, optionally filtered
+   * @param {function(Object): boolean} predicate - Optional filter on the event
+   * @returns {Object[]} Events ({ event, properties, timestamp, ... })
+   */
+  getEvents(predicate = () => true) {
+    return this.requests.flatMap(request => request.events).filter(predicate);
+  }
+
+  /**
+   * Wait until an event matching the predicate has been received
+   * @param {function(Object): boolean} predicate - Condition on the event
+   * @param {number} timeout - Maximum wait time in ms
+   * @returns {Promise<Object>} The first matching event
+   * @throws {Error} If no matching event arrives within the timeout
+   */
+  async waitForEvent(predicate, timeout = testConfig.timeouts.elementVisible) {
+    const startTime = Date.now();
+    for (;;) {
+      const [event] = this.getEvents(predicate);
+      if (event) {
+        return event;
+      }
+      if (Date.now() - startTime > timeout) {
+        throw new Error(`PostHogStandIn: no matching event within ${timeout}ms (${this.getEvents().length} events received)`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * CORS headers for responses to page and extension origins
+   * @private
+   */
+  _getCorsHeaders() {
+    return {
+      'access-control-allow-origin': '*',
+      'access-control-allow-headers': '*',
+      'access-control-allow-methods': 'GET, POST, OPTIONS',
+    };
+  }
+}
+
+module.exports = { PostHogStandIn };
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Object identifiers used in the certificate
+const OIDS = {
+  commonName: '2.5.4.3',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  subjectAltName: '2.5.29.17',
+  basicConstraints: '2.5.29.19',
+};
+
+// DER tags
+const TAGS = {
+  boolean: 0x01,
+  integer: 0x02,
+  bitString: 0x03,
+  octetString: 0x04,
+  oid: 0x06,
+  utf8String: 0x0c,
+  utcTime: 0x17,
+  generalizedTime: 0x18,
+  sequence: 0x30,
+  set: 0x31,
+  explicit0: 0xa0,
+  explicit3: 0xa3,
+  dnsName: 0x82,
+  ipAddress: 0x87,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CertificatePair
+ * @property {string} key - PKCS#8 private key (PEM)
+ * @property {string} cert - X.509 certificate (PEM)
+ */
+
+/**
+ * SelfSignedCertificate - Creates a throwaway TLS certificate for the local stand-ins
+ * Follows Single Responsibility Principle (SRP) - certificate generation only
+ *
+ * Responsibilities:
+ * - Generate a P-256 key pair and a self-signed X.509 v3 certificate for it, with the given
+ *   hosts as subject alternative names
+ * - Keep the pair in memory only, so no private key is ever written to disk
+ *
+ * Node's crypto signs but cannot build certificates, so the certificate is DER-encoded here.
+ * Chrome is launched with ignoreHTTPSErrors for the stand-in, so the certificate only needs
+ * to be well-formed, not trusted.
+ */
+class SelfSignedCertificate {
+  /**
+   * Generate a key pair and a certificate for it
+   * @param {Object} options
+   * @param {string} options.commonName - Subject and issuer common name
+   * @param {string[]} options.hosts - Host names (wildcards allowed) and IP addresses it covers
+   * @param {number} options.days - Validity from now, in days (default 30)
+   * @returns {CertificatePair}
+   */
+  static generate({ commonName, hosts = [], days = 30 }) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const signatureAlgorithm = SelfSignedCertificate._sequence(SelfSignedCertificate._oid(OIDS.ecdsaWithSha256));
+    const name = SelfSignedCertificate._name(commonName);
+    // Backdated a minute, so clocks slightly apart still accept it
+    const notBefore = new Date(Date.now() - 60 * 1000);
+    const notAfter = new Date(notBefore.getTime() + days * DAY_MS);
+
+    const tbsCertificate = SelfSignedCertificate._sequence(
+      SelfSignedCertificate._tlv(TAGS.explicit0, SelfSignedCertificate._integer(Buffer.from([2]))),
+      SelfSignedCertificate._integer(crypto.randomBytes(16)),
+      signatureAlgorithm,
+      name,
+      SelfSignedCertificate._sequence(SelfSignedCertificate._time(notBefore), SelfSignedCertificate._time(notAfter)),
+      name,
+      publicKey.export({ type: 'spki', format: 'der' }),
+      SelfSignedCertificate._tlv(TAGS.explicit3, SelfSignedCertificate._sequence(
+        SelfSignedCertificate._extension(OIDS.basicConstraints, SelfSignedCertificate._sequence(), true),
+        SelfSignedCertificate._extension(OIDS.subjectAltName, SelfSignedCertificate._subjectAltNames(hosts))
+      ))
+    );
+    const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+    const certificate = SelfSignedCertificate._sequence(
+      tbsCertificate,
+      signatureAlgorithm,
+      SelfSignedCertificate._tlv(TAGS.bitString, Buffer.concat([Buffer.from([0]), signature]))
+    );
+
+    return {
+      key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      cert: SelfSignedCertificate._toPem(certificate, 'CERTIFICATE'),
+    };
+  }
+
+  /**
+   * Encode a tag-length-value
+   * @private
+   */
+  static _tlv(tag, value) {
+    let length;
+    if (value.length < 0x80) {
+      length = Buffer.from([value.length]);
+    } else {
+      const bytes = [];
+      for (let remaining = value.length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+        bytes.unshift(remaining % 256);
+      }
+      length = Buffer.from([0x80 | bytes.length, ...bytes]);
+    }
+    return Buffer.concat([Buffer.from([tag]), length, value]);
+  }
+
+  /**
+   * Encode a SEQUENCE of already encoded values
+   * @private
+   */
+  static _sequence(...values) {
+    return SelfSignedCertificate._tlv(TAGS.sequence, Buffer.concat(values));
+  }
+
+  /**
+   * Encode a positive INTEGER from its big-endian bytes
+   * @private
+   */
+  static _integer(bytes) {
+    const value = bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes;
+    return SelfSignedCertificate._tlv(TAGS.integer, value);
+  }
+
+  /**
+   * Encode an OBJECT IDENTIFIER from its dotted form
+   * @private
+   */
+  static _oid(dotted) {
+    const [first, second, ...rest] = dotted.split('.').map(Number);
+    const bytes = [40 * first + second];
+    rest.forEach(arc => {
+      const base128 = [arc & 0x7f];
+      for (let remaining = arc >>> 7; remaining > 0; remaining >>>= 7) {
+        base128.unshift(0x80 | (remaining & 0x7f));
+      }
+      bytes.push(...base128);
+    });
+    return SelfSignedCertificate._tlv(TAGS.oid, Buffer.from(bytes));
+  }
+
+  /**
+   * Encode a Name holding only a common name
+   * @private
+   */
+  static _name(commonName) {
+    const attribute = SelfSignedCertificate._sequence(
+      SelfSignedCertificate._oid(OIDS.commonName),
+      SelfSignedCertificate._tlv(TAGS.utf8String, Buffer.from(commonName, 'utf8'))
+    );
+    return SelfSignedCertificate._sequence(SelfSignedCertificate._tlv(TAGS.set, attribute));
+  }
+
+  /**
+   * Encode a validity time (UTCTime until 2049, GeneralizedTime after, as X.509 requires)
+   * @private
+   */
+  static _time(date) {
+    const digits = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return date.getUTCFullYear() < 2050
+      ? SelfSignedCertificate._tlv(TAGS.utcTime, Buffer.from(`${digits.slice(2)}Z`))
+      : SelfSignedCertificate._tlv(TAGS.generalizedTime, Buffer.from(`${digits}Z`));
+  }
+
+  /**
+   * Encode an extension
+   * @private
+   */
+  static _extension(oid, value, critical = false) {
+    return SelfSignedCertificate._sequence(
+      SelfSignedCertificate._oid(oid),
+      ...(critical ? [SelfSignedCertificate._tlv(TAGS.boolean, Buffer.from([0xff]))] : []),
+      SelfSignedCertificate._tlv(TAGS.octetString, value)
+    );
+  }
+
+  /**
+   * Encode the subject alternative names: IPv4 addresses as iPAddress, the rest as dNSName
+   * @private
+   */
+  static _subjectAltNames(hosts) {
+    return SelfSignedCertificate._sequence(...hosts.map(host => (net.isIPv4(host)
+      ? SelfSignedCertificate._tlv(TAGS.ipAddress, Buffer.from(host.split('.').map(Number)))
+      : SelfSignedCertificate._tlv(TAGS.dnsName, Buffer.from(host, 'ascii')))));
+  }
+
+  /**
+   * Wrap DER in PEM armor
+   * @private
+   */
+  static _toPem(der, label) {
+    const lines = der.toString('base64').match(/.{1,64}/g);
+    return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+  }
+}
+
+module.exports = { SelfSignedCertificate };
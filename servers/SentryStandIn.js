@@ -0,0 +1,238 @@
+const zlib = require('zlib');
+const testConfig = require('../config/test.config');
+
+/**
+ * @typedef {Object} EnvelopeItem
+ * @property {Object} header - Item header (type, length, content_type, ...)
+ * @property {Object|Buffer} payload - Parsed JSON payload, or the raw bytes for binary items
+ *   (e.g. replay_recording)
+ */
+
+/**
+ * @typedef {Object} Envelope
+ * @property {Object} header - Envelope header (event_id, sent_at, sdk, ...)
+ * @property {EnvelopeItem[]} items - Envelope items
+ */
+
+/**
+ * SentryStandIn - Route-level stand-in for the Sentry ingest endpoint
+ * Follows Single Responsibility Principle (SRP) - records the envelopes the extension sends
+ *
+ * Responsibilities:
+ * - Accept envelopes posted to /api/{projectId}/envelope/ and answer like Sentry does
+ * - Parse envelopes into items (JSON payloads parsed, binary payloads kept as bytes)
+ * - Find and wait for error events, e.g. by the extras passed to captureError()
+ * - Decompress rrweb replay recordings (readReplayRecording)
+ *
+ * Installed on a browser context with context.route(), so events from content scripts,
+ * extension pages and the service worker's page targets never reach sentry.io.
+ */
+class SentryStandIn {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.ingestUrl - Sentry ingest origin to intercept (default: testConfig.sentry.ingestUrl)
+   */
+  constructor(options = {}) {
+    this.options = {
+      ingestUrl: testConfig.sentry.ingestUrl,
+      ...options,
+    };
+    this.envelopes = [];
+    this.context = null;
+    this.routeHandler = null;
+  }
+
+  /**
+   * Parse a Sentry envelope: a JSON header line, then for each item a JSON header line and
+   * a payload that is `length` bytes long, or runs to the next newline when no length is given
+   * @param {Buffer|string} body - Raw envelope
+   * @returns {Envelope}
+   * @throws {Error} If a header line is not JSON
+   */
+  static parseEnvelope(body) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || '', 'utf8');
+    let offset = 0;
+
+    const readLine = () => {
+      const end = buffer.indexOf(0x0a, offset);
+      const line = buffer.subarray(offset, end === -1 ? buffer.length : end);
+      offset = end === -1 ? buffer.length : end + 1;
+      return line;
+    };
+
+    const header = JSON.parse(readLine().toString('utf8'));
+    const items = [];
+    while (offset < buffer.length) {
+      const headerLine = readLine().toString('utf8').trim();
+      if (!headerLine) {
+        continue;
+      }
+      const itemHeader = JSON.parse(headerLine);
+      let payload;
+      if (typeof itemHeader.length === 'number') {
+        payload = buffer.subarray(offset, offset + itemHeader.length);
+        offset += itemHeader.length + 1;
+      } else {
+        payload = readLine();
+      }
+      items.push({ header: itemHeader, payload: SentryStandIn._parsePayload(payload) });
+    }
+    return { header, items };
+  }
+
+  /**
+   * Read a replay_recording payload: a JSON header line ({ segment_id }), then the rrweb
+   * events as JSON, either compressed (zlib or gzip) or plain
+   * @param {Buffer} payload - Raw item payload
+   * @returns {{header: Object, events: Object[]}}
+   * @throws {Error} If the payload is not a recording
+   */
+  static readReplayRecording(payload) {
+    const newline = payload.indexOf(0x0a);
+    if (newline === -1) {
+      throw new Error('replay recording has no header line');
+    }
+    const header = JSON.parse(payload.subarray(0, newline).toString('utf8'));
+    const data = payload.subarray(newline + 1);
+    let events;
+    if (data[0] === 0x1f && data[1] === 0x8b) {
+      events = zlib.gunzipSync(data);
+    } else if (data[0] === 0x78) {
+      events = zlib.inflateSync(data);
+    } else {
+      events = data;
+    }
+    return { header, events: JSON.parse(events.toString('utf8')) };
+  }
+
+  /**
+   * Intercept the Sentry ingest endpoint in a browser context
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @returns {Promise<SentryStandIn>} Returns this instance for chaining
+   */
+  async install(context) {
+    this.context = context;
+    this.routeHandler = async (route) => {
+      const request = route.request();
+      const response = this.handle({
+        method: request.method(),
+        url: request.url(),
+        body: request.postDataBuffer(),
+      });
+      await route.fulfill({
+        status: response.status,
+        headers: this._getCorsHeaders(),
+        contentType: 'application/json',
+        body: JSON.stringify(response.body),
+      });
+    };
+    await context.route(`${this.options.ingestUrl}/api/**`, this.routeHandler);
+    return this;
+  }
+
+  /**
+   * Stop intercepting
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (this.context && this.routeHandler) {
+      await this.context.unroute(`${this.options.ingestUrl}/api/**`, this.routeHandler);
+    }
+    this.context = null;
+    this.routeHandler = null;
+  }
+
+  /**
+   * Answer one ingest request
+   * Exposed separately from install() so envelopes can be checked without a browser
+   * @param {{method: string, url: string, body: Buffer|string|null}} request
+   * @returns {{status: number, body: Object}}
+   */
+  handle(request) {
+    if (request.method === 'OPTIONS') {
+      return { status: 200, body: {} };
+    }
+    if (!/\/api\/[^/]+\/envelope\/?$/.test(new URL(request.url).pathname)) {
+      return { status: 404, body: { detail: 'not found' } };
+    }
+
+    let envelope;
+    try {
+      envelope = SentryStandIn.parseEnvelope(request.body);
+    } catch (error) {
+      return { status: 400, body: { detail: `invalid envelope: ${error.message}` } };
+    }
+    this.envelopes.push(envelope);
+    return { status: 200, body: { id: envelope.header.event_id || null } };
+  }
+
+  /**
+   * Get every envelope received, in order
+   * @returns {Envelope[]}
+   */
+  getEnvelopes() {
+    return [...this.envelopes];
+  }
+
+  /**
+   * Get the error events received (items of type 'event'), optionally filtered
+   * @param {function(Object): boolean} predicate - Optional filter on the event payload
+   * @returns {Object[]} Event payloads (exception, extra, tags, contexts, ...)
+   */
+  getEvents(predicate = () => true) {
+    return this.envelopes
+      .flatMap(envelope => envelope.items)
+      .filter(item => item.header.type === 'event')
+      .map(item => item.payload)
+      .filter(predicate);
+  }
+
+  /**
+   * Wait until an error event matching the predicate has been received
+   * @param {function(Object): boolean} predicate - Condition on the event payload
+   * @param {number} timeout - Maximum wait time in ms
+   * @returns {Promise<Object>} The first matching event
+   * @throws {Error} If no matching event arrives within the timeout
+   */
+  async waitForEvent(predicate, timeout = testConfig.timeouts.elementVisible) {
+    const startTime = Date.now();
+    for (;;) {
+      const [event] = this.getEvents(predicate);
+      if (event) {
+        return event;
+      }
+      if (Date.now() - startTime > timeout) {
+        throw new Error(`SentryStandIn: no matching event within ${timeout}ms (${this.getEvents().length} events received)`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Parse an item payload as JSON, keeping binary payloads as bytes
+   * @param {Buffer} payload
+   * @returns {Object|Buffer}
+   * @private
+   */
+  static _parsePayload(payload) {
+    try {
+      return JSON.parse(payload.toString('utf8'));
+    } catch {
+      return Buffer.from(payload);
+    }
+  }
+
+  /**
+   * CORS headers for responses to page and extension origins
+   * @private
+   */
+  _getCorsHeaders() {
+    return {
+      'access-control-allow-origin': '*',
+      'access-control-allow-headers': '*',
+      'access-control-allow-methods': 'POST, OPTIONS',
+    };
+  }
+}
+
+module.exports = { SentryStandIn };
@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const testConfig = require('../config/test.config');
+
+/**
+ * Auth events the side panel's supabase-js client emits (see ExtensionSidePanelPage.observeAuthEvents)
+ */
+const AUTH_EVENTS = {
+  signedIn: 'SIGNED_IN',
+  tokenRefreshed: 'TOKEN_REFRESHED',
+  signedOut: 'SIGNED_OUT',
+  mfaChallengeVerified: 'MFA_CHALLENGE_VERIFIED',
+};
+
+/**
+ * GoTrue error bodies the login form maps to its messages
+ */
+const AUTH_ERRORS = {
+  invalidCredentials: { status: 400, error_code: 'invalid_credentials', msg: 'Invalid login credentials' },
+  emailNotConfirmed: { status: 400, error_code: 'email_not_confirmed', msg: 'Email not confirmed' },
+  userBanned: { status: 400, error_code: 'user_banned', msg: 'User is banned' },
+  invalidRefreshToken: { status: 400, error_code: 'refresh_token_not_found', msg: 'Invalid Refresh Token: Refresh Token Not Found' },
+  invalidMfaCode: { status: 422, error_code: 'mfa_verification_failed', msg: 'Invalid TOTP code entered' },
+  notAuthenticated: { status: 401, error_code: 'no_authorization', msg: 'This endpoint requires a Bearer token' },
+  unexpectedFailure: { status: 500, error_code: 'unexpected_failure', msg: 'Unexpected failure' },
+};
+
+/**
+ * SupabaseAuthStandIn - Route-level stand-in for the Supabase (GoTrue) auth endpoints
+ * Follows Single Responsibility Principle (SRP) - answers /auth/v1 calls from configured users
+ *
+ * Responsibilities:
+ * - Password sign-in with configurable users and account states (active, locked, unconfirmed)
+ * - MFA challenge/verify for users with a TOTP factor
+ * - Token refresh and sign-out, including server-side session revocation
+ * - Record each call and its status
+ *
+ * It only answers requests; what the panel makes of the answers (auth events, the stored
+ * session, the UI) is observed in the panel itself.
+ * Installed on a browser context with context.route(), so the side panel keeps talking to
+ * the project URL baked into its bundle and never reaches the network.
+ */
+class SupabaseAuthStandIn {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object[]} options.users - Users: { email, password, state?, mfaCode?, userMetadata? }
+   *   state is 'active' (default), 'locked' or 'unconfirmed'; mfaCode adds a verified TOTP factor
+   * @param {number} options.expiresIn - Access token lifetime in seconds (default: 3600)
+   * @param {string} options.supabaseUrl - Supabase project URL to intercept
+   */
+  constructor(options = {}) {
+    this.options = {
+      supabaseUrl: testConfig.supabase.url,
+      expiresIn: 3600,
+      ...options,
+    };
+    this.users = new Map();
+    this.sessions = new Map();
+    this.challenges = new Map();
+    this.calls = [];
+    this.context = null;
+    this.routeHandler = null;
+
+    const users = options.users || [{
+      email: testConfig.extensionCredentials.username,
+      password: testConfig.extensionCredentials.password,
+    }];
+    users.forEach(user => this.addUser(user));
+  }
+
+  /**
+   * Add or replace a user
+   * @param {{email: string, password: string, state?: string, mfaCode?: string, userMetadata?: Object}} user
+   * @returns {SupabaseAuthStandIn} Returns this instance for chaining
+   */
+  addUser(user) {
+    const id = crypto.randomUUID();
+    this.users.set(user.email.toLowerCase(), {
+      state: 'active',
+      userMetadata: {},
+      ...user,
+      id,
+      factorId: user.mfaCode ? crypto.randomUUID() : null,
+    });
+    return this;
+  }
+
+  /**
+   * Delete a user; its sessions can no longer be refreshed or used, so the panel signs out
+   * @param {string} email - User email
+   * @returns {SupabaseAuthStandIn} Returns this instance for chaining
+   */
+  removeUser(email) {
+    this.users.delete(String(email).toLowerCase());
+    return this;
+  }
+
+  /**
+   * Change the state of an existing user (e.g. lock an account between tests)
+   * @param {string} email - User email
+   * @param {'active'|'locked'|'unconfirmed'} state - New account state
+   * @returns {SupabaseAuthStandIn} Returns this instance for chaining
+   */
+  setUserState(email, state) {
+    this._getUser(email).state = state;
+    return this;
+  }
+
+  /**
+   * Change the lifetime of access tokens issued from now on
+   * Short lifetimes make the panel refresh its session as soon as it loads
+   * @param {number} seconds - Access token lifetime
+   * @returns {SupabaseAuthStandIn} Returns this instance for chaining
+   */
+  setExpiresIn(seconds) {
+    this.options.expiresIn = seconds;
+    return this;
+  }
+
+  /**
+   * Revoke all sessions server-side; the next refresh fails and the panel signs out
+   * @returns {SupabaseAuthStandIn} Returns this instance for chaining
+   */
+  revokeSessions() {
+    this.sessions.clear();
+    return this;
+  }
+
+  /**
+   * Intercept the Supabase auth endpoints in a browser context
+   * @param {import('@playwright/test').BrowserContext} context - Browser context
+   * @returns {Promise<SupabaseAuthStandIn>} Returns this instance for chaining
+   */
+  async install(context) {
+    this.context = context;
+    this.routeHandler = async (route) => {
+      const request = route.request();
+      let response;
+      try {
+        response = this.handle({
+          method: request.method(),
+          url: request.url(),
+          headers: request.headers(),
+          body: request.postData(),
+        });
+      } catch (error) {
+        // Answer anyway, so the panel sees an auth error instead of a request that never returns
+        response = this._error({ ...AUTH_ERRORS.unexpectedFailure, msg: error.message });
+      }
+      await route.fulfill({
+        status: response.status,
+        headers: this._getCorsHeaders(),
+        contentType: 'application/json',
+        body: response.body === null ? '' : JSON.stringify(response.body),
+      });
+    };
+    await context.route(`${this.options.supabaseUrl}/auth/v1/**`, this.routeHandler);
+    return this;
+  }
+
+  /**
+   * Stop intercepting
+   * @returns {Promise<void>}
+   */
+  async uninstall() {
+    if (this.context && this.routeHandler) {
+      await this.context.unroute(`${this.options.supabaseUrl}/auth/v1/**`, this.routeHandler);
+    }
+    this.context = null;
+    this.routeHandler = null;
+  }
+
+  /**
+   * Answer one auth request
+   * Exposed separately from install() so the responses can be checked without a browser
+   * @param {{method: string, url: string, headers: Object, body: string|null}} request
+   * @returns {{status: number, body: Object|null}}
+   */
+  handle(request) {
+    const url = new URL(request.url);
+    const route = url.pathname.replace(/^\/auth\/v1/, '');
+    const body = this._parseJson(request.body);
+    const call = { method: request.method, path: route, grantType: url.searchParams.get('grant_type') };
+    this.calls.push(call);
+
+    if (request.method === 'OPTIONS') {
+      return { status: 204, body: null };
+    }
+
+    let response;
+    if (route === '/token' && call.grantType === 'password') {
+      response = this._signInWithPassword(body);
+    } else if (route === '/token' && call.grantType === 'refresh_token') {
+      response = this._refresh(body);
+    } else if (route === '/user' && request.method === 'GET') {
+      response = this._getCurrentUser(request.headers);
+    } else if (route === '/logout') {
+      response = this._signOut(request.headers);
+    } else if (/^\/factors\/[^/]+\/challenge$/.test(route)) {
+      response = this._challenge(route.split('/')[2], request.headers);
+    } else if (/^\/factors\/[^/]+\/verify$/.test(route)) {
+      response = this._verify(route.split('/')[2], body, request.headers);
+    } else {
+      response = { status: 404, body: { code: 404, error_code: 'not_found', msg: `No stand-in for ${route}` } };
+    }
+
+    call.status = response.status;
+    return response;
+  }
+
+  /**
+   * Get recorded calls, optionally filtered by path
+   * @param {string} pathContains - Optional path fragment (e.g. '/token', '/logout')
+   * @returns {{method: string, path: string, grantType: string|null, status: number}[]}
+   */
+  getCalls(pathContains = null) {
+    return this.calls.filter(call => !pathContains || call.path.includes(pathContains));
+  }
+
+  /**
+   * POST /token?grant_type=password
+   * @private
+   */
+  _signInWithPassword(body) {
+    const user = this.users.get(String(body && body.email).toLowerCase());
+    if (!user || user.password !== body.password) {
+      return this._error(AUTH_ERRORS.invalidCredentials);
+    }
+    if (user.state === 'locked') {
+      return this._error(AUTH_ERRORS.userBanned);
+    }
+    if (user.state === 'unconfirmed') {
+      return this._error(AUTH_ERRORS.emailNotConfirmed);
+    }
+    return { status: 200, body: this._issueSession(user, 'aal1') };
+  }
+
+  /**
+   * POST /token?grant_type=refresh_token
+   * A failed refresh makes supabase-js drop the session and emit SIGNED_OUT
+   * @private
+   */
+  _refresh(body) {
+    const session = [...this.sessions.values()].find(item => item.refreshToken === (body && body.refresh_token));
+    if (!session) {
+      return this._error(AUTH_ERRORS.invalidRefreshToken);
+    }
+    this.sessions.delete(session.accessToken);
+    const user = this._findUser(session.email);
+    if (!user) {
+      return this._error(AUTH_ERRORS.invalidRefreshToken);
+    }
+    return { status: 200, body: this._issueSession(user, session.aal) };
+  }
+
+  /**
+   * GET /user
+   * @private
+   */
+  _getCurrentUser(headers) {
+    const session = this._getSessionFromHeaders(headers);
+    const user = session && this._findUser(session.email);
+    if (!user) {
+      return this._error(AUTH_ERRORS.notAuthenticated);
+    }
+    return { status: 200, body: this._serializeUser(user) };
+  }
+
+  /**
+   * POST /logout
+   * @private
+   */
+  _signOut(headers) {
+    const session = this._getSessionFromHeaders(headers);
+    if (session) {
+      this.sessions.delete(session.accessToken);
+    }
+    return { status: 204, body: null };
+  }
+
+  /**
+   * POST /factors/{factorId}/challenge
+   * @private
+   */
+  _challenge(factorId, headers) {
+    const session = this._getSessionFromHeaders(headers);
+    if (!session) {
+      return this._error(AUTH_ERRORS.notAuthenticated);
+    }
+    const challengeId = crypto.randomUUID();
+    this.challenges.set(challengeId, { factorId, email: session.email });
+    return {
+      status: 200,
+      body: { id: challengeId, type: 'totp', expires_at: Math.floor(Date.now() / 1000) + 300 },
+    };
+  }
+
+  /**
+   * POST /factors/{factorId}/verify - upgrades the session to aal2
+   * @private
+   */
+  _verify(factorId, body, headers) {
+    const session = this._getSessionFromHeaders(headers);
+    const challenge = this.challenges.get(body && body.challenge_id);
+    if (!session || !challenge || challenge.factorId !== factorId) {
+      return this._error(AUTH_ERRORS.notAuthenticated);
+    }
+    const user = this._findUser(challenge.email);
+    if (!user) {
+      return this._error(AUTH_ERRORS.notAuthenticated);
+    }
+    if (user.mfaCode !== body.code) {
+      return this._error(AUTH_ERRORS.invalidMfaCode);
+    }
+    this.challenges.delete(body.challenge_id);
+    this.sessions.delete(session.accessToken);
+    return { status: 200, body: this._issueSession(user, 'aal2') };
+  }
+
+  /**
+   * Create a session for a user and return it in GoTrue's token response shape
+   * @private
+   */
+  _issueSession(user, aal) {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresAt = now + this.options.expiresIn;
+    const accessToken = this._createJwt({
+      sub: user.id,
+      email: user.email,
+      role: 'authenticated',
+      aud: 'authenticated',
+      aal,
+      amr: [{ method: aal === 'aal2' ? 'totp' : 'password', timestamp: now }],
+      session_id: crypto.randomUUID(),
+      iat: now,
+      exp: expiresAt,
+    });
+    const refreshToken = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(accessToken, { accessToken, refreshToken, email: user.email, aal });
+
+    return {
+      access_token: accessToken,
+      token_type: 'bearer',
+      expires_in: this.options.expiresIn,
+      expires_at: expiresAt,
+      refresh_token: refreshToken,
+      user: this._serializeUser(user),
+    };
+  }
+
+  /**
+   * User object in GoTrue's shape
+   * @private
+   */
+  _serializeUser(user) {
+    return {
+      id: user.id,
+      aud: 'authenticated',
+      role: 'authenticated',
+      email: user.email,
+      email_confirmed_at: user.state === 'unconfirmed' ? null : new Date(0).toISOString(),
+      app_metadata: { provider: 'email', providers: ['email'] },
+      user_metadata: user.userMetadata,
+      factors: user.factorId
+        ? [{ id: user.factorId, factor_type: 'totp', status: 'verified', friendly_name: 'Authenticator' }]
+        : [],
+      created_at: new Date(0).toISOString(),
+    };
+  }
+
+  /**
+   * Unsigned JWT - supabase-js only decodes the payload
+   * @private
+   */
+  _createJwt(payload) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.${crypto.randomBytes(16).toString('base64url')}`;
+  }
+
+  /**
+   * Find the live session for a Bearer token
+   * @private
+   */
+  _getSessionFromHeaders(headers) {
+    const authorization = headers.authorization || headers.Authorization || '';
+    return this.sessions.get(authorization.replace(/^Bearer\s+/i, '').trim()) || null;
+  }
+
+  /**
+   * Look up a configured user, or null if there is none (e.g. removed since the session was issued)
+   * @private
+   */
+  _findUser(email) {
+    return this.users.get(String(email).toLowerCase()) || null;
+  }
+
+  /**
+   * Look up a configured user
+   * @private
+   * @throws {Error} If the user is not configured
+   */
+  _getUser(email) {
+    const user = this._findUser(email);
+    if (!user) {
+      throw new Error(`SupabaseAuthStandIn: unknown user ${email}`);
+    }
+    return user;
+  }
+
+  /**
+   * Build an error response from an AUTH_ERRORS entry
+   * @private
+   */
+  _error({ status, ...body }) {
+    return { status, body: { code: status, ...body } };
+  }
+
+  /**
+   * Parse a JSON body, returning null when it is not JSON
+   * @private
+   */
+  _parseJson(body) {
+    try {
+      return body ? JSON.parse(body) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * CORS headers for responses to the extension origin
+   * @private
+   */
+  _getCorsHeaders() {
+    return {
+      'access-control-allow-origin': '*',
+      'access-control-allow-headers': '*',
+      'access-control-allow-methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    };
+  }
+}
+
+module.exports = { SupabaseAuthStandIn, AUTH_EVENTS, AUTH_ERRORS };
@@ -0,0 +1,538 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Question types of the model, keyed by the lowercase names the side panel sends
+ */
+const QUESTION_TYPES = {
+  single: 'Single',
+  multi: 'Multi',
+  grid: 'Grid',
+  grid3d: 'Grid3D',
+  open: 'Open',
+  numeric: 'Numeric',
+  date: 'Date',
+  ranking: 'Ranking',
+};
+
+// Side panel question type names (getAvailableQuestionTypes) that Confirmit stores as one of the above
+const TYPE_ALIASES = {
+  multigrid: 'Grid3D',
+  '3dgrid': 'Grid3D',
+  multiordered: 'Ranking',
+};
+
+/**
+ * Top-level collections, served from GET routing/{name}
+ */
+const ROOT_NODES = {
+  Routing: 'routing',
+  Blocks: 'blocks',
+  PredefinedLists: 'predefinedLists',
+  Quotas: 'quotas',
+};
+
+const FOLDER_TYPES = ['Root', 'Page', 'Block'];
+// Node fields a PUT cannot overwrite
+const PROTECTED_FIELDS = ['nodeId', 'nodeType', 'entityId', 'entityIdAsString', 'children', 'answers', 'questions'];
+
+/**
+ * Thrown when a request cannot be applied to the survey; status is the HTTP status to answer with
+ */
+class SurveyModelError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status (404 unknown node, 400 invalid request)
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SurveyModelError';
+    this.status = status;
+  }
+}
+
+/**
+ * SurveyModel - In-memory Confirmit survey behind ConfirmitStandInServer's API
+ * Follows Single Responsibility Principle (SRP) - survey state only, no HTTP
+ *
+ * Responsibilities:
+ * - Hold the node tree: pages, blocks and questions under the Routing root, plus the
+ *   Blocks, PredefinedLists and Quotas roots
+ * - Apply the surveydesigner API's mutations the way Confirmit does: create a node
+ *   before/after another, update a node, replace answers, delete a subtree, add and
+ *   update multigrid sub-questions
+ * - Answer the API's reads in Confirmit's shapes (folders as { ..., children })
+ * - Let tests seed it from JSON fixtures and assert on its final state by node name
+ *
+ * Node IDs are numeric strings unique across the survey; nodes can be looked up by ID
+ * or by name (e.g. 'Q3'). Accessors return copies, so assertions cannot change the state.
+ */
+class SurveyModel {
+  /**
+   * @param {Object} data - Survey in fixture format ({ project, routing, blocks,
+   *   predefinedLists, quotas, questionnaires }); node lists may nest through `children`
+   */
+  constructor(data = {}) {
+    const source = JSON.parse(JSON.stringify(data));
+    this.project = source.project || { name: 'Survey', defaultLanguageId: 9 };
+    this.questionnaires = source.questionnaires || [];
+    this.roots = {};
+    Object.entries(ROOT_NODES).forEach(([rootId, key]) => {
+      this.roots[rootId] = {
+        nodeId: rootId,
+        name: rootId,
+        nodeType: 'Root',
+        children: (source[key] || []).map(node => this._normalizeNode(node, key)),
+      };
+    });
+    this.nextNodeId = this._getMaxNodeId() + 1;
+  }
+
+  /**
+   * Load a survey fixture
+   * @param {string} fixturePath - JSON file in fixture format
+   * @returns {SurveyModel}
+   */
+  static fromFile(fixturePath) {
+    return new SurveyModel(JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8')));
+  }
+
+  /**
+   * Get the project details (GET /surveys/{projectId})
+   * @returns {Object}
+   */
+  getProject() {
+    return { ...this.project };
+  }
+
+  /**
+   * Get a node's details, without its answers and children
+   * @param {string} ref - Node ID or name
+   * @returns {Object}
+   * @throws {SurveyModelError} 404 if there is no such node
+   */
+  getNode(ref) {
+    return this._toDetails(this._find(ref).node);
+  }
+
+  /**
+   * Check whether a node exists
+   * @param {string} ref - Node ID or name
+   * @returns {boolean}
+   */
+  hasNode(ref) {
+    return this._locate(ref) !== null;
+  }
+
+  /**
+   * Get a folder (a root, page or block) with its direct children as summaries, the way
+   * GET routing/{nodeId} answers; other nodes come back with no children
+   * @param {string} ref - Root name (Routing, Blocks, PredefinedLists, Quotas), node ID or name
+   * @returns {Object}
+   * @throws {SurveyModelError} 404 if there is no such node
+   */
+  getFolder(ref) {
+    const node = this.roots[ref] || this._find(ref).node;
+    return {
+      ...this._toDetails(node),
+      children: (node.children || []).map(child => this._toSummary(child)),
+    };
+  }
+
+  /**
+   * Get the name of a node's parent (a page, block or root)
+   * @param {string} ref - Node ID or name
+   * @returns {string}
+   */
+  getParentName(ref) {
+    return this._find(ref).parent.name;
+  }
+
+  /**
+   * Get the names of every node under a root, depth first, in routing order
+   * @param {string} rootId - Root name (default: Routing)
+   * @returns {string[]}
+   */
+  getRoutingOrder(rootId = 'Routing') {
+    const names = [];
+    const walk = nodes => nodes.forEach(node => {
+      names.push(node.name);
+      walk(node.children || []);
+    });
+    walk(this._getRoot(rootId).children);
+    return names;
+  }
+
+  /**
+   * Get every question under the Routing root, in routing order
+   * @returns {Object[]} Question details
+   */
+  getQuestions() {
+    return this._flatten(this.roots.Routing.children)
+      .filter(node => node.nodeType === 'Question')
+      .map(node => this._toDetails(node));
+  }
+
+  /**
+   * Get a questionnaire by ID
+   * @param {string} questionnaireId
+   * @returns {Object}
+   * @throws {SurveyModelError} 404 if there is no such questionnaire
+   */
+  getQuestionnaire(questionnaireId) {
+    const questionnaire = this.questionnaires.find(item => item.questionnaireId === questionnaireId);
+    if (!questionnaire) {
+      throw new SurveyModelError(`Questionnaire ${questionnaireId} not found`, 404);
+    }
+    return { ...questionnaire };
+  }
+
+  /**
+   * Get a question's or predefined list's answers
+   * @param {string} ref - Node ID or name
+   * @returns {Object[]}
+   */
+  getAnswers(ref) {
+    return JSON.parse(JSON.stringify(this._findWithAnswers(ref).answers || []));
+  }
+
+  /**
+   * Replace a question's or predefined list's answers (PUT {nodeId}/answers)
+   * @param {string} ref - Node ID or name
+   * @param {Object[]|{answers: Object[]}} answers - Answer list, or an object wrapping it
+   * @returns {Object[]} The stored answers
+   * @throws {SurveyModelError} 400 if the payload holds no answer list
+   */
+  setAnswers(ref, answers) {
+    const list = Array.isArray(answers) ? answers : answers && answers.answers;
+    if (!Array.isArray(list)) {
+      throw new SurveyModelError('Answers must be a list or { answers: [...] }');
+    }
+    this._findWithAnswers(ref).answers = JSON.parse(JSON.stringify(list));
+    return this.getAnswers(ref);
+  }
+
+  /**
+   * Create an empty question next to another node (POST nodes?type=&position=&nodeId=)
+   * Without a known anchor the question is appended to the Routing root.
+   * @param {{type?: string, position?: string, nodeId?: string}} params - Query parameters
+   * @returns {Object} The created question's details
+   * @throws {SurveyModelError} 400 for an unknown position
+   */
+  createNode({ type = 'open', position = 'After', nodeId = null } = {}) {
+    if (!['Before', 'After'].includes(position)) {
+      throw new SurveyModelError(`Unknown position "${position}"; use Before or After`);
+    }
+    const id = String(this.nextNodeId++);
+    const node = {
+      nodeId: id,
+      name: this._getFreeName(`Q${id}`),
+      nodeType: 'Question',
+      questionType: SurveyModel.normalizeType(type),
+      title: '',
+      formTexts: [],
+      answers: [],
+    };
+    const anchor = nodeId ? this._locate(nodeId) : null;
+    if (anchor) {
+      const siblings = anchor.parent.children;
+      siblings.splice(siblings.indexOf(anchor.node) + (position === 'After' ? 1 : 0), 0, node);
+    } else {
+      this.roots.Routing.children.push(node);
+    }
+    return this._toDetails(node);
+  }
+
+  /**
+   * Update a node's fields (PUT nodes/{nodeId})
+   * IDs, type, children and answers are kept; formTexts and title are kept in step.
+   * @param {string} ref - Node ID or name
+   * @param {Object} payload - Fields to set
+   * @returns {Object} The updated node's details
+   */
+  updateNode(ref, payload = {}) {
+    const { node } = this._find(ref);
+    Object.entries(payload || {})
+      .filter(([key]) => !PROTECTED_FIELDS.includes(key))
+      .forEach(([key, value]) => {
+        node[key] = JSON.parse(JSON.stringify(value));
+      });
+    if (payload && payload.questionType && node.nodeType === 'Question') {
+      node.questionType = SurveyModel.normalizeType(payload.questionType);
+    }
+    if (payload && Array.isArray(payload.formTexts)) {
+      node.title = this._getDefaultText(payload.formTexts);
+    } else if (payload && typeof payload.title === 'string') {
+      node.formTexts = [{ text: payload.title, language: this.project.defaultLanguageId }];
+    }
+    return this._toDetails(node);
+  }
+
+  /**
+   * Delete a node with everything under it (DELETE routing/{nodeId})
+   * @param {string} ref - Node ID or name
+   * @returns {Object} The deleted node's details
+   */
+  deleteNode(ref) {
+    const { node, parent } = this._find(ref);
+    parent.children.splice(parent.children.indexOf(node), 1);
+    return this._toDetails(node);
+  }
+
+  /**
+   * Get a multigrid's sub-questions
+   * @param {string} ref - Grid3D question ID or name
+   * @returns {Object[]}
+   */
+  getMultiGridQuestions(ref) {
+    return JSON.parse(JSON.stringify(this._findMultiGrid(ref).questions));
+  }
+
+  /**
+   * Add a sub-question to a multigrid (POST multigrid/{nodeId}/questions)
+   * @param {string} ref - Grid3D question ID or name
+   * @param {{position?: string, nodeId?: string}} params - Insert before/after this
+   *   sub-question; appended when nodeId is missing or unknown
+   * @param {Object} payload - { precode, keepPos, formTexts, texts }
+   * @returns {Object} The created sub-question
+   */
+  addMultiGridQuestion(ref, { position = 'After', nodeId = null } = {}, payload = {}) {
+    const { questions } = this._findMultiGrid(ref);
+    const questionId = String(this.nextNodeId++);
+    // __uniqueId only orders the panel's batch; Confirmit assigns the entity ID
+    const { __uniqueId, ...fields } = payload || {};
+    const question = {
+      ...JSON.parse(JSON.stringify(fields)),
+      questionId,
+      entityIdAsString: questionId,
+      entityId: { $type: 'EntityId', id: questionId },
+    };
+    const anchorIndex = questions.findIndex(item => item.questionId === nodeId);
+    if (anchorIndex === -1) {
+      questions.push(question);
+    } else {
+      questions.splice(anchorIndex + (position === 'Before' ? 0 : 1), 0, question);
+    }
+    return JSON.parse(JSON.stringify(question));
+  }
+
+  /**
+   * Update a multigrid sub-question (PUT multigrid/{nodeId}/questions/{questionId})
+   * @param {string} ref - Grid3D question ID or name
+   * @param {string} questionId - Sub-question ID
+   * @param {Object} payload - Fields to set
+   * @returns {Object} The updated sub-question
+   * @throws {SurveyModelError} 404 if there is no such sub-question
+   */
+  updateMultiGridQuestion(ref, questionId, payload = {}) {
+    const question = this._findMultiGrid(ref).questions.find(item => item.questionId === questionId);
+    if (!question) {
+      throw new SurveyModelError(`Multigrid question ${questionId} not found`, 404);
+    }
+    Object.entries(payload || {})
+      .filter(([key]) => !['questionId', 'entityId', 'entityIdAsString'].includes(key))
+      .forEach(([key, value]) => {
+        question[key] = JSON.parse(JSON.stringify(value));
+      });
+    return JSON.parse(JSON.stringify(question));
+  }
+
+  /**
+   * Export the current state in fixture format (seed another model with it)
+   * @returns {Object}
+   */
+  toJSON() {
+    const data = {
+      project: this.getProject(),
+      questionnaires: JSON.parse(JSON.stringify(this.questionnaires)),
+    };
+    Object.entries(ROOT_NODES).forEach(([rootId, key]) => {
+      data[key] = JSON.parse(JSON.stringify(this.roots[rootId].children));
+    });
+    return data;
+  }
+
+  /**
+   * Map a side panel or fixture question type onto a model type (unknown types are
+   * capitalized, e.g. info → Info)
+   * @param {string} type
+   * @returns {string}
+   */
+  static normalizeType(type) {
+    const key = String(type || 'open').toLowerCase();
+    return QUESTION_TYPES[key] || TYPE_ALIASES[key] || `${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+  }
+
+  /**
+   * Fill in the fields a fixture node may leave out
+   * @private
+   */
+  _normalizeNode(node, rootKey) {
+    const normalized = { ...node, nodeId: String(node.nodeId) };
+    if (!normalized.nodeType) {
+      normalized.nodeType = { predefinedLists: 'PredefinedList', quotas: 'Quota' }[rootKey]
+        || (node.children ? 'Block' : 'Question');
+    }
+    if (normalized.nodeType === 'Question') {
+      normalized.questionType = SurveyModel.normalizeType(node.questionType || node.type);
+      delete normalized.type;
+      normalized.formTexts = node.formTexts
+        || (node.title ? [{ text: node.title, language: this.project.defaultLanguageId }] : []);
+      normalized.title = node.title !== undefined ? node.title : this._getDefaultText(normalized.formTexts);
+      normalized.answers = node.answers || [];
+      if (normalized.questionType === 'Grid3D') {
+        normalized.questions = node.questions || [];
+      }
+    }
+    if (FOLDER_TYPES.includes(normalized.nodeType) || node.children) {
+      normalized.children = (node.children || []).map(child => this._normalizeNode(child, rootKey));
+    }
+    return normalized;
+  }
+
+  /**
+   * Find a node and its parent by ID or name, or null
+   * @private
+   */
+  _locate(ref) {
+    const key = String(ref);
+    const search = parent => {
+      for (const node of parent.children || []) {
+        if (node.nodeId === key || node.name === key) {
+          return { node, parent };
+        }
+        const found = search(node);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+    for (const root of Object.values(this.roots)) {
+      const found = search(root);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find a node and its parent, or throw a 404
+   * @private
+   */
+  _find(ref) {
+    const found = this._locate(ref);
+    if (!found) {
+      throw new SurveyModelError(`Node ${ref} not found`, 404);
+    }
+    return found;
+  }
+
+  /**
+   * Find a node that has an answer list (a question or predefined list)
+   * @private
+   */
+  _findWithAnswers(ref) {
+    const { node } = this._find(ref);
+    if (!['Question', 'PredefinedList'].includes(node.nodeType)) {
+      throw new SurveyModelError(`${node.name} is a ${node.nodeType} and has no answers`);
+    }
+    if (!node.answers) {
+      node.answers = [];
+    }
+    return node;
+  }
+
+  /**
+   * Find a Grid3D question
+   * @private
+   */
+  _findMultiGrid(ref) {
+    const { node } = this._find(ref);
+    if (node.questionType !== 'Grid3D') {
+      throw new SurveyModelError(`${node.name} is not a multigrid (Grid3D) question`);
+    }
+    return node;
+  }
+
+  /**
+   * Get a root by name, or throw a 404
+   * @private
+   */
+  _getRoot(rootId) {
+    if (!this.roots[rootId]) {
+      throw new SurveyModelError(`Unknown root ${rootId}; use ${Object.keys(ROOT_NODES).join(', ')}`, 404);
+    }
+    return this.roots[rootId];
+  }
+
+  /**
+   * Node fields as the API returns them (no children, answers or sub-questions)
+   * @private
+   */
+  _toDetails(node) {
+    const { children, answers, questions, ...fields } = node;
+    const details = JSON.parse(JSON.stringify(fields));
+    if (node.nodeType !== 'Root') {
+      details.entityIdAsString = node.nodeId;
+      details.entityId = { $type: 'EntityId', id: node.nodeId };
+    }
+    return details;
+  }
+
+  /**
+   * Child entry of a folder listing
+   * @private
+   */
+  _toSummary(node) {
+    const summary = { nodeId: node.nodeId, name: node.name, nodeType: node.nodeType };
+    if (node.nodeType === 'Question') {
+      summary.questionType = node.questionType;
+      summary.title = node.title;
+    }
+    return summary;
+  }
+
+  /**
+   * All nodes below a list, depth first
+   * @private
+   */
+  _flatten(nodes) {
+    return nodes.flatMap(node => [node, ...this._flatten(node.children || [])]);
+  }
+
+  /**
+   * Text in the project's default language, else the first text
+   * @private
+   */
+  _getDefaultText(formTexts) {
+    const text = formTexts.find(item => item.language === this.project.defaultLanguageId) || formTexts[0];
+    return text ? text.text : '';
+  }
+
+  /**
+   * The name, or the name with a numeric suffix if another node has it
+   * @private
+   */
+  _getFreeName(name) {
+    let candidate = name;
+    for (let suffix = 1; this._locate(candidate); suffix++) {
+      candidate = `${name}_${suffix}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Highest numeric node or sub-question ID in the survey
+   * @private
+   */
+  _getMaxNodeId() {
+    return Object.values(this.roots)
+      .flatMap(root => this._flatten(root.children))
+      .flatMap(node => [node.nodeId, ...(node.questions || []).map(question => question.questionId)])
+      .reduce((max, id) => Math.max(max, Number(id) || 0), 0);
+  }
+}
+
+module.exports = { SurveyModel, SurveyModelError, QUESTION_TYPES };
@@ -0,0 +1,144 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const { ExternalSitePage } = require('../pages/ExternalSitePage');
+const { ConfirmitStandInServer } = require('../servers/ConfirmitStandInServer');
+const testConfig = require('../config/test.config');
+
+/**
+ * Confirmit Stand-in Test Suite
+ * Verifies the offline Confirmit/Forsta Plus stand-in:
+ * 1. The surveydesigner API endpoints used by the side panel
+ * 2. The multi-step login through ExternalSitePage with Confirmit hosts mapped to the stand-in
+ * The stand-in is given its own credentials, so the suite runs without real secrets.
+ */
+const STAND_IN_CREDENTIALS = { username: 'standin.user', password: 'stand-in-password' };
+
+test.use({ browserOptions: { confirmitStandIn: { credentials: STAND_IN_CREDENTIALS } } });
+
+test.describe('Confirmit Stand-in API', () => {
+  /** @type {ConfirmitStandInServer} */
+  let server;
+
+  /** @type {string} */
+  let apiBase;
+
+  /** @type {Object} */
+  let authHeaders;
+
+  test.beforeEach(async () => {
+    server = await new ConfirmitStandInServer({ credentials: STAND_IN_CREDENTIALS }).start();
+    apiBase = `${server.getUrl()}/surveydesigner/api/surveys/${server.getProjectId()}`;
+
+    // Log in through the form endpoints to obtain a session cookie
+    const { username, password } = STAND_IN_CREDENTIALS;
+    const response = await fetch(`${server.getUrl()}/identity/login`, {
+      method: 'POST',
+      body: new URLSearchParams({ username, password, returnUrl: '/home/' }),
+      redirect: 'manual',
+    });
+    authHeaders = { cookie: response.headers.get('set-cookie').split(';')[0] };
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should reject API calls without a session', async () => {
+    const response = await fetch(`${apiBase}/routing/Routing`);
+    expect(response.status).toBe(401);
+  });
+
+  test('should answer malformed JSON with 400', async () => {
+    const response = await fetch(`${apiBase}/nodes?type=single&position=Before&nodeId=2`, {
+      method: 'POST',
+      headers: { ...authHeaders, 'Content-Type': 'application/json' },
+      body: '{"title": ',
+    });
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ message: 'The request body is not valid JSON' });
+  });
+
+  test('should only redirect to paths on the stand-in after login', async () => {
+    const { username, password } = STAND_IN_CREDENTIALS;
+    for (const returnUrl of ['//evil.example/', '/\\evil.example/', 'https://evil.example/']) {
+      const response = await fetch(`${server.getUrl()}/identity/login`, {
+        method: 'POST',
+        body: new URLSearchParams({ username, password, returnUrl }),
+        redirect: 'manual',
+      });
+      expect(response.headers.get('location')).toBe('/home/');
+    }
+  });
+
+  test('should serve the routing collections', async () => {
+    for (const collection of ['Routing', 'Quotas', 'PredefinedLists', 'Blocks']) {
+      const response = await fetch(`${apiBase}/routing/${collection}`, { headers: authHeaders });
+      expect(response.status).toBe(200);
+      const root = await response.json();
+      expect(root.nodeId).toBe(collection);
+      expect(Array.isArray(root.children)).toBe(true);
+    }
+  });
+
+  test('should create a node before the anchor node', async () => {
+    const response = await fetch(`${apiBase}/nodes?type=single&position=Before&nodeId=2`, {
+      method: 'POST',
+      headers: authHeaders,
+    });
+    const created = await response.json();
+
+    const routing = await (await fetch(`${apiBase}/routing/Routing`, { headers: authHeaders })).json();
+    expect(routing.children.map(node => node.nodeId)).toEqual(['1', created.nodeId, '2', '3']);
+  });
+
+  test('should update and read back answers', async () => {
+    const answers = [{ code: '1', text: 'Yes' }, { code: '2', text: 'No' }];
+    await fetch(`${apiBase}/1/answers?type=Single`, {
+      method: 'PUT',
+      headers: { ...authHeaders, 'Content-Type': 'application/json' },
+      body: JSON.stringify(answers),
+    });
+
+    const response = await fetch(`${apiBase}/1/answers?type=Single`, { headers: authHeaders });
+    expect(await response.json()).toEqual(answers);
+  });
+
+  test('should delete a node from the routing', async () => {
+    await fetch(`${apiBase}/routing/3`, { method: 'DELETE', headers: authHeaders });
+
+    const routing = await (await fetch(`${apiBase}/routing/Routing`, { headers: authHeaders })).json();
+    expect(routing.children.map(node => node.nodeId)).not.toContain('3');
+    expect(server.getRequests('/routing/3')[0].method).toBe('DELETE');
+  });
+});
+
+test.describe('Confirmit Stand-in Login', () => {
+  test('should keep the Confirmit hostname while serving from the stand-in', async ({ externalSite }) => {
+    await externalSite.goto();
+
+    expect(new URL(externalSite.getCurrentUrl()).hostname).toBe(new URL(testConfig.externalSite.url).hostname);
+    await expect(externalSite.usernameInput).toBeVisible();
+  });
+
+  test('should complete the multi-step login', async ({ externalSite }) => {
+    await externalSite.goto();
+    const success = await externalSite.login(
+      STAND_IN_CREDENTIALS.username,
+      STAND_IN_CREDENTIALS.password
+    );
+
+    expect(success).toBe(true);
+    await expect(externalSite.successIndicator).toBeVisible();
+  });
+
+  test('should show an error for a wrong password', async ({ extensionContext, externalSite }) => {
+    await extensionContext.clearCookies();
+
+    await externalSite.goto();
+    await externalSite.fillUsername(STAND_IN_CREDENTIALS.username);
+    await externalSite.clickLogin();
+    await externalSite.fillPassword('wrong-password');
+    await externalSite.clickLogin();
+
+    expect(await externalSite.isErrorVisible()).toBe(true);
+  });
+});
@@ -0,0 +1,259 @@
+const { test, expect } = require('@playwright/test');
+const { EventEmitter } = require('events');
+// The last two suites run on the fixtures; the others drive the process-wide test allowlist themselves
+const { test: extensionTest } = require('../fixtures/extension.fixtures');
+const { ConsoleCollector, UnexpectedConsoleError, CONSOLE_SOURCES } = require('../helpers/ConsoleCollector');
+const testConfig = require('../config/test.config');
+
+/**
+ * Console Collector Test Suite
+ * Verifies the one console log of a browser context that every test gets attached:
+ * 1. Entries are tagged with the service worker, side panel, extension page, content script or site
+ * 2. Unexpected errors from the extension fail the test; allowlisted and site errors do not
+ * 3. Tests on the extension fixtures fail for every browser they had open, closed ones included
+ * 4. The running extension's service worker and side panel are collected from launch on
+ */
+
+const EXTENSION = `chrome-extension://${'a'.repeat(32)}`;
+const SITE = 'https://author.nordic.confirmit.com/edit/p123456';
+
+/**
+ * Stand-in for a browser context that emits console and error events like Playwright's
+ * @returns {EventEmitter}
+ */
+function createFakeContext() {
+  const context = new EventEmitter();
+  context.serviceWorkers = () => [];
+  return context;
+}
+
+/**
+ * Emit a console message on a fake context
+ * @param {EventEmitter} context
+ * @param {Object} message
+ * @param {string} message.text
+ * @param {string} message.type - Console method ('log', 'error', ...)
+ * @param {string} message.pageUrl - URL of the page that logged ('' for the service worker)
+ * @param {string} message.scriptUrl - URL of the script that logged
+ */
+function emitConsole(context, { text, type = 'error', pageUrl = '', scriptUrl = '' }) {
+  context.emit('console', {
+    text: () => text,
+    type: () => type,
+    location: () => ({ url: scriptUrl, lineNumber: 12, columnNumber: 4 }),
+    page: () => (pageUrl ? { url: () => pageUrl } : null),
+    worker: () => (pageUrl ? null : { url: () => `${EXTENSION}/background.js` }),
+  });
+}
+
+/**
+ * Stand-in for TestInfo that keeps its attachments
+ * @returns {{attachments: Object[], attach: Function}}
+ */
+function createFakeTestInfo() {
+  const attachments = [];
+  return { attachments, attach: async (name, options) => attachments.push({ name, ...options }) };
+}
+
+test.describe('Source tagging', () => {
+  /** @type {ConsoleCollector} */
+  let collector;
+  /** @type {EventEmitter} */
+  let context;
+
+  test.beforeEach(async () => {
+    context = createFakeContext();
+    collector = await new ConsoleCollector(context).install();
+  });
+
+  test.afterEach(async () => {
+    await collector.uninstall();
+  });
+
+  test('should tag entries with where they were logged', () => {
+    emitConsole(context, { text: '❌ [background] Failed to reload config', scriptUrl: `${EXTENSION}/background.js` });
+    emitConsole(context, { text: 'Side panel ready', type: 'log', pageUrl: `${EXTENSION}/${testConfig.sidePanelFile}` });
+    emitConsole(context, { text: 'Options saved', type: 'info', pageUrl: `${EXTENSION}/options.html?tab=1` });
+    emitConsole(context, {
+      text: 'The unlisted script "content-overlay" crashed on startup!',
+      pageUrl: SITE,
+      scriptUrl: `${EXTENSION}/content-scripts/content-overlay.js`,
+    });
+    emitConsole(context, { text: 'Mixed content', type: 'warning', pageUrl: SITE, scriptUrl: SITE });
+
+    expect(collector.getEntries().map(({ source, type, text }) => ({ source, type, text }))).toEqual([
+      { source: CONSOLE_SOURCES.serviceWorker, type: 'error', text: '❌ [background] Failed to reload config' },
+      { source: CONSOLE_SOURCES.sidePanel, type: 'log', text: 'Side panel ready' },
+      { source: 'extension-page:options.html', type: 'info', text: 'Options saved' },
+      { source: 'content-script:content-scripts/content-overlay.js', type: 'error', text: 'The unlisted script "content-overlay" crashed on startup!' },
+      { source: CONSOLE_SOURCES.page, type: 'warning', text: 'Mixed content' },
+    ]);
+  });
+
+  test('should record uncaught errors of pages, content scripts and the service worker', () => {
+    const error = new TypeError('Cannot read properties of null (reading \'id\')');
+    error.stack = `TypeError: ${error.message}\n    at init (${EXTENSION}/content-scripts/content-overlay.js:3:9)`;
+    context.emit('weberror', { error: () => error, page: () => ({ url: () => SITE }) });
+    emitConsole(context, { text: '[uncaught] Unhandled rejection: Error: Token expired' });
+
+    expect(collector.getEntries().map(({ source, type, text, url }) => ({ source, type, text, url }))).toEqual([
+      {
+        source: 'content-script:content-scripts/content-overlay.js',
+        type: 'uncaught',
+        text: 'TypeError: Cannot read properties of null (reading \'id\')',
+        url: `${EXTENSION}/content-scripts/content-overlay.js:3:9`,
+      },
+      { source: CONSOLE_SOURCES.serviceWorker, type: 'uncaught', text: 'Unhandled rejection: Error: Token expired', url: '' },
+    ]);
+  });
+
+  test('should stop collecting when uninstalled and keep only the newest entries', async () => {
+    await collector.uninstall();
+    const small = await new ConsoleCollector(context, { maxEntries: 2 }).install();
+
+    ['first', 'second', 'third'].forEach(text => emitConsole(context, { text, type: 'log' }));
+    await small.uninstall();
+    emitConsole(context, { text: 'after', type: 'log' });
+
+    expect(collector.getEntries()).toEqual([]);
+    expect(small.getEntries().map(entry => entry.text)).toEqual(['second', 'third']);
+  });
+});
+
+test.describe('Unexpected errors', () => {
+  /** @type {ConsoleCollector} */
+  let collector;
+  /** @type {EventEmitter} */
+  let context;
+
+  test.beforeEach(async () => {
+    context = createFakeContext();
+    collector = await new ConsoleCollector(context, { failOnError: true, allowlist: [{ pattern: /^Heartbeat/ }] }).install();
+    ConsoleCollector.startTest();
+  });
+
+  test.afterEach(async () => {
+    ConsoleCollector.startTest();
+    await collector.uninstall();
+  });
+
+  test('should only count errors from the extension that no allowlist covers', () => {
+    emitConsole(context, { text: '❌ [background] Failed to reload config' });
+    emitConsole(context, { text: 'Heartbeat missed' });
+    emitConsole(context, { text: 'Side panel warning', type: 'warning', pageUrl: `${EXTENSION}/${testConfig.sidePanelFile}` });
+    emitConsole(context, { text: 'Site error', pageUrl: SITE, scriptUrl: SITE });
+    emitConsole(context, { text: 'Overlay failed to mount', pageUrl: SITE, scriptUrl: `${EXTENSION}/content.js` });
+    emitConsole(context, { text: 'Overlay failed to mount', pageUrl: `${EXTENSION}/${testConfig.sidePanelFile}` });
+
+    expect(collector.getUnexpectedErrors().map(entry => `${entry.source}: ${entry.text}`)).toEqual([
+      'service-worker: ❌ [background] Failed to reload config',
+      'content-script:content.js: Overlay failed to mount',
+      'side-panel: Overlay failed to mount',
+    ]);
+
+    ConsoleCollector.allow('failed to mount', { source: 'content-script' });
+    ConsoleCollector.allow('Failed to reload config');
+    expect(collector.getUnexpectedErrors().map(entry => entry.source)).toEqual([CONSOLE_SOURCES.sidePanel]);
+  });
+
+  test('should attach the log and fail the test on unexpected errors', async () => {
+    emitConsole(context, { text: 'Config loaded', type: 'log' });
+    emitConsole(context, { text: '❌ [background] Failed to reload config' });
+    const testInfo = createFakeTestInfo();
+
+    const error = await ConsoleCollector.finishTest(testInfo).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(UnexpectedConsoleError);
+    expect(error.message).toMatch(
+      /^1 unexpected console error\(s\) from the extension:\n {2}\d\d:\d\d:\d\d\.\d{3} \[service-worker\] error: ❌ \[background\] Failed to reload config\n/
+    );
+    expect(error.message).toContain('consoleErrors.allow(pattern, { source })');
+    expect(testInfo.attachments).toEqual([{ name: 'console-log', body: expect.any(String), contentType: 'text/plain' }]);
+    expect(testInfo.attachments[0].body.split('\n')).toEqual([
+      expect.stringMatching(/ \[service-worker\] log: Config loaded$/),
+      expect.stringMatching(/ \[service-worker\] error: ❌ \[background\] Failed to reload config$/),
+    ]);
+  });
+
+  test('should report each entry with one test only, allowlists included', async () => {
+    emitConsole(context, { text: 'Startup failed' });
+    ConsoleCollector.allow('Startup failed');
+    await ConsoleCollector.finishTest(createFakeTestInfo());
+
+    ConsoleCollector.startTest();
+    emitConsole(context, { text: 'Ready', type: 'log' });
+    const testInfo = createFakeTestInfo();
+    await ConsoleCollector.finishTest(testInfo);
+    expect(testInfo.attachments[0].body).toMatch(/\[service-worker\] log: Ready$/);
+
+    ConsoleCollector.startTest();
+    emitConsole(context, { text: 'Startup failed' });
+    await expect(ConsoleCollector.finishTest(createFakeTestInfo())).rejects.toThrow(UnexpectedConsoleError);
+  });
+
+  test('should still report a collector uninstalled during the test', async () => {
+    emitConsole(context, { text: '❌ [background] Failed before the browser closed' });
+
+    await collector.uninstall();
+
+    await expect(ConsoleCollector.finishTest(createFakeTestInfo())).rejects.toThrow('Failed before the browser closed');
+    ConsoleCollector.startTest();
+    await expect(ConsoleCollector.finishTest(createFakeTestInfo())).resolves.toBeUndefined();
+  });
+
+  test('should not fail with failOnError off', async () => {
+    await collector.uninstall();
+    collector = await new ConsoleCollector(context, { failOnError: false }).install();
+    emitConsole(context, { text: '❌ [background] Failed to reload config' });
+    const testInfo = createFakeTestInfo();
+
+    await ConsoleCollector.finishTest(testInfo);
+
+    expect(testInfo.attachments.map(attachment => attachment.name)).toEqual(['console-log']);
+  });
+});
+
+extensionTest.describe('Failing tests on the fixtures', () => {
+  extensionTest('should fail for errors of any browser the test had open', async () => {
+    extensionTest.fail(true, 'The consoleErrors fixture fails it for the error of the closed browser below');
+    const context = createFakeContext();
+    const collector = await new ConsoleCollector(context).install();
+
+    emitConsole(context, { text: '❌ [background] Failed to reload config' });
+    await collector.uninstall();
+  });
+});
+
+extensionTest.describe('Running extension', () => {
+  extensionTest('should collect from the service worker, the side panel and sites', async ({
+    browserManager,
+    extensionContext,
+    sidePanel,
+    externalSite,
+    consoleErrors,
+  }) => {
+    const collector = browserManager.getConsoleCollector();
+    const [serviceWorker] = extensionContext.serviceWorkers();
+    const site = externalSite.page;
+    await site.setContent('<title>Site</title>');
+
+    await serviceWorker.evaluate(() => console.error('collector check: service worker'));
+    await sidePanel.page.evaluate(() => console.error('collector check: side panel'));
+    await site.evaluate(() => console.error('collector check: site'));
+
+    await expect.poll(() => collector.getEntries()
+      .filter(entry => entry.text.startsWith('collector check'))
+      .map(entry => `${entry.source}: ${entry.text}`)
+      .sort()).toEqual([
+      'page: collector check: site',
+      'service-worker: collector check: service worker',
+      'side-panel: collector check: side panel',
+    ]);
+    expect(collector.getUnexpectedErrors().map(entry => entry.text)).toEqual(expect.arrayContaining([
+      'collector check: service worker',
+      'collector check: side panel',
+    ]));
+    // Checked, so the consoleErrors fixture does not fail the test for them
+    consoleErrors.allow(/^collector check/);
+  });
+});
@@ -0,0 +1,117 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const testConfig = require('../config/test.config');
+
+const { notificationText, blockingText, toastText } = testConfig.contentOverlay;
+
+/**
+ * Content Overlay Test Suite
+ * Drives content-overlay.js on a Confirmit-like designer page through OverlayController:
+ * 1. Processing notification and full-page blocking overlay
+ * 2. Add/duplicate/delete/createQuota clicks swallowed while the overlay is active
+ * 3. Cleanup restoring the page
+ */
+test.describe('Content Overlay', () => {
+  test('should report no overlay before one is shown', async ({ overlayController }) => {
+    expect(await overlayController.getStatus()).toEqual({ success: true, isActive: false, overlayExists: false });
+    await expect(overlayController.notification).toHaveCount(0);
+  });
+
+  test('should show and hide the processing notification', async ({ overlayController }) => {
+    expect(await overlayController.showOverlay()).toEqual({ success: true });
+
+    await expect(overlayController.notification).toBeVisible();
+    await expect(overlayController.notification).toContainText(notificationText);
+    expect(await overlayController.getStatus()).toEqual({ success: true, isActive: true, overlayExists: true });
+
+    await overlayController.hideOverlay();
+
+    await expect(overlayController.notification).toBeHidden();
+    expect(await overlayController.getStatus()).toEqual({ success: true, isActive: false, overlayExists: true });
+  });
+
+  test('should show the blocking overlay over the whole page', async ({ overlayController }) => {
+    await overlayController.showOverlay();
+    await overlayController.showBlockingOverlay();
+
+    await expect(overlayController.blockingOverlay).toBeVisible();
+    await expect(overlayController.blockingOverlay).toContainText(blockingText);
+    // The blocking overlay replaces the notification
+    await expect(overlayController.notification).toBeHidden();
+
+    const topElementId = await overlayController.page.evaluate(() => {
+      const button = document.querySelector('button[data-guide-action="add-first"]').getBoundingClientRect();
+      return document.elementFromPoint(button.x + 1, button.y + 1).closest('[id]')?.id;
+    });
+    expect(topElementId).toBe('confirmit-blocking-overlay');
+
+    await overlayController.hideBlockingOverlay();
+    await expect(overlayController.blockingOverlay).toBeHidden();
+  });
+
+  test('should swallow designer action clicks and show the please-wait toast', async ({ overlayController }) => {
+    await overlayController.showOverlay();
+
+    for (const action of ['add-Before', 'add-After', 'add-Inside', 'duplicate', 'delete', 'createQuota']) {
+      await overlayController.dropdownAction(action).click();
+    }
+    await overlayController.addNodeButton('Inside').click();
+    await overlayController.addFirstButton.click();
+
+    await expect(overlayController.toast).toHaveClass(/show/);
+    await expect(overlayController.toast).toHaveText(toastText);
+    // Only the unblocked menu item reaches the page
+    await overlayController.dropdownAction('rename').click();
+    expect(await overlayController.getRecordedActions()).toEqual(['rename']);
+
+    // The toast dismisses itself after 2 seconds
+    await expect(overlayController.toast).not.toHaveClass(/show/, { timeout: 5000 });
+  });
+
+  test('should block menu items added while the overlay is active', async ({ overlayController }) => {
+    await overlayController.showOverlay();
+
+    const node = await overlayController.addRoutingNode(['delete', 'duplicate']);
+    await node.locator('[data-dropdown-action="delete"]').click();
+    await node.locator('[data-dropdown-action="duplicate"]').click();
+
+    expect(await overlayController.getRecordedActions()).toEqual([]);
+    await expect(overlayController.toast).toHaveClass(/show/);
+  });
+
+  test('should let clicks through again after HIDE_OVERLAY', async ({ overlayController }) => {
+    await overlayController.showOverlay();
+    await overlayController.dropdownAction('delete').click();
+
+    await overlayController.hideOverlay();
+    await overlayController.dropdownAction('delete').click();
+
+    expect(await overlayController.getRecordedActions()).toEqual(['delete']);
+  });
+
+  test('should restore the page exactly on CLEANUP_OVERLAY', async ({ overlayController }) => {
+    const before = await overlayController.getDomSnapshot();
+
+    await overlayController.showOverlay();
+    await overlayController.dropdownAction('duplicate').click();
+    await expect(overlayController.toast).toHaveClass(/show/);
+    await overlayController.showBlockingOverlay();
+
+    expect(await overlayController.cleanup()).toEqual({ success: true });
+
+    for (const element of [
+      overlayController.notification,
+      overlayController.blockingOverlay,
+      overlayController.toast,
+      overlayController.styles,
+    ]) {
+      await expect(element).toHaveCount(0);
+    }
+    expect(await overlayController.getDomSnapshot()).toBe(before);
+    expect(await overlayController.getStatus()).toEqual({ success: true, isActive: false, overlayExists: false });
+
+    // Blockers are detached too, so designer actions work again
+    await overlayController.dropdownAction('duplicate').click();
+    await overlayController.addNodeButton('After').click();
+    expect(await overlayController.getRecordedActions()).toEqual(['duplicate', 'add-node-After']);
+  });
+});
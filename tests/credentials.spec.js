@@ -0,0 +1,211 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  CredentialProvider,
+  EnvCredentialSource,
+  DotEnvCredentialSource,
+  VaultCredentialSource,
+  MissingCredentialsError,
+} = require('../helpers/CredentialProvider');
+const { SecretRedactor, MASK } = require('../helpers/SecretRedactor');
+
+/**
+ * Credentials Test Suite
+ * Verifies credential resolution and secret redaction without a browser:
+ * 1. Source order, fail-fast on missing values and the encrypted vault
+ * 2. Masking of registered secrets in strings, buffers, trace archives, output directories and
+ *    reported results
+ */
+test.describe('Credential Provider', () => {
+  /** @type {string} */
+  let tempDir;
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'));
+    SecretRedactor.clear();
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    SecretRedactor.clear();
+  });
+
+  test('should take the first source that has a value', () => {
+    const dotEnvPath = path.join(tempDir, '.env');
+    fs.writeFileSync(dotEnvPath, 'External_USERNAME=from-dotenv\nExternal_PASSWORD="dotenv-password"\n');
+
+    const provider = new CredentialProvider({
+      sources: [
+        new EnvCredentialSource({ External_USERNAME: 'from-env' }),
+        new DotEnvCredentialSource(dotEnvPath),
+      ],
+    });
+
+    expect(provider.getCredentials('externalSite')).toEqual({
+      username: 'from-env',
+      password: 'dotenv-password',
+    });
+  });
+
+  test('should fail fast with the missing keys instead of using defaults', () => {
+    const provider = new CredentialProvider({ sources: [new EnvCredentialSource({})] });
+
+    expect(() => provider.getCredentials('extension')).toThrow(MissingCredentialsError);
+    expect(() => provider.getCredentials('extension')).toThrow(/Extension_USERNAME, Extension_PASSWORD/);
+  });
+
+  test('should read from an encrypted vault only with the right passphrase', () => {
+    const filePath = path.join(tempDir, 'credentials.vault.json');
+    const vault = VaultCredentialSource.encrypt({ Extension_PASSWORD: 'vault-password' }, 'passphrase');
+    fs.writeFileSync(filePath, JSON.stringify(vault));
+
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('vault-password');
+    expect(new VaultCredentialSource({ filePath, passphrase: 'passphrase' }).get('Extension_PASSWORD'))
+      .toBe('vault-password');
+    expect(() => new VaultCredentialSource({ filePath, passphrase: 'wrong' }).get('Extension_PASSWORD'))
+      .toThrow(/wrong passphrase/);
+  });
+
+  test('should register resolved usernames and passwords for redaction', () => {
+    const provider = new CredentialProvider({
+      sources: [new EnvCredentialSource({ Extension_USERNAME: 'qa.user@example.com', Extension_PASSWORD: 'p@ss word' })],
+    });
+
+    provider.getCredentials('extension');
+
+    expect(SecretRedactor.redact('login with p@ss word')).toBe(`login with ${MASK}`);
+    expect(SecretRedactor.redact('password=p%40ss%20word')).toBe(`password=${MASK}`);
+    expect(SecretRedactor.redact('Fill "qa.user@example.com"')).toBe(`Fill "${MASK}"`);
+    expect(SecretRedactor.redact('username=qa.user%40example.com')).toBe(`username=${MASK}`);
+  });
+});
+
+test.describe('Secret Redactor', () => {
+  test.beforeEach(() => {
+    SecretRedactor.clear();
+    SecretRedactor.register('top-secret');
+  });
+
+  test.afterEach(() => {
+    SecretRedactor.clear();
+  });
+
+  test('should mask secrets in strings and buffers', () => {
+    expect(SecretRedactor.redact('a top-secret b top-secret')).toBe(`a ${MASK} b ${MASK}`);
+    expect(SecretRedactor.redactBuffer(Buffer.from('\x00top-secret\x01')).toString())
+      .toBe(`\x00${MASK}\x01`);
+  });
+
+  test('should mask secrets inside a trace archive', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'trace-')), 'trace.zip');
+    fs.writeFileSync(filePath, buildZip({ 'trace.network': '{"postData":"password=top-secret"}' }));
+
+    expect(SecretRedactor.redactFile(filePath)).toBe(true);
+
+    const archive = fs.readFileSync(filePath);
+    const [entry] = SecretRedactor._readZipEntries(archive);
+    expect(entry.name).toBe('trace.network');
+    expect(entry.data.toString()).toBe(`{"postData":"password=${MASK}"}`);
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  test('should mask secrets in every file of a test output directory', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-results-'));
+    const outputDir = path.join(tempDir, 'test-results', 'login-should-sign-in');
+    fs.mkdirSync(path.join(outputDir, 'attachments'), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'trace.zip'), buildZip({ 'trace.trace': '{"title":"Fill \\"top-secret\\""}' }));
+    fs.writeFileSync(path.join(outputDir, 'attachments', 'console-log.txt'), 'token top-secret');
+    fs.writeFileSync(path.join(outputDir, 'test-failed-1.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+    const changed = SecretRedactor.redactDir(path.join(tempDir, 'test-results'));
+
+    expect(changed.sort()).toEqual([
+      path.join(outputDir, 'attachments', 'console-log.txt'),
+      path.join(outputDir, 'trace.zip'),
+    ]);
+    expect(fs.readFileSync(path.join(outputDir, 'attachments', 'console-log.txt'), 'utf8')).toBe(`token ${MASK}`);
+    const [entry] = SecretRedactor._readZipEntries(fs.readFileSync(path.join(outputDir, 'trace.zip')));
+    expect(entry.data.toString()).toBe(`{"title":"Fill \\"${MASK}\\""}`);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should mask secrets in a reported result before the html report is built', () => {
+    const attachmentPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'report-')), 'error-context.md');
+    fs.writeFileSync(attachmentPath, 'textbox "Password": top-secret');
+    const error = { message: 'Expected "top-secret" to be hidden', stack: 'Error: top-secret\n    at login' };
+    const result = {
+      error,
+      errors: [error],
+      steps: [{ title: 'Fill "top-secret" getByLabel(\'Password\')', steps: [{ title: 'Click', steps: [] }] }],
+      stdout: ['Signing in with top-secret\n'],
+      stderr: [Buffer.from('top-secret')],
+      attachments: [
+        { name: 'request', contentType: 'text/plain', body: Buffer.from('password=top-secret') },
+        { name: 'error-context', contentType: 'text/markdown', path: attachmentPath },
+      ],
+    };
+
+    SecretRedactor.redactResult(result);
+
+    expect(result.errors[0]).toEqual({ message: `Expected "${MASK}" to be hidden`, stack: `Error: ${MASK}\n    at login` });
+    expect(result.steps[0].title).toBe(`Fill "${MASK}" getByLabel('Password')`);
+    expect(result.stdout).toEqual([`Signing in with ${MASK}\n`]);
+    expect(result.stderr[0].toString()).toBe(MASK);
+    expect(result.attachments[0].body.toString()).toBe(`password=${MASK}`);
+    expect(fs.readFileSync(attachmentPath, 'utf8')).toBe(`textbox "Password": ${MASK}`);
+    fs.rmSync(path.dirname(attachmentPath), { recursive: true, force: true });
+  });
+});
+
+/**
+ * Build a minimal zip archive with deflated entries, shaped like a Playwright trace
+ * @param {Object<string, string>} files - Entry names and contents
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [entryName, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const name = Buffer.from(entryName);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    localParts.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(zlib.crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centralParts.length / 2, 8);
+  end.writeUInt16LE(centralParts.length / 2, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
@@ -0,0 +1,168 @@
+const https = require('https');
+const { test, expect } = require('../fixtures/extension.fixtures');
+const { ExtensionSidePanelPage } = require('../pages/ExtensionSidePanelPage');
+const { ConfirmitStandInServer } = require('../servers/ConfirmitStandInServer');
+const { ConfirmitConfigStandIn } = require('../servers/ConfirmitConfigStandIn');
+const { SupabaseAuthStandIn } = require('../servers/SupabaseAuthStandIn');
+const testConfig = require('../config/test.config');
+
+/**
+ * Custom Confirmit Base URL Test Suite
+ * Runs the extension against a self-hosted Forsta instance outside *.confirmit.com:
+ * 1. BrowserManager seeds confirmit_config and routes the custom host to the TLS stand-in
+ * 2. background.js captures the designer's Bearer token on that host
+ * 3. The side panel recognizes a survey on that host once confirmit-config names it
+ */
+const CUSTOM_BASE_URL = 'https://surveys.forsta.example.org';
+const STAND_IN_CREDENTIALS = { username: 'forsta.user', password: 'forsta-password' };
+const PANEL_USER = { email: 'forsta.panel@example.com', password: 'panel-password' };
+const NO_ACTIVE_SURVEY_TEXT = 'No Active Survey';
+
+test.use({
+  browserOptions: {
+    confirmitStandIn: { credentials: STAND_IN_CREDENTIALS, tls: true },
+    confirmitBaseUrls: [CUSTOM_BASE_URL],
+    supabaseAuth: new SupabaseAuthStandIn({ users: [PANEL_USER] }),
+  },
+});
+
+test.describe('Custom Confirmit Base URLs', () => {
+  /** @type {ConfirmitStandInServer} */
+  let server;
+
+  /** @type {string} */
+  let designerUrl;
+
+  test.beforeEach(async ({ browserManager }) => {
+    server = browserManager.getConfirmitStandIn();
+    designerUrl = `${CUSTOM_BASE_URL}/surveydesigner/${server.getProjectId()}/design/questionnaire/`;
+    server.clearRequests();
+  });
+
+  /**
+   * Log in to the stand-in on the custom host and land on the survey designer
+   * @param {import('../pages/ExternalSitePage').ExternalSitePage} externalSite - Page to use
+   * @returns {Promise<void>}
+   */
+  async function openDesigner(externalSite) {
+    await externalSite.page.goto(`${CUSTOM_BASE_URL}/identity/login?ReturnUrl=${encodeURIComponent(new URL(designerUrl).pathname)}`);
+    await externalSite.fillUsername(STAND_IN_CREDENTIALS.username);
+    await externalSite.clickLogin();
+    await externalSite.fillPassword(STAND_IN_CREDENTIALS.password);
+    await externalSite.clickLogin();
+    await externalSite.page.waitForURL(designerUrl);
+  }
+
+  test('should seed confirmit_config with the custom base URL', async ({ serviceWorkerBridge }) => {
+    const config = await serviceWorkerBridge.getStorageValue('confirmit_config');
+
+    expect(config.confirmit_base_url).toEqual([CUSTOM_BASE_URL]);
+    expect(Date.now() - config.timestamp).toBeLessThan(30 * 60 * 1000);
+    expect(await serviceWorkerBridge.reloadConfirmitConfig()).toBe(true);
+  });
+
+  test('should serve the custom host from the stand-in over HTTPS', async ({ externalSite }) => {
+    await externalSite.page.goto(`${CUSTOM_BASE_URL}/identity/login`);
+
+    expect(new URL(externalSite.page.url()).hostname).toBe('surveys.forsta.example.org');
+    expect(server.getRequests('/identity/login')[0].host).toBe('surveys.forsta.example.org');
+  });
+
+  test('should capture the Bearer token from the custom host', async ({ serviceWorkerBridge, externalSite }) => {
+    const captured = serviceWorkerBridge.waitForAuthToken();
+
+    await openDesigner(externalSite);
+
+    const { authToken } = await captured;
+    expect(authToken).toBe(server.getLatestToken());
+  });
+
+  test('should call the survey API on the custom host', async ({ externalSite }) => {
+    await openDesigner(externalSite);
+
+    await expect.poll(() => server.getRequests('/surveydesigner/api/').length).toBeGreaterThan(0);
+    const [apiRequest] = server.getRequests('/surveydesigner/api/');
+    expect(apiRequest.host).toBe('surveys.forsta.example.org');
+    expect(apiRequest.headers.authorization).toBe(`Bearer ${server.getLatestToken()}`);
+  });
+
+  test('should recognize a survey on the custom host in the side panel', async ({
+    extensionContext,
+    extensionId,
+    serviceWorkerBridge,
+    sidePanelHelper,
+    externalSite,
+  }) => {
+    const confirmitConfig = await new ConfirmitConfigStandIn({ baseUrls: [CUSTOM_BASE_URL] }).install(extensionContext);
+    try {
+      await openDesigner(externalSite);
+      const sidePanelPage = await sidePanelHelper.openSidePanelAlongside(externalSite.page, { mode: 'native' });
+      await new ExtensionSidePanelPage(sidePanelPage, extensionId).login(PANEL_USER.email, PANEL_USER.password);
+      await externalSite.page.bringToFront();
+
+      await confirmitConfig.waitForCall();
+      const config = await serviceWorkerBridge.waitForStorageValue(
+        'confirmit_config',
+        value => JSON.stringify(value?.confirmit_base_url) === JSON.stringify([CUSTOM_BASE_URL])
+      );
+      expect(config.confirmit_base_url).toEqual([CUSTOM_BASE_URL]);
+      expect(confirmitConfig.getCalls()[0].authorization).toMatch(/^Bearer /);
+      await expect(sidePanelPage.getByText(NO_ACTIVE_SURVEY_TEXT)).toHaveCount(0, {
+        timeout: testConfig.timeouts.elementVisible,
+      });
+    } finally {
+      await confirmitConfig.uninstall();
+    }
+  });
+});
+
+test.describe('Confirmit config stand-in', () => {
+  test('should hand out the configured base URLs with the caller recorded', () => {
+    const standIn = new ConfirmitConfigStandIn({ baseUrls: [CUSTOM_BASE_URL, 'https://eu.forsta.example.org'] });
+
+    const response = standIn.handle({
+      method: 'GET',
+      url: standIn.getEndpointUrl(),
+      headers: { authorization: 'Bearer panel-token' },
+    });
+
+    expect(response).toEqual({
+      status: 200,
+      body: { confirmit_base_url: [CUSTOM_BASE_URL, 'https://eu.forsta.example.org'] },
+    });
+    expect(standIn.getCalls()).toEqual([
+      { method: 'GET', url: standIn.getEndpointUrl(), authorization: 'Bearer panel-token' },
+    ]);
+  });
+
+  test('should answer preflights without recording them', () => {
+    const standIn = new ConfirmitConfigStandIn().setBaseUrls(CUSTOM_BASE_URL);
+
+    expect(standIn.handle({ method: 'OPTIONS', url: standIn.getEndpointUrl() }).status).toBe(200);
+    expect(standIn.handle({ method: 'GET', url: standIn.getEndpointUrl() }).body)
+      .toEqual({ confirmit_base_url: CUSTOM_BASE_URL });
+    expect(standIn.getCalls()).toHaveLength(1);
+  });
+});
+
+test.describe('Confirmit stand-in over TLS', () => {
+  test('should serve HTTPS with a certificate generated at start', async () => {
+    const server = await new ConfirmitStandInServer({ tls: true }).start();
+    try {
+      expect(server.getUrl()).toMatch(/^https:\/\/127\.0\.0\.1:\d+$/);
+      const { status, certificate } = await new Promise((resolve, reject) => {
+        https.get(`${server.getUrl()}/identity/login`, { rejectUnauthorized: false }, response => {
+          response.resume();
+          resolve({ status: response.statusCode, certificate: response.socket.getPeerX509Certificate() });
+        }).on('error', reject);
+      });
+      expect(status).toBe(200);
+      expect(certificate.checkIssued(certificate)).toBe(true);
+      expect(certificate.verify(certificate.publicKey)).toBe(true);
+      expect(certificate.checkHost('author.confirmit.com')).toBe('*.confirmit.com');
+      expect(certificate.checkIP('127.0.0.1')).toBe('127.0.0.1');
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,287 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const testConfig = require('../config/test.config');
+const { SentryStandIn } = require('../servers/SentryStandIn');
+
+const { unsupportedText, loadErrorText } = testConfig.documentViewer;
+
+/**
+ * Build a text document of roughly the given size
+ * @param {number} bytes - Minimum size in bytes
+ * @returns {string}
+ */
+function buildLargeText(bytes) {
+  const lines = [];
+  for (let size = 0, line = 1; size < bytes; line++) {
+    const text = `${line}\tRespondent ${1000 + line}\tVery satisfied\tWould recommend to friends and colleagues\n`;
+    lines.push(text);
+    size += text.length;
+  }
+  return lines.join('');
+}
+
+/**
+ * Document Viewer Test Suite
+ * Drives the SHOW_DOCUMENT_VIEWER overlay of content-document-viewer.js on a non-Confirmit page:
+ * 1. Rendering per content type and size, via runtime message and window.postMessage
+ * 2. Dragging by the header and closing (backdrop, close button, Escape)
+ * 3. Malformed payloads: { success: false, error } reply and captureError report to Sentry
+ */
+test.describe('Document Viewer', () => {
+  test.describe('Rendering', () => {
+    test('should show a text document with its name in the header', async ({ documentViewer }) => {
+      const reply = await documentViewer.open(documentViewer.documentFor('questionnaire.txt'));
+
+      expect(reply).toEqual({ success: true });
+      await expect(documentViewer.overlay).toBeVisible();
+      await expect(documentViewer.title).toHaveText('questionnaire.txt');
+      await expect(documentViewer.textContent).toContainText('q1. How satisfied are you with our service overall?');
+    });
+
+    test('should show CSV and JSON files as text', async ({ documentViewer }) => {
+      await documentViewer.open(documentViewer.documentFor('responses.csv'));
+      await expect(documentViewer.textContent).toContainText('1001,5,9,Faster delivery');
+
+      // Opening another document replaces the viewer
+      await documentViewer.open(documentViewer.documentFor('codebook.json'));
+      await expect(documentViewer.overlay).toHaveCount(1);
+      await expect(documentViewer.textContent).toContainText('"title": "Likelihood to recommend"');
+    });
+
+    test('should pick the viewer from mimeType when the name has no extension', async ({ documentViewer }) => {
+      const url = documentViewer.serveDocument('codebook', '{"q1":"Overall satisfaction"}', 'application/json');
+
+      await documentViewer.open({ name: 'codebook', url, mimeType: 'application/json' });
+
+      await expect(documentViewer.textContent).toHaveText('{"q1":"Overall satisfaction"}');
+    });
+
+    test('should show a large text document in full, scrollable', async ({ documentViewer }) => {
+      const body = buildLargeText(256 * 1024);
+      documentViewer.serveDocument('responses-export.txt', body, 'text/plain');
+
+      await documentViewer.open(documentViewer.documentFor('responses-export.txt'));
+
+      await expect(documentViewer.textContent).toBeVisible({ timeout: 15000 });
+      expect(await documentViewer.textContent.textContent()).toBe(body);
+      const isScrollable = await documentViewer.textContent.evaluate(element => element.scrollHeight > element.clientHeight);
+      expect(isScrollable).toBe(true);
+    });
+
+    test('should show an empty text document', async ({ documentViewer }) => {
+      documentViewer.serveDocument('empty.txt', '', 'text/plain');
+
+      await documentViewer.open(documentViewer.documentFor('empty.txt'));
+
+      await expect(documentViewer.textContent).toHaveText('');
+    });
+
+    test('should show an image', async ({ documentViewer }) => {
+      await documentViewer.open(documentViewer.documentFor('logo.png'));
+
+      await expect(documentViewer.image).toHaveAttribute('alt', 'logo.png');
+      await expect.poll(() => documentViewer.image.evaluate(image => image.naturalWidth)).toBe(16);
+    });
+
+    test('should report an image that fails to load', async ({ documentViewer }) => {
+      await documentViewer.open(documentViewer.documentFor('missing.png'));
+
+      await expect(documentViewer.errorMessage).toHaveText(loadErrorText);
+    });
+
+    test('should embed a PDF in a frame', async ({ documentViewer }) => {
+      const document = documentViewer.documentFor('brief.pdf');
+
+      await documentViewer.open(document);
+
+      await expect(documentViewer.frame).toHaveAttribute('src', document.url);
+    });
+
+    test('should embed Office documents through the Office viewer', async ({ documentViewer }) => {
+      const document = documentViewer.documentFor('report.docx');
+
+      await documentViewer.open(document);
+
+      await expect(documentViewer.frame).toHaveAttribute(
+        'src',
+        `https://view.officeapps.live.com/op/embed.aspx?src=${encodeURIComponent(document.url)}`
+      );
+    });
+
+    test('should offer a download for unsupported types', async ({ documentViewer }) => {
+      const document = documentViewer.documentFor('export.sav');
+
+      await documentViewer.open(document);
+
+      await expect(documentViewer.content).toContainText(unsupportedText);
+      const download = documentViewer.content.getByRole('link', { name: 'Download File' });
+      await expect(download).toHaveAttribute('href', document.url);
+      await expect(download).toHaveAttribute('download', 'export.sav');
+    });
+
+    test('should open from window.postMessage', async ({ documentViewer }) => {
+      await documentViewer.postDocument(documentViewer.documentFor('questionnaire.txt'));
+
+      await expect(documentViewer.title).toHaveText('questionnaire.txt');
+      await expect(documentViewer.textContent).toContainText('Customer Satisfaction Survey');
+    });
+
+    test('should ignore window messages without a document', async ({ documentViewer }) => {
+      // Count every viewer the page shows, however briefly
+      await documentViewer.page.evaluate(selector => {
+        window.viewersShown = 0;
+        new MutationObserver(records => {
+          window.viewersShown += records.flatMap(record => [...record.addedNodes])
+            .filter(node => node.nodeType === Node.ELEMENT_NODE && (node.matches(selector) || node.querySelector(selector)))
+            .length;
+        }).observe(document.documentElement, { childList: true, subtree: true });
+      }, documentViewer.selectors.overlay);
+
+      await documentViewer.postDocument(null);
+      // The window path replies nothing, but handles messages in order: once the next document
+      // is shown, the empty one has been ignored
+      await documentViewer.postDocument(documentViewer.documentFor('questionnaire.txt'));
+
+      await expect(documentViewer.title).toHaveText('questionnaire.txt');
+      expect(await documentViewer.page.evaluate(() => window.viewersShown)).toBe(1);
+    });
+  });
+
+  test.describe('Interaction', () => {
+    test('should move the viewer when its header is dragged', async ({ documentViewer }) => {
+      await documentViewer.open(documentViewer.documentFor('questionnaire.txt'));
+      const start = await documentViewer.getPosition();
+      expect(start.transform).toContain('translate');
+
+      await documentViewer.dragBy(-60, 40);
+
+      const moved = await documentViewer.getPosition();
+      expect(moved).toMatchObject({
+        left: `${start.offsetLeft - 60}px`,
+        top: `${start.offsetTop + 40}px`,
+        transform: 'none',
+      });
+
+      // Once centered by transform no longer, the viewer follows the pointer exactly
+      const before = await documentViewer.overlay.boundingBox();
+      await documentViewer.dragBy(30, -20);
+      const after = await documentViewer.overlay.boundingBox();
+      expect(after.x - before.x).toBeCloseTo(30, 0);
+      expect(after.y - before.y).toBeCloseTo(-20, 0);
+    });
+
+    test('should not start a drag from the header buttons', async ({ documentViewer }) => {
+      await documentViewer.open(documentViewer.documentFor('questionnaire.txt'));
+      const box = await documentViewer.downloadButton.boundingBox();
+
+      await documentViewer.page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+      await documentViewer.page.mouse.down();
+      await documentViewer.page.mouse.move(box.x - 100, box.y + 100, { steps: 5 });
+      await documentViewer.page.mouse.up();
+
+      expect((await documentViewer.getPosition()).transform).toContain('translate');
+    });
+
+    test('should close when the backdrop is clicked', async ({ documentViewer }) => {
+      await documentViewer.open(documentViewer.documentFor('questionnaire.txt'));
+      expect(await documentViewer.countBackdrops()).toBe(1);
+
+      await documentViewer.clickBackdrop();
+
+      await expect(documentViewer.overlay).toHaveCount(0);
+      expect(await documentViewer.countBackdrops()).toBe(0);
+    });
+
+    test('should close from the close button and from Escape', async ({ documentViewer }) => {
+      await documentViewer.open(documentViewer.documentFor('questionnaire.txt'));
+      await documentViewer.closeButton.click();
+      await expect(documentViewer.overlay).toHaveCount(0);
+
+      await documentViewer.open(documentViewer.documentFor('questionnaire.txt'));
+      await documentViewer.page.keyboard.press('Escape');
+      await expect(documentViewer.overlay).toHaveCount(0);
+      expect(await documentViewer.countBackdrops()).toBe(0);
+    });
+
+    test('should expand to the whole viewport in fullscreen', async ({ documentViewer }) => {
+      await documentViewer.open(documentViewer.documentFor('questionnaire.txt'));
+
+      await documentViewer.fullscreenButton.click();
+
+      // BrowserManager launches without a fixed viewport, so read the window size
+      const viewport = await documentViewer.page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+      const box = await documentViewer.overlay.boundingBox();
+      expect(box).toMatchObject({ x: 0, y: 0, width: viewport.width, height: viewport.height });
+    });
+  });
+
+  test.describe('Malformed payloads', () => {
+    test('should reply with an error when the document is missing', async ({ documentViewer }) => {
+      const reply = await documentViewer.sendMessage({ type: 'SHOW_DOCUMENT_VIEWER' });
+
+      expect(reply.success).toBe(false);
+      expect(reply.error).toMatch(/^TypeError: .*'name'/);
+      await expect(documentViewer.overlay).toHaveCount(0);
+    });
+
+    test('should reply with an error when the document is null', async ({ documentViewer }) => {
+      const reply = await documentViewer.open(null);
+
+      expect(reply).toMatchObject({ success: false, error: expect.stringContaining('TypeError') });
+      await expect(documentViewer.overlay).toHaveCount(0);
+    });
+
+    test('should report the error to Sentry with the document_viewer context', async ({ documentViewer, telemetry }) => {
+      const pageUrl = documentViewer.getCurrentUrl();
+
+      await documentViewer.open(undefined);
+
+      const event = await telemetry.expectEvent('sentry', {
+        extra: { context: 'document_viewer' },
+        contexts: { navigation: { url: pageUrl } },
+      });
+      expect(event.extra).toEqual({ context: 'document_viewer', messageType: 'SHOW_DOCUMENT_VIEWER' });
+      expect(event.exception.values[0]).toMatchObject({ type: 'TypeError', value: expect.stringContaining("'name'") });
+      expect(event.tags).toMatchObject({ app: 'confirmit-extension', errorSource: 'unknown' });
+    });
+  });
+});
+
+test.describe('Sentry envelope capture', () => {
+  test('should parse event items and keep binary items as bytes', () => {
+    const sentry = new SentryStandIn();
+    const recording = Buffer.from([0x78, 0x9c, 0x0a, 0x01]);
+    const body = Buffer.concat([
+      Buffer.from(`${JSON.stringify({ event_id: 'abc123' })}\n`),
+      Buffer.from(`${JSON.stringify({ type: 'event' })}\n`),
+      Buffer.from(`${JSON.stringify({ extra: { context: 'document_viewer' } })}\n`),
+      Buffer.from(`${JSON.stringify({ type: 'replay_recording', length: recording.length })}\n`),
+      recording,
+      Buffer.from('\n'),
+    ]);
+
+    const response = sentry.handle({
+      method: 'POST',
+      url: `${testConfig.sentry.ingestUrl}/api/4506296337498112/envelope/?sentry_version=7`,
+      body,
+    });
+
+    expect(response).toEqual({ status: 200, body: { id: 'abc123' } });
+    expect(sentry.getEvents()).toEqual([{ extra: { context: 'document_viewer' } }]);
+    const [, replay] = sentry.getEnvelopes()[0].items;
+    expect(replay.header.type).toBe('replay_recording');
+    expect(replay.payload.equals(recording)).toBe(true);
+  });
+
+  test('should reject bodies that are not envelopes', () => {
+    const sentry = new SentryStandIn();
+
+    const response = sentry.handle({
+      method: 'POST',
+      url: `${testConfig.sentry.ingestUrl}/api/4506296337498112/envelope/`,
+      body: 'not json',
+    });
+
+    expect(response.status).toBe(400);
+    expect(sentry.getEnvelopes()).toEqual([]);
+  });
+});
@@ -0,0 +1,171 @@
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const { EnvironmentProfiles, EnvironmentConfigError } = require('../helpers/EnvironmentProfiles');
+const testConfig = require('../config/test.config');
+
+/**
+ * Environment Profiles Test Suite
+ * Verifies the TEST_ENV profiles behind config/test.config.js:
+ * 1. Each profile supplies the external site URL, Confirmit host, backend, credentials and timeouts
+ * 2. Environment variables override profiles, and the merged profile is schema-validated
+ * 3. TEST_ENVS expands the Playwright projects once per profile
+ */
+
+/**
+ * Build profiles with no environment variables, so the developer's shell cannot leak in
+ * @param {Object} options - EnvironmentProfiles options
+ * @returns {EnvironmentProfiles}
+ */
+function createProfiles(options = {}) {
+  return new EnvironmentProfiles({ env: {}, ...options });
+}
+
+test.describe('Environment profiles', () => {
+  test('should default to the QA backend the extension bundle ships with', () => {
+    const environment = createProfiles().resolve();
+
+    expect(environment).toMatchObject({
+      name: 'qa',
+      confirmit: { region: 'nordic', host: 'author.nordic.confirmit.com' },
+      externalSite: { url: 'https://author.nordic.confirmit.com/home/', redirectUrlContains: 'confirmit.com' },
+      backend: { websocketUrl: 'wss://api.qa.metaforms.ai/www', apiUrl: 'https://api.qa.metaforms.ai/www' },
+      timeouts: { extensionLoad: 5000, loginRedirect: 15000, elementVisible: 10000, pageLoad: 30000 },
+    });
+    expect(path.basename(environment.credentials.vaultPath)).toBe('credentials.vault.json');
+  });
+
+  test('should give staging and dev their own backend, accounts and timeouts', () => {
+    const profiles = createProfiles({ env: { TEST_ENV: 'staging' } });
+
+    const staging = profiles.resolve();
+    const dev = profiles.resolve('dev');
+
+    expect(staging.backend.apiUrl).toBe('https://api.staging.metaforms.ai/www');
+    expect(dev.backend.websocketUrl).toBe('wss://api.dev.metaforms.ai/www');
+    expect(path.basename(staging.credentials.dotenvPath)).toBe('.env.staging');
+    expect(path.basename(dev.credentials.vaultPath)).toBe('credentials.dev.vault.json');
+    expect(staging.timeouts).toMatchObject({ extensionLoad: 5000, loginRedirect: 30000, pageLoad: 45000 });
+  });
+
+  test('should apply environment variable overrides to the profile', () => {
+    const environment = createProfiles({
+      env: { TEST_ENV: 'staging', CONFIRMIT_REGION: 'euro', CREDENTIAL_SOURCES: 'env, vault', EXTENSION_PATH: '/builds/staging' },
+    }).resolve();
+
+    expect(environment.confirmit).toEqual({ region: 'euro', host: 'author.euro.confirmit.com' });
+    expect(environment.externalSite.url).toBe('https://author.euro.confirmit.com/home/');
+    expect(environment.credentials.sources).toEqual(['env', 'vault']);
+    expect(environment.extensionPath).toBe('/builds/staging');
+    expect(createProfiles({ env: { External_BASE_URL: 'https://surveys.forsta.example.org/home/' } }).resolve().externalSite.url)
+      .toBe('https://surveys.forsta.example.org/home/');
+  });
+
+  test('should name the profiles and regions it knows', () => {
+    expect(() => createProfiles().resolve('prod')).toThrow('Unknown TEST_ENV "prod". Use: qa, staging, dev.');
+    expect(() => createProfiles({ env: { CONFIRMIT_REGION: 'mars' } }).resolve())
+      .toThrow('Unknown Confirmit region "mars" in profile "qa". Use: nordic, euro, us.');
+  });
+
+  test('should reject merged profiles that do not match the schema', () => {
+    const profiles = createProfiles({
+      env: { External_BASE_URL: 'author.nordic.confirmit.com/home/', CREDENTIAL_SOURCES: 'env,keychain' },
+      profiles: {
+        broken: {
+          description: 'Typos and wrong types',
+          backend: { websocketUrl: 'https://api.qa.metaforms.ai/www', apiUrl: 'https://api.qa.metaforms.ai/www' },
+          timeouts: { pageLoad: '45000' },
+          timeout: 1000,
+        },
+      },
+    });
+
+    const error = (() => {
+      try {
+        profiles.resolve('broken');
+      } catch (caught) {
+        return caught;
+      }
+      return null;
+    })();
+
+    expect(error).toBeInstanceOf(EnvironmentConfigError);
+    expect(error.violations.map(violation => `${violation.path} ${violation.message}`)).toEqual([
+      'externalSite.url does not match the pattern',
+      'backend.websocketUrl does not match the pattern',
+      'credentials.sources[1] is not one of the allowed values',
+      'timeouts.pageLoad has the wrong type',
+      'timeout is not an allowed property',
+    ]);
+    expect(error.message).toContain('Environment profile "broken" is invalid:\n  externalSite.url does not match the pattern');
+  });
+});
+
+test.describe('Per-profile projects', () => {
+  test('should resolve TEST_ENVS lists, including all', () => {
+    const profiles = createProfiles();
+
+    expect(profiles.resolveList('staging, qa,staging').map(environment => environment.name)).toEqual(['staging', 'qa']);
+    expect(profiles.resolveList('all').map(environment => environment.name)).toEqual(['qa', 'staging', 'dev']);
+    expect(() => profiles.resolveList('qa,prod')).toThrow(EnvironmentConfigError);
+  });
+
+  test('should run every project once per profile with the profile in use', () => {
+    const environments = createProfiles({ env: { EXTENSION_PATH: '/builds/current' } }).resolveList('staging,qa');
+
+    const projects = EnvironmentProfiles.expandProjects(environment => [
+      { name: 'extension-build' },
+      { name: 'chromium-extension', dependencies: ['extension-build'], use: { channel: 'chrome', baseURL: environment.externalSite.url } },
+    ], environments);
+
+    expect(projects).toEqual([
+      {
+        name: 'extension-build@staging',
+        use: { testEnv: 'staging', extensionPath: '/builds/current' },
+      },
+      {
+        name: 'chromium-extension@staging',
+        dependencies: ['extension-build@staging'],
+        use: { channel: 'chrome', baseURL: 'https://author.nordic.confirmit.com/home/', testEnv: 'staging', extensionPath: '/builds/current' },
+      },
+      {
+        name: 'extension-build@qa',
+        use: { testEnv: 'qa', extensionPath: '/builds/current' },
+      },
+      {
+        name: 'chromium-extension@qa',
+        dependencies: ['extension-build@qa'],
+        use: { channel: 'chrome', baseURL: 'https://author.nordic.confirmit.com/home/', testEnv: 'qa', extensionPath: '/builds/current' },
+      },
+    ]);
+  });
+
+  test('should switch the loaded config to another profile and back in place', () => {
+    const original = testConfig.environment.name;
+    const other = original === 'staging' ? 'dev' : 'staging';
+    const { externalSite, timeouts } = testConfig;
+    // externalSite.credentials is a getter that needs real credentials, so it is left out
+    const readSettings = () => JSON.stringify({
+      url: externalSite.url,
+      redirectAfterLogin: externalSite.redirectAfterLogin,
+      timeouts,
+      backend: testConfig.generationBackend,
+      extensionPath: testConfig.extensionPath,
+    });
+    const snapshot = readSettings();
+
+    try {
+      const environment = testConfig.useEnvironment(other);
+
+      expect(testConfig.environment).toBe(environment);
+      expect(testConfig.generationBackend.apiUrl).toBe(environment.backend.apiUrl);
+      expect(timeouts.pageLoad).toBe(environment.timeouts.pageLoad);
+      expect(testConfig.credentialProvider.sources.find(source => source.name === 'vault').filePath)
+        .toBe(environment.credentials.vaultPath);
+    } finally {
+      testConfig.useEnvironment(original);
+    }
+
+    expect(testConfig.externalSite).toBe(externalSite);
+    expect(readSettings()).toBe(snapshot);
+  });
+});
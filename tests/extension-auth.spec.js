@@ -0,0 +1,232 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const { ExtensionSidePanelPage } = require('../pages/ExtensionSidePanelPage');
+const { SupabaseAuthStandIn, AUTH_EVENTS } = require('../servers/SupabaseAuthStandIn');
+const testConfig = require('../config/test.config');
+
+/**
+ * Extension Auth Test Suite
+ * Covers every branch of the side panel login against SupabaseAuthStandIn:
+ * valid, wrong password, locked account, unconfirmed email, token refresh and sign-out.
+ * Outcomes are read from the panel: the auth events its supabase-js client emits, the session
+ * it stores and its UI. The panel has no MFA screen: an MFA user is signed in at aal1 without a
+ * challenge, and the aal2 upgrade (MFA_CHALLENGE_VERIFIED) is covered at the stand-in level.
+ */
+const SUPABASE_URL = testConfig.supabase.url;
+
+// Chrome logs every auth request the stand-in rejects as a console error of the panel
+const REJECTED_REQUEST = /Failed to load resource: the server responded with a status of 40\d/;
+
+const USERS = {
+  active: { email: 'active@example.com', password: 'active-password' },
+  locked: { email: 'locked@example.com', password: 'locked-password', state: 'locked' },
+  unconfirmed: { email: 'unconfirmed@example.com', password: 'unconfirmed-password', state: 'unconfirmed' },
+  mfa: { email: 'mfa@example.com', password: 'mfa-password', mfaCode: '123456' },
+};
+
+/**
+ * Build a stand-in request for the password grant
+ * @param {{email: string, password: string}} user
+ * @returns {Object}
+ */
+function passwordGrant(user) {
+  return {
+    method: 'POST',
+    url: `${SUPABASE_URL}/auth/v1/token?grant_type=password`,
+    headers: {},
+    body: JSON.stringify({ email: user.email, password: user.password }),
+  };
+}
+
+test.describe('Supabase Auth Stand-in Responses', () => {
+  /** @type {SupabaseAuthStandIn} */
+  let standIn;
+
+  test.beforeEach(() => {
+    standIn = new SupabaseAuthStandIn({ users: Object.values(USERS) });
+  });
+
+  test('should issue a session for a valid user', () => {
+    const response = standIn.handle(passwordGrant(USERS.active));
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.email).toBe(USERS.active.email);
+    expect(standIn.getCalls('/token')).toEqual([{ method: 'POST', path: '/token', grantType: 'password', status: 200 }]);
+  });
+
+  test('should answer wrong password, locked and unconfirmed accounts with GoTrue errors', () => {
+    const wrong = standIn.handle(passwordGrant({ ...USERS.active, password: 'nope' }));
+    const locked = standIn.handle(passwordGrant(USERS.locked));
+    const unconfirmed = standIn.handle(passwordGrant(USERS.unconfirmed));
+
+    expect(wrong.body.msg).toBe('Invalid login credentials');
+    expect(locked.body.error_code).toBe('user_banned');
+    expect(unconfirmed.body.msg).toBe('Email not confirmed');
+    expect(standIn.getCalls().map(call => call.status)).toEqual([400, 400, 400]);
+  });
+
+  test('should refresh tokens and sign out after revocation', () => {
+    const session = standIn.handle(passwordGrant(USERS.active)).body;
+    const refresh = body => standIn.handle({
+      method: 'POST',
+      url: `${SUPABASE_URL}/auth/v1/token?grant_type=refresh_token`,
+      headers: {},
+      body: JSON.stringify(body),
+    });
+
+    const refreshed = refresh({ refresh_token: session.refresh_token });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.access_token).not.toBe(session.access_token);
+
+    standIn.revokeSessions();
+    expect(refresh({ refresh_token: refreshed.body.refresh_token }).body.error_code).toBe('refresh_token_not_found');
+  });
+
+  test('should answer with GoTrue errors once the user of a session is removed', () => {
+    const session = standIn.handle(passwordGrant(USERS.active)).body;
+    const again = standIn.handle(passwordGrant(USERS.active)).body;
+    standIn.removeUser(USERS.active.email);
+
+    const refreshed = standIn.handle({
+      method: 'POST',
+      url: `${SUPABASE_URL}/auth/v1/token?grant_type=refresh_token`,
+      headers: {},
+      body: JSON.stringify({ refresh_token: session.refresh_token }),
+    });
+    const user = standIn.handle({
+      method: 'GET',
+      url: `${SUPABASE_URL}/auth/v1/user`,
+      headers: { authorization: `Bearer ${again.access_token}` },
+      body: null,
+    });
+
+    expect(refreshed).toMatchObject({ status: 400, body: { error_code: 'refresh_token_not_found' } });
+    expect(user).toMatchObject({ status: 401, body: { error_code: 'no_authorization' } });
+  });
+
+  test('should upgrade an MFA session to aal2 only with the right code', () => {
+    const session = standIn.handle(passwordGrant(USERS.mfa)).body;
+    const [factor] = session.user.factors;
+    const headers = { authorization: `Bearer ${session.access_token}` };
+    const factorUrl = `${SUPABASE_URL}/auth/v1/factors/${factor.id}`;
+
+    const challenge = standIn.handle({ method: 'POST', url: `${factorUrl}/challenge`, headers, body: null }).body;
+    const verify = code => standIn.handle({
+      method: 'POST',
+      url: `${factorUrl}/verify`,
+      headers,
+      body: JSON.stringify({ challenge_id: challenge.id, code }),
+    });
+
+    expect(verify('000000').status).toBe(422);
+    const verified = verify(USERS.mfa.mfaCode);
+    const claims = JSON.parse(Buffer.from(verified.body.access_token.split('.')[1], 'base64url').toString());
+    expect(claims.aal).toBe('aal2');
+  });
+});
+
+test.describe('Extension Login Branches', () => {
+  /** @type {SupabaseAuthStandIn} */
+  let standIn;
+
+  /** @type {import('@playwright/test').Page} */
+  let page;
+
+  /** @type {ExtensionSidePanelPage} */
+  let sidePanelPage;
+
+  /**
+   * Setup: fresh stand-in and a logged-out side panel for every test
+   */
+  test.beforeEach(async ({ extensionContext, extensionId }) => {
+    standIn = await new SupabaseAuthStandIn({ users: Object.values(USERS) }).install(extensionContext);
+
+    page = await extensionContext.newPage();
+    sidePanelPage = new ExtensionSidePanelPage(page, extensionId);
+    await sidePanelPage.goto();
+    await page.evaluate(() => localStorage.clear());
+    await sidePanelPage.observeAuthEvents();
+    await sidePanelPage.goto();
+  });
+
+  test.afterEach(async () => {
+    // Unset if the worker's browser did not launch
+    if (standIn) {
+      await standIn.uninstall();
+      standIn = null;
+    }
+    if (page && !page.isClosed()) {
+      await page.close();
+    }
+  });
+
+  test('should sign in a valid user', async () => {
+    const success = await sidePanelPage.login(USERS.active.email, USERS.active.password);
+
+    expect(success).toBe(true);
+    await sidePanelPage.waitForAuthEvent(AUTH_EVENTS.signedIn);
+    expect((await sidePanelPage.getStoredSession()).user.email).toBe(USERS.active.email);
+  });
+
+  test('should show the invalid credentials message for a wrong password', async ({ consoleErrors }) => {
+    consoleErrors.allow(REJECTED_REQUEST, { source: 'side-panel' });
+    await sidePanelPage.login(USERS.active.email, 'wrong-password');
+
+    await sidePanelPage.waitForErrorMessage(testConfig.extensionLoginMessages.invalidCredentials);
+    expect(sidePanelPage.getAuthEvents()).toEqual([]);
+    expect(await sidePanelPage.getStoredSession()).toBeNull();
+  });
+
+  test('should show the generic failure message for a locked account', async ({ consoleErrors }) => {
+    consoleErrors.allow(REJECTED_REQUEST, { source: 'side-panel' });
+    await sidePanelPage.login(USERS.locked.email, USERS.locked.password);
+
+    await sidePanelPage.waitForErrorMessage(testConfig.extensionLoginMessages.genericFailure);
+  });
+
+  test('should ask to confirm the email for an unconfirmed account', async ({ consoleErrors }) => {
+    consoleErrors.allow(REJECTED_REQUEST, { source: 'side-panel' });
+    await sidePanelPage.login(USERS.unconfirmed.email, USERS.unconfirmed.password);
+
+    await sidePanelPage.waitForErrorMessage(testConfig.extensionLoginMessages.emailNotConfirmed);
+  });
+
+  test('should sign in an MFA user at aal1 without challenging the factor', async () => {
+    const success = await sidePanelPage.login(USERS.mfa.email, USERS.mfa.password);
+
+    expect(success).toBe(true);
+    await sidePanelPage.waitForAuthEvent(AUTH_EVENTS.signedIn);
+    const { access_token: accessToken } = await sidePanelPage.getStoredSession();
+    const claims = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString());
+    expect(claims.aal).toBe('aal1');
+    expect(standIn.getCalls('/factors')).toEqual([]);
+    expect(await sidePanelPage.isLoginFormVisible()).toBe(false);
+  });
+
+  test('should refresh an expiring session when the panel reloads', async () => {
+    // Tokens inside supabase-js's expiry margin are refreshed on load
+    standIn.setExpiresIn(10);
+    await sidePanelPage.login(USERS.active.email, USERS.active.password);
+    await sidePanelPage.waitForAuthEvent(AUTH_EVENTS.signedIn);
+    const { access_token: signedInToken } = await sidePanelPage.getStoredSession();
+
+    await sidePanelPage.goto();
+
+    await sidePanelPage.waitForAuthEvent(AUTH_EVENTS.tokenRefreshed);
+    expect((await sidePanelPage.getStoredSession()).access_token).not.toBe(signedInToken);
+    expect(await sidePanelPage.isLoginFormVisible()).toBe(false);
+  });
+
+  test('should sign out and show the login form when the session is revoked', async ({ consoleErrors }) => {
+    consoleErrors.allow(REJECTED_REQUEST, { source: 'side-panel' });
+    standIn.setExpiresIn(10);
+    await sidePanelPage.login(USERS.active.email, USERS.active.password);
+    await sidePanelPage.waitForAuthEvent(AUTH_EVENTS.signedIn);
+
+    standIn.revokeSessions();
+    await sidePanelPage.goto();
+
+    await sidePanelPage.waitForAuthEvent(AUTH_EVENTS.signedOut);
+    expect(await sidePanelPage.getStoredSession()).toBeNull();
+    await expect(sidePanelPage.usernameInput).toBeVisible();
+  });
+});
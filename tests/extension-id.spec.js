@@ -0,0 +1,178 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExtensionIdExtractor, ExtensionLoadError } = require('../helpers/ExtensionIdExtractor');
+const testConfig = require('../config/test.config');
+
+/**
+ * Extension ID Test Suite
+ * Verifies the extension ID Chrome is expected to assign, and what happens when it does not:
+ * 1. IDs are derived from the manifest key, or from the resolved path without one
+ * 2. A different running ID, manifest errors and a missing extension are diagnosed
+ * 3. The running extension has the computed ID
+ */
+
+/**
+ * Stand-in for a browser context, with what chrome://extensions would list
+ * @param {Object} options
+ * @param {string[]} options.runningIds - Extensions with a running service worker
+ * @param {Object[]|null} options.installed - chrome://extensions entries (null: page unreadable)
+ * @returns {Object}
+ */
+function createFakeContext({ runningIds = [], installed = null } = {}) {
+  const target = id => ({ url: () => `chrome-extension://${id}/background.js` });
+  return {
+    serviceWorkers: () => runningIds.map(target),
+    backgroundPages: () => [],
+    pages: () => [],
+    on() {},
+    off() {},
+    newPage: async () => ({
+      goto: async url => {
+        if (url.startsWith('chrome-extension://') || !installed) {
+          throw new Error('net::ERR_BLOCKED_BY_CLIENT');
+        }
+      },
+      waitForTimeout: async () => {},
+      evaluate: async () => installed,
+      close: async () => {},
+    }),
+  };
+}
+
+/**
+ * Build a chrome://extensions entry
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+function createEntry(overrides) {
+  return { name: 'Metaforms', state: 'ENABLED', manifestErrors: [], runtimeErrors: [], ...overrides };
+}
+
+test.describe('Expected extension IDs', () => {
+  /** @type {string} */
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'extension-id-')));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write an unpacked extension
+   * @param {string} name - Directory name
+   * @param {Object} manifest - Extra manifest.json fields
+   * @returns {string} Extension directory
+   */
+  function writeExtension(name, manifest = {}) {
+    const extensionDir = path.join(dir, name);
+    fs.mkdirSync(extensionDir);
+    fs.writeFileSync(path.join(extensionDir, 'manifest.json'), JSON.stringify({ manifest_version: 3, name, version: '1.0', ...manifest }));
+    return extensionDir;
+  }
+
+  test('should map the SHA-256 of the input to a-p like Chrome', () => {
+    expect(ExtensionIdExtractor.generateId('test')).toBe('jpignaibiiemhngfjkcpokkamffknabf');
+  });
+
+  test('should derive the ID from the manifest key wherever the extension is', () => {
+    const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    const key = der.toString('base64');
+
+    const first = ExtensionIdExtractor.computeExtensionId(writeExtension('first', { key }));
+    const second = ExtensionIdExtractor.computeExtensionId(writeExtension('second', { key }));
+
+    expect(first).toMatchObject({ id: ExtensionIdExtractor.generateId(der), source: 'key' });
+    expect(second.id).toBe(first.id);
+    expect(ExtensionIdExtractor.idFromKey(key)).toBe(first.id);
+  });
+
+  test('should derive the ID from the resolved path without a key', () => {
+    const extensionDir = writeExtension('unpacked');
+    fs.symlinkSync(extensionDir, path.join(dir, 'link'));
+
+    const expected = ExtensionIdExtractor.computeExtensionId(extensionDir);
+
+    expect(expected).toEqual({ id: ExtensionIdExtractor.idFromPath(extensionDir), source: 'path', path: extensionDir });
+    expect(expected.id).toMatch(/^[a-p]{32}$/);
+    expect(ExtensionIdExtractor.computeExtensionId(path.join(dir, 'link')).id).toBe(expected.id);
+    expect(ExtensionIdExtractor.computeExtensionId(writeExtension('other')).id).not.toBe(expected.id);
+    expect(ExtensionIdExtractor.idFromPath('C:\\ext', 'win32')).not.toBe(ExtensionIdExtractor.idFromPath('C:\\ext', 'linux'));
+  });
+
+  test('should fail before launch waits when there is no manifest', () => {
+    expect(() => ExtensionIdExtractor.computeExtensionId(path.join(dir, 'missing')))
+      .toThrow(`Cannot read ${path.join(dir, 'missing', 'manifest.json')}`);
+  });
+});
+
+test.describe('Load failure diagnosis', () => {
+  const expected = { id: 'a'.repeat(32), source: 'path', path: '/repo/chrome-mv3' };
+
+  test('should report a mismatch when another ID runs', async () => {
+    const context = createFakeContext({ runningIds: ['b'.repeat(32)] });
+
+    const error = await ExtensionIdExtractor.diagnoseLoadFailure(context, expected);
+
+    expect(error).toBeInstanceOf(ExtensionLoadError);
+    expect(error.runningIds).toEqual(['b'.repeat(32)]);
+    expect(error.message).toContain(`Chrome did not load the extension from /repo/chrome-mv3 as ${'a'.repeat(32)} (from the path /repo/chrome-mv3) (chrome://extensions could not be read).`);
+    expect(error.message).toContain(`Extension ID mismatch: only ${'b'.repeat(32)} is running.`);
+  });
+
+  test('should report the ID Chrome gave the extension path', async () => {
+    const context = createFakeContext({ installed: [createEntry({ id: 'c'.repeat(32), path: '/repo/chrome-mv3' })] });
+
+    const error = await ExtensionIdExtractor.diagnoseLoadFailure(context, { ...expected, source: 'key' });
+
+    expect(error.message).toBe(
+      `Extension ID mismatch: expected ${'a'.repeat(32)} (from the manifest key), but Chrome loaded ` +
+      `/repo/chrome-mv3 as ${'c'.repeat(32)}. Was the manifest key changed, or the path loaded through another link?`
+    );
+  });
+
+  test('should include the errors chrome://extensions lists', async () => {
+    const context = createFakeContext({
+      installed: [createEntry({
+        id: 'a'.repeat(32),
+        state: 'TERMINATED',
+        manifestErrors: ["Unrecognized manifest key 'side_panels'."],
+        runtimeErrors: ['Uncaught ReferenceError: window is not defined'],
+      })],
+    });
+
+    const error = await ExtensionIdExtractor.diagnoseLoadFailure(context, expected);
+
+    expect(error.installed.state).toBe('TERMINATED');
+    expect(error.message).toBe(
+      `Extension ${'a'.repeat(32)} is installed (state TERMINATED) but its service worker never started. ` +
+      "Errors from chrome://extensions:\n  manifest: Unrecognized manifest key 'side_panels'.\n" +
+      '  runtime: Uncaught ReferenceError: window is not defined'
+    );
+  });
+
+  test('should diagnose instead of accepting another extension or timing out generically', async () => {
+    const context = createFakeContext({ runningIds: ['b'.repeat(32)], installed: [] });
+
+    const error = await ExtensionIdExtractor.waitForExtensionIdWithFallback(context, {
+      timeout: 400,
+      extensionPath: testConfig.extensionPath,
+    }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ExtensionLoadError);
+    expect(error.expectedId).toBe(ExtensionIdExtractor.computeExtensionId(testConfig.extensionPath).id);
+    expect(error.message).toContain('Check manifest.json for errors, and launch Chromium');
+  });
+});
+
+test.describe('Running extension ID', () => {
+  test('should load the extension under the computed ID', async ({ extensionId, extensionPath }) => {
+    expect(extensionId).toBe(ExtensionIdExtractor.computeExtensionId(extensionPath).id);
+  });
+});
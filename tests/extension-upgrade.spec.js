@@ -0,0 +1,217 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserManager } = require('../helpers/BrowserManager');
+const { ServiceWorkerBridge } = require('../helpers/ServiceWorkerBridge');
+const { ExtensionIdExtractor } = require('../helpers/ExtensionIdExtractor');
+const { OverlayController } = require('../pages/OverlayController');
+const { ExtensionSidePanelPage } = require('../pages/ExtensionSidePanelPage');
+const testConfig = require('../config/test.config');
+
+/**
+ * Extension Upgrade Test Suite
+ * Replaces build A with build B on the same profile, as Chrome does when it updates the extension:
+ * 1. chrome.storage.local (authToken, activeConnections, confirmit_config) and the Supabase
+ *    session in the extension's localStorage survive the upgrade
+ * 2. Confirmit tabs open during the upgrade keep working, without "Extension context
+ *    invalidated" errors, and get the new content scripts when they load again
+ * 3. An open side panel is closed by the reload and works again when reopened
+ *
+ * Build A is UPGRADE_FROM_PATH, or the build under test; build B is the build under test,
+ * or a copy of it with a higher version when both would be the same.
+ */
+
+const SUPABASE_STORAGE_KEY = `sb-${new URL(testConfig.supabase.url).hostname.split('.')[0]}-auth-token`;
+
+/**
+ * chrome.storage.local values build A leaves behind, keyed by testConfig.upgrade.persistedKeys
+ * @type {Object<string, *>}
+ */
+const PERSISTED_STORAGE = {
+  authToken: 'token-before-upgrade',
+  activeConnections: { 'session-1': { sessionId: 'session-1', isGenerating: true, lastUpdate: 1700000000000 } },
+  confirmit_config: { confirmit_base_url: ['https://author.nordic.confirmit.com'], timestamp: 1700000000000 },
+};
+
+/**
+ * Copy an unpacked build into a temporary directory with a higher patch version
+ * @param {string} extensionPath - Build to copy
+ * @returns {string} The copy
+ */
+function createUpgradedBuild(extensionPath) {
+  const buildDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'extension-upgrade-')), 'build');
+  fs.cpSync(extensionPath, buildDir, { recursive: true });
+  const manifestPath = path.join(buildDir, 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const [major = 0, minor = 0, patch = 0] = manifest.version.split('.').map(Number);
+  manifest.version = `${major}.${minor}.${patch + 1}`;
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return buildDir;
+}
+
+/**
+ * Read the version from an unpacked build
+ * @param {string} extensionPath
+ * @returns {string}
+ */
+function readVersion(extensionPath) {
+  return JSON.parse(fs.readFileSync(path.join(extensionPath, 'manifest.json'), 'utf8')).version;
+}
+
+test.describe('Swap preconditions', () => {
+  /** @type {string} */
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'extension-upgrade-')));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write an unpacked extension
+   * @param {string} name - Directory name
+   * @param {Object} manifest - Extra manifest.json fields
+   * @returns {string} Extension directory
+   */
+  function writeExtension(name, manifest = {}) {
+    const extensionDir = path.join(dir, name);
+    fs.mkdirSync(extensionDir);
+    fs.writeFileSync(path.join(extensionDir, 'manifest.json'), JSON.stringify({ manifest_version: 3, name, version: '1.0', ...manifest }));
+    return extensionDir;
+  }
+
+  /**
+   * A manager that behaves as launched on an extension without a staged copy
+   * @param {string} extensionPath
+   * @returns {BrowserManager}
+   */
+  function createLaunchedManager(extensionPath) {
+    const browserManager = new BrowserManager({ extensionPath });
+    browserManager.extensionId = ExtensionIdExtractor.computeExtensionId(extensionPath).id;
+    browserManager.isInitialized = true;
+    return browserManager;
+  }
+
+  test('should refuse builds that would not keep the extension ID or path', async () => {
+    const current = writeExtension('current');
+    const key = Buffer.from('upgrade-test-key').toString('base64');
+
+    await expect(createLaunchedManager(current).swapExtension(writeExtension('next')))
+      .rejects.toThrow(/would start with empty storage\. Launch with stageExtension: true/);
+
+    const keyed = createLaunchedManager(writeExtension('keyed', { key }));
+    await expect(keyed.swapExtension(writeExtension('keyed-next', { key })))
+      .rejects.toThrow(/Chrome reloads an extension from the path it was loaded from/);
+    expect(keyed.options.extensionPath).toBe(path.join(dir, 'keyed'));
+  });
+});
+
+test.describe('Extension upgrade', () => {
+  /** @type {BrowserManager} */
+  let browserManager;
+  /** @type {string} */
+  let fromPath;
+  /** @type {string} */
+  let toPath;
+  /** @type {string|null} */
+  let upgradedBuild = null;
+
+  test.beforeAll(() => {
+    fromPath = testConfig.upgrade.fromPath || testConfig.extensionPath;
+    toPath = testConfig.extensionPath;
+    if (readVersion(fromPath) === readVersion(toPath)) {
+      upgradedBuild = createUpgradedBuild(toPath);
+      toPath = upgradedBuild;
+    }
+  });
+
+  test.afterAll(() => {
+    if (upgradedBuild) {
+      fs.rmSync(path.dirname(upgradedBuild), { recursive: true, force: true });
+    }
+  });
+
+  test.beforeEach(async ({ launchBrowser }) => {
+    browserManager = await launchBrowser({ extensionPath: fromPath, stageExtension: true });
+  });
+
+  /**
+   * Bridge to the running service worker (not started: extension pages close on upgrade)
+   * @returns {ServiceWorkerBridge}
+   */
+  function createBridge() {
+    return new ServiceWorkerBridge(browserManager.getContext(), browserManager.getExtensionId());
+  }
+
+  test('should keep chrome.storage and the Supabase session across the upgrade', async () => {
+    const extensionId = browserManager.getExtensionId();
+    await createBridge().setStorage(PERSISTED_STORAGE);
+    const hostPage = await browserManager.newPage();
+    await hostPage.goto(`chrome-extension://${extensionId}/${testConfig.extensionHostPage}`);
+    await hostPage.evaluate(([key, value]) => localStorage.setItem(key, value), [
+      SUPABASE_STORAGE_KEY,
+      JSON.stringify({ access_token: 'access-before-upgrade', refresh_token: 'refresh-before-upgrade' }),
+    ]);
+
+    await browserManager.swapExtension(toPath);
+
+    expect(browserManager.getExtensionPath()).toBe(fs.realpathSync(toPath));
+    expect(browserManager.getExtensionId()).toBe(extensionId);
+    expect(await browserManager.getExtensionVersion()).toBe(readVersion(toPath));
+    expect(await createBridge().getStorage(testConfig.upgrade.persistedKeys)).toEqual(PERSISTED_STORAGE);
+    const upgradedPage = await browserManager.newPage();
+    await upgradedPage.goto(`chrome-extension://${extensionId}/${testConfig.extensionHostPage}`);
+    const session = await upgradedPage.evaluate(key => JSON.parse(localStorage.getItem(key)), SUPABASE_STORAGE_KEY);
+    expect(session).toMatchObject({ refresh_token: 'refresh-before-upgrade' });
+  });
+
+  test('should keep open Confirmit tabs working and inject the new build when they load again', async () => {
+    const page = await browserManager.newPage();
+    const overlay = new OverlayController(page, createBridge());
+    await overlay.goto();
+
+    await browserManager.swapExtension(toPath);
+
+    // The orphaned content script must stay quiet, and the page usable
+    await overlay.addFirstButton.click();
+    await expect(overlay.actionLog).toContainText('add-first');
+    expect(browserManager.getConsoleCollector().getEntries()
+      .filter(entry => /Extension context invalidated/i.test(entry.text))
+      .map(entry => `${entry.source}: ${entry.text}`)).toEqual([]);
+
+    const reopened = new OverlayController(page, createBridge());
+    await page.reload({ waitUntil: 'domcontentloaded' });
+    await reopened.waitForContentScript();
+    await reopened.showOverlay();
+    await expect(reopened.notification).toBeVisible();
+  });
+
+  // The consoleErrors fixture fails the test if the reloaded panel logs errors
+  test('should close an open side panel and load it again after the upgrade', async () => {
+    const page = await browserManager.newPage();
+    await new ExtensionSidePanelPage(page, browserManager.getExtensionId()).goto();
+    const closed = page.waitForEvent('close');
+
+    await browserManager.swapExtension(toPath);
+
+    await closed;
+    const sidePanel = new ExtensionSidePanelPage(await browserManager.newPage(), browserManager.getExtensionId());
+    await sidePanel.goto();
+    await sidePanel.waitForContentLoad();
+  });
+
+  test('should keep the ID and storage when the browser restarts on the new build', async () => {
+    const extensionId = browserManager.getExtensionId();
+    await createBridge().setStorage(PERSISTED_STORAGE);
+
+    await browserManager.swapExtension(toPath, { restart: true });
+
+    expect(browserManager.getExtensionId()).toBe(extensionId);
+    expect(await browserManager.getExtensionVersion()).toBe(readVersion(toPath));
+    expect(await createBridge().getStorage(testConfig.upgrade.persistedKeys)).toEqual(PERSISTED_STORAGE);
+  });
+});
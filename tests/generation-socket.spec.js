@@ -0,0 +1,225 @@
+const WebSocket = require('ws');
+const { test, expect } = require('../fixtures/extension.fixtures');
+const { ExtensionSidePanelPage } = require('../pages/ExtensionSidePanelPage');
+const { GenerationSocketServer, GenerationScript } = require('../servers/GenerationSocketServer');
+const { ConfirmitConfigStandIn } = require('../servers/ConfirmitConfigStandIn');
+const { SupabaseAuthStandIn } = require('../servers/SupabaseAuthStandIn');
+const testConfig = require('../config/test.config');
+
+/**
+ * Generation Socket Test Suite
+ * Verifies the scriptable stand-in for the Metaforms generation WebSocket:
+ * 1. Scripted frames are played in order and client messages are recorded
+ * 2. The side panel origin's WebSocket to the QA backend is routed to the stand-in
+ * 3. A prompt sent from the side panel's chat streams a scripted generation, and the panel
+ *    runs its tool call against the Confirmit stand-in
+ */
+const SESSION_PATH = '/document_to_survey_convertor/session-1/confirmit_session_data/ws';
+const CONFIRMIT_ORIGIN = new URL(testConfig.externalSite.url).origin;
+const STAND_IN_CREDENTIALS = { username: 'standin.user', password: 'stand-in-password' };
+const PANEL_USER = { email: 'generation.panel@example.com', password: 'panel-password' };
+
+// The worker's browser routes to a stand-in started before it launches and stopped after it closes.
+// The side panel only recognizes https:// Confirmit pages, hence the TLS Confirmit stand-in.
+test.use({
+  browserOptions: [async ({}, use) => {
+    const server = await new GenerationSocketServer().start();
+    await use({
+      generationSocket: server,
+      confirmitStandIn: { credentials: STAND_IN_CREDENTIALS, tls: true },
+      supabaseAuth: new SupabaseAuthStandIn({ users: [PANEL_USER] }),
+    });
+    await server.stop();
+  }, { scope: 'worker' }],
+});
+
+/**
+ * Connect a Node WebSocket client and collect the frames it receives
+ * @param {string} url - WebSocket URL
+ * @returns {Promise<{socket: WebSocket, frames: Object[]}>}
+ */
+async function connectClient(url) {
+  const socket = new WebSocket(url);
+  const frames = [];
+  socket.on('message', data => frames.push(JSON.parse(data.toString())));
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  return { socket, frames };
+}
+
+test.describe('Generation Socket Stand-in', () => {
+  /** @type {GenerationSocketServer} */
+  let server;
+
+  test.beforeEach(async () => {
+    server = await new GenerationSocketServer().start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should stream text deltas, tool calls and completion in order', async () => {
+    server.setScript(
+      new GenerationScript()
+        .text('Adding ')
+        .text('a question')
+        .toolCall('createQuestion', { node_id: '2', question_type: 'single', position: 'After' })
+        .complete()
+        .close()
+    );
+
+    const { socket, frames } = await connectClient(`${server.getUrl()}${SESSION_PATH}?token=abc`);
+    await new Promise(resolve => socket.once('close', resolve));
+
+    expect(frames.map(frame => frame.type)).toEqual(['diff', 'diff', 'diff', 'diff', 'diff']);
+    expect(frames[2].values_changed["root['plan']['turns'][1]['generated_content']"].new_value)
+      .toBe('Adding a question');
+    expect(frames[3].iterable_item_added["root['plan']['turns'][1]['tool_calls'][0]"]).toMatchObject({
+      type: 'createQuestion',
+      status: 'pending',
+    });
+    expect(frames[4].values_changed["root['plan']['is_streaming']"].new_value).toBe(false);
+  });
+
+  test('should record the token and what the client sent', async () => {
+    server.setScript(new GenerationScript().waitForClientMessage().error('Session not found'));
+
+    const { socket, frames } = await connectClient(`${server.getUrl()}${SESSION_PATH}?token=abc`);
+    socket.send(JSON.stringify({ type: 'user_message', content: 'Add a question' }));
+    await server.waitForMessages(1);
+    await expect.poll(() => frames.length).toBe(1);
+    socket.close();
+
+    const [connection] = server.getConnections();
+    expect(connection.path).toBe(SESSION_PATH);
+    expect(connection.token).toBe('abc');
+    expect(server.getReceivedMessages()).toEqual([{ type: 'user_message', content: 'Add a question' }]);
+    expect(frames[0]).toEqual({ type: 'error', message: 'Session not found' });
+  });
+
+  test('should play a path-scoped script once a message of the given type arrives on any socket', async () => {
+    server.setScript(new GenerationScript().waitForClientMessage('plan_replied').text('Done'), { path: '/ws' });
+
+    const session = await connectClient(`${server.getUrl()}${SESSION_PATH}?token=abc`);
+    const completion = await connectClient(`${server.getUrl()}${SESSION_PATH.replace(/ws$/, 'completion')}?token=abc`);
+    completion.socket.send(JSON.stringify({ type: 'ping' }));
+    completion.socket.send(JSON.stringify({ type: 'plan_replied', instruction: 'Add a question' }));
+    await expect.poll(() => session.frames.length).toBe(2);
+    session.socket.close();
+    completion.socket.close();
+
+    expect(session.frames[1].values_changed["root['plan']['turns'][1]['generated_content']"].new_value).toBe('Done');
+    expect(completion.frames).toEqual([]);
+  });
+});
+
+test.describe('Generation Socket Routing', () => {
+  test('should route the side panel WebSocket to the stand-in', async ({ browserOptions, browserManager, sidePanel }) => {
+    const server = browserOptions.generationSocket;
+    server.setScript(new GenerationScript().toolCall('deleteNode', { node_id: '3' }));
+
+    const backendUrl = `${testConfig.generationBackend.websocketUrl}${SESSION_PATH}?token=panel-token`;
+    const received = await sidePanel.page.evaluate(url => new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      socket.onopen = () => socket.send(JSON.stringify({ type: 'ping' }));
+      socket.onmessage = event => resolve(JSON.parse(event.data));
+      socket.onerror = () => reject(new Error('WebSocket error'));
+    }), backendUrl);
+
+    const connection = await server.waitForConnection();
+    expect(connection.token).toBe('panel-token');
+    expect(received.type).toBe('diff');
+    await expect.poll(() => server.getReceivedMessages()).toEqual([{ type: 'ping' }]);
+  });
+});
+
+test.describe('Generation from the Side Panel', () => {
+  const PROMPT = 'Remove the screener page';
+
+  /**
+   * Log in to the Confirmit stand-in and land on the survey designer
+   * @param {import('../pages/ExternalSitePage').ExternalSitePage} externalSite - Page to use
+   * @param {string} designerUrl - Survey designer URL
+   * @returns {Promise<void>}
+   */
+  async function openDesigner(externalSite, designerUrl) {
+    await externalSite.page.goto(`${CONFIRMIT_ORIGIN}/identity/login?ReturnUrl=${encodeURIComponent(new URL(designerUrl).pathname)}`);
+    await externalSite.fillUsername(STAND_IN_CREDENTIALS.username);
+    await externalSite.clickLogin();
+    await externalSite.fillPassword(STAND_IN_CREDENTIALS.password);
+    await externalSite.clickLogin();
+    await externalSite.page.waitForURL(designerUrl);
+  }
+
+  test('should stream a generation started from the chat and run its tool call', async ({
+    browserOptions,
+    browserManager,
+    extensionContext,
+    extensionId,
+    sidePanelHelper,
+    externalSite,
+  }) => {
+    const server = browserOptions.generationSocket;
+    const confirmit = browserManager.getConfirmitStandIn();
+    const projectId = confirmit.getProjectId();
+    const designerUrl = `${CONFIRMIT_ORIGIN}/surveydesigner/${projectId}/design/questionnaire/`;
+    confirmit.clearRequests();
+
+    // The session socket gets the (empty) session on connect, then streams the turn once the
+    // prompt arrives on the completion socket
+    server.setScript(
+      new GenerationScript()
+        .frame({ plan: { turns: [], is_streaming: false } })
+        .waitForClientMessage('plan_replied')
+        .text('Removing the screener page')
+        .toolCall('deleteNode', { node_id: 'P_SCREENER' })
+        .complete(),
+      { path: '/ws' }
+    );
+
+    // With a completed Confirmit session for the project, the dashboard opens /{projectId}/chat
+    const sessionExistsUrl = `${testConfig.generationBackend.apiUrl}/document_to_survey_convertor/${projectId}/confirmit_session_data/completion/exists`;
+    const sessionExists = route => route.fulfill({
+      status: 200,
+      headers: { 'access-control-allow-origin': '*' },
+      contentType: 'application/json',
+      body: JSON.stringify({ exists: true }),
+    });
+    await extensionContext.route(sessionExistsUrl, sessionExists);
+    const confirmitConfig = await new ConfirmitConfigStandIn({ baseUrls: CONFIRMIT_ORIGIN }).install(extensionContext);
+    try {
+      await openDesigner(externalSite, designerUrl);
+      const sidePanelPage = await sidePanelHelper.openSidePanelAlongside(externalSite.page, { mode: 'native' });
+      const sidePanel = new ExtensionSidePanelPage(sidePanelPage, extensionId);
+      await sidePanel.login(PANEL_USER.email, PANEL_USER.password);
+      await externalSite.page.bringToFront();
+
+      await sidePanel.sendChatMessage(PROMPT);
+
+      await expect.poll(() => server.getReceivedMessages().find(message => message.type === 'plan_replied'))
+        .toMatchObject({ instruction: PROMPT, baseUrl: CONFIRMIT_ORIGIN });
+      const paths = server.getConnections().map(connection => connection.path);
+      expect(paths).toContain(`/document_to_survey_convertor/${projectId}/confirmit_session_data/ws`);
+      expect(paths).toContain(`/document_to_survey_convertor/${projectId}/confirmit_session_data/completion`);
+
+      await expect(sidePanelPage.getByText(PROMPT)).toBeVisible();
+      await expect(sidePanelPage.getByText('Completed all actions')).toBeVisible({
+        timeout: testConfig.timeouts.elementVisible,
+      });
+      await expect.poll(() => server.getReceivedMessages().filter(message => message.type === 'tool_call_acknowledgment'))
+        .toEqual([expect.objectContaining({ tool_call_id: 'tool_call_1_0', turn_id: 'turn_1', status: 'completed' })]);
+
+      const deletes = confirmit.getRequests('/routing/P_SCREENER').filter(request => request.method === 'DELETE');
+      expect(deletes).toHaveLength(1);
+      expect(deletes[0].headers.authorization).toBe(`Bearer ${confirmit.getLatestToken()}`);
+      expect(confirmit.getSurvey().hasNode('P_SCREENER')).toBe(false);
+    } finally {
+      await confirmitConfig.uninstall();
+      await extensionContext.unroute(sessionExistsUrl, sessionExists);
+      confirmit.seedSurvey();
+    }
+  });
+});
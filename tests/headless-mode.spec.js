@@ -0,0 +1,108 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserManager, HEADLESS_MODES } = require('../helpers/BrowserManager');
+const { XvfbDisplay, XvfbError } = require('../helpers/XvfbDisplay');
+
+/**
+ * Headless Mode Test Suite
+ * Verifies how the browser is shown on machines with and without a display:
+ * 1. Headed mode falls back to Xvfb on Linux without DISPLAY; Xvfb falls back to headed elsewhere
+ * 2. Xvfb is started on the display number it picks and stopped again; a missing or
+ *    crashing Xvfb fails loudly
+ * 3. The extension loads in new headless mode
+ */
+
+/**
+ * Write an executable stand-in for Xvfb
+ * @param {string} dir - Directory to write it to
+ * @param {string} body - Node.js code run with `displayFd` set to the -displayfd argument
+ * @returns {string} Path of the script
+ */
+function writeFakeXvfb(dir, body) {
+  const scriptPath = path.join(dir, 'Xvfb');
+  fs.writeFileSync(scriptPath, [
+    `#!${process.execPath}`,
+    "const displayFd = Number(process.argv[process.argv.indexOf('-displayfd') + 1]);",
+    body,
+  ].join('\n'), { mode: 0o755 });
+  return scriptPath;
+}
+
+// The worker's browser, for the suite that launches one
+test.use({ browserOptions: { headlessMode: HEADLESS_MODES.new } });
+
+test.describe('Headless mode resolution', () => {
+  test('should keep the requested mode when it can run', () => {
+    const linuxDesktop = { DISPLAY: ':0' };
+
+    expect(BrowserManager.resolveHeadlessMode('headed', linuxDesktop, 'linux')).toBe(HEADLESS_MODES.headed);
+    expect(BrowserManager.resolveHeadlessMode('new', {}, 'linux')).toBe(HEADLESS_MODES.new);
+    expect(BrowserManager.resolveHeadlessMode('xvfb', linuxDesktop, 'linux')).toBe(HEADLESS_MODES.xvfb);
+    expect(BrowserManager.resolveHeadlessMode('headed', {}, 'darwin')).toBe(HEADLESS_MODES.headed);
+  });
+
+  test('should fall back to Xvfb when headed mode has no display, and to headed without Xvfb', () => {
+    expect(BrowserManager.resolveHeadlessMode('headed', {}, 'linux')).toBe(HEADLESS_MODES.xvfb);
+    expect(BrowserManager.resolveHeadlessMode('headed', { WAYLAND_DISPLAY: 'wayland-0' }, 'linux')).toBe(HEADLESS_MODES.headed);
+    expect(BrowserManager.resolveHeadlessMode('xvfb', {}, 'win32')).toBe(HEADLESS_MODES.headed);
+  });
+
+  test('should name the modes it knows', () => {
+    expect(() => BrowserManager.resolveHeadlessMode('old', {}, 'linux'))
+      .toThrow('Unknown headlessMode "old". Use: headed, new, xvfb.');
+  });
+});
+
+test.describe('Xvfb display', () => {
+  /** @type {string} */
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xvfb-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should start on the display Xvfb picks and stop it again', async () => {
+    const command = writeFakeXvfb(dir, "require('fs').writeSync(displayFd, '42\\n'); setInterval(() => {}, 1000);");
+    const xvfb = new XvfbDisplay({ command });
+
+    await xvfb.start();
+    const child = xvfb.process;
+    try {
+      expect(xvfb.getDisplay()).toBe(':42');
+      expect(xvfb.getEnv({ PATH: '/usr/bin' })).toEqual({ PATH: '/usr/bin', DISPLAY: ':42' });
+    } finally {
+      await xvfb.stop();
+    }
+
+    expect(child.signalCode).toBe('SIGTERM');
+    expect(xvfb.getDisplay()).toBeNull();
+  });
+
+  test('should fail loudly when Xvfb exits before its display is ready', async () => {
+    const command = writeFakeXvfb(dir, "console.error('Fatal server error:'); console.error('Cannot establish any listening sockets'); process.exit(1);");
+
+    await expect(new XvfbDisplay({ command }).start())
+      .rejects.toThrow('Xvfb exited with code 1 (Fatal server error: | Cannot establish any listening sockets).');
+  });
+
+  test('should fail loudly when Xvfb is not installed', async () => {
+    const command = path.join(dir, 'Xvfb');
+
+    expect(XvfbDisplay.findExecutable('Xvfb', { PATH: dir })).toBeNull();
+    await expect(new XvfbDisplay({ command }).start()).rejects.toThrow(XvfbError);
+    await expect(new XvfbDisplay({ command }).start()).rejects.toThrow('or run with HEADLESS_MODE=new.');
+  });
+});
+
+test.describe('New headless mode', () => {
+  test('should load the extension without a display', async ({ browserManager, extensionId }) => {
+    expect(browserManager.getHeadlessMode()).toBe(HEADLESS_MODES.new);
+    expect(extensionId).toMatch(/^[a-p]{32}$/);
+  });
+});
@@ -1,8 +1,5 @@
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../fixtures/extension.fixtures');
 const path = require('path');
-const { BrowserManager } = require('../helpers/BrowserManager');
-const { SidePanelHelper } = require('../helpers/SidePanelHelper');
-const { ExternalSitePage } = require('../pages/ExternalSitePage');
 const { ExtensionSidePanelPage } = require('../pages/ExtensionSidePanelPage');
 const testConfig = require('../config/test.config');
 
@@ -13,50 +10,13 @@ const testConfig = require('../config/test.config');
  * 2. Login to external site (Confirmit)
  * 3. Login to extension side panel
  * 4. Verify both logins successful
+ *
+ * The browser is launched once per worker by fixtures/extension.fixtures.js,
+ * with a persistent user data directory.
  */
-test.describe('Login Flow', () => {
-  /** @type {BrowserManager} */
-  let browserManager;
-  
-  /** @type {import('@playwright/test').Page} */
-  let page;
-
-  /**
-   * Setup: Launch browser with extension before all tests
-   */
-  test.beforeAll(async () => {
-    // Create BrowserManager with user data directory for persistence
-    browserManager = BrowserManager.forTests(__dirname);
-    
-    console.log(`📂 Extension path: ${testConfig.extensionPath}`);
-    console.log('⏳ Launching browser with extension...');
-
-    await browserManager.launch();
-
-    console.log(`✅ Extension ID extracted: ${browserManager.getExtensionId()}`);
-    console.log(`🔑 External credentials: ${testConfig.externalSite.credentials.username}`);
-    console.log(`🔑 Extension credentials: ${testConfig.extensionCredentials.username}`);
-  });
-
-  /**
-   * Teardown: Close browser after all tests
-   */
-  test.afterAll(async () => {
-    if (browserManager) {
-      await browserManager.close();
-      console.log('🔒 Browser closed');
-    }
-  });
-
-  /**
-   * Teardown: Close page after each test (but keep browser)
-   */
-  test.afterEach(async () => {
-    if (page && !page.isClosed()) {
-      await page.close();
-    }
-  });
+test.use({ userDataDir: path.resolve(__dirname, '..', 'test-user-data') });
 
+test.describe('Login Flow', () => {
   /**
    * Test: Complete login flow - External site then Extension Side Panel
    *
@@ -66,25 +26,26 @@ test.describe('Login Flow', () => {
    * NOTE: Chrome's CSP prevents embedding extensions as iframes.
    * The side panel opens in a separate tab but both remain accessible.
    */
-  test('should complete full login flow: external site then extension side panel', async () => {
-    const context = browserManager.getContext();
-    const extensionId = browserManager.getExtensionId();
-    const sidePanelHelper = new SidePanelHelper(context, extensionId);
+  test('should complete full login flow: external site then extension side panel', async ({
+    extensionId,
+    externalSite: externalSitePage,
+    sidePanelHelper,
+  }) => {
+    console.log(`✅ Extension ID extracted: ${extensionId}`);
 
     // ============================================
     // STEP 1: External Site Login
     // ============================================
     console.log('\n📋 STEP 1: External Site Login');
 
-    page = await browserManager.newPage();
-    const externalSitePage = new ExternalSitePage(page);
+    const page = externalSitePage.page;
 
     // Navigate to external site
     await externalSitePage.goto();
     console.log(`📍 Navigated to external site: ${testConfig.externalSite.url}`);
 
     // Perform login on external site
-    console.log(`🔐 Attempting external site login for: ${testConfig.externalSite.credentials.username}`);
+    console.log('🔐 Attempting external site login');
     const externalLoginSuccess = await externalSitePage.login();
 
     // Assert external login was successful
@@ -122,7 +83,7 @@ test.describe('Login Flow', () => {
     console.log('\n📋 STEP 3: Extension Side Panel Login');
 
     // Perform login on extension
-    console.log(`🔐 Attempting extension login for: ${testConfig.extensionCredentials.username}`);
+    console.log('🔐 Attempting extension login');
     const extensionLoginSuccess = await sidePanelPageObj.login();
 
     // Assert extension login was successful
@@ -143,14 +104,11 @@ test.describe('Login Flow', () => {
   /**
    * Test: External site login only
    */
-  test('should login to external site successfully', async () => {
-    page = await browserManager.newPage();
-    const externalSitePage = new ExternalSitePage(page);
-    
+  test('should login to external site successfully', async ({ externalSite: externalSitePage }) => {
     // Navigate and login
     await externalSitePage.goto();
     console.log(`📍 Navigated to external site: ${testConfig.externalSite.url}`);
-    console.log(`🔐 Attempting external site login for: ${testConfig.externalSite.credentials.username}`);
+    console.log('🔐 Attempting external site login');
     
     const success = await externalSitePage.login();
     
@@ -167,19 +125,12 @@ test.describe('Login Flow', () => {
   /**
    * Test: Extension login only (assumes external login not required or already done)
    */
-  test('should login to extension side panel successfully', async () => {
-    page = await browserManager.newPage();
-    const extensionId = browserManager.getExtensionId();
-    const sidePanelPage = new ExtensionSidePanelPage(page, extensionId);
-    
-    // Navigate to side panel
-    await sidePanelPage.goto();
-    
+  test('should login to extension side panel successfully', async ({ sidePanel: sidePanelPage }) => {
     // Verify side panel loaded
     await expect(sidePanelPage.page.locator('#root')).toBeAttached();
     
     // Perform login
-    console.log(`🔐 Attempting extension login for: ${testConfig.extensionCredentials.username}`);
+    console.log('🔐 Attempting extension login');
     const success = await sidePanelPage.login();
     
     // Note: This may fail if external login is required first
@@ -190,23 +141,15 @@ test.describe('Login Flow', () => {
   /**
    * Test: Verify extension loads correctly
    */
-  test('should load extension side panel', async () => {
-    page = await browserManager.newPage();
-    const sidePanelUrl = browserManager.getSidePanelUrl();
-    
-    console.log(`📍 Navigating to: ${sidePanelUrl}`);
-    
-    await page.goto(sidePanelUrl);
-    await page.waitForLoadState('domcontentloaded');
+  test('should load extension side panel', async ({ extensionId, sidePanel }) => {
+    console.log(`📍 Navigated to: ${sidePanel.getSidePanelUrl()}`);
     
     // Verify React app mounted
-    const root = page.locator('#root');
-    await expect(root).toBeAttached();
+    await expect(sidePanel.rootElement).toBeAttached();
     
     // Verify extension ID is valid
-    const extensionId = browserManager.getExtensionId();
     expect(extensionId).toBeTruthy();
-    expect(page.url()).toContain(extensionId);
+    expect(sidePanel.getCurrentUrl()).toContain(extensionId);
     console.log('✅ Extension side panel loaded successfully');
   });
 });
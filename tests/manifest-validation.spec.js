@@ -0,0 +1,195 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ManifestValidator, ManifestValidationError, MANIFEST_CHECKS } = require('../helpers/ManifestValidator');
+const testConfig = require('../config/test.config');
+
+/**
+ * Manifest Validation Test Suite
+ * Static checks of the extension build; the extension-build project runs this file before
+ * any project that launches a browser, so a broken or over-privileged build fails the run first:
+ * 1. The build under test passes (warnings are attached as annotations)
+ * 2. Missing files, locale keys, MV3 CSP violations and permission changes are errors
+ * 3. Duplicate content scripts and redundant host permissions are warnings
+ */
+
+/** @type {string} */
+let dir;
+
+/**
+ * Write an unpacked extension with a permissions baseline matching it
+ * @param {Object} manifest - manifest.json fields over a minimal MV3 manifest
+ * @param {Object<string, string>} files - Other files by relative path
+ * @returns {ManifestValidator} Validator for it
+ */
+function createExtension(manifest = {}, files = {}) {
+  const extensionDir = fs.mkdtempSync(path.join(dir, 'extension-'));
+  const content = { manifest_version: 3, name: 'Metaforms', version: '1.0', ...manifest };
+  for (const [file, data] of Object.entries({ 'manifest.json': JSON.stringify(content), ...files })) {
+    fs.mkdirSync(path.dirname(path.join(extensionDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(extensionDir, file), data);
+  }
+  const baselinePath = `${extensionDir}.baseline.json`;
+  fs.writeFileSync(baselinePath, JSON.stringify(ManifestValidator.getPermissions(content)));
+  return new ManifestValidator(extensionDir, { baselinePath });
+}
+
+/**
+ * Get the messages of one check's findings
+ * @param {{check: string, message: string}[]} findings
+ * @param {string} check - One of MANIFEST_CHECKS
+ * @returns {string[]}
+ */
+function messagesOf(findings, check) {
+  return findings.filter(finding => finding.check === check).map(finding => finding.message);
+}
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.describe('Extension build under test', () => {
+  test('should have no manifest errors and no unreviewed permissions', ({ extensionPath }) => {
+    const validator = new ManifestValidator(extensionPath);
+    if (testConfig.manifestValidation.updateBaseline) {
+      test.info().annotations.push({ type: 'permissions baseline written', description: validator.writeBaseline() });
+    }
+
+    const report = validator.assertValid();
+
+    report.warnings.forEach(warning => test.info().annotations.push({
+      type: `manifest warning (${warning.check})`,
+      description: warning.message,
+    }));
+  });
+});
+
+test.describe('Manifest errors', () => {
+  test('should report referenced files that do not exist', () => {
+    const validator = createExtension({
+      background: { service_worker: 'background.js' },
+      side_panel: { default_path: 'sidepanel.html' },
+      icons: { 32: 'icon/32.png' },
+      content_scripts: [{ matches: ['*://*/*'], js: ['content.js'], css: ['content.css'] }],
+      web_accessible_resources: [{ resources: ['assets/*', 'missing.css'], matches: ['*://*/*'] }],
+    }, { 'background.js': '', 'content.js': '' });
+
+    expect(messagesOf(validator.validate().errors, MANIFEST_CHECKS.files)).toEqual([
+      'side_panel.default_path references sidepanel.html, which does not exist',
+      'icons.32 references icon/32.png, which does not exist',
+      'content_scripts[0].css references content.css, which does not exist',
+      'web_accessible_resources[0] references missing.css, which does not exist',
+    ]);
+  });
+
+  test('should check every locale for the __MSG_*__ keys the manifest uses', () => {
+    const validator = createExtension({ name: '__MSG_extName__', description: '__MSG_extDescription__', default_locale: 'en' }, {
+      '_locales/en/messages.json': JSON.stringify({ extName: { message: 'Metaforms' }, extDescription: { message: 'Forms' } }),
+      '_locales/zh_CN/messages.json': JSON.stringify({ EXTNAME: { message: 'Metaforms' } }),
+      '_locales/de/messages.json': '{ "extName": ',
+    });
+
+    const report = validator.validate();
+
+    expect(messagesOf(report.errors, MANIFEST_CHECKS.locales)).toEqual([
+      expect.stringMatching(/^_locales\/de\/messages\.json cannot be read: /),
+      '_locales/zh_CN/messages.json has no "extDescription" (manifest.json uses __MSG_extDescription__)',
+    ]);
+    expect(messagesOf(report.warnings, MANIFEST_CHECKS.locales)).toEqual([
+      '_locales/zh_CN/messages.json lacks extdescription from the default locale (en)',
+    ]);
+    expect(messagesOf(createExtension({ name: '__MSG_extName__' }).validate().errors, MANIFEST_CHECKS.locales))
+      .toEqual(['manifest.json uses __MSG_extName__ but sets no default_locale']);
+  });
+
+  test('should only accept the CSP sources Chrome allows in MV3', () => {
+    const validator = createExtension({
+      content_security_policy: {
+        extension_pages: "script-src 'self' 'unsafe-eval' https://cdn.example.com http://localhost:3000; object-src 'self'; connect-src *",
+      },
+    });
+
+    expect(messagesOf(validator.validate().errors, MANIFEST_CHECKS.csp)).toEqual([
+      "extension_pages script-src allows 'unsafe-eval'; Manifest V3 only accepts 'self', 'none', 'wasm-unsafe-eval' and localhost, so Chrome refuses to load the extension",
+      "extension_pages script-src allows https://cdn.example.com; Manifest V3 only accepts 'self', 'none', 'wasm-unsafe-eval' and localhost, so Chrome refuses to load the extension",
+    ]);
+    expect(messagesOf(createExtension({ content_security_policy: "script-src 'self'" }).validate().errors, MANIFEST_CHECKS.csp))
+      .toEqual(['content_security_policy must be an object ({ extension_pages, sandbox }) in Manifest V3']);
+  });
+
+  test('should fail on permissions the baseline does not grant', () => {
+    const validator = createExtension({ permissions: ['storage', 'tabs'], host_permissions: ['*://*.confirmit.com/*'] });
+    const manifestPath = path.join(validator.extensionPath, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, permissions: ['storage', 'debugger'], host_permissions: ['<all_urls>'] }));
+
+    const report = validator.validate();
+
+    expect(messagesOf(report.errors, MANIFEST_CHECKS.permissions)).toEqual([
+      expect.stringMatching(/^permissions adds "debugger", which .*\.baseline\.json does not grant\. Review it/),
+      expect.stringMatching(/^host_permissions adds "<all_urls>", which /),
+    ]);
+    expect(messagesOf(report.warnings, MANIFEST_CHECKS.permissions)).toEqual([
+      expect.stringMatching(/^permissions no longer requests "tabs"/),
+      expect.stringMatching(/^host_permissions no longer requests "\*:\/\/\*\.confirmit\.com\/\*"/),
+    ]);
+
+    validator.writeBaseline();
+    expect(validator.validate().errors).toEqual([]);
+  });
+
+  test('should fail without a baseline and list every error when asserting', () => {
+    const validator = new ManifestValidator(createExtension({ icons: { 16: 'icon.png' } }).extensionPath, {
+      baselinePath: path.join(dir, 'missing.json'),
+    });
+
+    expect(() => validator.assertValid()).toThrow(ManifestValidationError);
+    expect(() => validator.assertValid()).toThrow(
+      `${validator.extensionPath}/manifest.json failed validation:\n` +
+      '  [files] icons.16 references icon.png, which does not exist\n' +
+      '  [permissions] No permissions baseline at'
+    );
+  });
+});
+
+test.describe('Manifest warnings', () => {
+  test('should report content scripts registered twice for the same pattern', () => {
+    const validator = createExtension({
+      content_scripts: [
+        { matches: ['*://*/*'], js: ['content.js'] },
+        { matches: ['*://*.confirmit.com/*'], js: ['overlay.js'] },
+        { matches: ['*://*/*', 'file:///*'], js: ['content.js'] },
+      ],
+    }, { 'content.js': '', 'overlay.js': '' });
+
+    expect(validator.validate()).toEqual({
+      errors: [],
+      warnings: [{
+        check: MANIFEST_CHECKS.contentScripts,
+        message: 'content.js is registered 2 times for *://*/*, so it is injected 2 times into matching pages',
+      }],
+    });
+  });
+
+  test('should report host permissions that broader ones already grant', () => {
+    const validator = createExtension({
+      host_permissions: [
+        '*://*.confirmit.com/*',
+        '*://author.nordic.confirmit.com/*',
+        'https://*/*',
+        '*://*.metaforms.ai/*',
+        'https://api.metaforms.ai/www/*',
+      ],
+    });
+
+    expect(messagesOf(validator.validate().warnings, MANIFEST_CHECKS.hostPermissions)).toEqual([
+      'host_permissions *://author.nordic.confirmit.com/* is already granted by *://*.confirmit.com/*',
+      'host_permissions https://api.metaforms.ai/www/* is already granted by https://*/*',
+    ]);
+  });
+});
@@ -0,0 +1,198 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const { NetworkAssertions, ContractViolationError } = require('../helpers/NetworkAssertions');
+const { JsonSchemaValidator } = require('../helpers/JsonSchemaValidator');
+
+/**
+ * Network Contracts Test Suite
+ * Verifies the JSON-schema contracts of the side panel's Confirmit API requests:
+ * 1. The contracts cover createQuestion, updateQuestion, updateAnswers, deleteNode and the
+ *    multigrid calls, and accept the bodies the side panel sends
+ * 2. Drifted bodies, queries and headers fail with a readable expected/received diff
+ * 3. Requests a page sends through the browser are checked without routing them
+ */
+const STAND_IN_CREDENTIALS = { username: 'contract.user', password: 'contract-password' };
+const API_URL = 'https://author.nordic.confirmit.com/surveydesigner/api/surveys/p123456789';
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+test.use({ browserOptions: { confirmitStandIn: { credentials: STAND_IN_CREDENTIALS }, contracts: true } });
+
+/**
+ * Requests shaped like the side panel's API client sends them
+ */
+const CONFORMING_REQUESTS = {
+  createQuestion: { method: 'POST', url: `${API_URL}/nodes?type=single&position=After&nodeId=3`, body: '' },
+  updateQuestion: {
+    method: 'PUT',
+    url: `${API_URL}/nodes/4`,
+    headers: JSON_HEADERS,
+    body: JSON.stringify({
+      nodeId: '4',
+      name: 'Q4',
+      formTexts: [{ text: 'demo', language: 9 }],
+      entityIdAsString: '4',
+      entityId: { $type: 'EntityId', id: '4' },
+    }),
+  },
+  updateAnswers: {
+    method: 'PUT',
+    url: `${API_URL}/1/answers?type=Single`,
+    headers: JSON_HEADERS,
+    body: JSON.stringify([{ code: '1', text: 'Satisfied' }, { code: 2, formTexts: [{ text: 'Dissatisfied', language: 9 }] }]),
+  },
+  deleteNode: { method: 'DELETE', url: `${API_URL}/routing/3`, body: null },
+  updateMultiGridQuestion: {
+    method: 'POST',
+    url: `${API_URL}/multigrid/5/questions?parentNodeName=Q5&position=After&nodeId=6`,
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ __uniqueId: 2, precode: '2', keepPos: false, formTexts: [{ text: 'Brand B', language: 9 }], texts: [] }),
+  },
+  updateMultiGridQuestionById: {
+    method: 'PUT',
+    url: `${API_URL}/multigrid/5/questions/7?parentNodeName=Q5`,
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ precode: '2', formTexts: [{ text: 'Brand B', language: 9 }] }),
+  },
+};
+
+test.describe('Request contracts', () => {
+  test('should cover every side panel write call', () => {
+    const assertions = new NetworkAssertions(null);
+
+    for (const [name, request] of Object.entries(CONFORMING_REQUESTS)) {
+      expect(assertions.findContract(request.method, request.url)?.name, name).toBe(name);
+    }
+  });
+
+  test('should accept the requests the side panel sends', () => {
+    const assertions = new NetworkAssertions(null);
+
+    for (const request of Object.values(CONFORMING_REQUESTS)) {
+      expect(assertions.check(request)).toBeNull();
+    }
+    expect(assertions.getChecked().map(checked => checked.contract)).toEqual(Object.keys(CONFORMING_REQUESTS));
+  });
+
+  test('should accept answers wrapped in an answers object', () => {
+    const assertions = new NetworkAssertions(null);
+
+    expect(assertions.check({
+      ...CONFORMING_REQUESTS.updateAnswers,
+      body: JSON.stringify({ answers: [{ code: '1', text: 'Yes' }] }),
+    })).toBeNull();
+  });
+
+  test('should not check reads, or writes outside the API', () => {
+    const assertions = new NetworkAssertions(null);
+
+    expect(assertions.check({ method: 'GET', url: `${API_URL}/routing/Routing` })).toBeNull();
+    expect(assertions.check({ method: 'POST', url: 'https://author.nordic.confirmit.com/identity/login', body: 'a=b' })).toBeNull();
+    expect(assertions.getChecked()).toEqual([]);
+  });
+});
+
+test.describe('Contract violations', () => {
+  test('should report drifted body fields with a readable diff', async () => {
+    const assertions = new NetworkAssertions(null);
+    assertions.check({
+      ...CONFORMING_REQUESTS.updateQuestion,
+      body: JSON.stringify({ formTexts: [{ text: 'demo', language: '9' }], entityId: { $type: 'Entity', id: '4' } }),
+    });
+
+    const error = await assertions.assertAllConform().catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ContractViolationError);
+    expect(error.violations[0].errors.map(violation => violation.path)).toEqual([
+      'body.formTexts[0].language',
+      'body.entityId.$type',
+    ]);
+    expect(error.message).toContain([
+      `PUT ${API_URL}/nodes/4`,
+      '  does not conform to updateQuestion (update-question.schema.json):',
+      '  body.formTexts[0].language has the wrong type',
+      '    - expected: integer',
+      '    + received: "9"',
+      '  body.entityId.$type has the wrong value',
+      '    - expected: "EntityId"',
+      '    + received: "Entity"',
+      '  Request body:',
+    ].join('\n'));
+    expect(error.message).toContain('"language": "9"');
+    await expect(assertions.assertAllConform()).resolves.toBeUndefined();
+  });
+
+  test('should report missing and unexpected multigrid fields and query parameters', () => {
+    const assertions = new NetworkAssertions(null);
+
+    const violation = assertions.check({
+      ...CONFORMING_REQUESTS.updateMultiGridQuestion,
+      url: `${API_URL}/multigrid/5/questions?position=Middle`,
+      body: JSON.stringify({ __uniqueId: 0, formTexts: [], texts: [], full_payload: {} }),
+    });
+
+    expect(violation.errors.map(error => `${error.path} ${error.message}`)).toEqual([
+      'query.parentNodeName is missing',
+      'query.position is not one of the allowed values',
+      'body.keepPos is missing',
+      'body.__uniqueId is too small',
+      'body.full_payload is not an allowed property',
+    ]);
+  });
+
+  test('should require a JSON content type and a JSON body on updates', () => {
+    const assertions = new NetworkAssertions(null);
+
+    const violation = assertions.check({
+      method: 'PUT',
+      url: `${API_URL}/1/answers?type=single`,
+      headers: { 'Content-Type': 'text/plain' },
+      body: '[{"code":"1",}]',
+    });
+
+    expect(violation.errors.map(error => error.path)).toEqual(['body', 'query.type', 'headers["content-type"]']);
+    expect(NetworkAssertions.formatViolation(violation)).toContain('    [{"code":"1",}]');
+  });
+
+  test('should report writes to API endpoints without a contract', () => {
+    const assertions = new NetworkAssertions(null);
+
+    assertions.check({ method: 'PATCH', url: `${API_URL}/nodes/4`, headers: JSON_HEADERS, body: '{"name":"Q4"}' });
+
+    const [violation] = assertions.takeViolations();
+    expect(NetworkAssertions.formatViolation(violation)).toBe([
+      `PATCH ${API_URL}/nodes/4`,
+      '  has no contract; add one to the contracts directory',
+      '  Request body:',
+      '    {"name":"Q4"}',
+    ].join('\n'));
+  });
+
+  test('should refuse schemas with keywords it cannot check', () => {
+    expect(() => new JsonSchemaValidator({ type: 'object', oneOf: [] }, 'drafted.schema.json'))
+      .toThrow('drafted.schema.json: unsupported keyword "oneOf" at #');
+    expect(() => new JsonSchemaValidator({ properties: { a: { $ref: '#/definitions/missing' } } }, 'broken.schema.json'))
+      .toThrow('broken.schema.json: reference "#/definitions/missing" does not exist');
+  });
+});
+
+test.describe('Contracts in the browser', () => {
+  test('should check API requests a page sends while the stand-in answers them', async ({ browserManager, externalSite }) => {
+    await externalSite.goto();
+    await externalSite.login(STAND_IN_CREDENTIALS.username, STAND_IN_CREDENTIALS.password);
+
+    const statuses = await externalSite.page.evaluate(async ({ apiUrl, headers }) => Promise.all([
+      fetch(`${apiUrl}/1/answers?type=Single`, { method: 'PUT', headers, body: JSON.stringify([{ code: '1', text: 'Yes' }]) }),
+      fetch(`${apiUrl}/nodes/2`, { method: 'PUT', headers, body: JSON.stringify({ formTexts: [{ text: 'Q2' }] }) }),
+    ].map(request => request.then(response => response.status))), { apiUrl: API_URL, headers: JSON_HEADERS });
+
+    // Observed, not routed: the stand-in still answered both
+    expect(statuses).toEqual([200, 200]);
+    const assertions = browserManager.getNetworkAssertions();
+    await assertions.settle();
+    expect(assertions.getChecked().map(checked => checked.contract)).toEqual(['updateAnswers', 'updateQuestion']);
+    // Taken, so the networkContracts fixture does not fail the test for it
+    const [violation] = assertions.takeViolations();
+    expect(violation.errors).toEqual([
+      { path: 'body.formTexts[0].language', message: 'is missing', expected: 'a value', received: undefined },
+    ]);
+  });
+});
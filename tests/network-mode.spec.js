@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+// The browser suite runs on the fixtures; the others clear the process-wide SecretRedactor
+const { test: extensionTest } = require('../fixtures/extension.fixtures');
+const { HarNetworkManager, UnmatchedRequestError } = require('../helpers/HarNetworkManager');
+const { SecretRedactor, MASK } = require('../helpers/SecretRedactor');
+const { ExternalSitePage } = require('../pages/ExternalSitePage');
+const testConfig = require('../config/test.config');
+
+/**
+ * Network Mode Test Suite
+ * Verifies HAR record/replay of Confirmit traffic (NETWORK_MODE=record|replay|live):
+ * 1. Secrets are scrubbed from recorded entries
+ * 2. Replay matching, strict and lenient, and reporting of unmatched requests
+ * 3. A login and designer session recorded from the stand-in, then replayed without it
+ */
+const STAND_IN_CREDENTIALS = { username: 'har.user', password: 'har-recording-password' };
+const API_URL = 'https://author.nordic.confirmit.com/surveydesigner/api/surveys/p123456789';
+
+/**
+ * Build a HAR entry
+ * @param {Object} request - Request fields (method, url, postData, headers)
+ * @param {Object} response - Response fields (status, headers, content)
+ * @returns {Object}
+ */
+function buildEntry(request, response = {}) {
+  return {
+    request: { headers: [], queryString: [], ...request },
+    response: {
+      status: 200,
+      headers: [],
+      content: { mimeType: 'application/json', text: '{}' },
+      ...response,
+    },
+  };
+}
+
+/**
+ * Write a HAR file and return a replay manager reading it
+ * @param {string} harDir - Directory for the HAR file
+ * @param {Object[]} entries - HAR entries
+ * @param {'strict'|'lenient'} matching
+ * @returns {Promise<HarNetworkManager>}
+ */
+async function replayManager(harDir, entries, matching = 'strict') {
+  fs.mkdirSync(harDir, { recursive: true });
+  fs.writeFileSync(path.join(harDir, 'sample.spec.har'), JSON.stringify({ log: { version: '1.2', entries } }));
+  const manager = new HarNetworkManager(null, { mode: 'replay', matching, harDir });
+  await manager.useSpec(path.join(harDir, 'sample.spec.js'));
+  return manager;
+}
+
+test.describe('HAR scrubbing', () => {
+  test.afterEach(() => {
+    SecretRedactor.clear();
+  });
+
+  test('should mask secret headers, keeping the auth scheme and cookie names', () => {
+    const entry = HarNetworkManager.scrubEntry(buildEntry({
+      method: 'GET',
+      url: `${API_URL}/nodes`,
+      headers: [
+        { name: 'Authorization', value: 'Bearer abc.def.ghi' },
+        { name: 'Cookie', value: 'confirmit_session=1234abcd; theme=dark' },
+        { name: 'Accept', value: 'application/json' },
+      ],
+    }, {
+      headers: [{ name: 'set-cookie', value: 'confirmit_session=5678efgh; Path=/; HttpOnly' }],
+    }));
+
+    expect(entry.request.headers).toEqual([
+      { name: 'Authorization', value: `Bearer ${MASK}` },
+      { name: 'Cookie', value: `confirmit_session=${MASK}; theme=${MASK}` },
+      { name: 'Accept', value: 'application/json' },
+    ]);
+    expect(entry.response.headers).toEqual([{ name: 'set-cookie', value: `confirmit_session=${MASK}; Path=/; HttpOnly` }]);
+  });
+
+  test('should mask secret form, JSON and query fields and Bearer tokens in bodies', () => {
+    const entry = HarNetworkManager.scrubEntry(buildEntry({
+      method: 'POST',
+      url: 'https://author.nordic.confirmit.com/identity/login?access_token=xyz&ReturnUrl=%2Fhome%2F',
+      queryString: [{ name: 'access_token', value: 'xyz' }, { name: 'ReturnUrl', value: '/home/' }],
+      postData: { mimeType: 'application/x-www-form-urlencoded', text: 'username=har.user&password=s3cret' },
+    }, {
+      content: {
+        mimeType: 'text/html',
+        text: "<script>fetch(url, { headers: { Authorization: 'Bearer tok_123' } })</script>",
+      },
+    }));
+
+    expect(entry.request.url).toBe(`https://author.nordic.confirmit.com/identity/login?access_token=${encodeURIComponent(MASK)}&ReturnUrl=%2Fhome%2F`);
+    expect(entry.request.queryString[0].value).toBe(MASK);
+    expect(entry.request.postData.text).toBe(`username=har.user&password=${encodeURIComponent(MASK)}`);
+    expect(entry.response.content.text).toContain(`'Bearer ${MASK}'`);
+
+    const json = HarNetworkManager.scrubBody(
+      JSON.stringify({ user: { email: 'a@example.com', refresh_token: 'r1' }, items: [{ apiSecret: 'x' }] }),
+      'application/json'
+    );
+    expect(JSON.parse(json)).toEqual({ user: { email: 'a@example.com', refresh_token: MASK }, items: [{ apiSecret: MASK }] });
+  });
+
+  test('should mask values registered with SecretRedactor anywhere', () => {
+    SecretRedactor.register('tenant-api-key-42');
+
+    const entry = HarNetworkManager.scrubEntry(buildEntry({
+      method: 'GET',
+      url: `${API_URL}/nodes`,
+      headers: [{ name: 'X-Tenant', value: 'tenant-api-key-42' }],
+    }, {
+      content: { mimeType: 'application/json', text: '{"note":"tenant-api-key-42"}' },
+    }));
+
+    expect(JSON.stringify(entry)).not.toContain('tenant-api-key-42');
+  });
+});
+
+test.describe('HAR replay matching', () => {
+  const entries = [
+    buildEntry({ method: 'GET', url: `${API_URL}/routing/Routing?expand=true` }, { content: { mimeType: 'application/json', text: '[1]' } }),
+    buildEntry({ method: 'GET', url: `${API_URL}/routing/Routing?expand=true` }, { content: { mimeType: 'application/json', text: '[1,2]' } }),
+    buildEntry({
+      method: 'POST',
+      url: 'https://author.nordic.confirmit.com/identity/login',
+      postData: { mimeType: 'application/x-www-form-urlencoded', text: `username=har.user&password=${encodeURIComponent(MASK)}` },
+    }, { status: 302, headers: [{ name: 'location', value: '/home/' }] }),
+  ];
+
+  test('should answer repeated requests in recorded order, then repeat the last', async ({}, testInfo) => {
+    const manager = await replayManager(testInfo.outputPath('har'), entries);
+    const request = { method: 'GET', url: `${API_URL}/routing/Routing?expand=true` };
+
+    expect(manager.match(request).response.content.text).toBe('[1]');
+    expect(manager.match(request).response.content.text).toBe('[1,2]');
+    expect(manager.match(request).response.content.text).toBe('[1,2]');
+  });
+
+  test('should match a login post by its scrubbed body in strict mode', async ({}, testInfo) => {
+    const manager = await replayManager(testInfo.outputPath('har'), entries);
+
+    const login = manager.match({
+      method: 'POST',
+      url: 'https://author.nordic.confirmit.com/identity/login',
+      body: 'username=har.user&password=a-different-password',
+      mimeType: 'application/x-www-form-urlencoded',
+    });
+
+    expect(login.response.status).toBe(302);
+    expect(manager.match({
+      method: 'POST',
+      url: 'https://author.nordic.confirmit.com/identity/login',
+      body: 'username=someone.else&password=x',
+      mimeType: 'application/x-www-form-urlencoded',
+    })).toBeNull();
+  });
+
+  test('should require the exact query in strict mode but not in lenient mode', async ({}, testInfo) => {
+    const request = { method: 'GET', url: `${API_URL}/routing/Routing?expand=false` };
+
+    const strict = await replayManager(testInfo.outputPath('strict'), entries, 'strict');
+    const lenient = await replayManager(testInfo.outputPath('lenient'), entries, 'lenient');
+
+    expect(strict.match(request)).toBeNull();
+    expect(lenient.match(request).response.content.text).toBe('[1]');
+    expect(lenient.match({ method: 'DELETE', url: request.url })).toBeNull();
+  });
+
+  test('should say when the spec has no HAR file to replay', async ({}, testInfo) => {
+    const harDir = testInfo.outputPath('har');
+    const request = { method: 'GET', url: `${API_URL}/routing/Routing` };
+
+    const missing = new UnmatchedRequestError([request], path.join(harDir, 'sample.spec.har'));
+    await replayManager(harDir, entries);
+    const recorded = new UnmatchedRequestError([request], path.join(harDir, 'sample.spec.har'));
+
+    expect(missing.message).toContain(`${path.join(harDir, 'sample.spec.har')} (no such file):\n  GET ${request.url}`);
+    expect(recorded.message).not.toContain('(no such file)');
+  });
+
+  test('should only capture configured hosts and paths', () => {
+    const manager = new HarNetworkManager(null, { mode: 'replay' });
+
+    expect(manager.isCaptured(`${API_URL}/nodes`)).toBe(true);
+    expect(manager.isCaptured('https://author.nordic.confirmit.com/identity/login')).toBe(true);
+    expect(manager.isCaptured('https://author.nordic.confirmit.com/home/')).toBe(false);
+    expect(manager.isCaptured('https://api.qa.metaforms.ai/www/surveydesigner/api/x')).toBe(false);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => new HarNetworkManager(null, { mode: 'mock' })).toThrow(/Unknown network mode "mock"/);
+    expect(() => new HarNetworkManager(null, { matching: 'fuzzy' })).toThrow(/Unknown network matching "fuzzy"/);
+  });
+});
+
+extensionTest.describe('HAR record and replay', () => {
+  // Capture the home and designer pages too, so the replay needs no network at all
+  const paths = [...testConfig.network.paths, '/home/', '/surveydesigner/p'];
+
+  /**
+   * Log in on the Confirmit login page and open the survey designer
+   * @param {import('../helpers/BrowserManager').BrowserManager} browserManager
+   * @returns {Promise<import('@playwright/test').Page>}
+   */
+  async function loginAndOpenDesigner(browserManager) {
+    const page = await browserManager.newPage();
+    const externalSitePage = new ExternalSitePage(page);
+    await externalSitePage.goto();
+    await externalSitePage.login(STAND_IN_CREDENTIALS.username, STAND_IN_CREDENTIALS.password);
+    await page.goto(`${new URL(testConfig.externalSite.url).origin}/surveydesigner/p123456789/`);
+    await expect(page.locator('.routing-nodes li').first()).toBeVisible();
+    return page;
+  }
+
+  extensionTest('should record login and API traffic, then replay it without the stand-in', async ({ launchBrowser }, testInfo) => {
+    const harDir = testInfo.outputPath('har');
+    // Record from the HTTPS stand-in, so recorded URLs keep the https:// scheme
+    const recorder = await launchBrowser({
+      confirmitStandIn: { credentials: STAND_IN_CREDENTIALS, tls: true },
+      network: { mode: 'record', harDir, paths },
+    });
+    await recorder.getNetwork().useSpec(testInfo.file);
+    const recordedNodes = await (await loginAndOpenDesigner(recorder)).locator('.routing-nodes li').allTextContents();
+    const token = recorder.getConfirmitStandIn().getLatestToken();
+    // Closing writes the HAR file
+    await recorder.close();
+
+    const harPath = path.join(harDir, 'network-mode.spec.har');
+    const har = fs.readFileSync(harPath, 'utf8');
+    expect(har).not.toContain(STAND_IN_CREDENTIALS.password);
+    expect(har).not.toContain(token);
+    const { entries } = JSON.parse(har).log;
+    expect(entries.map(entry => `${entry.request.method} ${new URL(entry.request.url).pathname}`)).toEqual(
+      expect.arrayContaining(['POST /identity/login', 'GET /surveydesigner/api/surveys/p123456789/routing/Routing'])
+    );
+
+    const replayer = await launchBrowser({ confirmitStandIn: false, network: { mode: 'replay', harDir, paths } });
+    const network = replayer.getNetwork();
+    await network.useSpec(testInfo.file);
+    const page = await loginAndOpenDesigner(replayer);
+    expect(await page.locator('.routing-nodes li').allTextContents()).toEqual(recordedNodes);
+    expect(() => network.assertAllMatched()).not.toThrow();
+
+    const status = await page.evaluate(url => fetch(url).then(response => response.status), `${API_URL}/answers`);
+
+    expect(status).toBe(501);
+    // Taken by the assertion, so the harNetwork fixture does not fail the test for it
+    expect(() => network.assertAllMatched()).toThrow(UnmatchedRequestError);
+  });
+});
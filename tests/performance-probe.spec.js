@@ -0,0 +1,99 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const { PerformanceProbe, PERFORMANCE_METRICS } = require('../helpers/PerformanceProbe');
+const testConfig = require('../config/test.config');
+
+/**
+ * Performance Probe Test Suite
+ * Verifies what the content scripts injected on every site cost an unrelated page:
+ * 1. Measurements with and without the extension are compared against the budgets
+ * 2. The report lists every metric and marks the ones over budget
+ * 3. The fixture pages stay within the budgets (the report is attached to the test)
+ */
+
+/**
+ * Build a measure() result
+ * @param {Object<string, number>} metrics - Medians by metric key
+ * @returns {Object}
+ */
+function createMeasurement(metrics) {
+  return { page: 'article.html', runs: 5, metrics, samples: [] };
+}
+
+const WITHOUT = createMeasurement({
+  scriptDurationMs: 2.04, longTaskCount: 0, longTaskMs: 0, domContentLoadedMs: 41.3, loadMs: 52.6, jsHeapMb: 1.21,
+});
+const WITH = createMeasurement({
+  scriptDurationMs: 212.55, longTaskCount: 1, longTaskMs: 96, domContentLoadedMs: 98.71, loadMs: 131.2, jsHeapMb: 9.86,
+});
+
+test.describe('Budget comparison', () => {
+  test('should compare every metric with and without the extension', () => {
+    const comparison = PerformanceProbe.compare(WITHOUT, WITH, { scriptDurationMs: 150, loadMs: 100, jsHeapMb: 15 });
+
+    expect(comparison.rows.map(row => row.key)).toEqual(PERFORMANCE_METRICS.map(metric => metric.key));
+    expect(comparison.rows[0]).toEqual({
+      key: 'scriptDurationMs',
+      label: 'Script evaluation',
+      unit: 'ms',
+      without: 2,
+      with: 212.6,
+      delta: 210.5,
+      budget: 150,
+      overBudget: true,
+    });
+    expect(comparison.rows.find(row => row.key === 'longTaskCount')).toMatchObject({ delta: 1, budget: null, overBudget: false });
+    expect(comparison.overBudget.map(row => row.key)).toEqual(['scriptDurationMs']);
+  });
+
+  test('should use the configured budgets by default', () => {
+    const comparison = PerformanceProbe.compare(WITHOUT, WITH);
+
+    expect(comparison.rows.map(row => row.budget)).toEqual(PERFORMANCE_METRICS.map(metric => testConfig.performance.budgets[metric.key]));
+  });
+
+  test('should format a report that marks metrics over budget', () => {
+    const report = PerformanceProbe.formatReport([PerformanceProbe.compare(WITHOUT, WITH, { scriptDurationMs: 150, jsHeapMb: 15 })]);
+
+    expect(report.split('\n')).toEqual([
+      'Page-load cost of the extension (median of 5 runs; delta = with - without)',
+      '',
+      'article.html',
+      '  Metric                 Without        With       Delta      Budget',
+      '  Script evaluation         2 ms    212.6 ms   +210.5 ms      150 ms  OVER BUDGET',
+      '  Long tasks                   0           1          +1           -',
+      '  Long task time            0 ms       96 ms      +96 ms           -',
+      '  DOMContentLoaded       41.3 ms     98.7 ms    +57.4 ms           -',
+      '  Load                   52.6 ms    131.2 ms    +78.6 ms           -',
+      '  JS heap                 1.2 MB      9.9 MB     +8.6 MB       15 MB  ok',
+    ]);
+  });
+});
+
+test.describe('Content script page-load cost', () => {
+  test('should stay within the budgets on the fixture pages', async ({ extensionContext, launchBrowser }, testInfo) => {
+    const { pages, runs, settleMs } = testConfig.performance;
+    test.setTimeout(60000 + pages.length * runs * 2 * (settleMs + testConfig.timeouts.pageLoad));
+    // The same browser without the extension, as the baseline
+    const withoutExtension = await launchBrowser({ loadExtension: false });
+    const probeWithout = await new PerformanceProbe(withoutExtension.getContext()).install();
+    const probeWith = await new PerformanceProbe(extensionContext).install();
+
+    const comparisons = [];
+    try {
+      for (const page of pages) {
+        comparisons.push(PerformanceProbe.compare(await probeWithout.measure(page), await probeWith.measure(page)));
+      }
+    } finally {
+      // The worker's browser is shared with later tests
+      await probeWith.uninstall();
+    }
+    const report = PerformanceProbe.formatReport(comparisons);
+    console.log(report);
+    await testInfo.attach('performance-report', { body: report, contentType: 'text/plain' });
+    await testInfo.attach('performance-report.json', { body: JSON.stringify(comparisons, null, 2), contentType: 'application/json' });
+
+    for (const comparison of comparisons) {
+      expect.soft(comparison.overBudget.map(row => row.label), `${comparison.page} over budget`).toEqual([]);
+    }
+  });
+});
@@ -0,0 +1,112 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const testConfig = require('../config/test.config');
+
+const { variants } = testConfig.routingAutomation;
+
+// The script waits 1s before clicking; nothing should happen within this window
+const NO_NAVIGATION_WINDOW = 2500;
+
+/**
+ * Routing Auto-Navigation Test Suite
+ * Verifies content-automation.js opens the Routing view (/design/nodes) after a tool call:
+ * 1. Each of the seven Routing link selectors it falls back through, and the no-link case
+ * 2. Which tool call types and success flags trigger navigation, for both trigger paths
+ *
+ * Notes:
+ * - Variants page-view-sidebar, icon-button and active-sidebar-item also match the first
+ *   selector (a[href*="/design/nodes"]), so the script clicks them through that one
+ * - content-scripts/content.js handles the TOOL_CALL_COMPLETED runtime message too, without a
+ *   success check, using only the first four selectors. Runtime message cases therefore use
+ *   the testid-item variant, which only content-automation.js can find.
+ */
+test.describe('Routing Auto-Navigation', () => {
+  test.describe('Routing link selectors', () => {
+    for (const variant of variants) {
+      test(`should click the Routing link rendered as ${variant}`, async ({ designerRouting }) => {
+        await designerRouting.goto(variant);
+
+        await designerRouting.completeToolCall({ toolCallType: 'updateQuestion', success: true }, { trigger: 'event' });
+
+        expect(await designerRouting.waitForRoutingNavigation()).toBe(true);
+        expect(designerRouting.getNavigationSource()).toBe(variant);
+        await expect(designerRouting.viewTitle).toHaveText('Routing');
+      });
+    }
+
+    for (const trigger of ['message', 'event']) {
+      test(`should stay on the page when there is no Routing link (${trigger})`, async ({ designerRouting }) => {
+        await designerRouting.goto('no-link');
+        const startUrl = designerRouting.getCurrentUrl();
+
+        await designerRouting.completeToolCall({ toolCallType: 'updateQuestion', success: true }, { trigger });
+
+        expect(await designerRouting.waitForRoutingNavigation(NO_NAVIGATION_WINDOW)).toBe(false);
+        expect(designerRouting.getCurrentUrl()).toBe(startUrl);
+      });
+    }
+  });
+
+  test.describe('TOOL_CALL_COMPLETED runtime message', () => {
+    test('should acknowledge every tool call', async ({ designerRouting }) => {
+      await designerRouting.goto('testid-item');
+
+      const response = await designerRouting.completeToolCall({ toolCallType: 'createQuestion', success: true });
+
+      expect(response).toEqual({ received: true });
+    });
+
+    for (const toolCallType of ['updateQuestion', 'updateAnswers']) {
+      test(`should navigate after a successful ${toolCallType}`, async ({ designerRouting }) => {
+        await designerRouting.goto('testid-item');
+
+        await designerRouting.completeToolCall({ toolCallType, success: true });
+
+        expect(await designerRouting.waitForRoutingNavigation()).toBe(true);
+        expect(designerRouting.getNavigationSource()).toBe('testid-item');
+      });
+    }
+
+    const ignored = [
+      { toolCallType: 'updateQuestion', success: false },
+      { toolCallType: 'updateAnswers', success: false },
+      { toolCallType: 'createQuestion', success: true },
+      { toolCallType: 'deleteQuestion', success: true },
+    ];
+    for (const toolCall of ignored) {
+      test(`should not navigate after ${toolCall.toolCallType} with success ${toolCall.success}`, async ({ designerRouting }) => {
+        await designerRouting.goto('testid-item');
+
+        await designerRouting.completeToolCall(toolCall);
+
+        expect(await designerRouting.waitForRoutingNavigation(NO_NAVIGATION_WINDOW)).toBe(false);
+      });
+    }
+  });
+
+  test.describe('CONFIRMIT_TOOL_CALL_COMPLETED window event', () => {
+    test('should navigate after updateAnswers', async ({ designerRouting }) => {
+      await designerRouting.goto('testid-item');
+
+      await designerRouting.completeToolCall({ toolCallType: 'updateAnswers', success: true }, { trigger: 'event' });
+
+      expect(await designerRouting.waitForRoutingNavigation()).toBe(true);
+    });
+
+    test('should not navigate after other tool call types', async ({ designerRouting }) => {
+      await designerRouting.goto('testid-item');
+
+      await designerRouting.completeToolCall({ toolCallType: 'createQuestion', success: true }, { trigger: 'event' });
+
+      expect(await designerRouting.waitForRoutingNavigation(NO_NAVIGATION_WINDOW)).toBe(false);
+    });
+
+    test('should navigate regardless of the success flag', async ({ designerRouting }) => {
+      // Unlike the runtime message, the window event handler only checks toolCallType
+      await designerRouting.goto('testid-item');
+
+      await designerRouting.completeToolCall({ toolCallType: 'updateQuestion', success: false }, { trigger: 'event' });
+
+      expect(await designerRouting.waitForRoutingNavigation()).toBe(true);
+    });
+  });
+});
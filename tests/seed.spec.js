@@ -1,6 +1,4 @@
-const { test } = require('@playwright/test');
-const { BrowserManager } = require('../helpers/BrowserManager');
-const testConfig = require('../config/test.config');
+const { test, expect } = require('../fixtures/extension.fixtures');
 
 /**
  * Seed Test for Playwright Test Agents
@@ -8,34 +6,20 @@ const testConfig = require('../config/test.config');
  * This test sets up the Chrome extension environment for the AI agents.
  * The Planner, Generator, and Healer agents use this as a starting point
  * to explore and generate tests for the extension.
+ *
+ * The browser, extension ID and side panel come from fixtures/extension.fixtures.js.
  */
 test.describe('Extension Seed', () => {
-  test('seed - navigate to extension side panel', async () => {
-    // Launch browser with extension using BrowserManager
-    const browserManager = new BrowserManager();
-    await browserManager.launch();
+  test('seed - navigate to extension side panel', async ({ extensionId, sidePanel }) => {
+    console.log(`✅ Extension loaded with ID: ${extensionId}`);
+    console.log(`📍 Navigated to: ${sidePanel.getCurrentUrl()}`);
 
-    try {
-      const extensionId = browserManager.getExtensionId();
-      console.log(`✅ Extension loaded with ID: ${extensionId}`);
+    await expect(sidePanel.rootElement).toBeAttached();
 
-      // Create page and navigate to side panel
-      const page = await browserManager.newPage();
-      const sidePanelUrl = browserManager.getSidePanelUrl();
-      
-      console.log(`📍 Navigating to: ${sidePanelUrl}`);
-      
-      await page.goto(sidePanelUrl);
-      await page.waitForLoadState('domcontentloaded');
-      await page.waitForSelector('#root', { state: 'attached' });
+    console.log('✅ Side panel loaded successfully');
+    console.log('🤖 Browser ready for AI agents to explore');
 
-      console.log('✅ Side panel loaded successfully');
-      console.log('🤖 Browser ready for AI agents to explore');
-
-      // Keep browser open for agents to explore
-      // The agents will take over from here to plan/generate tests
-    } finally {
-      await browserManager.close();
-    }
+    // Keep browser open for agents to explore
+    // The agents will take over from here to plan/generate tests
   });
 });
@@ -0,0 +1,144 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const { BACKGROUND_MESSAGES } = require('../helpers/ServiceWorkerBridge');
+const testConfig = require('../config/test.config');
+
+/**
+ * Service Worker Bridge Test Suite
+ * Talks to background.js directly through ServiceWorkerBridge:
+ * 1. chrome.storage.local reads, writes and change watching
+ * 2. Auth tokens captured from Confirmit requests
+ * 3. Each background message: theme and locale forwarding, generation state and config reloads
+ */
+
+const STAND_IN_CREDENTIALS = { username: 'standin.user', password: 'stand-in-password' };
+
+test.use({ browserOptions: { confirmitStandIn: { credentials: STAND_IN_CREDENTIALS } } });
+
+/**
+ * Record the calls background.js makes to a chrome API method, still passing them through
+ * The service worker outlives the test, so call restore() afterwards
+ * @param {import('@playwright/test').Worker} serviceWorker - The extension's service worker
+ * @param {string} api - API path below chrome (e.g. 'tabs', 'storage.local')
+ * @param {string} method - Method name
+ * @returns {Promise<{getCalls: function(): Promise<Array<Array<*>>>, restore: function(): Promise<void>}>}
+ *   getCalls reads the recorded arguments (callbacks left out); restore puts the method back
+ */
+async function recordCalls(serviceWorker, api, method) {
+  const key = `__recorded_${api}_${method}`;
+  await serviceWorker.evaluate(({ api, method, key }) => {
+    const target = api.split('.').reduce((object, name) => object[name], chrome);
+    const original = target[method];
+    globalThis[key] = { calls: [], restore: () => { target[method] = original; } };
+    target[method] = (...args) => {
+      globalThis[key].calls.push(args.filter(arg => typeof arg !== 'function'));
+      return original.apply(target, args);
+    };
+  }, { api, method, key });
+  return {
+    getCalls: () => serviceWorker.evaluate(recordedKey => globalThis[recordedKey].calls, key),
+    restore: () => serviceWorker.evaluate(recordedKey => {
+      globalThis[recordedKey].restore();
+      delete globalThis[recordedKey];
+    }, key),
+  };
+}
+
+test.describe('Service Worker Bridge', () => {
+  /** @type {Array<{restore: function(): Promise<void>}>} */
+  let recorders = [];
+
+  test.afterEach(async ({ serviceWorkerBridge }) => {
+    for (const recorder of recorders.reverse()) {
+      await recorder.restore();
+    }
+    recorders = [];
+    await serviceWorkerBridge.removeStorage(['bridgeTest', 'activeConnections', 'authToken', 'lastCaptured']);
+  });
+
+  /**
+   * recordCalls() on the extension's service worker, restored after the test
+   * @param {import('../helpers/ServiceWorkerBridge').ServiceWorkerBridge} bridge
+   * @param {string} api - API path below chrome
+   * @param {string} method - Method name
+   * @returns {Promise<function(): Promise<Array<Array<*>>>>} Reads the recorded arguments
+   */
+  async function recordBackgroundCalls(bridge, api, method) {
+    const recorder = await recordCalls(await bridge.getServiceWorker(), api, method);
+    recorders.push(recorder);
+    return recorder.getCalls;
+  }
+
+  test('should read, write and remove chrome.storage.local values', async ({ serviceWorkerBridge }) => {
+    await serviceWorkerBridge.setStorage({ bridgeTest: { nested: [1, 2] } });
+    expect(await serviceWorkerBridge.getStorageValue('bridgeTest')).toEqual({ nested: [1, 2] });
+
+    await serviceWorkerBridge.removeStorage('bridgeTest');
+    expect(await serviceWorkerBridge.getStorageValue('bridgeTest')).toBeUndefined();
+  });
+
+  test('should report storage changes with old and new values', async ({ serviceWorkerBridge }) => {
+    await serviceWorkerBridge.setStorage({ bridgeTest: 'before' });
+
+    const changed = serviceWorkerBridge.waitForStorageChange('bridgeTest');
+    await serviceWorkerBridge.setStorage({ bridgeTest: 'after' });
+
+    expect(await changed).toEqual({ key: 'bridgeTest', oldValue: 'before', newValue: 'after' });
+  });
+
+  test('should time out when a key does not change', async ({ serviceWorkerBridge }) => {
+    await expect(serviceWorkerBridge.waitForStorageChange('bridgeTest', { timeout: 500 }))
+      .rejects.toThrow(/Timed out after 500ms waiting for chrome.storage.local "bridgeTest"/);
+  });
+
+  test('should capture the auth token of a Confirmit request', async ({ serviceWorkerBridge, externalSite }) => {
+    await externalSite.page.goto(testConfig.externalSite.url);
+    const captured = serviceWorkerBridge.waitForAuthToken();
+    const before = Date.now();
+    await externalSite.page.evaluate(() => fetch('/surveydesigner/api/surveys', { headers: { Authorization: 'Bearer token-from-header' } }));
+
+    const { authToken, lastCaptured } = await captured;
+    expect(authToken).toBe('token-from-header');
+    expect(lastCaptured).toBeGreaterThanOrEqual(before);
+  });
+
+  test('should track generation sessions reported over websocket_state_update', async ({ serviceWorkerBridge }) => {
+    const state = await serviceWorkerBridge.updateWebsocketState('session-1', true);
+    expect(state).toMatchObject({ sessionId: 'session-1', isGenerating: true });
+
+    await serviceWorkerBridge.updateWebsocketState('session-1', false);
+    const connections = await serviceWorkerBridge.getActiveConnections();
+    expect(connections['session-1'].isGenerating).toBe(false);
+  });
+
+  test('should answer get_websocket_state without changing the stored state', async ({ serviceWorkerBridge }) => {
+    await serviceWorkerBridge.updateWebsocketState('session-1', true);
+
+    // The polyfilled listener answers with its return value (see sendMessage)
+    expect(await serviceWorkerBridge.getWebsocketState('session-1')).toBe(true);
+    expect(await serviceWorkerBridge.getWebsocketState('unknown-session')).toBe(true);
+    expect(Object.keys(await serviceWorkerBridge.getActiveConnections())).toEqual(['session-1']);
+  });
+
+  test('should re-read confirmit_config on reload_confirmit_config', async ({ serviceWorkerBridge }) => {
+    const storageReads = await recordBackgroundCalls(serviceWorkerBridge, 'storage.local', 'get');
+
+    expect(await serviceWorkerBridge.reloadConfirmitConfig()).toBe(true);
+    expect(await storageReads()).toContainEqual([['confirmit_config']]);
+  });
+
+  for (const [method, messageType, content] of [
+    ['changeTheme', BACKGROUND_MESSAGES.changeTheme, 'dark'],
+    ['changeLocale', BACKGROUND_MESSAGES.changeLocale, 'de'],
+  ]) {
+    test(`should forward ${messageType} to the active tab`, async ({ serviceWorkerBridge, externalSite }) => {
+      // content.js listens on every http(s) page
+      await externalSite.page.goto(testConfig.externalSite.url);
+      const tabId = await serviceWorkerBridge.getTabId(externalSite.page);
+      const tabMessages = await recordBackgroundCalls(serviceWorkerBridge, 'tabs', 'sendMessage');
+
+      await serviceWorkerBridge[method](content, { activeTab: externalSite.page });
+
+      expect(await tabMessages()).toEqual([[tabId, { messageType, content }]]);
+    });
+  }
+});
@@ -0,0 +1,205 @@
+const { EventEmitter } = require('events');
+const { test, expect } = require('../fixtures/extension.fixtures');
+const { BACKGROUND_MESSAGES } = require('../helpers/ServiceWorkerBridge');
+const { ServiceWorkerLifecycle, LIFECYCLE_STATUSES } = require('../helpers/ServiceWorkerLifecycle');
+const testConfig = require('../config/test.config');
+
+/**
+ * Service Worker Lifecycle Test Suite
+ * Stops the MV3 service worker as Chrome does when it idles, and checks background.js after revival:
+ * 1. Status changes are recorded, and stop/revive wait for Chrome and Playwright
+ * 2. Generation state in activeConnections survives a restart mid-generation
+ * 3. Confirmit token capture works again once the worker is revived
+ * 4. An open side panel revives the worker with its messages and keeps working
+ */
+
+const EXTENSION_ID = 'a'.repeat(32);
+const STAND_IN_CREDENTIALS = { username: 'standin.user', password: 'stand-in-password' };
+
+test.use({ browserOptions: { confirmitStandIn: { credentials: STAND_IN_CREDENTIALS } } });
+
+/**
+ * Stand-in for a browser context whose CDP session reports versions like Chrome's ServiceWorker domain
+ * @returns {{context: Object, session: EventEmitter, workers: Object[]}}
+ */
+function createFakeContext() {
+  const session = new EventEmitter();
+  session.sent = [];
+  session.send = async (method, params) => session.sent.push({ method, params });
+  session.detach = async () => {};
+  const workers = [];
+  const context = {
+    newPage: async () => ({ isClosed: () => false, close: async () => {} }),
+    newCDPSession: async () => session,
+    serviceWorkers: () => workers,
+  };
+  return { context, session, workers };
+}
+
+/**
+ * Report one version of a service worker on a fake session
+ * @param {EventEmitter} session
+ * @param {string} runningStatus - One of LIFECYCLE_STATUSES
+ * @param {Object} version - Other version fields
+ */
+function reportVersion(session, runningStatus, version = {}) {
+  session.emit('ServiceWorker.workerVersionUpdated', {
+    versions: [{
+      versionId: '7',
+      registrationId: '3',
+      scriptURL: `chrome-extension://${EXTENSION_ID}/background.js`,
+      status: 'activated',
+      runningStatus,
+      ...version,
+    }],
+  });
+}
+
+test.describe('Lifecycle events', () => {
+  /** @type {ServiceWorkerLifecycle} */
+  let lifecycle;
+  /** @type {ReturnType<typeof createFakeContext>} */
+  let fake;
+
+  test.beforeEach(async () => {
+    fake = createFakeContext();
+    lifecycle = await new ServiceWorkerLifecycle(fake.context, EXTENSION_ID).install();
+  });
+
+  test.afterEach(async () => {
+    await lifecycle.uninstall();
+  });
+
+  test('should record status changes of the extension worker only', async () => {
+    const seen = [];
+    lifecycle.onEvent(event => seen.push(event.status));
+
+    reportVersion(fake.session, LIFECYCLE_STATUSES.running);
+    reportVersion(fake.session, LIFECYCLE_STATUSES.running);
+    reportVersion(fake.session, LIFECYCLE_STATUSES.running, { versionId: '8', scriptURL: 'https://example.com/sw.js' });
+    const stopped = lifecycle.waitForStatus(LIFECYCLE_STATUSES.stopped);
+    reportVersion(fake.session, LIFECYCLE_STATUSES.stopping);
+    reportVersion(fake.session, LIFECYCLE_STATUSES.stopped);
+
+    expect(fake.session.sent).toEqual([{ method: 'ServiceWorker.enable', params: undefined }]);
+    expect(seen).toEqual(['running', 'stopping', 'stopped']);
+    expect(await stopped).toMatchObject({ status: 'stopped', versionId: '7', time: expect.any(Number) });
+    expect(lifecycle.getStatus()).toBe(LIFECYCLE_STATUSES.stopped);
+    await expect(lifecycle.waitForStatus(LIFECYCLE_STATUSES.running, { since: 1, timeout: 100 }))
+      .rejects.toThrow('Timed out after 100ms waiting for the extension service worker to be running (now: stopped)');
+  });
+
+  test('should stop the current version and wait for Playwright to drop its worker', async () => {
+    reportVersion(fake.session, LIFECYCLE_STATUSES.running);
+    fake.workers.push({ url: () => `chrome-extension://${EXTENSION_ID}/background.js` });
+    fake.session.send = async (method, params) => {
+      fake.session.sent.push({ method, params });
+      if (method === 'ServiceWorker.stopWorker') {
+        setTimeout(() => reportVersion(fake.session, LIFECYCLE_STATUSES.stopped), 10);
+        setTimeout(() => fake.workers.pop(), 150);
+      }
+    };
+
+    const stopped = await lifecycle.stop();
+
+    expect(fake.session.sent.at(-1)).toEqual({ method: 'ServiceWorker.stopWorker', params: { versionId: '7' } });
+    expect(stopped.status).toBe(LIFECYCLE_STATUSES.stopped);
+    expect(fake.workers).toEqual([]);
+    await expect(lifecycle.stop()).rejects.toThrow('Cannot stop the extension service worker: it is stopped');
+  });
+
+  test('should only revive a stopped worker', async () => {
+    await expect(lifecycle.revive(async () => {})).rejects.toThrow(/it is not registered, not stopped/);
+    reportVersion(fake.session, LIFECYCLE_STATUSES.running);
+    await expect(lifecycle.revive(async () => {})).rejects.toThrow(/it is running, not stopped/);
+  });
+});
+
+test.describe('Revived service worker', () => {
+  // The serviceWorkerLifecycle fixture revives a worker the previous test left stopped, so its
+  // generation state and tokens can be cleared here
+  test.beforeEach(async ({ serviceWorkerBridge }) => {
+    await serviceWorkerBridge.removeStorage(['activeConnections', 'authToken', 'lastCaptured']);
+  });
+
+  test('should record the worker stopping and starting again for a runtime message', async ({
+    extensionContext,
+    extensionId,
+    serviceWorkerLifecycle: lifecycle,
+    serviceWorkerBridge: bridge,
+  }) => {
+    const [previous] = extensionContext.serviceWorkers();
+    const since = lifecycle.getEvents().length;
+
+    await lifecycle.stop();
+    const revived = await lifecycle.revive(() => bridge.sendMessage({ messageType: BACKGROUND_MESSAGES.getWebsocketState }));
+
+    const statuses = lifecycle.getEvents().slice(since).map(event => event.status);
+    expect(statuses).toContain(LIFECYCLE_STATUSES.stopped);
+    expect(statuses.at(-1)).toBe(LIFECYCLE_STATUSES.running);
+    expect(revived).not.toBe(previous);
+    expect(await revived.evaluate(() => chrome.runtime.id)).toBe(extensionId);
+  });
+
+  test('should keep activeConnections when the worker restarts mid-generation', async ({
+    serviceWorkerLifecycle: lifecycle,
+    serviceWorkerBridge: bridge,
+  }) => {
+    await bridge.updateWebsocketState('session-1', true);
+
+    await lifecycle.stop();
+    await lifecycle.revive();
+
+    const connections = await bridge.getActiveConnections();
+    expect(connections['session-1']).toMatchObject({ sessionId: 'session-1', isGenerating: true });
+  });
+
+  test('should keep earlier sessions when another one reports after a restart', async ({
+    serviceWorkerLifecycle: lifecycle,
+    serviceWorkerBridge: bridge,
+  }) => {
+    test.fail(true, 'background.js keeps generation state in memory and does not reload it from activeConnections ' +
+      'on startup, so the first update after a restart overwrites the sessions stored before it');
+    await bridge.updateWebsocketState('session-1', true);
+
+    await lifecycle.stop();
+    await lifecycle.revive(() => bridge.updateWebsocketState('session-2', true));
+
+    expect(Object.keys(await bridge.getActiveConnections()).sort()).toEqual(['session-1', 'session-2']);
+  });
+
+  test('should capture Confirmit tokens again after a restart', async ({
+    serviceWorkerLifecycle: lifecycle,
+    serviceWorkerBridge: bridge,
+    externalSite,
+  }) => {
+    await lifecycle.stop();
+    const revived = await lifecycle.revive();
+    // background.js registers its webRequest listener after reading confirmit_config
+    await expect.poll(() => revived.evaluate(() => chrome.webRequest.onBeforeSendHeaders.hasListeners())).toBe(true);
+
+    await externalSite.page.goto(testConfig.externalSite.url);
+    const captured = bridge.waitForAuthToken();
+    await externalSite.page.evaluate(() => fetch('/surveydesigner/api/surveys', { headers: { Authorization: 'Bearer token-after-restart' } }));
+
+    expect((await captured).authToken).toBe('token-after-restart');
+  });
+
+  // The consoleErrors fixture fails the test if the panel logs errors once its worker is gone
+  test('should revive the worker for an open side panel and keep the panel working', async ({
+    sidePanel,
+    serviceWorkerLifecycle: lifecycle,
+  }) => {
+    const { page } = sidePanel;
+
+    await lifecycle.stop();
+    const revived = await lifecycle.revive(() => page.evaluate(
+      message => chrome.runtime.sendMessage(message),
+      { messageType: BACKGROUND_MESSAGES.getWebsocketState }
+    ));
+
+    expect(page.isClosed()).toBe(false);
+    expect(await revived.evaluate(() => chrome.sidePanel.getPanelBehavior())).toEqual({ openPanelOnActionClick: true });
+    await sidePanel.waitForContentLoad();
+  });
+});
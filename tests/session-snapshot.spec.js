@@ -0,0 +1,110 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserManager } = require('../helpers/BrowserManager');
+const { SessionSnapshotError } = require('../helpers/SessionSnapshotManager');
+const { ExternalSitePage } = require('../pages/ExternalSitePage');
+const { ExtensionSidePanelPage } = require('../pages/ExtensionSidePanelPage');
+const { SupabaseAuthStandIn } = require('../servers/SupabaseAuthStandIn');
+
+/**
+ * Session Snapshot Test Suite
+ * Logs in once in the worker's browser against the Confirmit and Supabase stand-ins, captures
+ * the session, then checks that launch({ session }) restores it and rejects it once it is revoked
+ */
+const SESSION_NAME = 'editor';
+const CONFIRMIT_USER = { username: 'standin.user', password: 'stand-in-password' };
+const EXTENSION_USER = { email: 'editor@example.com', password: 'editor-password' };
+
+// Shared by every browser of the suite, so sessions it issued stay live until revoked
+const authStandIn = new SupabaseAuthStandIn({ users: [EXTENSION_USER] });
+
+test.use({
+  browserOptions: [async ({}, use) => {
+    const sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    await use({ confirmitStandIn: { credentials: CONFIRMIT_USER }, supabaseAuth: authStandIn, sessionDir });
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+  }, { scope: 'worker' }],
+});
+
+test.describe('Session Snapshots', () => {
+  /**
+   * Options for another browser on the worker browser's stand-ins and snapshot directory
+   * @param {BrowserManager} browserManager - The worker's browser
+   * @param {Object} browserOptions - The worker browser's options
+   * @returns {Object} BrowserManager options
+   */
+  function sessionBrowserOptions(browserManager, browserOptions) {
+    return {
+      confirmitStandIn: browserManager.getConfirmitStandIn(),
+      supabaseAuth: authStandIn,
+      sessionDir: browserOptions.sessionDir,
+    };
+  }
+
+  /**
+   * Setup: log in to both sites once and capture the session
+   */
+  test.beforeAll(async ({ browserManager, extensionId }) => {
+    const page = await browserManager.newPage();
+    const externalSitePage = new ExternalSitePage(page);
+    await externalSitePage.goto();
+    expect(await externalSitePage.login(CONFIRMIT_USER.username, CONFIRMIT_USER.password)).toBe(true);
+
+    const sidePanelPage = new ExtensionSidePanelPage(page, extensionId);
+    await sidePanelPage.goto();
+    expect(await sidePanelPage.login(EXTENSION_USER.email, EXTENSION_USER.password)).toBe(true);
+
+    await browserManager.captureSession(SESSION_NAME);
+    await page.close();
+  });
+
+  test('should write cookies, extension storage and localStorage to the snapshot', async ({ browserOptions }) => {
+    const snapshot = JSON.parse(fs.readFileSync(path.join(browserOptions.sessionDir, `${SESSION_NAME}.json`), 'utf8'));
+
+    expect(snapshot.cookies.some(cookie => cookie.domain.endsWith('confirmit.com'))).toBe(true);
+    expect(snapshot.extensionStorage.confirmit_extension_session.email).toBe(EXTENSION_USER.email);
+    expect(Object.keys(snapshot.localStorage).some(key => key.endsWith('-auth-token'))).toBe(true);
+  });
+
+  test('should start logged in to both sites when launched with the session', async ({
+    launchBrowser,
+    browserManager,
+    browserOptions,
+  }) => {
+    const restored = await launchBrowser(sessionBrowserOptions(browserManager, browserOptions), { session: SESSION_NAME });
+
+    const page = await restored.newPage();
+    const externalSitePage = new ExternalSitePage(page);
+    await externalSitePage.goto();
+    await expect(externalSitePage.usernameInput).toBeHidden();
+
+    const sidePanelPage = new ExtensionSidePanelPage(page, restored.getExtensionId());
+    await sidePanelPage.goto();
+    expect(await sidePanelPage.isLoginFormVisible()).toBe(false);
+  });
+
+  // These launches fail, so no browser is left open for the automatic checks
+  test('should refuse a session that is no longer live', async ({ browserManager, browserOptions }) => {
+    authStandIn.revokeSessions();
+    const restored = new BrowserManager(sessionBrowserOptions(browserManager, browserOptions));
+
+    try {
+      await expect(restored.launch({ session: SESSION_NAME })).rejects.toThrow(SessionSnapshotError);
+      expect(restored.isReady()).toBe(false);
+    } finally {
+      await restored.close();
+    }
+  });
+
+  test('should refuse a session that was never captured', async ({ browserManager, browserOptions }) => {
+    const restored = new BrowserManager(sessionBrowserOptions(browserManager, browserOptions));
+
+    try {
+      await expect(restored.launch({ session: 'viewer' })).rejects.toThrow(/does not exist/);
+    } finally {
+      await restored.close();
+    }
+  });
+});
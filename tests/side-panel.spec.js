@@ -0,0 +1,72 @@
+const { test, expect } = require('../fixtures/extension.fixtures');
+const { ConfirmitStandInServer } = require('../servers/ConfirmitStandInServer');
+
+/**
+ * Side Panel Test Suite
+ * Verifies SidePanelHelper's two modes next to a website tab:
+ * 1. native - the real Chrome side panel, opened with chrome.sidePanel.open({ tabId })
+ * 2. tab - sidepanel.html in its own tab (fallback)
+ */
+test.describe('Side Panel Modes', () => {
+  /** @type {ConfirmitStandInServer} */
+  let server;
+
+  /** @type {string} */
+  let websiteUrl;
+
+  test.beforeAll(async () => {
+    server = await new ConfirmitStandInServer().start();
+    websiteUrl = `${server.getUrl()}/identity/login`;
+  });
+
+  test.afterAll(async () => {
+    await server.stop();
+  });
+
+  test('should open the native side panel for the website tab', async ({ extensionContext, sidePanelHelper }) => {
+    const website = await extensionContext.newPage();
+    await website.goto(websiteUrl);
+
+    const sidePanelPage = await sidePanelHelper.openSidePanelAlongside(website, { mode: 'native' });
+
+    expect(sidePanelHelper.getMode()).toBe('native');
+    expect(sidePanelHelper.getFallbackReason()).toBeNull();
+    expect(sidePanelPage.url()).toBe(sidePanelHelper.getSidePanelUrl());
+    // A native panel is not a tab, so the active tab it sees is the website
+    const activeTabUrl = await sidePanelPage.evaluate(async () => {
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      return tab.url;
+    });
+    expect(activeTabUrl).toBe(websiteUrl);
+  });
+
+  test('should close the native side panel', async ({ extensionContext, sidePanelHelper }) => {
+    const website = await extensionContext.newPage();
+    await website.goto(websiteUrl);
+    const sidePanelPage = await sidePanelHelper.openSidePanelAlongside(website, { mode: 'native' });
+
+    await sidePanelHelper.closeSidePanel();
+
+    expect(sidePanelPage.isClosed()).toBe(true);
+    expect(sidePanelHelper.isSidePanelOpen()).toBe(false);
+  });
+
+  test('should open sidepanel.html in a tab in tab mode', async ({ extensionContext, sidePanelHelper }) => {
+    const website = await extensionContext.newPage();
+    await website.goto(websiteUrl);
+
+    const sidePanelPage = await sidePanelHelper.openSidePanelAlongside(website, { mode: 'tab' });
+
+    expect(sidePanelHelper.getMode()).toBe('tab');
+    expect(extensionContext.pages()).toContain(sidePanelPage);
+    expect(sidePanelPage.url()).toBe(sidePanelHelper.getSidePanelUrl());
+  });
+
+  test('should reject an unknown mode', async ({ extensionContext, sidePanelHelper }) => {
+    const website = await extensionContext.newPage();
+
+    await expect(sidePanelHelper.openSidePanelAlongside(website, { mode: 'popup' }))
+      .rejects.toThrow(/Unknown side panel mode/);
+    await website.close();
+  });
+});
@@ -0,0 +1,230 @@
+const { test, expect } = require('@playwright/test');
+const { ConfirmitStandInServer } = require('../servers/ConfirmitStandInServer');
+const { SurveyModel, SurveyModelError } = require('../servers/SurveyModel');
+const testConfig = require('../config/test.config');
+
+/**
+ * Survey Model Test Suite
+ * Verifies the in-memory survey behind the Confirmit stand-in's API:
+ * 1. Seeding from fixtures with pages, blocks, every question type, lists and quotas
+ * 2. Mutations through the surveydesigner endpoints, applied the way Confirmit does
+ * 3. Assertions on the final state by node name
+ */
+const STAND_IN_CREDENTIALS = { username: 'model.user', password: 'model-password' };
+const { allTypesFixturePath } = testConfig.confirmitStandIn;
+
+/**
+ * Build five answers
+ * @returns {{code: string, text: string}[]}
+ */
+function fiveAnswers() {
+  return ['Never', 'Rarely', 'Sometimes', 'Often', 'Always'].map((text, index) => ({ code: String(index + 1), text }));
+}
+
+test.describe('Survey model', () => {
+  test('should seed pages, blocks, every question type, lists and quotas from a fixture', () => {
+    const survey = SurveyModel.fromFile(allTypesFixturePath);
+
+    expect(survey.getRoutingOrder()).toEqual([
+      'P_SCREENER', 'S1', 'S2', 'S3', 'B_BRANDS', 'Q1', 'Q2', 'Q3', 'Q4', 'Q5',
+    ]);
+    expect(survey.getQuestions().map(question => question.questionType)).toEqual([
+      'Single', 'Numeric', 'Date', 'Multi', 'Grid', 'Grid3D', 'Ranking', 'Open',
+    ]);
+    expect(survey.getRoutingOrder('Blocks')).toEqual(['CB_DEMOGRAPHICS', 'D1']);
+    expect(survey.getAnswers('L_BRANDS')).toHaveLength(3);
+    expect(survey.getFolder('Quotas').children).toEqual([{ nodeId: '60', name: 'QT_COUNTRY', nodeType: 'Quota' }]);
+    expect(survey.getNode('S1').title).toBe('Which country do you live in?');
+    expect(survey.getMultiGridQuestions('Q3')[0].formTexts[0].text).toBe('Taste');
+  });
+
+  test('should answer folder reads with their direct children, like GET routing/{nodeId}', () => {
+    const survey = SurveyModel.fromFile(allTypesFixturePath);
+
+    const routing = survey.getFolder('Routing');
+    const block = survey.getFolder('20');
+
+    expect(routing).toMatchObject({ nodeId: 'Routing', nodeType: 'Root' });
+    expect(routing.children.map(node => `${node.name}:${node.nodeType}`)).toEqual(['P_SCREENER:Page', 'B_BRANDS:Block', 'Q5:Question']);
+    expect(block.children[2]).toEqual({ nodeId: '23', name: 'Q3', nodeType: 'Question', questionType: 'Grid3D', title: 'Rate each brand' });
+    expect(survey.getFolder('Q5')).toMatchObject({ name: 'Q5', entityId: { $type: 'EntityId', id: '30' }, children: [] });
+  });
+
+  test('should create questions next to a nested anchor with fresh IDs and names', () => {
+    const survey = SurveyModel.fromFile(allTypesFixturePath);
+
+    const created = survey.createNode({ type: 'multigrid', position: 'Before', nodeId: '22' });
+
+    expect(created).toMatchObject({ nodeId: '61', name: 'Q61', nodeType: 'Question', questionType: 'Grid3D', entityIdAsString: '61' });
+    expect(survey.getParentName('Q61')).toBe('B_BRANDS');
+    expect(survey.getRoutingOrder().slice(5, 8)).toEqual(['Q1', 'Q61', 'Q2']);
+    expect(survey.createNode({ type: 'single' }).nodeId).toBe('62');
+    expect(survey.getRoutingOrder().at(-1)).toBe('Q62');
+  });
+
+  test('should keep IDs, type and title in step on update', () => {
+    const survey = SurveyModel.fromFile(allTypesFixturePath);
+
+    const updated = survey.updateNode('S2', {
+      nodeId: '999',
+      name: 'AGE',
+      questionType: 'open',
+      formTexts: [{ text: 'Hvor gammel er du?', language: 20 }, { text: 'What is your age?', language: 9 }],
+    });
+
+    expect(updated).toMatchObject({ nodeId: '12', name: 'AGE', questionType: 'Open', title: 'What is your age?' });
+    expect(survey.hasNode('S2')).toBe(false);
+    expect(survey.updateNode('AGE', { title: 'Age' }).formTexts).toEqual([{ text: 'Age', language: 9 }]);
+  });
+
+  test('should delete a page with everything on it', () => {
+    const survey = SurveyModel.fromFile(allTypesFixturePath);
+
+    survey.deleteNode('P_SCREENER');
+
+    expect(survey.getRoutingOrder()).toEqual(['B_BRANDS', 'Q1', 'Q2', 'Q3', 'Q4', 'Q5']);
+    expect(() => survey.getAnswers('S1')).toThrow(SurveyModelError);
+  });
+
+  test('should add multigrid sub-questions in position and update them', () => {
+    const survey = SurveyModel.fromFile(allTypesFixturePath);
+
+    const first = survey.addMultiGridQuestion('Q3', { position: 'After' }, {
+      __uniqueId: 1, precode: '2', keepPos: false, formTexts: [{ text: 'Price', language: 9 }], texts: [],
+    });
+    survey.addMultiGridQuestion('Q3', { position: 'Before', nodeId: first.questionId }, {
+      __uniqueId: 2, precode: '3', keepPos: true, formTexts: [{ text: 'Aroma', language: 9 }], texts: [],
+    });
+    survey.updateMultiGridQuestion('Q3', first.questionId, { formTexts: [{ text: 'Value for money', language: 9 }] });
+
+    const questions = survey.getMultiGridQuestions('Q3');
+    expect(questions.map(question => question.formTexts[0].text)).toEqual(['Taste', 'Aroma', 'Value for money']);
+    expect(questions[1]).not.toHaveProperty('__uniqueId');
+    expect(() => survey.addMultiGridQuestion('Q2', {}, {})).toThrow('Q2 is not a multigrid (Grid3D) question');
+  });
+
+  test('should reject answers for nodes without an answer list', () => {
+    const survey = SurveyModel.fromFile(allTypesFixturePath);
+
+    expect(() => survey.setAnswers('B_BRANDS', [])).toThrow('B_BRANDS is a Block and has no answers');
+    expect(() => survey.setAnswers('Q1', { codes: [] })).toThrow('Answers must be a list or { answers: [...] }');
+    expect(() => survey.getNode('Q404')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test('should export its state for seeding another survey', () => {
+    const survey = SurveyModel.fromFile(allTypesFixturePath);
+    survey.createNode({ type: 'date', position: 'After', nodeId: 'S3' });
+
+    const copy = new SurveyModel(survey.toJSON());
+
+    expect(copy.getRoutingOrder()).toEqual(survey.getRoutingOrder());
+    expect(copy.createNode().nodeId).toBe('62');
+  });
+});
+
+test.describe('Survey model behind the stand-in API', () => {
+  /** @type {ConfirmitStandInServer} */
+  let server;
+
+  /** @type {string} */
+  let apiBase;
+
+  /** @type {Object} */
+  let authHeaders;
+
+  test.beforeAll(async () => {
+    server = await new ConfirmitStandInServer({ credentials: STAND_IN_CREDENTIALS }).start();
+    apiBase = `${server.getUrl()}/surveydesigner/api/surveys/${server.getProjectId()}`;
+    const { username, password } = STAND_IN_CREDENTIALS;
+    const response = await fetch(`${server.getUrl()}/identity/login`, {
+      method: 'POST',
+      body: new URLSearchParams({ username, password, returnUrl: '/home/' }),
+      redirect: 'manual',
+    });
+    authHeaders = { cookie: response.headers.get('set-cookie').split(';')[0], 'Content-Type': 'application/json' };
+  });
+
+  test.afterAll(async () => {
+    await server.stop();
+  });
+
+  test.beforeEach(() => {
+    server.seedSurvey(allTypesFixturePath);
+  });
+
+  /**
+   * Call the stand-in API
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - Path after /surveys/{projectId}
+   * @param {*} body - JSON body
+   * @returns {Promise<{status: number, body: *}>}
+   */
+  async function callApi(method, apiPath, body = undefined) {
+    const response = await fetch(`${apiBase}${apiPath}`, {
+      method,
+      headers: authHeaders,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('should apply a generated question: create after Q2, name it, give it 5 answers', async () => {
+    const survey = server.seedSurvey({
+      project: { name: 'Generated survey', defaultLanguageId: 9 },
+      routing: [
+        { nodeId: '1', name: 'Q1', questionType: 'Single', title: 'Do you drink coffee?' },
+        { nodeId: '2', name: 'Q2', questionType: 'Numeric', title: 'Cups per day' },
+        { nodeId: '4', name: 'Q4', questionType: 'Open', title: 'Why?' },
+      ],
+    });
+
+    const created = await callApi('POST', '/nodes?type=single&position=After&nodeId=2');
+    await callApi('PUT', `/nodes/${created.body.nodeId}`, {
+      ...created.body,
+      name: 'Q3',
+      formTexts: [{ text: 'How often do you buy coffee out?', language: 9 }],
+    });
+    const answers = await callApi('PUT', `/${created.body.nodeId}/answers?type=Single`, fiveAnswers());
+
+    expect(answers).toEqual({ status: 200, body: fiveAnswers() });
+    expect(survey.getAnswers('Q3')).toHaveLength(5);
+    expect(survey.getNode('Q3')).toMatchObject({ questionType: 'Single', title: 'How often do you buy coffee out?' });
+    const order = survey.getRoutingOrder();
+    expect(order.indexOf('Q3')).toBe(order.indexOf('Q2') + 1);
+  });
+
+  test('should serve reads from the model', async () => {
+    const routing = await callApi('GET', '/routing/Routing');
+    const page = await callApi('GET', '/routing/10');
+    const question = await callApi('GET', '/nodes/21');
+
+    expect(routing.body.children.map(node => node.name)).toEqual(['P_SCREENER', 'B_BRANDS', 'Q5']);
+    expect(page.body.children.map(node => node.name)).toEqual(['S1', 'S2', 'S3']);
+    expect(question.body).toMatchObject({ name: 'Q1', questionType: 'Multi', entityIdAsString: '21' });
+    expect(question.body).not.toHaveProperty('answers');
+    expect((await callApi('GET', '/21/answers?type=Multi')).body).toHaveLength(3);
+  });
+
+  test('should delete nodes and run multigrid calls against the model', async () => {
+    await callApi('DELETE', '/routing/P_SCREENER');
+    const created = await callApi('POST', '/multigrid/23/questions?parentNodeName=Q3&position=After', {
+      __uniqueId: 1, precode: '2', keepPos: false, formTexts: [{ text: 'Price', language: 9 }], texts: [],
+    });
+    await callApi('PUT', `/multigrid/23/questions/${created.body.questionId}?parentNodeName=Q3`, { texts: [{ text: 'Price', language: 9 }] });
+
+    const survey = server.getSurvey();
+    expect(survey.hasNode('S1')).toBe(false);
+    expect(survey.getMultiGridQuestions('Q3')[1]).toMatchObject({ precode: '2', texts: [{ text: 'Price', language: 9 }] });
+  });
+
+  test('should answer with Confirmit-like errors', async () => {
+    expect(await callApi('GET', '/nodes/404')).toEqual({ status: 404, body: { message: 'Node 404 not found' } });
+    expect((await callApi('PUT', '/20/answers?type=Single', [])).status).toBe(400);
+    expect((await callApi('POST', '/nodes?type=open&position=Inside&nodeId=21')).status).toBe(400);
+    expect((await callApi('POST', '/routing/Routing')).status).toBe(405);
+    expect((await callApi('GET', '/questionnaires/1')).status).toBe(200);
+    for (const method of ['POST', 'PUT', 'DELETE']) {
+      expect((await callApi(method, '/questionnaires/1')).status).toBe(405);
+    }
+  });
+});
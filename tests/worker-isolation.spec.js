@@ -0,0 +1,177 @@
+const { test, expect, chromium } = require('@playwright/test');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserManager } = require('../helpers/BrowserManager');
+// The browser suite runs on the fixtures; the others patch chromium and launch nothing real
+const { test: extensionTest } = require('../fixtures/extension.fixtures');
+const { WorkerIsolation, ProfileInUseError, LOCK_FILE } = require('../helpers/WorkerIsolation');
+
+/**
+ * Worker Isolation Test Suite
+ * Verifies that parallel workers never share browser state:
+ * 1. Profile directories are locked to one browser; a second user fails loudly
+ * 2. Temporary profiles, per-worker directories and ports are derived from the worker index
+ * 3. Shared files are written atomically
+ */
+
+/**
+ * Run a callback with TEST_PARALLEL_INDEX set
+ * @param {string} index - Worker index
+ * @param {function(): *} callback
+ * @returns {*}
+ */
+function asWorker(index, callback) {
+  const previous = process.env.TEST_PARALLEL_INDEX;
+  process.env.TEST_PARALLEL_INDEX = index;
+  try {
+    return callback();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.TEST_PARALLEL_INDEX;
+    } else {
+      process.env.TEST_PARALLEL_INDEX = previous;
+    }
+  }
+}
+
+test.describe('Profile directory locks', () => {
+  /** @type {string} */
+  let profileDir;
+
+  test.beforeEach(() => {
+    profileDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'worker-isolation-')), 'profile');
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(path.dirname(profileDir), { recursive: true, force: true });
+  });
+
+  test('should lock a profile directory to one browser at a time', () => {
+    WorkerIsolation.lockProfileDir(profileDir);
+
+    expect(() => WorkerIsolation.lockProfileDir(profileDir)).toThrow(ProfileInUseError);
+    WorkerIsolation.unlockProfileDir(profileDir);
+    expect(WorkerIsolation.lockProfileDir(profileDir)).toBe(path.join(profileDir, LOCK_FILE));
+    WorkerIsolation.unlockProfileDir(profileDir);
+    expect(fs.existsSync(path.join(profileDir, LOCK_FILE))).toBe(false);
+  });
+
+  test('should name the worker that holds the directory', () => {
+    fs.mkdirSync(profileDir, { recursive: true });
+    const owner = { pid: process.ppid, workerIndex: 3, lockedAt: '2026-10-19T08:00:00.000Z' };
+    fs.writeFileSync(path.join(profileDir, LOCK_FILE), JSON.stringify(owner));
+
+    const error = (() => {
+      try {
+        WorkerIsolation.lockProfileDir(profileDir);
+      } catch (caught) {
+        return caught;
+      }
+      return null;
+    })();
+
+    expect(error).toBeInstanceOf(ProfileInUseError);
+    expect(error.owner).toEqual(owner);
+    expect(error.message).toContain(`Profile directory ${profileDir} is already in use by worker 3 (pid ${process.ppid}`);
+    // Not ours to release
+    WorkerIsolation.unlockProfileDir(profileDir);
+    expect(fs.existsSync(path.join(profileDir, LOCK_FILE))).toBe(true);
+  });
+
+  test('should take over the lock of a process that has exited', () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.mkdirSync(profileDir, { recursive: true });
+    fs.writeFileSync(path.join(profileDir, LOCK_FILE), JSON.stringify({ pid, workerIndex: 1, lockedAt: '' }));
+
+    WorkerIsolation.lockProfileDir(profileDir);
+
+    const lock = JSON.parse(fs.readFileSync(path.join(profileDir, LOCK_FILE), 'utf8'));
+    expect(lock.pid).toBe(process.pid);
+  });
+
+  test('should refuse to launch a browser on a directory another browser uses', async () => {
+    WorkerIsolation.lockProfileDir(profileDir);
+    const browserManager = new BrowserManager({ userDataDir: profileDir, confirmitStandIn: true });
+
+    // Fails before the stand-in or Chrome is started
+    await expect(browserManager.launch()).rejects.toThrow(ProfileInUseError);
+    expect(browserManager.getConfirmitStandIn()).toBeNull();
+    expect(browserManager.getUserDataDir()).toBeNull();
+    WorkerIsolation.unlockProfileDir(profileDir);
+  });
+
+  test('should close the browser and release the directory when setup after launch fails', async () => {
+    const closed = [];
+    const context = {
+      route: async () => {
+        throw new Error('route failed');
+      },
+      close: async () => closed.push('context'),
+    };
+    const launchPersistentContext = chromium.launchPersistentContext;
+    chromium.launchPersistentContext = async () => context;
+    try {
+      const browserManager = new BrowserManager({ userDataDir: profileDir, headlessMode: 'new', consoleErrors: false, contracts: false, telemetry: true });
+
+      await expect(browserManager.launch()).rejects.toThrow('route failed');
+      expect(closed).toEqual(['context']);
+      expect(fs.existsSync(path.join(profileDir, LOCK_FILE))).toBe(false);
+    } finally {
+      chromium.launchPersistentContext = launchPersistentContext;
+    }
+  });
+});
+
+test.describe('Per-worker resources', () => {
+  test('should derive directories and ports from the worker index', () => {
+    asWorker('2', () => {
+      expect(WorkerIsolation.getWorkerIndex()).toBe(2);
+      expect(WorkerIsolation.getWorkerDir('/repo/test-user-data')).toBe(path.join('/repo/test-user-data', 'worker-2'));
+      expect(WorkerIsolation.getPort(8443)).toBe(8445);
+      expect(WorkerIsolation.getPort(0)).toBe(0);
+      expect(BrowserManager.forTests('/repo/tests').options.userDataDir).toBe(path.join('/repo/test-user-data', 'worker-2'));
+    });
+  });
+
+  test('should create a fresh temporary profile for every browser', () => {
+    const [first, second] = asWorker('1', () => [WorkerIsolation.createTempProfileDir(), WorkerIsolation.createTempProfileDir()]);
+
+    try {
+      expect(first).not.toBe(second);
+      expect(path.basename(first)).toMatch(/^pw-extension-w1-/);
+      expect(fs.readdirSync(first)).toEqual([]);
+    } finally {
+      [first, second].forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    }
+  });
+
+  test('should write shared files atomically', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-'));
+    const filePath = path.join(dir, 'sessions', 'editor.json');
+
+    try {
+      WorkerIsolation.writeFileAtomic(filePath, '{"version":1}', { mode: 0o600 });
+      WorkerIsolation.writeFileAtomic(filePath, '{"version":2}', { mode: 0o600 });
+
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('{"version":2}');
+      expect(fs.readdirSync(path.dirname(filePath))).toEqual(['editor.json']);
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+extensionTest.describe('Worker browsers', () => {
+  extensionTest('should launch in a locked temporary profile and remove it on close', async ({ launchBrowser }) => {
+    const browserManager = await launchBrowser();
+    const userDataDir = browserManager.getUserDataDir();
+
+    expect(path.basename(userDataDir)).toMatch(new RegExp(`^pw-extension-w${WorkerIsolation.getWorkerIndex()}-`));
+    expect(JSON.parse(fs.readFileSync(path.join(userDataDir, LOCK_FILE), 'utf8')).pid).toBe(process.pid);
+    await browserManager.close();
+    expect(fs.existsSync(userDataDir)).toBe(false);
+  });
+});